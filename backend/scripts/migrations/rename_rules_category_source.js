@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Category suggestions from the built-in keyword matching were stored with the source 'rules',
+// too close to 'rule' for the user's own rules; they are now 'keywords'
+async function runMigration() {
+  try {
+    // Get MongoDB connection string from command line argument or environment variable
+    const mongoUri = process.argv[2] || process.env.MONGODB_URI || 'mongodb://localhost:27017/finance-app';
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+
+    console.log('Connected to MongoDB');
+
+    const Transaction = require('../../src/models/Transaction');
+    const CategoryCorrection = require('../../src/models/CategoryCorrection');
+
+    // updateMany isn't limited to transactions outside the trash, so those are renamed too
+    const transactionResult = await Transaction.updateMany(
+      { 'categorySuggestion.source': 'rules' },
+      { $set: { 'categorySuggestion.source': 'keywords' } }
+    );
+    const correctionResult = await CategoryCorrection.updateMany(
+      { source: 'rules' },
+      { $set: { source: 'keywords' } }
+    );
+
+    console.log('Migration completed successfully:');
+    console.log(`- Transactions updated: ${transactionResult.modifiedCount}`);
+    console.log(`- Category corrections updated: ${correctionResult.modifiedCount}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+runMigration();
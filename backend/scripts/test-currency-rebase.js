@@ -0,0 +1,95 @@
+/**
+ * Checks that changing the base currency converts every amount stored in the base currency:
+ * budgets, recurring transactions and goal targets. Models are replaced with in-memory
+ * stand-ins, so no database is needed.
+ * Run with: npm run test:currency-rebase
+ */
+const assert = require('assert');
+const User = require('../src/models/User');
+const ExchangeRate = require('../src/models/ExchangeRate');
+const Transaction = require('../src/models/Transaction');
+const RecurringTransaction = require('../src/models/RecurringTransaction');
+const Budget = require('../src/models/Budget');
+const Goal = require('../src/models/Goal');
+const { changeBaseCurrency } = require('../src/services/currencyService');
+
+const USER_ID = '64b000000000000000000001';
+// 1 USD is 80 INR
+const RATES_IN_INR = { INR: 1, USD: 80, EUR: 90, GBP: 100, AED: 22, SGD: 60, AUD: 55, CAD: 60, JPY: 0.55 };
+
+// Just enough of the aggregation language to run the rebase's update pipelines
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (expression === null || typeof expression !== 'object') return expression;
+  const [[operator, args]] = Object.entries(expression);
+  const values = Array.isArray(args) ? args.map(arg => evaluate(arg, doc)) : [evaluate(args, doc)];
+  switch (operator) {
+    case '$divide': return values[0] / values[1];
+    case '$max': return Math.max(...values);
+    case '$round': return Math.round(values[0] * 10 ** values[1]) / 10 ** values[1];
+    case '$ifNull': return values[0] ?? values[1];
+    case '$eq': return values[0] === values[1];
+    case '$cond': return values[0] ? values[1] : values[2];
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// An in-memory collection whose updateMany runs pipeline updates
+const collection = (docs) => ({
+  docs,
+  updateMany: async (filter, pipeline) => {
+    pipeline.forEach(({ $set }) => docs.forEach(doc => {
+      const updates = Object.fromEntries(Object.entries($set).map(([field, value]) => [field, evaluate(value, doc)]));
+      Object.assign(doc, updates);
+    }));
+    return { modifiedCount: docs.length };
+  }
+});
+
+const data = {
+  budgets: collection([{ category: 'Food', amount: 8000 }]),
+  recurring: collection([{ category: 'Rent', amount: 24000 }]),
+  goals: collection([{ name: 'Trip', targetAmount: 160000 }, { name: 'Tiny', targetAmount: 0.4 }]),
+  transactions: collection([{ amount: 400, currency: 'INR', exchangeRate: 1 }])
+};
+
+let baseCurrency = 'INR';
+User.findById = () => ({ select: () => ({ lean: async () => ({ baseCurrency }) }) });
+User.findByIdAndUpdate = async (id, update) => { baseCurrency = update.baseCurrency; };
+ExchangeRate.getRateTable = async () => RATES_IN_INR;
+ExchangeRate.bulkWrite = async () => ({});
+ExchangeRate.find = () => ({ select: () => ({ lean: async () => [] }) });
+Budget.updateMany = data.budgets.updateMany;
+RecurringTransaction.updateMany = data.recurring.updateMany;
+Goal.updateMany = data.goals.updateMany;
+Transaction.updateMany = data.transactions.updateMany;
+
+const CHECKS = [
+  ['base currency', () => baseCurrency, 'USD'],
+  ['budget amount', () => data.budgets.docs[0].amount, 100],
+  ['recurring amount', () => data.recurring.docs[0].amount, 300],
+  ['goal target', () => data.goals.docs[0].targetAmount, 2000],
+  ['goal target stays valid', () => data.goals.docs[1].targetAmount, 0.01],
+  ['transaction amount unchanged', () => data.transactions.docs[0].amount, 400],
+  ['transaction rate to the new base', () => data.transactions.docs[0].exchangeRate, 1 / 80]
+];
+
+(async () => {
+  await changeBaseCurrency(USER_ID, 'USD');
+
+  let failed = 0;
+  CHECKS.forEach(([name, actual, expected]) => {
+    try {
+      assert.strictEqual(actual(), expected);
+    } catch (error) {
+      failed += 1;
+      console.error(`✗ ${name}: expected ${expected}, got ${actual()}`);
+    }
+  });
+
+  console.log(`${CHECKS.length - failed}/${CHECKS.length} currency rebase checks passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * Checks the chat's date-range parser against a fixed "now" (Wednesday 14 Oct 2026).
+ * Run with: npm run test:date-range
+ */
+const assert = require('assert');
+const { parseDateRange } = require('../src/utils/dateRangeParser');
+
+const NOW = new Date(2026, 9, 14, 10, 30);
+
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// [question, start, end, label, options]; a null start means no period is expected
+const CASES = [
+  // Calendar periods
+  ['How much did I spend this month?', '2026-10-01', '2026-10-14', 'This month'],
+  ['month to date spending', '2026-10-01', '2026-10-14', 'This month'],
+  ['What was my income last month', '2026-09-01', '2026-09-30', 'Last month'],
+  ['expenses in the previous month', '2026-09-01', '2026-09-30', 'Last month'],
+  ['this week', '2026-10-12', '2026-10-14', 'This week'],
+  ['spending last week', '2026-10-05', '2026-10-11', 'Last week'],
+  ['what did I spend last weekend', '2026-10-10', '2026-10-11', 'Last weekend'],
+  ['ytd savings', '2026-01-01', '2026-10-14', 'Year to date'],
+  ['income this year', '2026-01-01', '2026-10-14', 'Year to date'],
+  ['total spend last year', '2025-01-01', '2025-12-31', 'Last year'],
+  ['spending in 2024', '2024-01-01', '2024-12-31', '2024'],
+  ['today', '2026-10-14', '2026-10-14', 'Today'],
+  ['what did I buy yesterday', '2026-10-13', '2026-10-13', 'Yesterday'],
+  ['the day before yesterday', '2026-10-12', '2026-10-12', 'Day before yesterday'],
+
+  // Rolling periods
+  ['spending in the last 3 months', '2026-07-14', '2026-10-14', 'Last 3 months'],
+  ['past 7 days', '2026-10-07', '2026-10-14', 'Last 7 days'],
+  ['last two weeks', '2026-09-30', '2026-10-14', 'Last 2 weeks'],
+  ['over the last couple of months', '2026-08-14', '2026-10-14', 'Last 2 months'],
+  ['last few months', '2026-07-14', '2026-10-14', 'Last 3 months'],
+  ['last 12 months', '2025-10-14', '2026-10-14', 'Last 12 months'],
+  ['past week', '2026-10-07', '2026-10-14', 'Past week'],
+  ['past fortnight', '2026-09-30', '2026-10-14', 'Past fortnight'],
+
+  // Quarters
+  ['Q2 2025', '2025-04-01', '2025-06-30', 'Q2 2025'],
+  ['income in q3', '2026-07-01', '2026-09-30', 'Q3 2026'],
+  ['q4', '2026-10-01', '2026-10-14', 'Q4 2026'],
+  ['2025 q3', '2025-07-01', '2025-09-30', 'Q3 2025'],
+  ["q1 '25", '2025-01-01', '2025-03-31', 'Q1 2025'],
+  ['second quarter of 2024', '2024-04-01', '2024-06-30', 'Q2 2024'],
+  ['this quarter', '2026-10-01', '2026-10-14', 'This quarter'],
+  ['last quarter', '2026-07-01', '2026-09-30', 'Last quarter'],
+
+  // Financial years (April-March)
+  ['this fiscal year', '2026-04-01', '2026-10-14', 'FY 2026-27'],
+  ['last financial year', '2025-04-01', '2026-03-31', 'FY 2025-26'],
+  ['FY 2024-25', '2024-04-01', '2025-03-31', 'FY 2024-25'],
+  ['tax saving in fy25', '2024-04-01', '2025-03-31', 'FY 2024-25'],
+  ['q1 fy26', '2025-04-01', '2025-06-30', 'Q1 FY 2025-26'],
+  ['fiscal year to date', '2026-04-01', '2026-10-14', 'FY 2026-27 to date'],
+  ['last fiscal year', '2025-01-01', '2025-12-31', 'FY 2025', { fiscalYearStartMonth: 1 }],
+
+  // Months and days
+  ['spending in March', '2026-03-01', '2026-03-31', 'March 2026'],
+  ['november', '2025-11-01', '2025-11-30', 'November 2025'],
+  ['march 2024', '2024-03-01', '2024-03-31', 'March 2024'],
+  ['march last year', '2025-03-01', '2025-03-31', 'March 2025'],
+  ['last october', '2025-10-01', '2025-10-31', 'October 2025'],
+  ['this october', '2026-10-01', '2026-10-14', 'October 2026'],
+  ['in may', '2026-05-01', '2026-05-31', 'May 2026'],
+  ['12 March', '2026-03-12', '2026-03-12', '12 Mar 2026'],
+  ['March 12, 2025', '2025-03-12', '2025-03-12', '12 Mar 2025'],
+  ['on 5/10/2026', '2026-10-05', '2026-10-05', '5 Oct 2026'],
+  ['2025-08-15', '2025-08-15', '2025-08-15', '15 Aug 2025'],
+
+  // Weekdays
+  ['last monday', '2026-10-12', '2026-10-12', 'Monday 12 Oct 2026'],
+  ['on friday', '2026-10-09', '2026-10-09', 'Friday 9 Oct 2026'],
+  ['last wednesday', '2026-10-07', '2026-10-07', 'Wednesday 7 Oct 2026'],
+  ['this wednesday', '2026-10-14', '2026-10-14', 'Wednesday 14 Oct 2026'],
+
+  // Ranges
+  ['between March and May', '2026-03-01', '2026-05-31', 'March – May 2026'],
+  ['between November and February', '2025-11-01', '2026-02-28', 'November 2025 – February 2026'],
+  ['from 1 march 2025 to 15 april', '2025-03-01', '2025-04-15', '1 Mar – 15 Apr 2025'],
+  ['from January to now', '2026-01-01', '2026-10-14', 'Since January 2026'],
+  ['between 2025-01-10 and 2025-02-05', '2025-01-10', '2025-02-05', '10 Jan – 5 Feb 2025'],
+  ['expenses from Q1 2025 to Q2 2025 on travel', '2025-01-01', '2025-06-30', 'Q1 – Q2 2025'],
+  ['since March', '2026-03-01', '2026-10-14', 'Since March 2026'],
+  ['since last month', '2026-09-01', '2026-10-14', 'Since last month'],
+  ['since 2024', '2024-01-01', '2026-10-14', 'Since 2024'],
+  ['income since the start of the year', '2026-01-01', '2026-10-14', 'Since the start of the year'],
+  ['since the start of fy 2025-26', '2025-04-01', '2026-10-14', 'Since FY 2025-26'],
+  ['since monday', '2026-10-12', '2026-10-14', 'Since Monday 12 Oct 2026'],
+
+  // Named dates
+  ['how much have I spent since Diwali?', '2025-10-20', '2026-10-14', 'Since Diwali 2025'],
+  ['since diwali 2024', '2024-11-01', '2026-10-14', 'Since Diwali 2024'],
+  ['spending during Navratri', '2026-10-11', '2026-10-14', 'Navratri 2026'],
+  ['what did I spend on christmas', '2025-12-25', '2025-12-25', 'Christmas 2025'],
+  ['Holi 2025', '2025-03-14', '2025-03-14', 'Holi 2025'],
+  ['on our anniversary', '2026-06-20', '2026-06-20', 'Anniversary 2026', {
+    namedDates: [{ name: 'Anniversary', aliases: ['anniversary'], month: 6, day: 20 }]
+  }],
+
+  // No period named
+  ['how much did I spend on food', null],
+  ['may I see my budget', null],
+  ['spent 2000 on groceries', null],
+  ['paid 450 from my salary account', null]
+];
+
+let failed = 0;
+
+CASES.forEach(([question, start, end, label, options = {}]) => {
+  const result = parseDateRange(question, { now: NOW, ...options });
+  try {
+    if (start === null) {
+      assert.strictEqual(result, null);
+    } else {
+      assert.ok(result, 'no period found');
+      assert.deepStrictEqual(
+        { start: toDateString(result.start), end: toDateString(result.end), label: result.label },
+        { start, end, label }
+      );
+    }
+  } catch (error) {
+    failed += 1;
+    const got = result ? `${toDateString(result.start)} – ${toDateString(result.end)} "${result.label}"` : 'null';
+    console.error(`✗ "${question}": expected ${start === null ? 'null' : `${start} – ${end} "${label}"`}, got ${got}`);
+  }
+});
+
+// All time has no start; the chat looks up the first transaction
+const allTime = parseDateRange('show my overall spending', { now: NOW });
+try {
+  assert.deepStrictEqual(
+    { start: allTime?.start, end: allTime && toDateString(allTime.end), label: allTime?.label, allTime: allTime?.allTime },
+    { start: null, end: '2026-10-14', label: 'All time', allTime: true }
+  );
+} catch (error) {
+  failed += 1;
+  console.error('✗ "show my overall spending": expected an all-time period');
+}
+
+const total = CASES.length + 1;
+console.log(`${total - failed}/${total} date range checks passed`);
+process.exit(failed ? 1 : 0);
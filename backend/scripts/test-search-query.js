@@ -0,0 +1,126 @@
+/**
+ * Checks transaction search through the list route: whole words go to the text index, and words
+ * the index can't match, like the start of a merchant's name, still find transactions. The model
+ * is replaced with an in-memory stand-in, so no database is needed.
+ * Run with: npm run test:search-query
+ */
+const assert = require('assert');
+const Transaction = require('../src/models/Transaction');
+const router = require('../src/routes/transactions');
+
+const USER_ID = '64b000000000000000000001';
+
+const TRANSACTIONS = [
+  { description: 'Order #4411', merchant: 'Amazon', tags: ['gadgets'], splits: [] },
+  { description: 'Dinner with friends', merchant: 'Swiggy', tags: ['food'], splits: [] },
+  { description: 'Flight to Goa', merchant: 'IndiGo', tags: ['trip-goa'], splits: [{ note: 'Window seat' }] },
+  { description: 'Amazon Prime renewal', merchant: null, tags: [], splits: [] }
+].map((transaction, index) => ({ _id: String(index + 1), userId: USER_ID, ...transaction }));
+
+const TEXT_FIELDS = ['description', 'merchant', 'tags', 'splits.note'];
+
+const valuesOf = (doc, field) => {
+  const [head, tail] = field.split('.');
+  const value = doc[head];
+  if (tail) return (value || []).map(item => item[tail]);
+  return Array.isArray(value) ? value : [value];
+};
+
+// Whole words only, as the text index matches them (stemming aside): every phrase, any of the
+// words and none of the -words
+const textMatches = (doc, search) => {
+  const values = TEXT_FIELDS.flatMap(field => valuesOf(doc, field)).filter(Boolean).map(value => value.toLowerCase());
+  const words = values.flatMap(value => value.split(/[^\p{L}\p{N}]+/u));
+  const phrases = [...search.toLowerCase().matchAll(/"([^"]*)"/g)].map(match => match[1]);
+  const terms = search.toLowerCase().replace(/-?"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+  const included = terms.filter(term => !term.startsWith('-'));
+  const excluded = terms.filter(term => term.startsWith('-')).map(term => term.slice(1));
+
+  return phrases.every(phrase => values.some(value => value.includes(phrase))) &&
+    (included.length === 0 || included.some(term => words.includes(term))) &&
+    !excluded.some(term => words.includes(term));
+};
+
+// Just enough of the query language to run the search filters
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case '$and': return condition.every(part => matches(doc, part));
+    case '$or': return condition.some(part => matches(doc, part));
+    case '$nor': return !condition.some(part => matches(doc, part));
+    case '$text': return textMatches(doc, condition.$search);
+    default: {
+      const values = valuesOf(doc, key);
+      if (condition instanceof RegExp) return values.some(value => typeof value === 'string' && condition.test(value));
+      return values.includes(condition);
+    }
+  }
+});
+
+let queries = [];
+const find = (filter) => {
+  queries.push(filter);
+  const found = TRANSACTIONS.filter(doc => matches(doc, filter))
+    .map(doc => ({ ...doc, toJSON: () => ({ ...doc }) }));
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(found).then(resolve, reject)
+  };
+  return chain;
+};
+Transaction.find = find;
+Transaction.exists = async (filter) => (TRANSACTIONS.some(doc => matches(doc, filter)) ? { _id: 'found' } : null);
+Transaction.countDocuments = async (filter) => TRANSACTIONS.filter(doc => matches(doc, filter)).length;
+
+// The list route's own handler, past the auth middleware
+const listLayer = router.stack.find(layer => layer.route && layer.route.path === '/' && layer.route.methods.get);
+const listTransactions = listLayer.route.stack[listLayer.route.stack.length - 1].handle;
+
+const search = async (text) => {
+  queries = [];
+  let body = null;
+  const res = {
+    status() { return this; },
+    json(payload) { body = payload; }
+  };
+  await listTransactions({ userId: USER_ID, query: { search: text } }, res);
+  if (!body || !body.success) throw new Error(`Search "${text}" failed`);
+  return { ids: body.data.transactions.map(transaction => transaction._id), filter: queries[0] };
+};
+
+// [search, ids found, whether the text index was used]
+const CASES = [
+  ['amazon', ['1', '4'], true],
+  ['amaz', ['1', '4'], false],
+  ['AMAZ', ['1', '4'], false],
+  ['swig', ['2'], false],
+  ['amaz -prime', ['1'], false],
+  ['"flight to"', ['3'], true],
+  ['wind', ['3'], false],
+  ['trip-g', ['3'], false],
+  ['#44', ['1'], false],
+  ['a.z', [], false],
+  ['zomato', [], false]
+];
+
+(async () => {
+  let failed = 0;
+  for (const [text, expectedIds, usesIndex] of CASES) {
+    try {
+      const { ids, filter } = await search(text);
+      assert.deepStrictEqual(ids, expectedIds);
+      assert.strictEqual(Boolean(filter.$text), usesIndex);
+    } catch (error) {
+      failed += 1;
+      console.error(`✗ "${text}": ${error.message}`);
+    }
+  }
+
+  console.log(`${CASES.length - failed}/${CASES.length} search checks passed`);
+  process.exit(failed ? 1 : 0);
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
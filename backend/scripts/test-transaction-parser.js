@@ -0,0 +1,39 @@
+/**
+ * Checks the dates the quick-add parser reads from a sentence against a fixed "now" (Sunday 18 Oct 2026).
+ * Run with: npm run test:transaction-parser
+ */
+const assert = require('assert');
+const { parseWithRules } = require('../src/services/transactionParserService');
+
+const NOW = new Date(2026, 9, 18, 10, 30);
+
+// [text, date, amount]
+const CASES = [
+  ['paid 450 for uber', '2026-10-18', 450],
+  ['paid 450 for uber yesterday', '2026-10-17', 450],
+  ['lunch 300 on 1st', '2026-10-01', 300],
+  ['rent 15000 on the 18th', '2026-10-18', 15000],
+  ['paid 450 for uber on 20th', '2026-09-20', 450],
+  // A day the last month doesn't have goes back to the latest month that does
+  ['paid 450 for uber on 31st', '2026-08-31', 450],
+  ['groceries 1200 on 30th', '2026-09-30', 1200],
+  ['coffee 150 on 12/10', '2026-10-12', 150],
+  ['salary 90000 on 1 Oct', '2026-10-01', 90000],
+  ['dinner 800 on 2026-02-14', '2026-02-14', 800]
+];
+
+let failed = 0;
+CASES.forEach(([text, date, amount]) => {
+  const draft = parseWithRules(text, { now: NOW });
+  try {
+    assert.ok(draft, 'no draft');
+    assert.strictEqual(draft.date, date);
+    assert.strictEqual(draft.amount, amount);
+  } catch (error) {
+    failed += 1;
+    console.error(`✗ "${text}": expected ${date} ${amount}, got ${draft ? `${draft.date} ${draft.amount}` : 'nothing'}`);
+  }
+});
+
+console.log(`${CASES.length - failed}/${CASES.length} transaction parser checks passed`);
+process.exit(failed ? 1 : 0);
@@ -12,7 +12,16 @@ const transactionRoutes = require('./routes/transactions');
 const receiptRoutes = require('./routes/receipts');
 const aiRoutes = require('./routes/ai');
 const recurringTransactionRoutes = require('./routes/recurringTransactionRoutes');
+const budgetRoutes = require('./routes/budgets');
+const categoryRoutes = require('./routes/categories');
+const currencyRoutes = require('./routes/currencies');
+const accountRoutes = require('./routes/accounts');
+const dashboardRoutes = require('./routes/dashboard');
+const goalRoutes = require('./routes/goals');
+const merchantRoutes = require('./routes/merchants');
+const ruleRoutes = require('./routes/rules');
 const scheduleRecurringTransactions = require('./utils/recurringTransactionScheduler');
+const scheduleTrashPurge = require('./utils/deletOldTransactions');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -71,6 +80,7 @@ const corsOptions = {
   exposedHeaders: [
     'set-cookie',
     'Content-Length',
+    'Content-Disposition',
     'X-Foo',
     'X-Bar'
   ],
@@ -106,6 +116,14 @@ app.use('/api/transactions', transactionRoutes);
 app.use('/api/receipts', receiptRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/recurring-transactions', recurringTransactionRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/rules', ruleRoutes);
 
 // Special route for Google OAuth that needs to handle raw text
 app.use('/auth/google', express.text({ type: 'text/*' }));
@@ -143,6 +161,13 @@ mongoose.connection.on('connected', () => {
     } catch (error) {
       logger.error('Failed to start recurring transaction scheduler:', error);
     }
+
+    try {
+      scheduleTrashPurge();
+      logger.info('Trash purge scheduler started');
+    } catch (error) {
+      logger.error('Failed to start trash purge scheduler:', error);
+    }
   }
 });
 
@@ -162,6 +187,14 @@ app.use('/api/v1/transactions', transactionRoutes);
 app.use('/api/v1/receipts', receiptRoutes);
 app.use('/api/v1/ai', aiRoutes);
 app.use('/api/v1/recurring-transactions', recurringTransactionRoutes);
+app.use('/api/v1/budgets', budgetRoutes);
+app.use('/api/v1/categories', categoryRoutes);
+app.use('/api/v1/currencies', currencyRoutes);
+app.use('/api/v1/accounts', accountRoutes);
+app.use('/api/v1/dashboard', dashboardRoutes);
+app.use('/api/v1/goals', goalRoutes);
+app.use('/api/v1/merchants', merchantRoutes);
+app.use('/api/v1/rules', ruleRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,237 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const { getAccountsWithBalances, getAccountLedger } = require('../services/accountService');
+const { validationResult } = require('express-validator');
+
+// Get all accounts with their current balances
+const getAccounts = async (req, res) => {
+  try {
+    const includeArchived = String(req.query.includeArchived || '').toLowerCase() === 'true';
+    const data = await getAccountsWithBalances(req.userId, { includeArchived });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve accounts'
+    });
+  }
+};
+
+// Get one account with its transactions and running balance
+const getLedger = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const ledger = await getAccountLedger(req.userId, req.params.id, { page, limit });
+
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+
+  } catch (error) {
+    console.error('Get account ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve account transactions'
+    });
+  }
+};
+
+// Create a new account
+const createAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, currency, openingBalance } = req.body;
+
+    const existing = await Account.findOne({ userId: req.userId, name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `An account named ${name} already exists`
+      });
+    }
+
+    const account = new Account({
+      userId: req.userId,
+      name,
+      type,
+      currency: currency || req.user.baseCurrency || 'INR',
+      openingBalance: openingBalance !== undefined ? parseFloat(openingBalance) : 0
+    });
+
+    await account.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: { account }
+    });
+
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create account'
+    });
+  }
+};
+
+// Update account
+const updateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, type, openingBalance, isArchived } = req.body;
+
+    if (name !== undefined) {
+      const existing = await Account.findOne({ userId: req.userId, name, _id: { $ne: id } });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `An account named ${name} already exists`
+        });
+      }
+    }
+
+    // The currency is fixed once created so past balances keep their meaning
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (type !== undefined) update.type = type;
+    if (openingBalance !== undefined) update.openingBalance = parseFloat(openingBalance);
+    if (isArchived !== undefined) update.isArchived = isArchived === true || isArchived === 'true';
+
+    const account = await Account.findOneAndUpdate(
+      { _id: id, userId: req.userId },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: { account }
+    });
+
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account'
+    });
+  }
+};
+
+// Delete an account that has no transactions
+const deleteAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const account = await Account.findOne({ _id: id, userId: req.userId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // Transactions in the trash count too: restoring them would leave them without their account
+    const usedBy = { userId: req.userId, $or: [{ accountId: account._id }, { toAccountId: account._id }] };
+    const [inUse, inTrash] = await Promise.all([
+      Transaction.exists(usedBy),
+      Transaction.exists({ ...usedBy, deletedAt: { $ne: null } })
+    ]);
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has transactions. Archive it instead to keep its history.'
+      });
+    }
+    if (inTrash) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has transactions in the trash. Archive it, or delete them from the trash for good first.'
+      });
+    }
+
+    await Promise.all([
+      account.deleteOne(),
+      RecurringTransaction.updateMany({ userId: req.userId, accountId: account._id }, { accountId: null })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account'
+    });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  getLedger,
+  createAccount,
+  updateAccount,
+  deleteAccount
+};
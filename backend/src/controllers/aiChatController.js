@@ -1,18 +1,28 @@
-const OpenAI = require('openai');
+const crypto = require('crypto');
 const analyticsService = require('../services/analyticsService');
+const budgetService = require('../services/budgetService');
+const goalService = require('../services/goalService');
 const Transaction = require('../models/Transaction');
 const RecurringTransaction = require('../models/RecurringTransaction');
 const ChatHistory = require('../models/ChatHistory');
+const currencyService = require('../services/currencyService');
+const llm = require('../services/llm');
+const chatToolService = require('../services/chatToolService');
+const { DEFAULT_CURRENCY, getCurrencySymbol, formatCurrency } = require('../utils/currencies');
+const { parseDateRange } = require('../utils/dateRangeParser');
 
 // In-memory cache for active chat histories
 const activeChatHistories = new Map();
 
+// Client-supplied session IDs; generated ones are UUIDs
+const SESSION_ID_PATTERN = /^[\w-]{1,64}$/;
+
 // System message for the AI assistant
 const SYSTEM_MESSAGE = {
   role: 'system',
   content: `You are a helpful financial assistant for the Typeface Finance app.
 Your job is to answer with clear, numeric, user-specific insights using the provided context.
-Keep answers concise, friendly, and professional. Use Indian rupees (₹) for all currency.
+Keep answers concise, friendly, and professional. Report all amounts in the user's base currency given in the context, using its symbol.
 
 When the user asks:
 - About spend/expenses: provide the total spending for the period, optionally top 3 categories.
@@ -20,7 +30,7 @@ When the user asks:
 - About savings: calculate and show the savings rate.
 - For advice: provide specific, actionable suggestions based on spending patterns.
 - About transactions: list relevant transactions with dates, amounts, and categories.
-- About budgets: compare actual spending vs budgeted amounts.
+- About budgets: compare actual spending vs budgeted amounts using budgetStatus (limit, spent, remaining, percentUsed per category). If no budgets are set, say so and suggest setting monthly category limits.
 - For analysis: identify trends, anomalies, or opportunities for improvement.
 - About income/net balance/savings: compute from context: net = income − expenses.
 - About "net worth": clarify that only transactional net savings are available unless assets/liabilities are provided; offer to compute true net worth if they share those.
@@ -28,6 +38,7 @@ When the user asks:
 - About top/highest transactions: provide a list of the largest transactions, including amount, description, category, and date.
 - About transaction count: provide the total number of transactions for the period, and optionally the average transactions per day.
 - About bills/payments: provide information about upcoming recurring payments, including amount, description, and due date. For questions like "do I have any bills due tomorrow/next week/next month", check the upcomingBills array and provide a clear list of upcoming payments.
+- About savings goals: report saved vs target, the monthly contribution needed to hit the target date, and the projected completion date at the current savings pace. If no goals are set, say so and suggest creating one.
 
 Prefer numbers over definitions. Round to 2 decimals. If a value is missing, say so briefly and suggest how to provide it.
 
@@ -36,14 +47,40 @@ For transaction queries, you have access to:
 - recentTransactions: array of most recent transactions
 
 Format transaction responses clearly, for example:
-"Here are your top 5 transactions for [time period]:\n1. ₹5,000 - Groceries at Supermarket (Jan 15)\n2. ₹3,500 - Electricity Bill (Jan 10)\n..."`
+"Here are your top 5 transactions for [time period]:\n1. [symbol]5,000 - Groceries at Supermarket (Jan 15)\n2. [symbol]3,500 - Electricity Bill (Jan 10)\n..."`
 };
 
-// Initialize OpenAI with API key
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Instructions when the model looks figures up itself through chatToolService
+const buildToolSystemMessage = (baseCurrency, period) => {
+  const currency = baseCurrency || DEFAULT_CURRENCY;
+  const today = new Date();
+  // Festivals and financial years are easy for the model to get wrong, so pass on what the question names
+  const periodHint = period && !period.allTime
+    ? `\n\nThe latest question is about ${period.label}: ${chatToolService.toDateString(period.start)} to ${chatToolService.toDateString(period.end)}.`
+    : '';
+  return {
+    role: 'system',
+    content: `You are a helpful financial assistant for the Typeface Finance app.
+Today is ${today.toLocaleDateString('en-US', { weekday: 'long' })}, ${chatToolService.toDateString(today)}. The user's base currency is ${currency} (${getCurrencySymbol(currency)}); tool totals are in it.
+
+Use the tools to look up every figure you report; never guess amounts. Turn relative periods like "March" or "last month" into exact dates from today before calling a tool. Search descriptions for merchants such as Swiggy or Uber. Budgets, savings goals and account balances have tools of their own.
+
+Keep answers concise, friendly and numeric, with clear line breaks and lists. Round to 2 decimals.
+
+To record a transaction, call draft_transaction, show the drafted details and ask the user to confirm. Call confirm_transaction only after the user agrees in their next message, and cancel_transaction if they decline.${periodHint}`
+  };
+};
+
+const CHAT_COMPLETION_OPTIONS = {
+  temperature: 0.7,
+  maxTokens: 500
+};
+
+// Tool call rounds before the model has to answer with what it has
+const MAX_TOOL_ROUNDS = 5;
 
 // Helper function to get or create chat history
-async function getOrCreateChatHistory(userId, sessionId = 'default') {
+async function getOrCreateChatHistory(userId, sessionId = ChatHistory.DEFAULT_SESSION_ID) {
   try {
     const cacheKey = `${userId}-${sessionId}`;
     
@@ -76,6 +113,17 @@ async function getOrCreateChatHistory(userId, sessionId = 'default') {
   }
 }
 
+// Drop a session from the cache so the next message reloads it
+const evictChatHistory = (userId, sessionId) => {
+  activeChatHistories.delete(`${userId}-${sessionId}`);
+};
+
+// Session ID from the request, the default session when none is given, or null when malformed
+const getRequestedSessionId = (value) => {
+  if (value === undefined || value === null || value === '') return ChatHistory.DEFAULT_SESSION_ID;
+  return typeof value === 'string' && SESSION_ID_PATTERN.test(value) ? value : null;
+};
+
 // Clean up old chat histories periodically
 setInterval(async () => {
   try {
@@ -104,102 +152,24 @@ setInterval(async () => {
 
 // --------------------------- Utility Functions ---------------------------
 
-// Process chat message with user isolation
-const processChatMessage = async (userId, message) => {
-  try {
-    // Get or create chat history for this user
-    const chatHistory = await getOrCreateChatHistory(userId);
-    
-    // Add user message to history
-    if (typeof chatHistory.addMessage === 'function') {
-      await chatHistory.addMessage('user', message);
-    } else {
-      // Fallback if addMessage method doesn't exist
-      chatHistory.messages.push({ role: 'user', content: message, timestamp: new Date() });
-      chatHistory.lastActive = new Date();
-      await chatHistory.save();
-    }
-    
-    // Get financial context for AI response
-    const { start, end } = await inferDateRange(userId, message.toLowerCase());
-    const context = await getFinancialContext(userId, start, end);
-    
-    // Prepare messages for OpenAI
-    const messages = [
-      { role: 'system', content: SYSTEM_MESSAGE.content },
-      ...chatHistory.messages.slice(-10).map(m => ({
-        role: m.role,
-        content: m.content
-      })),
-      { 
-        role: 'system',
-        content: `Current financial context: ${JSON.stringify(context, null, 2)}`
-      }
-    ];
-    
-    // Generate AI response
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages,
-      temperature: 0.7,
-      max_tokens: 500
-    });
-    
-    const aiResponse = completion.choices[0].message.content;
-    
-    // Save AI response to history
-    if (typeof chatHistory.addMessage === 'function') {
-      await chatHistory.addMessage('assistant', aiResponse);
-    } else {
-      // Fallback if addMessage method doesn't exist
-      chatHistory.messages.push({ role: 'assistant', content: aiResponse, timestamp: new Date() });
-      chatHistory.lastActive = new Date();
-      await chatHistory.save();
-    }
-    
-    return {
-      success: true,
-      data: aiResponse,
-      context: {
-        dateRange: { start, end },
-        ...context
-      }
-    };
-  } catch (error) {
-    console.error('Error processing chat message:', error);
-    throw new Error('Failed to process chat message');
-  }
-};
-
-// Infer date range from message
-const inferDateRange = async (userId, messageLower) => {
+// Date range a question is about; the last 30 days when it names none
+const inferDateRange = async (userId, parsedRange) => {
   const now = new Date();
-  let start = new Date(now);
-  start.setDate(now.getDate() - 30);
-  let end = new Date(now);
-  let label = 'Last 30 days';
+  const lastThirtyDays = new Date(now);
+  lastThirtyDays.setDate(now.getDate() - 30);
+
+  if (!parsedRange) {
+    return { start: lastThirtyDays, end: now, label: 'Last 30 days' };
+  }
 
-  if (/(all time|all-time|overall|lifetime|complete|entire|since start)/i.test(messageLower)) {
+  if (parsedRange.allTime) {
     const earliest = await Transaction.findOne({ userId }).sort({ date: 1 }).select('date').lean();
-    if (earliest?.date) {
-      start = new Date(earliest.date);
-      label = 'All time';
-    }
-  } else if (/(this month|current month)/i.test(messageLower)) {
-    start = new Date(now.getFullYear(), now.getMonth(), 1);
-    label = 'This month';
-  } else if (/(last month|previous month)/i.test(messageLower)) {
-    const month = now.getMonth() - 1;
-    const year = month < 0 ? now.getFullYear() - 1 : now.getFullYear();
-    const m = (month + 12) % 12;
-    start = new Date(year, m, 1);
-    end = new Date(year, m + 1, 0, 23, 59, 59, 999);
-    return { start, end, label: 'Last month' };
-  } else if (/(ytd|year to date|year-to-date|this year)/i.test(messageLower)) {
-    start = new Date(now.getFullYear(), 0, 1);
-    label = 'Year to date';
+    return earliest?.date
+      ? { start: new Date(earliest.date), end: parsedRange.end, label: parsedRange.label }
+      : { start: lastThirtyDays, end: now, label: 'Last 30 days' };
   }
 
+  const { start, end, label } = parsedRange;
   return { start, end, label };
 };
 
@@ -271,14 +241,26 @@ const getFinancialContext = async (userId, startDate, endDate) => {
       recentTransactions,
       topTransactions,
       transactionCount,
-      upcomingBills
+      upcomingBills,
+      budgetStatus,
+      goals,
+      currency
     ] = await Promise.all([
       analyticsService.getSpendingByCategory(userId, startOfDay, endOfDay),
       analyticsService.getIncomeVsExpenses(userId, startOfDay, endOfDay),
       analyticsService.getRecentTransactions(userId, 5, startOfDay, endOfDay),
       analyticsService.getTopTransactions(userId, 5, startOfDay, endOfDay),
       analyticsService.countTransactions(userId, startOfDay, endOfDay),
-      getUpcomingRecurringTransactions(userId, 30) // Get next 30 days of bills
+      getUpcomingRecurringTransactions(userId, 30), // Get next 30 days of bills
+      budgetService.getBudgetStatus(userId, endOfDay).catch(error => {
+        console.error('Error fetching budget status:', error);
+        return null;
+      }),
+      goalService.getGoalsWithProgress(userId).catch(error => {
+        console.error('Error fetching goals:', error);
+        return null;
+      }),
+      currencyService.getBaseCurrency(userId)
     ]);
 
     // Map analytics keys to totals expected by context/formatting
@@ -316,6 +298,9 @@ const getFinancialContext = async (userId, startDate, endDate) => {
       transactionCount,
       upcomingBills,
       upcomingBillsSummary,
+      budgetStatus,
+      goals,
+      currency,
       summary: {
         totalIncome,
         totalExpenses,
@@ -337,39 +322,25 @@ const getFinancialContext = async (userId, startDate, endDate) => {
   }
 };
 
-// Generate AI response
-const generateResponse = async (messages) => {
-  try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages,
-      temperature: 0.7,
-      max_tokens: 500
-    });
-
-    return completion.choices[0].message.content;
-  } catch (error) {
-    console.error('Error generating AI response:', error);
-    throw new Error('Failed to generate response from AI');
-  }
-};
-
 // Format financial context for the AI
 const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days') => {
   if (!contextData) return '';
 
-  const { summary, spendingByCategory, topCategories, recentTransactions, topTransactions, timePeriod, upcomingBills, upcomingBillsSummary } = contextData;
+  const { summary, spendingByCategory, topCategories, recentTransactions, topTransactions, timePeriod, upcomingBills, upcomingBillsSummary, budgetStatus, goals } = contextData;
   const messageLower = message.toLowerCase();
+  const currency = contextData.currency || DEFAULT_CURRENCY;
+  const symbol = getCurrencySymbol(currency);
   
   let context = `Current time: ${new Date().toLocaleString()}\n`;
-  context += `Analyzing data for: ${rangeLabel} (${timePeriod.days} days)\n\n`;
+  context += `Analyzing data for: ${rangeLabel} (${timePeriod.days} days)\n`;
+  context += `Base currency: ${currency} (${symbol}). Totals are in the base currency; transactions show their own currency.\n\n`;
   
   // Add summary
   context += `Summary (${rangeLabel}):\n`;
   context += `- Total Transactions: ${summary.transactionCount || 0}\n`;
-  context += `- Total Income: ₹${summary.totalIncome?.toFixed(2) || '0.00'}\n`;
-  context += `- Total Expenses: ₹${summary.totalExpenses?.toFixed(2) || '0.00'}\n`;
-  context += `- Net Savings: ₹${summary.savings?.toFixed(2) || '0.00'}\n`;
+  context += `- Total Income: ${symbol}${summary.totalIncome?.toFixed(2) || '0.00'}\n`;
+  context += `- Total Expenses: ${symbol}${summary.totalExpenses?.toFixed(2) || '0.00'}\n`;
+  context += `- Net Savings: ${symbol}${summary.savings?.toFixed(2) || '0.00'}\n`;
   context += `- Spending Rate: ${summary.spendingRate?.toFixed(1) || '0'}% of income\n`;
   
   // Add upcoming bills if relevant to the query
@@ -409,7 +380,7 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
       context += `- Bills due in the next 30 days: ${relevantBills.length}\n`;
     } else {
       relevantBills = upcomingBills;
-      context += `- Total upcoming bills: ${upcomingBillsSummary.count || 0} (₹${upcomingBillsSummary.totalUpcomingBills?.toFixed(2) || '0.00'})\n`;
+      context += `- Total upcoming bills: ${upcomingBillsSummary.count || 0} (${symbol}${upcomingBillsSummary.totalUpcomingBills?.toFixed(2) || '0.00'})\n`;
     }
     
     if (relevantBills.length > 0) {
@@ -417,7 +388,7 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
       relevantBills.slice(0, 5).forEach((bill, index) => {
         const dueDate = new Date(bill.dueDate);
         const formattedDate = dueDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
-        context += `${index + 1}. ${bill.description || 'Recurring Payment'}: ₹${bill.amount.toFixed(2)} (${bill.category}, due ${formattedDate})\n`;
+        context += `${index + 1}. ${bill.description || 'Recurring Payment'}: ${symbol}${bill.amount.toFixed(2)} (${bill.category}, due ${formattedDate})\n`;
       });
       
       if (relevantBills.length > 5) {
@@ -427,12 +398,51 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
   }
   
   context += '\n';
+
+  // Add budget status if relevant to the query
+  if (budgetStatus && /\b(budget|budgets|limit|limits|overspend|overspent|over budget|on track)\b/i.test(messageLower)) {
+    if (budgetStatus.budgets.length === 0) {
+      context += 'Budgets: none set. The user has not configured any monthly category budgets.\n\n';
+    } else {
+      context += `Budget Status (${budgetStatus.period.label}):\n`;
+      budgetStatus.budgets.forEach((budget, index) => {
+        const state = budget.isOverBudget ? 'OVER BUDGET' : budget.status === 'near_limit' ? 'near limit' : 'on track';
+        context += `${index + 1}. ${budget.category}: spent ${symbol}${budget.spent.toFixed(2)} of ${symbol}${budget.limit.toFixed(2)} (${budget.percentUsed}%, remaining ${symbol}${budget.remaining.toFixed(2)}, ${state})\n`;
+      });
+      context += `- Total budgeted: ${symbol}${budgetStatus.totals.limit.toFixed(2)}, spent: ${symbol}${budgetStatus.totals.spent.toFixed(2)}, over budget in ${budgetStatus.totals.overBudgetCount} categories\n\n`;
+    }
+  }
+  
+  // Add savings goals if relevant to the query
+  if (goals && /\b(goals?|sav(e|es|ing|ings)|target|afford|fund|on track)\b/i.test(messageLower)) {
+    if (goals.goals.length === 0) {
+      context += 'Savings Goals: none set.\n\n';
+    } else {
+      const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+      context += `Savings Goals (average monthly savings ${symbol}${goals.averageMonthlySavings.toFixed(2)}):\n`;
+      goals.goals.forEach((goal, index) => {
+        context += `${index + 1}. ${goal.name}: saved ${symbol}${goal.savedAmount.toFixed(2)} of ${symbol}${goal.targetAmount.toFixed(2)} (${goal.progress}%)`;
+        if (goal.isAchieved) {
+          context += ', achieved';
+        } else {
+          if (goal.targetDate) context += `, target date ${formatDate(goal.targetDate)}`;
+          if (goal.requiredMonthlyContribution !== null) context += `, needs ${symbol}${goal.requiredMonthlyContribution.toFixed(2)}/month`;
+          context += goal.projectedCompletionDate
+            ? `, projected ${formatDate(goal.projectedCompletionDate)}`
+            : ', no projection (not saving at the moment)';
+          if (goal.onTrack !== null) context += goal.onTrack ? ', on track' : ', behind';
+        }
+        context += '\n';
+      });
+      context += '\n';
+    }
+  }
   
   // Add top categories if available
   if (topCategories?.length > 0) {
     context += `Top Spending Categories (${rangeLabel}):\n`;
     topCategories.forEach(({ category, amount }, index) => {
-      context += `${index + 1}. ${category}: ₹${amount.toFixed(2)}\n`;
+      context += `${index + 1}. ${category}: ${symbol}${amount.toFixed(2)}\n`;
     });
     context += '\n';
   }
@@ -442,8 +452,8 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
     context += `Top ${topTransactions.length} Transactions by Amount (${rangeLabel}):\n`;
     topTransactions.forEach((txn, index) => {
       const date = new Date(txn.date).toLocaleDateString('en-IN');
-      const type = txn.type === 'income' ? '+' : '-';
-      context += `${index + 1}. ${date} - ${txn.description || 'No description'}: ${type}₹${Math.abs(txn.amount).toFixed(2)} (${txn.category || 'Uncategorized'})\n`;
+      const type = txn.type === 'income' ? '+' : (txn.type === 'transfer' ? '↔' : '-');
+      context += `${index + 1}. ${date} - ${txn.description || 'No description'}: ${type}${getCurrencySymbol(txn.currency || currency)}${Math.abs(txn.amount).toFixed(2)} (${txn.category || 'Uncategorized'})\n`;
     });
     context += '\n';
   }
@@ -453,8 +463,8 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
     context += `Most Recent Transactions (up to 5):\n`;
     recentTransactions.forEach((txn, index) => {
       const date = new Date(txn.date).toLocaleDateString('en-IN');
-      const type = txn.type === 'income' ? '+' : '-';
-      context += `${index + 1}. ${date} - ${txn.description || 'No description'}: ${type}₹${Math.abs(txn.amount).toFixed(2)} (${txn.category || 'Uncategorized'})\n`;
+      const type = txn.type === 'income' ? '+' : (txn.type === 'transfer' ? '↔' : '-');
+      context += `${index + 1}. ${date} - ${txn.description || 'No description'}: ${type}${getCurrencySymbol(txn.currency || currency)}${Math.abs(txn.amount).toFixed(2)} (${txn.category || 'Uncategorized'})\n`;
     });
   }
 
@@ -464,7 +474,7 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
     if (recurringExpenses.length > 0) {
       context += `\n\n## Active Auto Pays / Recurring Expenses\n`;
       context += recurringExpenses
-        .map(r => `- ${r.description || r.category}: ₹${r.amount.toFixed(2)} (${r.frequency || 'monthly'})`)
+        .map(r => `- ${r.description || r.category}: ${symbol}${r.amount.toFixed(2)} (${r.frequency || 'monthly'})`)
         .join('\n');
     }
   }
@@ -472,210 +482,319 @@ const formatFinancialContext = (message, contextData, rangeLabel = 'Last 30 days
   return context;
 };
 
+// Answer used when no model is configured: the period's totals and top categories from the user's data
+const buildOfflineAnswer = (contextData, rangeLabel = 'Last 30 days', baseCurrency) => {
+  if (!contextData) {
+    return 'I can answer questions about your spending, income, savings, budgets and bills. Try "How much did I spend this month?"';
+  }
+
+  const currency = contextData.currency || baseCurrency || DEFAULT_CURRENCY;
+  const format = (amount) => formatCurrency(amount || 0, currency);
+  const { summary, topCategories = [] } = contextData;
+
+  const lines = [
+    `Here is your summary for ${rangeLabel}:`,
+    `- Income: ${format(summary.totalIncome)}`,
+    `- Expenses: ${format(summary.totalExpenses)}`,
+    `- Net: ${format(summary.savings)}`,
+    `- Transactions: ${summary.transactionCount || 0}`
+  ];
+  if (topCategories.length > 0) {
+    lines.push('', 'Top categories:');
+    topCategories.slice(0, 3).forEach(({ category, amount }, index) => {
+      lines.push(`${index + 1}. ${category}: ${format(amount)}`);
+    });
+  }
+  return lines.join('\n');
+};
+
 // --------------------------- Main Handlers ---------------------------
 
-// Handle chat messages
-const handleChatMessage = async (req, res) => {
-  try {
-    const { message } = req.body;
-    const userId = req.userId;
+// Record the user's message with the context and guidance it needs, then decide how to answer it:
+// bill questions get a direct reply, everything else goes to the model with the returned prompt
+const prepareChatTurn = async (userId, sessionId, message, baseCurrency) => {
+  const symbol = getCurrencySymbol(baseCurrency || DEFAULT_CURRENCY);
 
-    if (!message?.trim()) {
-      return res.status(400).json({ success: false, error: 'Message is required and cannot be empty' });
-    }
+  // Get or create the chat history for this user's session
+  const chatHistory = await getOrCreateChatHistory(userId, sessionId);
 
-    // Get or create chat history for this user
-    const chatHistory = await getOrCreateChatHistory(userId);
-    
-    // Add user message to history
-    if (typeof chatHistory.addMessage === 'function') {
-      await chatHistory.addMessage('user', message);
-    } else {
-      // Fallback if addMessage method doesn't exist
-      chatHistory.messages.push({ role: 'user', content: message, timestamp: new Date() });
-      chatHistory.lastActive = new Date();
-      await chatHistory.save();
-    }
+  // Untitled sessions are named after their first question
+  if (!chatHistory.metadata?.title) {
+    chatHistory.set('metadata.title', ChatHistory.titleFromQuestion(message));
+  }
+  
+  // Add user message to history
+  if (typeof chatHistory.addMessage === 'function') {
+    await chatHistory.addMessage('user', message);
+  } else {
+    // Fallback if addMessage method doesn't exist
+    chatHistory.messages.push({ role: 'user', content: message, timestamp: new Date() });
+    chatHistory.lastActive = new Date();
+    await chatHistory.save();
+  }
 
-    const lower = message.toLowerCase();
-    const rangeWords = /(all time|all-time|overall|lifetime|complete|entire|since start|this month|current month|last month|previous month|ytd|year to date|year-to-date|this year)/i;
-    const topicWords = /(spend|spent|expense|expenses|income|transaction|transactions|budget|savings|save money|balance|net\s*balance|net\s*worth|networth|net\b|how much|where did my money|my financial|analyze my|advice|tips|auto\s*pay|autopay|auto-pay|subscriptions?|bill|bills|payment|payments|upcoming|due|schedule|recurring)/i;
-    const hasRange = rangeWords.test(lower);
-    const hasTopic = topicWords.test(lower);
-    const needsFinancialContext = hasTopic || hasRange;
-    
-    if (needsFinancialContext) {
-      const { start, end, label } = await inferDateRange(userId, lower);
-      const contextData = await getFinancialContext(userId, start, end);
-
-      // If user asks for "all transactions", include a larger list (up to 50)
-      const isAllTransactions = /(all\s*transactions|list\s*all|show\s*all\s*transactions|full\s*list|everything)/i.test(lower);
-      if (contextData && isAllTransactions) {
-        try {
-          const allRecent = await analyticsService.getRecentTransactions(userId, 50, start, end);
-          contextData.recentTransactions = Array.isArray(allRecent) ? allRecent : contextData.recentTransactions;
-        } catch (e) {
-          // fallback silently; keep existing recentTransactions
-        }
-      }
+  // Models that call tools look up what they need, so the conversation is all they get
+  if (llm.supportsTools()) {
+    const conversation = chatHistory.messages
+      .filter(m => m.role !== 'system')
+      .slice(-10)
+      .map(m => ({ role: m.role, content: m.content }));
 
-      if (contextData) {
-        // Add financial context to the chat history
-        const contextMessage = formatFinancialContext(message, contextData, label);
-        if (typeof chatHistory.addMessage === 'function') {
-          await chatHistory.addMessage('system', contextMessage);
-        } else {
-          chatHistory.messages.push({ role: 'system', content: contextMessage, timestamp: new Date() });
-          chatHistory.lastActive = new Date();
-          await chatHistory.save();
-        }
-      }
-    }
+    return {
+      chatHistory,
+      answerDetails: {},
+      useTools: true,
+      messages: [buildToolSystemMessage(baseCurrency, parseDateRange(message)), ...conversation]
+    };
+  }
 
-    // Intent-guided instruction to the model for better answers
-    const isSpendQuery = /(how much.*spend|total (spend|spent)|spending|expenses?\b|spent\b)/i.test(lower);
-    const isNetQuery = /(net (balance|savings)|net\s*worth|networth|what.*net|balance)/i.test(lower);
-    const isSavingsAdvice = /(save money|save more|reduce expenses|advice|tips|how.*save)/i.test(lower);
-    const isAffirmation = /^(yes|yeah|yep|sure|ok|okay|please|go ahead|do it|show me)\b/i.test(lower.trim());
-    const isNegative = /^(no|nope|nah|not now|later|stop|cancel)\b/i.test(lower.trim());
-    const isBillQuery = /(upcoming\s*(bills?|payments?)|bills?\s*due|payment\s*due|when is my next|when's my next|autopay|auto\s*pay|auto-pay|subscriptions?|recurring\s*(payments?|bills?|expenses?))/i.test(lower);
-    const isRangeOnly = hasRange && !hasTopic;
-    const isAllTransactions = /(all\s*transactions|list\s*all|show\s*all\s*transactions|full\s*list|everything)/i.test(lower);
+  const lower = message.toLowerCase();
+  const parsedRange = parseDateRange(message);
+  const topicWords = /(spend|spent|expense|expenses|income|transaction|transactions|budget|savings|save money|balance|net\s*balance|net\s*worth|networth|net\b|how much|where did my money|my financial|analyze my|advice|tips|auto\s*pay|autopay|auto-pay|subscriptions?|bill|bills|payment|payments|upcoming|due|schedule|recurring)/i;
+  const hasRange = Boolean(parsedRange);
+  const hasTopic = topicWords.test(lower);
+  const needsFinancialContext = hasTopic || hasRange;
+  // Stored with the answer so the chat can show which period it covers
+  let answerDetails = {};
+  let contextData = null;
+  
+  if (needsFinancialContext) {
+    const { start, end, label } = await inferDateRange(userId, parsedRange);
+    answerDetails = { dateRange: { start, end, label } };
+    contextData = await getFinancialContext(userId, start, end);
 
-    // If the user just said "yes" after assistant offered details, infer the prior topic
-    if (isAffirmation && !isSpendQuery && !isNetQuery && !isSavingsAdvice && !isAllTransactions && !isRangeOnly) {
-      const lastAssistant = [...chatHistory.messages].reverse().find(m => m.role === 'assistant');
-      const lastAssistantLower = (lastAssistant?.content || '').toLowerCase();
-      let guidance = 'Continue the previous topic using the provided financial context. Use ₹ and concise sentences.';
-      if (/top\s*(spending\s*)?categories|would you like to know the top/i.test(lastAssistantLower)) {
-        guidance += ' The user confirmed: list the top spending categories for the current period with amounts and percentages.';
-      } else if (/recent transactions|top transactions|largest transactions/i.test(lastAssistantLower)) {
-        guidance += ' The user confirmed: provide the requested transactions list for the current period.';
-      } else {
-        guidance += ' The user confirmed: default to spending details with top categories.';
-      }
-      
-      if (typeof chatHistory.addMessage === 'function') {
-        await chatHistory.addMessage('system', guidance);
-      } else {
-        chatHistory.messages.push({ role: 'system', content: guidance, timestamp: new Date() });
-        chatHistory.lastActive = new Date();
-        await chatHistory.save();
+    // If user asks for "all transactions", include a larger list (up to 50)
+    const isAllTransactions = /(all\s*transactions|list\s*all|show\s*all\s*transactions|full\s*list|everything)/i.test(lower);
+    if (contextData && isAllTransactions) {
+      try {
+        const allRecent = await analyticsService.getRecentTransactions(userId, 50, start, end);
+        contextData.recentTransactions = Array.isArray(allRecent) ? allRecent : contextData.recentTransactions;
+      } catch (e) {
+        // fallback silently; keep existing recentTransactions
       }
     }
 
-    // If the user said "no", acknowledge and offer help without resetting context
-    if (isNegative && !isSpendQuery && !isNetQuery && !isSavingsAdvice && !isAllTransactions && !isRangeOnly) {
-      const closure = 'Acknowledge politely and end the thread without asking open questions. Example: "Got it. If you need anything else, just ask." Keep it to one short sentence.';
-      
+    if (contextData) {
+      // Add financial context to the chat history
+      const contextMessage = formatFinancialContext(message, contextData, label);
       if (typeof chatHistory.addMessage === 'function') {
-        await chatHistory.addMessage('system', closure);
+        await chatHistory.addMessage('system', contextMessage);
       } else {
-        chatHistory.messages.push({ role: 'system', content: closure, timestamp: new Date() });
+        chatHistory.messages.push({ role: 'system', content: contextMessage, timestamp: new Date() });
         chatHistory.lastActive = new Date();
         await chatHistory.save();
       }
     }
+  }
+
+  // Intent-guided instruction to the model for better answers
+  const isSpendQuery = /(how much.*spend|total (spend|spent)|spending|expenses?\b|spent\b)/i.test(lower);
+  const isNetQuery = /(net (balance|savings)|net\s*worth|networth|what.*net|balance)/i.test(lower);
+  const isSavingsAdvice = /(save money|save more|reduce expenses|advice|tips|how.*save)/i.test(lower);
+  const isAffirmation = /^(yes|yeah|yep|sure|ok|okay|please|go ahead|do it|show me)\b/i.test(lower.trim());
+  const isNegative = /^(no|nope|nah|not now|later|stop|cancel)\b/i.test(lower.trim());
+  const isBillQuery = /(upcoming\s*(bills?|payments?)|bills?\s*due|payment\s*due|when is my next|when's my next|autopay|auto\s*pay|auto-pay|subscriptions?|recurring\s*(payments?|bills?|expenses?))/i.test(lower);
+  const isRangeOnly = hasRange && !hasTopic;
+  const isAllTransactions = /(all\s*transactions|list\s*all|show\s*all\s*transactions|full\s*list|everything)/i.test(lower);
+
+  // If the user just said "yes" after assistant offered details, infer the prior topic
+  if (isAffirmation && !isSpendQuery && !isNetQuery && !isSavingsAdvice && !isAllTransactions && !isRangeOnly) {
+    const lastAssistant = [...chatHistory.messages].reverse().find(m => m.role === 'assistant');
+    const lastAssistantLower = (lastAssistant?.content || '').toLowerCase();
+    let guidance = `Continue the previous topic using the provided financial context. Use ${symbol} and concise sentences.`;
+    if (/top\s*(spending\s*)?categories|would you like to know the top/i.test(lastAssistantLower)) {
+      guidance += ' The user confirmed: list the top spending categories for the current period with amounts and percentages.';
+    } else if (/recent transactions|top transactions|largest transactions/i.test(lastAssistantLower)) {
+      guidance += ' The user confirmed: provide the requested transactions list for the current period.';
+    } else {
+      guidance += ' The user confirmed: default to spending details with top categories.';
+    }
     
-    if (isSpendQuery || isNetQuery || isSavingsAdvice || isAllTransactions) {
-      let guidance = 'Answer using the provided financial context. Use ₹ and concise sentences. Format answers with clear line breaks and lists.';
-      if (isSpendQuery) guidance += ' For spend queries: first line: "Total expenses: ₹[amount]". If adding categories, start a new line with "Top categories:" then use a numbered list, one item per line: "1. [Category]: ₹[amount] ([percent]%)".';
-      if (isNetQuery) guidance += ' For net balance queries: compute net = income − expenses for the period and present on its own line. If asked for "net worth", clarify limitation and offer method to compute if assets/liabilities are provided.';
-      if (isSavingsAdvice) guidance += ' For saving advice: Start with one concise summary line. Then a list titled "Tips:" followed by 3–5 numbered tips, each on its own line, short and actionable, referencing the user’s top categories. Include a suggested monthly savings target like "Target: ₹X/month" on a separate line.';
-      if (isAllTransactions) guidance += ' For all-transactions request: list up to 50 transactions for the requested period. Start with a header line like "Transactions ([range]):" then each on a new line: "1. [DD MMM] - [Description]: -₹[amount] ([Category])". Always one transaction per line.';
-      
-      if (typeof chatHistory.addMessage === 'function') {
-        await chatHistory.addMessage('system', guidance);
-      } else {
-        chatHistory.messages.push({ role: 'system', content: guidance, timestamp: new Date() });
-        chatHistory.lastActive = new Date();
-        await chatHistory.save();
-      }
-    } else if (isRangeOnly) {
-      // Reuse the last user topic if only a range was provided
-      const lastUser = [...chatHistory.messages].reverse().find(m => m.role === 'user' && m.content !== message);
-      const lastLower = (lastUser?.content || '').toLowerCase();
-      const lastSpend = /(spend|spent|expense|expenses)/i.test(lastLower);
-      const lastNet = /(net|balance|savings)/i.test(lastLower);
-      let guidance = 'Interpret the user message as changing the time range for the previous financial topic. Use ₹ and concise sentences.';
-      if (lastSpend) guidance += ' Previous topic was spending: report total expenses for the requested range.';
-      else if (lastNet) guidance += ' Previous topic was net balance: compute net = income − expenses for the requested range.';
-      else guidance += ' Default to net balance: compute net = income − expenses for the requested range.';
-      
-      if (typeof chatHistory.addMessage === 'function') {
-        await chatHistory.addMessage('system', guidance);
-      } else {
-        chatHistory.messages.push({ role: 'system', content: guidance, timestamp: new Date() });
-        chatHistory.lastActive = new Date();
-        await chatHistory.save();
-      }
+    if (typeof chatHistory.addMessage === 'function') {
+      await chatHistory.addMessage('system', guidance);
+    } else {
+      chatHistory.messages.push({ role: 'system', content: guidance, timestamp: new Date() });
+      chatHistory.lastActive = new Date();
+      await chatHistory.save();
     }
+  }
 
-    // Handle bill/autopay queries directly
-    if (isBillQuery) {
-      const upcomingBills = await getUpcomingRecurringTransactions(userId, 30);
-      if (upcomingBills.length > 0) {
-        const billList = upcomingBills.map((bill, index) => 
-          `${index + 1}. ${bill.description}: ₹${bill.amount.toFixed(2)} (${bill.frequency || 'recurring'}, next due: ${new Date(bill.dueDate).toLocaleDateString()})`
-        ).join('\n');
-        
-        const response = `You have the following upcoming bills and payments:\n${billList}`;
-        
-        if (typeof chatHistory.addMessage === 'function') {
-          await chatHistory.addMessage('assistant', response);
-        } else {
-          chatHistory.messages.push({ role: 'assistant', content: response, timestamp: new Date() });
-          chatHistory.lastActive = new Date();
-          await chatHistory.save();
-        }
-        
-        return res.json({ success: true, data: response });
-      } else {
-        const response = "You don't have any upcoming bills or scheduled payments in the next 30 days.";
-        
-        if (typeof chatHistory.addMessage === 'function') {
-          await chatHistory.addMessage('assistant', response);
-        } else {
-          chatHistory.messages.push({ role: 'assistant', content: response, timestamp: new Date() });
-          chatHistory.lastActive = new Date();
-          await chatHistory.save();
-        }
-        
-        return res.json({ success: true, data: response });
-      }
+  // If the user said "no", acknowledge and offer help without resetting context
+  if (isNegative && !isSpendQuery && !isNetQuery && !isSavingsAdvice && !isAllTransactions && !isRangeOnly) {
+    const closure = 'Acknowledge politely and end the thread without asking open questions. Example: "Got it. If you need anything else, just ask." Keep it to one short sentence.';
+    
+    if (typeof chatHistory.addMessage === 'function') {
+      await chatHistory.addMessage('system', closure);
+    } else {
+      chatHistory.messages.push({ role: 'system', content: closure, timestamp: new Date() });
+      chatHistory.lastActive = new Date();
+      await chatHistory.save();
     }
-
-    // Get recent messages for context (last 10 messages)
-    const recentMessages = chatHistory.messages.slice(-10).map(m => ({
-      role: m.role,
-      content: m.content
-    }));
+  }
+  
+  if (isSpendQuery || isNetQuery || isSavingsAdvice || isAllTransactions) {
+    let guidance = `Answer using the provided financial context. Use ${symbol} and concise sentences. Format answers with clear line breaks and lists.`;
+    if (isSpendQuery) guidance += ` For spend queries: first line: "Total expenses: ${symbol}[amount]". If adding categories, start a new line with "Top categories:" then use a numbered list, one item per line: "1. [Category]: ${symbol}[amount] ([percent]%)".`;
+    if (isNetQuery) guidance += ' For net balance queries: compute net = income − expenses for the period and present on its own line. If asked for "net worth", clarify limitation and offer method to compute if assets/liabilities are provided.';
+    if (isSavingsAdvice) guidance += ` For saving advice: Start with one concise summary line. Then a list titled "Tips:" followed by 3–5 numbered tips, each on its own line, short and actionable, referencing the user’s top categories. Include a suggested monthly savings target like "Target: ${symbol}X/month" on a separate line.`;
+    if (isAllTransactions) guidance += ` For all-transactions request: list up to 50 transactions for the requested period. Start with a header line like "Transactions ([range]):" then each on a new line: "1. [DD MMM] - [Description]: -[symbol][amount] ([Category])". Always one transaction per line.`;
     
-    // Generate AI response with proper context
-    const messages = [
-      { role: 'system', content: SYSTEM_MESSAGE.content },
-      ...recentMessages
-    ];
+    if (typeof chatHistory.addMessage === 'function') {
+      await chatHistory.addMessage('system', guidance);
+    } else {
+      chatHistory.messages.push({ role: 'system', content: guidance, timestamp: new Date() });
+      chatHistory.lastActive = new Date();
+      await chatHistory.save();
+    }
+  } else if (isRangeOnly) {
+    // Reuse the last user topic if only a range was provided
+    const lastUser = [...chatHistory.messages].reverse().find(m => m.role === 'user' && m.content !== message);
+    const lastLower = (lastUser?.content || '').toLowerCase();
+    const lastSpend = /(spend|spent|expense|expenses)/i.test(lastLower);
+    const lastNet = /(net|balance|savings)/i.test(lastLower);
+    let guidance = `Interpret the user message as changing the time range for the previous financial topic. Use ${symbol} and concise sentences.`;
+    if (lastSpend) guidance += ' Previous topic was spending: report total expenses for the requested range.';
+    else if (lastNet) guidance += ' Previous topic was net balance: compute net = income − expenses for the requested range.';
+    else guidance += ' Default to net balance: compute net = income − expenses for the requested range.';
     
-    const aiResponse = await generateResponse(messages);
-
-    // Add AI response to chat history
     if (typeof chatHistory.addMessage === 'function') {
-      await chatHistory.addMessage('assistant', aiResponse);
+      await chatHistory.addMessage('system', guidance);
     } else {
-      chatHistory.messages.push({ role: 'assistant', content: aiResponse, timestamp: new Date() });
+      chatHistory.messages.push({ role: 'system', content: guidance, timestamp: new Date() });
       chatHistory.lastActive = new Date();
       await chatHistory.save();
     }
+  }
+
+  // Handle bill/autopay queries directly
+  if (isBillQuery) {
+    const upcomingBills = await getUpcomingRecurringTransactions(userId, 30);
+    if (upcomingBills.length > 0) {
+      const billList = upcomingBills.map((bill, index) => 
+        `${index + 1}. ${bill.description}: ${symbol}${bill.amount.toFixed(2)} (${bill.frequency || 'recurring'}, next due: ${new Date(bill.dueDate).toLocaleDateString()})`
+      ).join('\n');
+      
+      return { chatHistory, answerDetails, directResponse: `You have the following upcoming bills and payments:\n${billList}` };
+    }
+    return { chatHistory, answerDetails, directResponse: "You don't have any upcoming bills or scheduled payments in the next 30 days." };
+  }
+
+  // Get recent messages for context (last 10 messages)
+  const recentMessages = chatHistory.messages.slice(-10).map(m => ({
+    role: m.role,
+    content: m.content
+  }));
+
+  return {
+    chatHistory,
+    answerDetails,
+    messages: [
+      { role: 'system', content: SYSTEM_MESSAGE.content },
+      ...recentMessages
+    ],
+    fallback: () => buildOfflineAnswer(contextData, answerDetails.dateRange?.label, baseCurrency)
+  };
+};
+
+// Run the model over a prepared turn, passing text to onToken as it arrives. With tools, the model's
+// calls are executed and their results fed back until it answers; the first period it queried is
+// recorded on the answer.
+const generateAnswer = async (turn, { userId, baseCurrency, signal, onToken = () => {} }) => {
+  const { chatHistory, answerDetails, messages, fallback } = turn;
+  let answer = '';
+
+  if (!turn.useTools) {
+    for await (const content of llm.stream(messages, { ...CHAT_COMPLETION_OPTIONS, fallback, signal })) {
+      answer += content;
+      onToken(content);
+    }
+    return answer;
+  }
+
+  for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+    const options = { ...CHAT_COMPLETION_OPTIONS, signal, toolChoice: round === MAX_TOOL_ROUNDS ? 'none' : 'auto' };
+    let toolCalls = [];
+    let content = '';
+
+    for await (const part of llm.streamWithTools(messages, chatToolService.TOOL_DEFINITIONS, options)) {
+      if (part.content) {
+        content += part.content;
+        onToken(part.content);
+      }
+      if (part.toolCalls) toolCalls = part.toolCalls;
+    }
+
+    answer += content;
+    if (toolCalls.length === 0 || signal?.aborted) break;
+
+    messages.push({
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of toolCalls) {
+      const result = await chatToolService.executeTool(call.name, call.arguments, { userId, baseCurrency, chatHistory });
+      if (!answerDetails.dateRange && result.period) {
+        const { startDate, endDate, label } = result.period;
+        answerDetails.dateRange = { start: new Date(`${startDate}T00:00:00`), end: new Date(`${endDate}T23:59:59.999`), label };
+      }
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+
+  return answer;
+};
+
+// Add the assistant's answer to the chat history
+const saveAssistantMessage = async (chatHistory, content, answerDetails) => {
+  if (typeof chatHistory.addMessage === 'function') {
+    await chatHistory.addMessage('assistant', content, answerDetails);
+  } else {
+    chatHistory.messages.push({ role: 'assistant', content, timestamp: new Date(), ...answerDetails });
+    chatHistory.lastActive = new Date();
+    await chatHistory.save();
+  }
+};
+
+// Details returned with an answer
+const getAnswerContext = (sessionId, chatHistory, answerDetails) => ({
+  sessionId,
+  title: chatHistory.metadata.title,
+  messageCount: chatHistory.messages.length,
+  lastActive: chatHistory.lastActive,
+  dateRange: answerDetails.dateRange || null
+});
+
+// Handle chat messages
+const handleChatMessage = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message?.trim()) {
+      return res.status(400).json({ success: false, error: 'Message is required and cannot be empty' });
+    }
+
+    const sessionId = getRequestedSessionId(req.body.sessionId);
+    if (!sessionId) {
+      return res.status(400).json({ success: false, message: 'Invalid chat session' });
+    }
+
+    const baseCurrency = req.user?.baseCurrency;
+    const turn = await prepareChatTurn(req.userId, sessionId, message, baseCurrency);
+    const { chatHistory, answerDetails } = turn;
+
+    const aiResponse = turn.directResponse || await generateAnswer(turn, { userId: req.userId, baseCurrency });
+    await saveAssistantMessage(chatHistory, aiResponse, answerDetails);
 
-    // Return the response
     res.json({ 
       success: true, 
       data: aiResponse,
-      context: {
-        messageCount: chatHistory.messages.length,
-        lastActive: chatHistory.lastActive
-      }
+      context: getAnswerContext(sessionId, chatHistory, answerDetails)
     });
   } catch (error) {
     console.error('Error in handleChatMessage:', error);
@@ -687,10 +806,123 @@ const handleChatMessage = async (req, res) => {
   }
 };
 
-// Clear chat history
+// Stream the answer as Server-Sent Events: `token` events carry text as it arrives and `done` follows once
+// the answer is saved. Closing the connection cancels the completion, and a cancelled answer is not saved.
+const streamChatMessage = async (req, res) => {
+  const { message } = req.body;
+
+  if (!message?.trim()) {
+    return res.status(400).json({ success: false, error: 'Message is required and cannot be empty' });
+  }
+
+  const sessionId = getRequestedSessionId(req.body.sessionId);
+  if (!sessionId) {
+    return res.status(400).json({ success: false, message: 'Invalid chat session' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // The client stopping the answer shows up as the connection closing before the response ends
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const baseCurrency = req.user?.baseCurrency;
+    const turn = await prepareChatTurn(req.userId, sessionId, message, baseCurrency);
+    const { chatHistory, answerDetails } = turn;
+
+    let answer = '';
+    if (turn.directResponse) {
+      answer = turn.directResponse;
+      sendEvent('token', { content: answer });
+    } else if (!controller.signal.aborted) {
+      answer = await generateAnswer(turn, {
+        userId: req.userId,
+        baseCurrency,
+        signal: controller.signal,
+        onToken: (content) => sendEvent('token', { content })
+      });
+    }
+
+    if (controller.signal.aborted) return;
+
+    await saveAssistantMessage(chatHistory, answer, answerDetails);
+    sendEvent('done', { context: getAnswerContext(sessionId, chatHistory, answerDetails) });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error('Error in streamChatMessage:', error);
+    sendEvent('error', { message: 'Failed to process your message. Please try again.' });
+    res.end();
+  }
+};
+
+// Get the conversation so far, without the system and context messages
+const getChatHistory = async (req, res) => {
+  try {
+    const sessionId = getRequestedSessionId(req.query.sessionId);
+    if (!sessionId) {
+      return res.status(400).json({ success: false, message: 'Invalid chat session' });
+    }
+
+    const chatHistory = await ChatHistory.findOne({ userId: req.userId, sessionId }).lean();
+
+    const messages = (chatHistory?.messages || [])
+      .filter(m => m.role !== 'system')
+      .map(({ _id, role, content, timestamp, dateRange }) => ({
+        _id,
+        role,
+        content,
+        timestamp,
+        dateRange: dateRange?.label ? dateRange : null
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        title: chatHistory?.metadata?.title || null,
+        messages,
+        lastActive: chatHistory?.lastActive || null
+      }
+    });
+  } catch (error) {
+    console.error('Error getting chat history:', error);
+    res.status(500).json({ success: false, error: 'Failed to load chat history' });
+  }
+};
+
+// Clear one session's conversation (?sessionId=), or every session when none is given
 const clearChatHistory = async (req, res) => {
   try {
     const userId = req.userId;
+
+    if (req.query.sessionId !== undefined) {
+      const sessionId = getRequestedSessionId(req.query.sessionId);
+      if (!sessionId) {
+        return res.status(400).json({ success: false, message: 'Invalid chat session' });
+      }
+
+      // Keep the session itself; it is retitled from its next question
+      await ChatHistory.updateOne(
+        { userId, sessionId },
+        { $set: { messages: [SYSTEM_MESSAGE], lastActive: new Date() }, $unset: { 'metadata.title': '' } }
+      );
+      evictChatHistory(userId, sessionId);
+
+      return res.json({ success: true, message: 'Conversation cleared' });
+    }
     
     // Clear from database
     await ChatHistory.deleteMany({ userId });
@@ -709,7 +941,114 @@ const clearChatHistory = async (req, res) => {
   }
 };
 
+// List the user's chat sessions
+const listChatSessions = async (req, res) => {
+  try {
+    const sessions = await ChatHistory.listSessions(req.userId);
+
+    res.json({ success: true, data: { sessions } });
+  } catch (error) {
+    console.error('Error listing chat sessions:', error);
+    res.status(500).json({ success: false, message: 'Failed to load chat sessions' });
+  }
+};
+
+// Start a new, empty session; without a title it is named after its first question
+const createChatSession = async (req, res) => {
+  try {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (title.length > ChatHistory.MAX_TITLE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Title cannot exceed ${ChatHistory.MAX_TITLE_LENGTH} characters`
+      });
+    }
+
+    const chatHistory = await ChatHistory.create({
+      userId: req.userId,
+      sessionId: crypto.randomUUID(),
+      messages: [SYSTEM_MESSAGE],
+      lastActive: new Date(),
+      metadata: title ? { title } : {}
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chat session created',
+      data: {
+        session: {
+          sessionId: chatHistory.sessionId,
+          title: chatHistory.metadata?.title || null,
+          lastActive: chatHistory.lastActive,
+          createdAt: chatHistory.createdAt,
+          messageCount: 0
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error creating chat session:', error);
+    res.status(500).json({ success: false, message: 'Failed to create chat session' });
+  }
+};
+
+// Rename a session
+const renameChatSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title || title.length > ChatHistory.MAX_TITLE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Title is required and cannot exceed ${ChatHistory.MAX_TITLE_LENGTH} characters`
+      });
+    }
+
+    const chatHistory = await ChatHistory.findOneAndUpdate(
+      { userId: req.userId, sessionId },
+      { $set: { 'metadata.title': title } },
+      { new: true }
+    );
+    if (!chatHistory) {
+      return res.status(404).json({ success: false, message: 'Chat session not found' });
+    }
+    evictChatHistory(req.userId, sessionId);
+
+    res.json({
+      success: true,
+      message: 'Chat session renamed',
+      data: { session: { sessionId, title: chatHistory.metadata.title } }
+    });
+  } catch (error) {
+    console.error('Error renaming chat session:', error);
+    res.status(500).json({ success: false, message: 'Failed to rename chat session' });
+  }
+};
+
+// Delete a session and its messages
+const deleteChatSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await ChatHistory.deleteOne({ userId: req.userId, sessionId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Chat session not found' });
+    }
+    evictChatHistory(req.userId, sessionId);
+
+    res.json({ success: true, message: 'Chat session deleted' });
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete chat session' });
+  }
+};
+
 module.exports = {
   handleChatMessage,
-  clearChatHistory
+  streamChatMessage,
+  getChatHistory,
+  clearChatHistory,
+  listChatSessions,
+  createChatSession,
+  renameChatSession,
+  deleteChatSession
 };
\ No newline at end of file
@@ -0,0 +1,197 @@
+const Budget = require('../models/Budget');
+const { getBudgetStatus } = require('../services/budgetService');
+const { validationResult } = require('express-validator');
+
+// Get all budgets for the current user
+const getBudgets = async (req, res) => {
+  try {
+    const budgets = await Budget.find({ userId: req.userId }).sort({ category: 1 });
+
+    res.json({
+      success: true,
+      data: { budgets }
+    });
+
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve budgets'
+    });
+  }
+};
+
+// Get spent vs. limit vs. remaining for the current (or requested) month
+const getStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Accept ?month=YYYY-MM, defaulting to the current month
+    const referenceDate = req.query.month
+      ? new Date(`${req.query.month}-01T00:00:00`)
+      : new Date();
+
+    const status = await getBudgetStatus(req.userId, referenceDate);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get budget status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve budget status'
+    });
+  }
+};
+
+// Create a new budget
+const createBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category, amount, alertThreshold } = req.body;
+
+    const existing = await Budget.findOne({ userId: req.userId, category });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A budget for ${category} already exists`
+      });
+    }
+
+    const budget = new Budget({
+      userId: req.userId,
+      category,
+      amount: parseFloat(amount),
+      ...(alertThreshold !== undefined && { alertThreshold: parseInt(alertThreshold, 10) })
+    });
+
+    await budget.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: { budget }
+    });
+
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create budget'
+    });
+  }
+};
+
+// Update budget
+const updateBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { amount, alertThreshold } = req.body;
+
+    const update = { amount: parseFloat(amount) };
+    if (alertThreshold !== undefined) {
+      update.alertThreshold = parseInt(alertThreshold, 10);
+    }
+
+    const budget = await Budget.findOneAndUpdate(
+      { _id: id, userId: req.userId },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: { budget }
+    });
+
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update budget'
+    });
+  }
+};
+
+// Delete budget
+const deleteBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const budget = await Budget.findOneAndDelete({
+      _id: id,
+      userId: req.userId
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete budget'
+    });
+  }
+};
+
+module.exports = {
+  getBudgets,
+  getStatus,
+  createBudget,
+  updateBudget,
+  deleteBudget
+};
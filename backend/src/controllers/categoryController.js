@@ -0,0 +1,515 @@
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Budget = require('../models/Budget');
+const Merchant = require('../models/Merchant');
+const Rule = require('../models/Rule');
+const categoryService = require('../services/categoryService');
+const categoryLearningService = require('../services/categoryLearningService');
+const transactionHistory = require('../services/transactionHistoryService');
+const aiService = require('../services/aiService');
+const llm = require('../services/llm');
+const { extractMerchant } = require('../utils/merchants');
+const { validationResult } = require('express-validator');
+
+// Transactions filed under a category, whole or in part, as they are before it changes name
+const findUsingCategory = (userId, type, name) => Transaction.find({
+  userId,
+  type,
+  $or: [{ category: name }, { 'splits.category': name }]
+}).select(transactionHistory.SNAPSHOT_SELECT).lean();
+
+// Add the move from one category name to another to each transaction's history
+const recordCategoryMove = (userId, transactions, from, to) => transactionHistory.recordUpdates(
+  userId,
+  transactions.map(transaction => ({
+    before: transaction,
+    after: {
+      ...transaction,
+      category: transaction.category === from ? to : transaction.category,
+      splits: (transaction.splits || []).map(split => (split.category === from ? { ...split, category: to } : split))
+    }
+  }))
+);
+
+// Merchant defaults have no type, so they follow a category unless one of the other type keeps the name
+const moveMerchantDefaults = async (userId, category, from, to) => {
+  const otherType = category.type === 'expense' ? 'income' : 'expense';
+  if (await Category.exists({ userId, name: from, type: otherType })) return;
+  await Merchant.updateMany({ userId, defaultCategory: from }, { $set: { defaultCategory: to } });
+};
+
+// Validate a parent category reference for the given user and type
+const resolveParent = async (userId, parentId, type, selfId = null) => {
+  if (!parentId) return { parent: null };
+
+  if (selfId && parentId.toString() === selfId.toString()) {
+    return { error: 'A category cannot be its own parent' };
+  }
+
+  const parent = await Category.findOne({ _id: parentId, userId });
+  if (!parent) {
+    return { error: 'Parent category not found' };
+  }
+  if (parent.type !== type) {
+    return { error: 'Parent category must have the same type' };
+  }
+  if (parent.parent) {
+    return { error: 'Sub-categories cannot have their own sub-categories' };
+  }
+
+  return { parent: parent._id };
+};
+
+// Get all categories for the current user
+const getCategories = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const categories = await Category.findForUser(
+      req.userId,
+      ['income', 'expense'].includes(type) ? type : undefined
+    );
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve categories'
+    });
+  }
+};
+
+// Suggest categories matching partial text
+const getSuggestions = async (req, res) => {
+  try {
+    const { text = '', type = 'expense' } = req.query;
+    const searchText = text.toString().toLowerCase().trim();
+
+    const categories = await Category.findForUser(req.userId, type);
+    const matches = categories.filter(category =>
+      category.name.toLowerCase().includes(searchText)
+    );
+
+    // Also offer the keyword-based best guess for free text like "swiggy order"
+    let suggested = null;
+    if (searchText) {
+      const result = categoryService.categorizeTransaction(searchText);
+      if (result.type === type && categories.some(c => c.name === result.category)) {
+        suggested = { category: result.category, confidence: result.confidence };
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        suggestions: matches,
+        suggested
+      }
+    });
+
+  } catch (error) {
+    console.error('Get category suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve category suggestions'
+    });
+  }
+};
+
+// Auto-categorize a description/merchant pair
+const categorize = async (req, res) => {
+  try {
+    const { description = '', merchant = '', amount = 0 } = req.body;
+
+    // The user's default category for the merchant wins over keyword matching
+    const known = await Merchant.resolve(req.userId, merchant || extractMerchant(description));
+    if (known?.defaultCategory) {
+      return res.json({
+        success: true,
+        data: {
+          type: 'expense',
+          category: known.defaultCategory,
+          confidence: 90,
+          matchedKeywords: [],
+          merchant: known.name,
+          source: 'merchant'
+        }
+      });
+    }
+
+    // Then what the user chose for similar descriptions, before the keyword rules
+    const learned = await categoryLearningService.suggestCategory(req.userId, `${known?.name || merchant} ${description}`.trim());
+    if (learned) {
+      return res.json({
+        success: true,
+        data: learned
+      });
+    }
+
+    let result = { ...categoryService.categorizeTransaction(description, merchant, amount), source: 'keywords' };
+
+    // Ask the language model only when no keyword matched; the offline templates have nothing to add
+    if (result.type === 'expense' && result.category === 'Others' && !llm.isOffline()) {
+      try {
+        const categories = (await Category.findForUser(req.userId, 'expense')).map(c => c.name);
+        const category = await aiService.suggestCategory(
+          { description: `${description} ${merchant}`.trim(), amount, type: 'expense' },
+          categories
+        );
+        if (category) {
+          result = { type: 'expense', category, confidence: 60, matchedKeywords: [], source: 'ai' };
+        }
+      } catch (error) {
+        console.warn('AI category suggestion failed, keeping keyword result:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Categorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to categorize transaction'
+    });
+  }
+};
+
+// Create a custom category
+const createCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, color, icon, parent } = req.body;
+
+    await Category.ensureDefaults(req.userId);
+
+    const existing = await Category.findOne({ userId: req.userId, type, name: name.trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${type} category named "${name.trim()}" already exists`
+      });
+    }
+
+    const parentResult = await resolveParent(req.userId, parent, type);
+    if (parentResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: parentResult.error
+      });
+    }
+
+    const category = new Category({
+      userId: req.userId,
+      name: name.trim(),
+      type,
+      ...(color && { color }),
+      ...(icon && { icon }),
+      parent: parentResult.parent
+    });
+
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category'
+    });
+  }
+};
+
+// Update a category (renames are applied to existing transactions)
+const updateCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, color, icon, parent } = req.body;
+
+    const category = await Category.findOne({ _id: id, userId: req.userId });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const oldName = category.name;
+    const newName = name !== undefined ? name.trim() : oldName;
+
+    if (newName !== oldName) {
+      if (category.isDefault) {
+        return res.status(400).json({
+          success: false,
+          message: 'Default categories cannot be renamed'
+        });
+      }
+
+      const duplicate = await Category.findOne({ userId: req.userId, type: category.type, name: newName });
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${category.type} category named "${newName}" already exists`
+        });
+      }
+    }
+
+    if (parent !== undefined) {
+      if (category.isDefault && parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Default categories cannot be moved under another category'
+        });
+      }
+
+      if (parent) {
+        const hasChildren = await Category.exists({ userId: req.userId, parent: category._id });
+        if (hasChildren) {
+          return res.status(400).json({
+            success: false,
+            message: 'A category with sub-categories cannot become a sub-category'
+          });
+        }
+      }
+
+      const parentResult = await resolveParent(req.userId, parent, category.type, category._id);
+      if (parentResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: parentResult.error
+        });
+      }
+      category.parent = parentResult.parent;
+    }
+
+    category.name = newName;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+
+    await category.save();
+
+    // Transactions store the category by name, so carry renames across
+    if (newName !== oldName) {
+      const filter = { userId: req.userId, type: category.type, category: oldName };
+      const renamed = await findUsingCategory(req.userId, category.type, oldName);
+      await Promise.all([
+        Transaction.updateMany(filter, { category: newName }),
+        Transaction.updateMany(
+          { userId: req.userId, type: category.type, 'splits.category': oldName },
+          { $set: { 'splits.$[split].category': newName } },
+          { arrayFilters: [{ 'split.category': oldName }] }
+        ),
+        RecurringTransaction.updateMany(filter, { category: newName }),
+        moveMerchantDefaults(req.userId, category, oldName, newName),
+        // Rules would otherwise keep filing new transactions under the old name
+        Rule.updateMany(
+          { userId: req.userId, 'actions.category': oldName, 'actions.categoryType': category.type },
+          { $set: { 'actions.category': newName } }
+        ),
+        category.type === 'expense'
+          ? Budget.updateMany({ userId: req.userId, category: oldName }, { category: newName })
+          : null
+      ]);
+      await recordCategoryMove(req.userId, renamed, oldName, newName);
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category'
+    });
+  }
+};
+
+// Delete a custom category, moving its transactions to the parent or "Others"
+const deleteCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const category = await Category.findOne({ _id: id, userId: req.userId });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (category.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Default categories cannot be deleted'
+      });
+    }
+
+    const hasChildren = await Category.exists({ userId: req.userId, parent: category._id });
+    if (hasChildren) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete or move the sub-categories of this category first'
+      });
+    }
+
+    let reassignTo = 'Others';
+    if (category.parent) {
+      const parent = await Category.findById(category.parent).lean();
+      if (parent) reassignTo = parent.name;
+    }
+
+    const filter = { userId: req.userId, type: category.type, category: category.name };
+    const reassigned = await findUsingCategory(req.userId, category.type, category.name);
+    const [transactionResult, recurringResult] = await Promise.all([
+      Transaction.updateMany(filter, { category: reassignTo }),
+      RecurringTransaction.updateMany(filter, { category: reassignTo }),
+      Transaction.updateMany(
+        { userId: req.userId, type: category.type, 'splits.category': category.name },
+        { $set: { 'splits.$[split].category': reassignTo } },
+        { arrayFilters: [{ 'split.category': category.name }] }
+      ),
+      Rule.updateMany(
+        { userId: req.userId, 'actions.category': category.name, 'actions.categoryType': category.type },
+        { $set: { 'actions.category': reassignTo } }
+      ),
+      moveMerchantDefaults(req.userId, category, category.name, reassignTo),
+      category.type === 'expense'
+        ? Budget.deleteMany({ userId: req.userId, category: category.name })
+        : null
+    ]);
+    await recordCategoryMove(req.userId, reassigned, category.name, reassignTo);
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {
+        reassignedTo: reassignTo,
+        transactionsUpdated: transactionResult.modifiedCount || 0,
+        recurringTransactionsUpdated: recurringResult.modifiedCount || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category'
+    });
+  }
+};
+
+// What the categorizer has learned from the user's transactions and corrections
+const getLearningStatus = async (req, res) => {
+  try {
+    const status = await categoryLearningService.getStatus(req.userId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get learning status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve categorization learning status'
+    });
+  }
+};
+
+// Retrain the categorizer now instead of on the next suggestion
+const retrainLearning = async (req, res) => {
+  try {
+    const status = await categoryLearningService.retrain(req.userId);
+
+    res.json({
+      success: true,
+      message: `Trained on ${status.examples} transaction${status.examples === 1 ? '' : 's'}`,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Retrain categorizer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrain categorization'
+    });
+  }
+};
+
+// Forget the corrections the categorizer learned from
+const resetLearning = async (req, res) => {
+  try {
+    const result = await categoryLearningService.reset(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Learned categories have been reset',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Reset categorizer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset categorization learning'
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getSuggestions,
+  categorize,
+  getLearningStatus,
+  retrainLearning,
+  resetLearning,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,96 @@
+const currencyService = require('../services/currencyService');
+const { validationResult } = require('express-validator');
+
+// Get the base currency and rate table
+const getRates = async (req, res) => {
+  try {
+    const data = await currencyService.getRates(req.userId);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve exchange rates'
+    });
+  }
+};
+
+// Manually set the rate for a currency
+const updateRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currency = req.params.currency.toUpperCase();
+    const baseCurrency = await currencyService.getBaseCurrency(req.userId);
+
+    if (currency === baseCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'The base currency always has a rate of 1'
+      });
+    }
+
+    await currencyService.setRate(req.userId, currency, parseFloat(req.body.rate));
+    const data = await currencyService.getRates(req.userId);
+
+    res.json({
+      success: true,
+      message: `${currency} rate updated successfully`,
+      data
+    });
+
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exchange rate'
+    });
+  }
+};
+
+// Change the base currency that totals are reported in
+const updateBaseCurrency = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await currencyService.changeBaseCurrency(req.userId, req.body.currency.toUpperCase());
+
+    res.json({
+      success: true,
+      message: `Base currency changed to ${data.baseCurrency}`,
+      data
+    });
+
+  } catch (error) {
+    console.error('Update base currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update base currency'
+    });
+  }
+};
+
+module.exports = {
+  getRates,
+  updateRate,
+  updateBaseCurrency
+};
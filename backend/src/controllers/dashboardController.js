@@ -0,0 +1,195 @@
+const analyticsService = require('../services/analyticsService');
+const { validationResult } = require('express-validator');
+
+const DASHBOARD_PERIODS = ['month', '7d', '30d', '90d', '6m', '1y'];
+const CHART_TYPES = ['category', 'spending', 'cashflow'];
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+// Date range covered by a dashboard period ('month' is the calendar month so far)
+const getPeriodRange = (period, now = new Date()) => {
+  const endDate = new Date(now);
+  endDate.setHours(23, 59, 59, 999);
+  const startDate = new Date(now);
+  startDate.setHours(0, 0, 0, 0);
+
+  switch (period) {
+    case 'month': startDate.setDate(1); break;
+    case '7d': startDate.setDate(startDate.getDate() - 7); break;
+    case '90d': startDate.setDate(startDate.getDate() - 90); break;
+    case '6m': startDate.setMonth(startDate.getMonth() - 6); break;
+    case '1y': startDate.setFullYear(startDate.getFullYear() - 1); break;
+    case '30d':
+    default: startDate.setDate(startDate.getDate() - 30);
+  }
+
+  return { startDate, endDate };
+};
+
+// Change from the previous value, with the percentage left null when there is nothing to compare against
+const getDelta = (current, previous) => ({
+  amount: round(current - previous),
+  percent: previous ? round(((current - previous) / Math.abs(previous)) * 100) : null
+});
+
+// This month so far against the same days of last month, so a partial month isn't compared to a full one
+const getMonthOverMonth = async (userId, now = new Date()) => {
+  const currentStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const previousStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const lastDayOfPreviousMonth = new Date(now.getFullYear(), now.getMonth(), 0).getDate();
+  const previousEnd = new Date(
+    now.getFullYear(),
+    now.getMonth() - 1,
+    Math.min(now.getDate(), lastDayOfPreviousMonth),
+    23, 59, 59, 999
+  );
+
+  const [current, previous] = await Promise.all([
+    analyticsService.getIncomeVsExpenses(userId, currentStart, now),
+    analyticsService.getIncomeVsExpenses(userId, previousStart, previousEnd)
+  ]);
+
+  const pick = ({ income = 0, expense = 0 }) => ({
+    income: round(income),
+    expense: round(expense),
+    net: round(income - expense)
+  });
+
+  return {
+    current: pick(current),
+    previous: pick(previous),
+    change: {
+      income: getDelta(current.income || 0, previous.income || 0),
+      expense: getDelta(current.expense || 0, previous.expense || 0),
+      net: getDelta((current.income || 0) - (current.expense || 0), (previous.income || 0) - (previous.expense || 0))
+    }
+  };
+};
+
+// Get everything the dashboard shows in one call
+const getSummary = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = req.query.period || '30d';
+    const { startDate, endDate } = getPeriodRange(period);
+
+    const [totals, monthOverMonth, spendingByCategory, upcomingBills, recentTransactions] = await Promise.all([
+      analyticsService.getIncomeVsExpenses(req.userId, startDate, endDate),
+      getMonthOverMonth(req.userId),
+      analyticsService.getSpendingByCategory(req.userId, startDate, endDate),
+      analyticsService.getUpcomingBills(req.userId, 30, 5),
+      analyticsService.getRecentTransactions(req.userId, 5)
+    ]);
+
+    const totalExpenses = totals.expense || 0;
+    const topCategories = Object.entries(spendingByCategory)
+      .slice(0, 5)
+      .map(([category, amount]) => ({
+        category,
+        amount: round(amount),
+        percentage: totalExpenses > 0 ? round((amount / totalExpenses) * 100) : 0
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        period: { key: period, startDate, endDate },
+        currency: req.user.baseCurrency || 'INR',
+        summary: {
+          totalIncome: round(totals.income),
+          totalExpenses: round(totalExpenses),
+          balance: round((totals.income || 0) - totalExpenses),
+          incomeCount: totals.incomeCount || 0,
+          expenseCount: totals.expenseCount || 0
+        },
+        monthOverMonth,
+        topCategories,
+        upcomingBills,
+        recentTransactions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dashboard summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load dashboard'
+    });
+  }
+};
+
+// Get one dashboard chart as labels and datasets
+const getChartData = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type } = req.params;
+    const period = req.query.period || '30d';
+    const { startDate, endDate } = getPeriodRange(period);
+    // Short periods read better day by day
+    const groupBy = ['month', '7d', '30d'].includes(period) ? 'day' : 'month';
+
+    let chart;
+    if (type === 'category') {
+      const spendingByCategory = await analyticsService.getSpendingByCategory(req.userId, startDate, endDate);
+      chart = {
+        labels: Object.keys(spendingByCategory),
+        datasets: [{ label: 'Expenses', data: Object.values(spendingByCategory).map(round) }]
+      };
+    } else if (type === 'spending') {
+      const trends = await analyticsService.getSpendingTrends(req.userId, startDate, endDate, groupBy);
+      chart = {
+        labels: trends.map(point => point._id),
+        datasets: [{ label: 'Expenses', data: trends.map(point => round(point.total)) }]
+      };
+    } else {
+      const trends = await analyticsService.getCashFlowTrends(req.userId, startDate, endDate, groupBy);
+      chart = {
+        labels: trends.map(point => point._id),
+        datasets: [
+          { label: 'Income', data: trends.map(point => round(point.income)) },
+          { label: 'Expenses', data: trends.map(point => round(point.expense)) }
+        ]
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        period: { key: period, startDate, endDate, groupBy },
+        currency: req.user.baseCurrency || 'INR',
+        ...chart
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dashboard chart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load chart data'
+    });
+  }
+};
+
+module.exports = {
+  DASHBOARD_PERIODS,
+  CHART_TYPES,
+  getSummary,
+  getChartData
+};
@@ -0,0 +1,308 @@
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const { getGoalsWithProgress, getGoalDetails, getContributionTotals } = require('../services/goalService');
+const { validationResult } = require('express-validator');
+
+// Get all goals with their progress
+const getGoals = async (req, res) => {
+  try {
+    const includeArchived = String(req.query.includeArchived || '').toLowerCase() === 'true';
+    const data = await getGoalsWithProgress(req.userId, { includeArchived });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve goals'
+    });
+  }
+};
+
+// Get one goal with its contributions
+const getGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await getGoalDetails(req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { goal }
+    });
+
+  } catch (error) {
+    console.error('Get goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve goal'
+    });
+  }
+};
+
+// Create a new goal
+const createGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, targetAmount, targetDate, accountId, category } = req.body;
+
+    const existing = await Goal.findOne({ userId: req.userId, name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A goal named ${name} already exists`
+      });
+    }
+
+    const goal = new Goal({
+      userId: req.userId,
+      name,
+      targetAmount: parseFloat(targetAmount),
+      targetDate: targetDate ? new Date(targetDate) : null,
+      accountId: accountId || null,
+      category: accountId ? null : category,
+      tag: await Goal.generateTag(req.userId, name)
+    });
+
+    await goal.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      data: { goal }
+    });
+
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create goal'
+    });
+  }
+};
+
+// Update goal
+const updateGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId });
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const { name, targetAmount, targetDate, accountId, category, isArchived } = req.body;
+
+    if (name !== undefined && name !== goal.name) {
+      const existing = await Goal.findOne({ userId: req.userId, name, _id: { $ne: goal._id } });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `A goal named ${name} already exists`
+        });
+      }
+      goal.name = name;
+    }
+
+    // The tag stays the same so earlier contributions keep counting
+    if (targetAmount !== undefined) goal.targetAmount = parseFloat(targetAmount);
+    if (targetDate !== undefined) goal.targetDate = targetDate ? new Date(targetDate) : null;
+    if (accountId !== undefined) goal.accountId = accountId || null;
+    if (category !== undefined) goal.category = category || null;
+    if (goal.accountId) goal.category = null;
+    if (isArchived !== undefined) goal.isArchived = isArchived === true || isArchived === 'true';
+
+    if (!goal.accountId && !goal.category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link the goal to an account or a category'
+      });
+    }
+
+    await goal.save();
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      data: { goal }
+    });
+
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update goal'
+    });
+  }
+};
+
+// Delete goal; its contributions stay as ordinary tagged transactions
+const deleteGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete goal'
+    });
+  }
+};
+
+// Record a contribution as a transfer into the goal's account
+const addContribution = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId });
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    // Recorded as an expense, money put aside would count as spending in every total
+    if (!goal.accountId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link the goal to an account to record contributions, or tag the transactions that count towards it'
+      });
+    }
+
+    const { amount, date, description, fromAccountId } = req.body;
+
+    if (!fromAccountId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the account the contribution comes from'
+      });
+    }
+    if (String(fromAccountId) === String(goal.accountId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The contribution must come from a different account than the goal\'s'
+      });
+    }
+
+    if (!(await Account.belongsToUser(req.userId, fromAccountId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // Goals are tracked in the base currency
+    const transaction = new Transaction({
+      userId: req.userId,
+      type: 'transfer',
+      amount: parseFloat(amount),
+      currency: req.user.baseCurrency,
+      exchangeRate: 1,
+      category: Transaction.TRANSFER_CATEGORY,
+      accountId: fromAccountId,
+      toAccountId: goal.accountId,
+      description: description || `Contribution to ${goal.name}`,
+      tags: [goal.tag],
+      date: date ? new Date(date) : new Date()
+    });
+
+    await transaction.save();
+
+    const totals = await getContributionTotals(req.userId, [goal.tag]);
+    const justAchieved = !goal.achievedAt && (totals[goal.tag]?.amount || 0) >= goal.targetAmount;
+    if (justAchieved) {
+      goal.achievedAt = new Date();
+      await goal.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: justAchieved ? `Contribution added. ${goal.name} is fully funded!` : 'Contribution added successfully',
+      data: {
+        transaction,
+        goal: await getGoalDetails(req.userId, goal._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add goal contribution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add contribution'
+    });
+  }
+};
+
+module.exports = {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution
+};
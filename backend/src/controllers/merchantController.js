@@ -0,0 +1,152 @@
+const { validationResult } = require('express-validator');
+const merchantService = require('../services/merchantService');
+
+// List merchants for autocomplete and settings
+const getMerchants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const merchants = await merchantService.getMerchants(req.userId, {
+      search: req.query.q || '',
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+
+    res.json({
+      success: true,
+      data: { merchants }
+    });
+
+  } catch (error) {
+    console.error('Get merchants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve merchants'
+    });
+  }
+};
+
+// Top merchants with visit frequency and average ticket size, the last 90 days by default
+const getAnalytics = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    endDate.setHours(23, 59, 59, 999);
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(endDate);
+    if (!req.query.startDate) startDate.setDate(endDate.getDate() - 90);
+    startDate.setHours(0, 0, 0, 0);
+
+    const analytics = await merchantService.getMerchantAnalytics(req.userId, startDate, endDate, {
+      limit: parseInt(req.query.limit, 10) || 10,
+      sortBy: req.query.sortBy
+    });
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    console.error('Merchant analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate merchant analytics'
+    });
+  }
+};
+
+// Set a merchant's default category and alternative spellings
+const updateMerchant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await merchantService.updateMerchant(req.userId, req.params.name, {
+      defaultCategory: req.body.defaultCategory,
+      aliases: req.body.aliases
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Merchant name is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Merchant updated successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Update merchant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update merchant'
+    });
+  }
+};
+
+// Merge several spellings of a merchant into one
+const mergeMerchants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await merchantService.mergeMerchants(req.userId, req.body.sources, req.body.target);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Merchant name is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Merged into ${result.merchant.name}; ${result.renamed} transaction${result.renamed === 1 ? '' : 's'} updated`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Merge merchants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge merchants'
+    });
+  }
+};
+
+module.exports = {
+  getMerchants,
+  getAnalytics,
+  updateMerchant,
+  mergeMerchants
+};
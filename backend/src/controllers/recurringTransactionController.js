@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const RecurringTransaction = require('../models/RecurringTransaction');
 const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Account = require('../models/Account');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const logger = require('../utils/logger');
@@ -33,6 +35,18 @@ exports.createRecurringTransaction = catchAsync(async (req, res, next) => {
       return next(new AppError('Month is required for yearly frequency', 400));
     }
     
+    // Validate category against the user's categories
+    const isValidCategory = await Category.isValidForUser(userId, req.body.category, req.body.type);
+    if (!isValidCategory) {
+      logger.warn(`Invalid category "${req.body.category}" for recurring transaction`);
+      return next(new AppError('Invalid category selected', 400));
+    }
+    
+    // Validate the account, if one was chosen
+    if (req.body.accountId && !(await Account.belongsToUser(userId, req.body.accountId))) {
+      return next(new AppError('Invalid account selected', 400));
+    }
+    
     // Create the recurring transaction
     const recurringTransaction = await RecurringTransaction.create([{
       ...req.body,
@@ -43,7 +57,7 @@ exports.createRecurringTransaction = catchAsync(async (req, res, next) => {
     
     // If this is set to start now, create the first transaction
     if (req.body.createInitialTransaction !== false) {
-      const { type, amount, category, description, nextOccurrence } = recurringTransaction[0];
+      const { type, amount, category, description, nextOccurrence, accountId } = recurringTransaction[0];
       
       // Create a mock request/response for the transaction controller
       const mockReq = {
@@ -51,6 +65,7 @@ exports.createRecurringTransaction = catchAsync(async (req, res, next) => {
           type,
           amount,
           category,
+          accountId,
           description: description || `Recurring: ${category}`,
           date: nextOccurrence,
           isFromRecurring: true,
@@ -154,6 +169,25 @@ exports.updateRecurringTransaction = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const userId = req.user._id;
   
+  // Validate a changed category against the user's categories
+  if (req.body.category !== undefined) {
+    let { type } = req.body;
+    if (!type) {
+      const existing = await RecurringTransaction.findOne({ _id: id, userId }).select('type').lean();
+      type = existing && existing.type;
+    }
+    
+    const isValidCategory = await Category.isValidForUser(userId, req.body.category, type);
+    if (!isValidCategory) {
+      return next(new AppError('Invalid category selected', 400));
+    }
+  }
+  
+  // Validate a changed account
+  if (req.body.accountId && !(await Account.belongsToUser(userId, req.body.accountId))) {
+    return next(new AppError('Invalid account selected', 400));
+  }
+  
   // Find and update the recurring transaction
   const recurringTransaction = await RecurringTransaction.findOneAndUpdate(
     { _id: id, userId },
@@ -377,7 +411,7 @@ exports.processRecurringTransactions = catchAsync(async () => {
     for (const rt of recurringTransactions) {
       try {
         // Create a new transaction using the transaction controller
-        const { _id, userId, type, amount, category, description } = rt;
+        const { _id, userId, type, amount, category, description, accountId } = rt;
         
         // Create a mock request object for the transaction controller
         const mockReq = {
@@ -385,8 +419,11 @@ exports.processRecurringTransactions = catchAsync(async () => {
             type,
             amount,
             category,
+            accountId,
             description: description || `Recurring: ${category}`,
-            date: rt.nextOccurrence
+            date: rt.nextOccurrence,
+            isFromRecurring: true,
+            recurringTransactionId: _id
           },
           userId: userId.toString()
         };
@@ -0,0 +1,206 @@
+const Rule = require('../models/Rule');
+const ruleService = require('../services/ruleService');
+const { validationResult } = require('express-validator');
+
+// Get the user's rules in the order they run
+const getRules = async (req, res) => {
+  try {
+    const rules = await Rule.find({ userId: req.userId }).sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+
+  } catch (error) {
+    console.error('Get rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve rules'
+    });
+  }
+};
+
+// Create a rule; it runs after the existing ones unless given a priority
+const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = await ruleService.buildRuleFields(req.userId, req.body);
+    const priority = req.body.priority !== undefined
+      ? parseInt(req.body.priority, 10)
+      : await ruleService.getNextPriority(req.userId);
+
+    const rule = await Rule.create({ ...fields, priority, userId: req.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Create rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create rule'
+    });
+  }
+};
+
+// Update a rule's conditions, actions, priority or active state
+const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await Rule.findOne({ _id: req.params.id, userId: req.userId });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    // Conditions and actions are rebuilt together, since the category's type depends on both
+    const { conditions, actions } = rule.toObject();
+    const fields = await ruleService.buildRuleFields(req.userId, { conditions, actions, ...req.body });
+    rule.set(fields);
+    if (req.body.priority !== undefined) rule.priority = parseInt(req.body.priority, 10);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Update rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update rule'
+    });
+  }
+};
+
+// Delete a rule; transactions it changed keep their changes
+const deleteRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await Rule.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete rule'
+    });
+  }
+};
+
+// Set the order rules run in
+const reorderRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rules = await ruleService.reorderRules(req.userId, req.body.ruleIds);
+
+    res.json({
+      success: true,
+      message: 'Rules reordered successfully',
+      data: { rules }
+    });
+
+  } catch (error) {
+    console.error('Reorder rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder rules'
+    });
+  }
+};
+
+// Run rules over existing transactions; a dry run only reports what would change
+const reapplyRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const result = await ruleService.reapplyRules(req.userId, {
+      ruleIds: req.body.ruleIds,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      dryRun
+    });
+    const count = `${result.changed} transaction${result.changed === 1 ? '' : 's'}`;
+
+    res.json({
+      success: true,
+      message: dryRun ? `${count} would change` : `Updated ${count}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Re-apply rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply rules'
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  reapplyRules
+};
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
+const transactionHistory = require('../services/transactionHistoryService');
 const { validationResult } = require('express-validator');
 
 // Create new transaction
@@ -14,18 +15,25 @@ const createTransaction = async (req, res) => {
       });
     }
 
-    const { type, amount, category, description, date, receiptId, receiptUrl } = req.body;
+    const {
+      type, amount, category, description, date, receiptId, receiptUrl, accountId,
+      isFromRecurring, recurringTransactionId
+    } = req.body;
 
     const transaction = new Transaction({
       userId: req.userId,
       type,
       amount: parseFloat(amount),
       category,
+      accountId: accountId || null,
       description: description || '',
       date: date ? new Date(date) : new Date(),
       receiptId: receiptId || null,
       receiptUrl: receiptUrl || null,
-      isFromReceipt: !!receiptId
+      isFromReceipt: !!receiptId,
+      // Set when a recurring rule generates the transaction, so its history can be listed
+      isFromRecurring: !!(isFromRecurring || recurringTransactionId),
+      recurringTransactionId: recurringTransactionId || null
     });
 
     await transaction.save();
@@ -45,94 +53,6 @@ const createTransaction = async (req, res) => {
   }
 };
 
-// Get all transactions with pagination and filters
-const getTransactions = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      type,
-      category,
-      startDate,
-      endDate,
-      search
-    } = req.query;
-
-    // Build filter object
-    const filter = { 
-      userId: req.userId,
-      // Include all transactions by default, including recurring ones
-      $or: [
-        { isFromRecurring: { $exists: false } }, // Regular transactions
-        { isFromRecurring: false } // Explicitly included recurring transactions
-      ]
-    };
-
-    if (type && ['income', 'expense'].includes(type)) {
-      filter.type = type;
-    }
-
-    if (category) {
-      filter.category = category;
-    }
-
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999); // Include entire end date
-        filter.date.$lte = end;
-      }
-    }
-
-    if (search) {
-      filter.$or = [
-        { description: { $regex: search, $options: 'i' } },
-        { category: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get transactions with pagination
-    const [transactions, total] = await Promise.all([
-      Transaction.find(filter)
-        .sort({ date: -1, createdAt: -1 })
-        .skip(skip)
-        .limit(limitNum)
-        .lean(),
-      Transaction.countDocuments(filter)
-    ]);
-
-    const totalPages = Math.ceil(total / limitNum);
-
-    res.json({
-      success: true,
-      data: {
-        transactions,
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalTransactions: total,
-          hasNext: pageNum < totalPages,
-          hasPrev: pageNum > 1
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Get transactions error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to retrieve transactions'
-    });
-  }
-};
-
 // Get single transaction
 const getTransaction = async (req, res) => {
   try {
@@ -179,6 +99,10 @@ const updateTransaction = async (req, res) => {
     const { id } = req.params;
     const { type, amount, category, description, date } = req.body;
 
+    const previous = await Transaction.findOne({ _id: id, userId: req.userId })
+      .select(transactionHistory.SNAPSHOT_SELECT)
+      .lean();
+
     const transaction = await Transaction.findOneAndUpdate(
       { _id: id, userId: req.userId },
       {
@@ -198,6 +122,8 @@ const updateTransaction = async (req, res) => {
       });
     }
 
+    await transactionHistory.recordUpdate(req.userId, previous, transaction);
+
     res.json({
       success: true,
       message: 'Transaction updated successfully',
@@ -213,15 +139,16 @@ const updateTransaction = async (req, res) => {
   }
 };
 
-// Delete transaction
+// Move a transaction to the trash; it is purged after Transaction.TRASH_RETENTION_DAYS
 const deleteTransaction = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const transaction = await Transaction.findOneAndDelete({
-      _id: id,
-      userId: req.userId
-    });
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: id, userId: req.userId },
+      { deletedAt: new Date() },
+      { new: true }
+    );
 
     if (!transaction) {
       return res.status(404).json({
@@ -230,9 +157,12 @@ const deleteTransaction = async (req, res) => {
       });
     }
 
+    await transactionHistory.recordUpdate(req.userId, transaction, transaction, { action: 'delete' });
+
     res.json({
       success: true,
-      message: 'Transaction deleted successfully'
+      message: 'Transaction moved to trash',
+      data: { transaction }
     });
 
   } catch (error) {
@@ -461,7 +391,6 @@ const getAnalytics = async (req, res) => {
 
 module.exports = {
   createTransaction,
-  getTransactions,
   getTransaction,
   updateTransaction,
   deleteTransaction,
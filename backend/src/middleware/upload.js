@@ -148,6 +148,58 @@ const uploadMultiple = (fieldName = 'receipts', maxCount = 5) => {
   };
 };
 
+// Bank statement upload (kept in memory, parsed and discarded)
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.ofx', '.qfx'];
+
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, OFX and QFX statements are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// Single statement upload middleware
+const uploadStatement = (fieldName = 'file') => {
+  return (req, res, next) => {
+    statementUpload.single(fieldName)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            message: 'File too large. Maximum size allowed is 5MB.'
+          });
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'File upload error: ' + err.message
+        });
+      } else if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded. Please select a statement file.'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
 // Helper function to delete uploaded file
 const deleteFile = (filePath) => {
   try {
@@ -177,6 +229,7 @@ const getFileInfo = (file) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadStatement,
   deleteFile,
   getFileInfo
 };
\ No newline at end of file
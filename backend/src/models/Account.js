@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES, MAX_AMOUNT } = require('../utils/currencies');
+
+const ACCOUNT_TYPES = ['bank', 'card', 'cash', 'wallet'];
+
+const accountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: {
+      values: ACCOUNT_TYPES,
+      message: 'Type must be one of: bank, card, cash, wallet'
+    }
+  },
+  // Currency the account is held in; balances are reported in it
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: {
+      values: CURRENCY_CODES,
+      message: 'Unsupported currency'
+    }
+  },
+  // Balance before the first recorded transaction (negative for card dues)
+  openingBalance: {
+    type: Number,
+    default: 0,
+    min: [-MAX_AMOUNT, 'Opening balance is out of range'],
+    max: [MAX_AMOUNT, 'Opening balance is out of range']
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Account names are unique per user
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Check that an account belongs to the user
+accountSchema.statics.belongsToUser = async function(userId, accountId) {
+  if (!accountId || !mongoose.Types.ObjectId.isValid(accountId)) return false;
+  return !!(await this.exists({ _id: accountId, userId }));
+};
+
+accountSchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { MAX_AMOUNT } = require('../utils/currencies');
+
+const budgetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0.01, 'Budget amount must be greater than 0'],
+    max: [MAX_AMOUNT, 'Budget amount cannot exceed 1,000,000,000'],
+    validate: {
+      validator: function(v) {
+        return Number.isFinite(v) && v > 0;
+      },
+      message: 'Budget amount must be a valid positive number'
+    }
+  },
+  period: {
+    type: String,
+    enum: {
+      values: ['monthly'],
+      message: 'Only monthly budgets are supported'
+    },
+    default: 'monthly'
+  },
+  alertThreshold: {
+    type: Number,
+    min: [1, 'Alert threshold must be between 1 and 100'],
+    max: [100, 'Alert threshold must be between 1 and 100'],
+    default: 80
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One budget per category per user
+budgetSchema.index({ userId: 1, category: 1 }, { unique: true });
+
+// Get the start and end of the monthly period containing the given date
+budgetSchema.statics.getPeriodRange = function(referenceDate = new Date()) {
+  const date = new Date(referenceDate);
+  const start = new Date(date.getFullYear(), date.getMonth(), 1);
+  const end = new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59, 999);
+  return { start, end };
+};
+
+module.exports = mongoose.model('Budget', budgetSchema);
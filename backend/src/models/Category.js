@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CATEGORIES } = require('../utils/defaultCategories');
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    minlength: [1, 'Category name is required'],
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Category type is required'],
+    enum: {
+      values: ['income', 'expense'],
+      message: 'Type must be either income or expense'
+    }
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '#6B7280',
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Color must be a hex value like #FF8800']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Icon cannot exceed 20 characters'],
+    default: '📁'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Category names are unique per user and type
+categorySchema.index({ userId: 1, type: 1, name: 1 }, { unique: true });
+
+// Seed the built-in categories for a user if they are missing
+categorySchema.statics.ensureDefaults = async function(userId) {
+  const existing = await this.countDocuments({ userId, isDefault: true });
+  if (existing >= DEFAULT_CATEGORIES.length) return;
+
+  await this.bulkWrite(DEFAULT_CATEGORIES.map(category => ({
+    updateOne: {
+      filter: { userId, type: category.type, name: category.name },
+      update: { $setOnInsert: { ...category, userId, isDefault: true, parent: null } },
+      upsert: true
+    }
+  })));
+};
+
+// Get all categories for a user, optionally filtered by type
+categorySchema.statics.findForUser = async function(userId, type) {
+  await this.ensureDefaults(userId);
+
+  const query = { userId };
+  if (type) query.type = type;
+
+  return this.find(query).sort({ isDefault: -1, name: 1 }).lean();
+};
+
+// Check whether a category name exists for the user and transaction type
+categorySchema.statics.isValidForUser = async function(userId, name, type) {
+  if (!name || typeof name !== 'string') return false;
+
+  await this.ensureDefaults(userId);
+
+  const query = { userId, name: name.trim() };
+  if (type) query.type = type;
+
+  return !!(await this.exists(query));
+};
+
+module.exports = mongoose.model('Category', categorySchema);
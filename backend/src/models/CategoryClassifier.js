@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Word counts for one category (see utils/naiveBayes)
+const categoryCountsSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: ['income', 'expense'], required: true },
+  documents: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  tokens: { type: Map, of: Number, default: {} }
+}, { _id: false });
+
+// A user's trained categorization model, one per user
+const categoryClassifierSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  categories: {
+    type: [categoryCountsSchema],
+    default: []
+  },
+  vocabularySize: {
+    type: Number,
+    default: 0
+  },
+  // Transactions and corrections the model was trained on
+  examples: {
+    type: Number,
+    default: 0
+  },
+  corrections: {
+    type: Number,
+    default: 0
+  },
+  trainedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a correction arrives so the next suggestion retrains first
+  stale: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('CategoryClassifier', categoryClassifierSchema);
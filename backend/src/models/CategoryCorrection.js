@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A category the app suggested and the user changed; the classifier learns most from these
+const categoryCorrectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  // Description and merchant at the time, kept in case the transaction is deleted
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 320,
+    default: ''
+  },
+  fromCategory: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  toCategory: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // What made the suggestion: 'keywords', 'learned', 'merchant', 'receipt', 'ai'
+  source: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+categoryCorrectionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CategoryCorrection', categoryCorrectionSchema);
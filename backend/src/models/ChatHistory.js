@@ -1,9 +1,18 @@
 const mongoose = require('mongoose');
 
+const DEFAULT_SESSION_ID = 'default';
+const MAX_TITLE_LENGTH = 60;
+
 const messageSchema = new mongoose.Schema({
   role: { type: String, required: true, enum: ['user', 'assistant', 'system'] },
   content: { type: String, required: true },
-  timestamp: { type: Date, default: Date.now }
+  timestamp: { type: Date, default: Date.now },
+  // Period the answer's figures cover, as inferred from the question
+  dateRange: {
+    start: Date,
+    end: Date,
+    label: String
+  }
 });
 
 const chatHistorySchema = new mongoose.Schema({
@@ -25,8 +34,18 @@ const chatHistorySchema = new mongoose.Schema({
     index: true 
   },
   metadata: {
-    title: String,
-    tags: [String]
+    title: { type: String, trim: true, maxlength: MAX_TITLE_LENGTH },
+    tags: [String],
+    // Transaction the assistant drafted, saved once the user confirms it in a later message
+    pendingTransaction: {
+      type: { type: String, enum: ['income', 'expense'] },
+      amount: Number,
+      currency: String,
+      category: String,
+      description: String,
+      date: Date,
+      proposedAt: Date
+    }
   }
 }, { timestamps: true });
 
@@ -44,9 +63,39 @@ chatHistorySchema.statics.cleanupOldSessions = async function(days = 30) {
   });
 };
 
+// List a user's sessions, most recently active first
+chatHistorySchema.statics.listSessions = function(userId) {
+  return this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    {
+      $project: {
+        _id: 0,
+        sessionId: 1,
+        title: '$metadata.title',
+        lastActive: 1,
+        createdAt: 1,
+        messageCount: {
+          $size: { $filter: { input: '$messages', cond: { $ne: ['$$this.role', 'system'] } } }
+        }
+      }
+    },
+    { $sort: { lastActive: -1 } }
+  ]);
+};
+
+// Title a session after its first question, cut at a word boundary
+chatHistorySchema.statics.titleFromQuestion = function(question) {
+  const text = question.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
 // Add a message to the chat history
-chatHistorySchema.methods.addMessage = function(role, content) {
-  this.messages.push({ role, content });
+chatHistorySchema.methods.addMessage = function(role, content, extra = {}) {
+  this.messages.push({ role, content, ...extra });
   this.lastActive = new Date();
   // Keep only the last 100 messages to prevent document from growing too large
   if (this.messages.length > 100) {
@@ -60,6 +109,9 @@ chatHistorySchema.methods.getContext = function(limit = 10) {
   return this.messages.slice(-limit);
 };
 
+chatHistorySchema.statics.DEFAULT_SESSION_ID = DEFAULT_SESSION_ID;
+chatHistorySchema.statics.MAX_TITLE_LENGTH = MAX_TITLE_LENGTH;
+
 const ChatHistory = mongoose.model('ChatHistory', chatHistorySchema);
 
 module.exports = ChatHistory;
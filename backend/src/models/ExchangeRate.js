@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES, getDefaultRate } = require('../utils/currencies');
+
+const exchangeRateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: {
+      values: CURRENCY_CODES,
+      message: 'Unsupported currency'
+    }
+  },
+  // Value of 1 unit of `currency` in the user's base currency
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: {
+      validator: function(v) {
+        return Number.isFinite(v) && v > 0;
+      },
+      message: 'Rate must be a positive number'
+    }
+  },
+  isManual: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One rate per currency per user
+exchangeRateSchema.index({ userId: 1, currency: 1 }, { unique: true });
+
+// Get the user's rate table as { CODE: rate }, seeding defaults for missing currencies
+exchangeRateSchema.statics.getRateTable = async function(userId, baseCurrency) {
+  const rates = await this.find({ userId }).lean();
+  const table = {};
+  rates.forEach(({ currency, rate }) => {
+    table[currency] = rate;
+  });
+
+  const missing = CURRENCY_CODES.filter(code => code !== baseCurrency && table[code] === undefined);
+  if (missing.length > 0) {
+    await this.bulkWrite(missing.map(currency => ({
+      updateOne: {
+        filter: { userId, currency },
+        update: { $setOnInsert: { rate: getDefaultRate(currency, baseCurrency) } },
+        upsert: true
+      }
+    })));
+    missing.forEach(code => {
+      table[code] = getDefaultRate(code, baseCurrency);
+    });
+  }
+
+  table[baseCurrency] = 1;
+  return table;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { MAX_AMOUNT } = require('../utils/currencies');
+
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true,
+    maxlength: [50, 'Goal name cannot exceed 50 characters']
+  },
+  // Target in the user's base currency
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0.01, 'Target amount must be greater than 0'],
+    max: [MAX_AMOUNT, 'Target amount cannot exceed 1,000,000,000']
+  },
+  targetDate: {
+    type: Date,
+    default: null
+  },
+  // Contributions go to this account as transfers...
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  // ...or, with no account linked, it tracks expenses in this category that are tagged with the goal
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    default: null
+  },
+  // Transactions carrying this tag count as contributions; fixed once created
+  tag: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  achievedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Goal names and tags are unique per user
+goalSchema.index({ userId: 1, name: 1 }, { unique: true });
+goalSchema.index({ userId: 1, tag: 1 }, { unique: true });
+
+// A goal needs somewhere for its contributions to go
+goalSchema.pre('validate', function(next) {
+  if (!this.accountId && !this.category) {
+    this.invalidate('accountId', 'Link the goal to an account or a category');
+  }
+  next();
+});
+
+// Pick an unused "goal-<name>" tag for a new goal
+goalSchema.statics.generateTag = async function(userId, name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24) || 'savings';
+  const base = `goal-${slug}`;
+
+  let tag = base;
+  for (let suffix = 2; await this.exists({ userId, tag }); suffix++) {
+    tag = `${base}-${suffix}`;
+  }
+  return tag;
+};
+
+module.exports = mongoose.model('Goal', goalSchema);
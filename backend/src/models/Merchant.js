@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { MAX_MERCHANT_LENGTH, merchantKey, normalizeMerchantName } = require('../utils/merchants');
+
+// Settings the user keeps for a merchant; transactions refer to it by name
+const merchantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Merchant name is required'],
+    trim: true,
+    maxlength: [MAX_MERCHANT_LENGTH, `Merchant name cannot exceed ${MAX_MERCHANT_LENGTH} characters`]
+  },
+  // merchantKey(name), so "Blue Tokai" and "BLUE TOKAI" are one merchant
+  key: {
+    type: String,
+    required: true
+  },
+  // Keys of other spellings merged into this merchant
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Category suggested for new expenses at this merchant
+  defaultCategory: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+merchantSchema.index({ userId: 1, key: 1 }, { unique: true });
+merchantSchema.index({ userId: 1, aliases: 1 });
+
+merchantSchema.pre('validate', function(next) {
+  if (this.isModified('name')) this.key = merchantKey(this.name);
+  next();
+});
+
+/**
+ * Load the user's merchants once and resolve any number of raw names against them
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Function>} (raw) => { name, defaultCategory } or null when raw names no merchant
+ */
+merchantSchema.statics.getResolver = async function(userId) {
+  const merchants = await this.find({ userId }).select('name key aliases defaultCategory').lean();
+  const byKey = new Map();
+  merchants.forEach(merchant => {
+    [merchant.key, ...(merchant.aliases || [])].forEach(key => byKey.set(key, merchant));
+  });
+
+  return (raw) => {
+    const name = normalizeMerchantName(raw);
+    if (!name) return null;
+    // Aliases may have been saved from the cleaned name or the spelling as written
+    const merchant = byKey.get(merchantKey(name)) || byKey.get(merchantKey(raw));
+    return merchant
+      ? { name: merchant.name, defaultCategory: merchant.defaultCategory || null }
+      : { name, defaultCategory: null };
+  };
+};
+
+// Resolve a single raw merchant name
+merchantSchema.statics.resolve = async function(userId, raw) {
+  if (!normalizeMerchantName(raw)) return null;
+  const resolve = await this.getResolver(userId);
+  return resolve(raw);
+};
+
+module.exports = mongoose.model('Merchant', merchantSchema);
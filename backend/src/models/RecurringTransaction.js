@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MAX_AMOUNT } = require('../utils/currencies');
 
 const recurringTransactionSchema = new mongoose.Schema({
   userId: {
@@ -20,7 +21,7 @@ const recurringTransactionSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0'],
-    max: [10000000, 'Amount cannot exceed ₹1 crore'],
+    max: [MAX_AMOUNT, 'Amount cannot exceed 1,000,000,000'],
     validate: {
       validator: function(v) {
         return Number.isFinite(v) && v > 0;
@@ -32,25 +33,7 @@ const recurringTransactionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Category is required'],
     trim: true,
-    enum: {
-      values: [
-        'Food & Dining',
-        'Transportation',
-        'Shopping',
-        'Entertainment',
-        'Healthcare',
-        'Utilities',
-        'Education',
-        'Travel',
-        'Salary',
-        'Business',
-        'Investment',
-        'Rent/Mortgage',
-        'Subscriptions',
-        'Others'
-      ],
-      message: 'Invalid category selected'
-    },
+    maxlength: [50, 'Category cannot exceed 50 characters'],
     index: true
   },
   description: {
@@ -59,6 +42,12 @@ const recurringTransactionSchema = new mongoose.Schema({
     maxlength: [200, 'Description cannot exceed 200 characters'],
     default: ''
   },
+  // Account each generated transaction is booked against
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
   startDate: {
     type: Date,
     required: [true, 'Start date is required'],
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { FIELD_KINDS, MAX_CONDITIONS } = require('../utils/ruleEngine');
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: Object.keys(FIELD_KINDS),
+    required: true
+  },
+  operator: {
+    type: String,
+    required: true
+  },
+  // Text, a number, or [min, max] for "between"
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+// "If description contains NETFLIX then category Entertainment, tag subscription"
+const ruleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [50, 'Rule name cannot exceed 50 characters']
+  },
+  // Lower numbers run first, and the first rule to set a field wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  matchType: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: {
+      validator: (conditions) => conditions.length > 0 && conditions.length <= MAX_CONDITIONS,
+      message: `A rule needs between 1 and ${MAX_CONDITIONS} conditions`
+    }
+  },
+  actions: {
+    category: { type: String, trim: true, default: null },
+    // Type of the category, so it is only set on transactions of that type
+    categoryType: { type: String, enum: ['income', 'expense', null], default: null },
+    tags: { type: [String], default: [] },
+    merchant: { type: String, trim: true, default: null },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', default: null }
+  },
+  timesApplied: {
+    type: Number,
+    default: 0
+  },
+  lastAppliedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+ruleSchema.index({ userId: 1, priority: 1 });
+
+// The user's active rules in the order they run
+ruleSchema.statics.getActiveRules = function(userId) {
+  return this.find({ userId, isActive: true }).sort({ priority: 1, createdAt: 1 }).lean();
+};
+
+// Count how often rules changed a transaction
+ruleSchema.statics.recordApplied = function(ruleIds, count = 1) {
+  if (ruleIds.length === 0) return Promise.resolve();
+  return this.updateMany(
+    { _id: { $in: ruleIds } },
+    { $inc: { timesApplied: count }, $set: { lastAppliedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Rule', ruleSchema);
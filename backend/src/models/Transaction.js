@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const {
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  MAX_AMOUNT,
+  baseAmountExpression,
+  categoryAmountsExpression,
+  formatCurrency
+} = require('../utils/currencies');
+const { MAX_MERCHANT_LENGTH, extractMerchant } = require('../utils/merchants');
+const { toFacts, applyRules } = require('../utils/ruleEngine');
+const Merchant = require('./Merchant');
+const Rule = require('./Rule');
+const TransactionHistory = require('./TransactionHistory');
+const transactionHistory = require('../services/transactionHistoryService');
+
+// Part of a transaction's amount filed under its own category
+const splitSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Split category is required'],
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Split amount is required'],
+    min: [0.01, 'Split amount must be greater than 0'],
+    max: [MAX_AMOUNT, 'Split amount cannot exceed 1,000,000,000']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Split note cannot exceed 100 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+// Where a suggested category came from: 'keywords' for the built-in keyword matching, 'rule' for
+// one of the user's rules
+const CATEGORY_SOURCES = ['keywords', 'learned', 'merchant', 'ai', 'receipt', 'statement', 'rule'];
+
+// Tags are stored lowercase and hyphenated ("Trip Goa 2026" -> "trip-goa-2026") without duplicates
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const normalized = list
+    .map(tag => String(tag).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -11,8 +63,8 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Transaction type is required'],
     enum: {
-      values: ['income', 'expense'],
-      message: 'Type must be either income or expense'
+      values: ['income', 'expense', 'transfer'],
+      message: 'Type must be income, expense or transfer'
     },
     index: true
   },
@@ -20,7 +72,7 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0'],
-    max: [10000000, 'Amount cannot exceed ₹1 crore'],
+    max: [MAX_AMOUNT, 'Amount cannot exceed 1,000,000,000'],
     validate: {
       validator: function(v) {
         return Number.isFinite(v) && v > 0;
@@ -28,35 +80,63 @@ const transactionSchema = new mongoose.Schema({
       message: 'Amount must be a valid positive number'
     }
   },
+  // Currency the amount was paid in (defaults to the user's base currency)
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: CURRENCY_CODES,
+      message: 'Unsupported currency'
+    }
+  },
+  // Value of 1 unit of `currency` in the user's base currency
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    validate: {
+      validator: function(v) {
+        return Number.isFinite(v) && v > 0;
+      },
+      message: 'Exchange rate must be a positive number'
+    }
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
     trim: true,
-    enum: {
-      values: [
-        'Food & Dining',
-        'Transportation',
-        'Shopping',
-        'Entertainment',
-        'Healthcare',
-        'Utilities',
-        'Education',
-        'Travel',
-        'Salary',
-        'Business',
-        'Investment',
-        'Others'
-      ],
-      message: 'Invalid category selected'
-    },
+    maxlength: [50, 'Category cannot exceed 50 characters'],
     index: true
   },
+  // Optional breakdown of the amount across categories; `category` holds the largest part
+  splits: {
+    type: [splitSchema],
+    default: undefined
+  },
   description: {
     type: String,
     trim: true,
     maxlength: [200, 'Description cannot exceed 200 characters'],
     default: ''
   },
+  // Normalized merchant name ("SWIGGY*ORDER123" is stored as "Swiggy")
+  merchant: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_MERCHANT_LENGTH, `Merchant cannot exceed ${MAX_MERCHANT_LENGTH} characters`],
+    default: null
+  },
+  // Free-form labels that cut across categories, e.g. "trip-goa-2026" or "reimbursable"
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags,
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_TAGS;
+      },
+      message: `A transaction can have at most ${MAX_TAGS} tags`
+    }
+  },
   date: {
     type: Date,
     required: [true, 'Date is required'],
@@ -72,6 +152,20 @@ const transactionSchema = new mongoose.Schema({
       message: 'Transaction date cannot be more than 1 year in the future'
     }
   },
+  // Account the money left (expense, transfer) or arrived in (income)
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null,
+    index: true
+  },
+  // Destination account, only used by transfers
+  toAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null,
+    index: true
+  },
   receiptId: {
     type: String,
     trim: true,
@@ -82,6 +176,15 @@ const transactionSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Category the app picked when the transaction was created; changing it teaches the classifier
+  categorySuggestion: {
+    type: new mongoose.Schema({
+      category: String,
+      source: { type: String, enum: CATEGORY_SOURCES },
+      confidence: Number
+    }, { _id: false }),
+    default: null
+  },
   isFromReceipt: {
     type: Boolean,
     default: false
@@ -91,6 +194,16 @@ const transactionSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  isFromImport: {
+    type: Boolean,
+    default: false
+  },
+  // Bank reference (e.g. OFX FITID) used to skip re-imports of the same statement line
+  importId: {
+    type: String,
+    trim: true,
+    default: null
+  },
   recurringTransactionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'RecurringTransaction',
@@ -101,6 +214,11 @@ const transactionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
     index: true
+  },
+  // Set when the transaction is moved to the trash; purged TRASH_RETENTION_DAYS later
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -116,6 +234,137 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ userId: 1, date: -1 });
 transactionSchema.index({ userId: 1, type: 1, date: -1 });
 transactionSchema.index({ userId: 1, category: 1, date: -1 });
+transactionSchema.index({ userId: 1, 'splits.category': 1 });
+transactionSchema.index({ userId: 1, tags: 1 });
+transactionSchema.index({ userId: 1, merchant: 1, date: -1 });
+transactionSchema.index({ userId: 1, deletedAt: 1 });
+// Full-text search (see utils/searchQuery), always within one user's transactions
+transactionSchema.index(
+  { userId: 1, description: 'text', merchant: 'text', tags: 'text', 'splits.note': 'text' },
+  { name: 'transaction_text_search', weights: { description: 10, merchant: 8, tags: 5, 'splits.note': 2 } }
+);
+
+const TRASH_RETENTION_DAYS = 30;
+
+// Transactions in the trash are left out of every read unless the query asks about deletedAt itself.
+// Bulk updates (category renames, merchant merges) still reach them so a restore finds them current.
+const mentionsDeletedAt = (filter) => Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+transactionSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndReplace'], function() {
+  if (!mentionsDeletedAt(this.getFilter())) this.where({ deletedAt: null });
+});
+
+// Aggregations get the condition added to their first $match, which keeps $text queries first
+transactionSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    if (!mentionsDeletedAt(first.$match)) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Record new transactions in the user's base currency unless told otherwise
+transactionSchema.pre('validate', async function(next) {
+  if (!this.isNew || this.currency) return next();
+
+  try {
+    const user = await mongoose.model('User').findById(this.userId).select('baseCurrency').lean();
+    this.currency = user?.baseCurrency || DEFAULT_CURRENCY;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Store the merchant under the user's name for it, guessing it from the description when none is given
+transactionSchema.pre('validate', async function(next) {
+  const guessFromDescription = this.isNew && !this.merchant && this.type !== 'transfer';
+  if (!guessFromDescription && !this.isModified('merchant')) return next();
+  if (this.type === 'transfer') {
+    this.merchant = null;
+    return next();
+  }
+
+  try {
+    const resolved = await Merchant.resolve(this.userId, this.merchant || extractMerchant(this.description));
+    this.merchant = resolved ? resolved.name : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run the user's rules (see utils/ruleEngine) on new income and expenses, whichever way they are
+// created. Callers saving many at once can pass the rules in $locals.rules to load them once, and
+// $locals.keepCategory keeps a category the user chose.
+transactionSchema.pre('validate', async function(next) {
+  if (!this.isNew || this.type === 'transfer' || this.$locals.skipRules) return next();
+
+  try {
+    const rules = this.$locals.rules || await Rule.getActiveRules(this.userId);
+    if (rules.length === 0) return next();
+
+    const { changes, appliedRules } = applyRules(rules, toFacts(this));
+    // What the rules replaced, so the history shows them as a change of their own
+    const ruleBefore = {};
+    // A split transaction's category follows its parts, and one the user picked stays
+    if (changes.category && !this.$locals.keepCategory && !(this.splits && this.splits.length > 0)) {
+      ruleBefore.category = this.category;
+      this.category = changes.category;
+      this.categorySuggestion = { category: changes.category, source: 'rule', confidence: 100 };
+    }
+    if (changes.tags) {
+      ruleBefore.tags = [...(this.tags || [])];
+      this.tags = changes.tags.slice(0, MAX_TAGS);
+    }
+    if (changes.merchant) {
+      ruleBefore.merchant = this.merchant;
+      this.merchant = changes.merchant;
+    }
+    if (changes.accountId) {
+      ruleBefore.accountId = this.accountId;
+      this.accountId = changes.accountId;
+    }
+    this.$locals.ruleBefore = ruleBefore;
+    // Counted once the transaction is saved (see recordCreated below)
+    this.$locals.appliedRules = appliedRules;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Transfers need two different accounts; other types never have a destination
+transactionSchema.pre('validate', function(next) {
+  if (this.type !== 'transfer') {
+    this.toAccountId = null;
+  } else if (!this.accountId) {
+    this.invalidate('accountId', 'Transfers need a source account');
+  } else if (!this.toAccountId || this.toAccountId.equals(this.accountId)) {
+    this.invalidate('toAccountId', 'Transfers need a destination account different from the source');
+  }
+  next();
+});
+
+// Splits must add up to the transaction amount
+transactionSchema.pre('validate', function(next) {
+  if (!this.splits || this.splits.length === 0) return next();
+
+  if (this.type === 'transfer') {
+    this.invalidate('splits', 'Transfers cannot be split');
+  } else if (this.splits.length < 2) {
+    this.invalidate('splits', 'A split transaction needs at least two parts');
+  } else {
+    const total = this.splits.reduce((sum, split) => sum + (split.amount || 0), 0);
+    if (Math.abs(total - this.amount) > 0.01) {
+      this.invalidate('splits', `Splits add up to ${total.toFixed(2)} but the amount is ${Number(this.amount).toFixed(2)}`);
+    } else {
+      this.category = this.splits.reduce((largest, split) => (split.amount > largest.amount ? split : largest)).category;
+    }
+  }
+  next();
+});
 
 // Static method to get user analytics
 transactionSchema.statics.getAnalytics = async function(userId, startDate, endDate, includeRecurring = false, includeTransactions = false) {
@@ -161,10 +410,23 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
       type: 'expense',
       amount: { $gt: 0 }
     })
-    .select('amount date type category description')
+    .select('amount currency exchangeRate date type category description merchant splits tags')
     .sort({ date: 1 })
     .lean();
     
+    // Report amounts in the base currency, keeping the original alongside
+    transactions = transactions.map(transaction => ({
+      ...transaction,
+      originalAmount: transaction.amount,
+      amount: transaction.amount * (transaction.exchangeRate || 1),
+      ...(transaction.splits && {
+        splits: transaction.splits.map(split => ({
+          ...split,
+          amount: split.amount * (transaction.exchangeRate || 1)
+        }))
+      })
+    }));
+    
     console.log(`Fetched ${transactions.length} transactions for analytics`);
     if (transactions.length > 0) {
       console.log('Sample transaction:', {
@@ -186,6 +448,7 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
   // Debug: Get count of matching documents
   const countQuery = {
     userId: new mongoose.Types.ObjectId(userId),
+    type: { $in: ['income', 'expense'] },
     date: { 
       $gte: new Date(startDate),
       $lte: new Date(endDate)
@@ -220,6 +483,7 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
         { _id: 'expense', total: 0, count: 0 }
       ],
       categoryBreakdown: [],
+      tagBreakdown: [],
       monthlyTrend: []
     };
     
@@ -246,15 +510,15 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
       $match: {
         userId: new mongoose.Types.ObjectId(userId),
         date: { $gte: startDate, $lte: endDate },
-        $or: includeRecurring 
-          ? [
-              { isFromRecurring: { $exists: false } },
-              { isFromRecurring: true }
-            ]
-          : [
-              { isFromRecurring: { $exists: false } },
-              { isFromRecurring: false }
-            ]
+        // Transfers move money between accounts and are neither income nor expense
+        type: { $in: ['income', 'expense'] },
+        // Transactions generated by recurring rules are only left out when asked to
+        ...(!includeRecurring && {
+          $or: [
+            { isFromRecurring: { $exists: false } },
+            { isFromRecurring: false }
+          ]
+        })
       }
     },
     
@@ -262,8 +526,11 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
     {
       $project: {
         type: 1,
-        amount: 1,
+        amount: baseAmountExpression,
+        categoryAmounts: categoryAmountsExpression,
         category: 1,
+        tags: 1,
+        description: 1,
         date: 1,
         year: { $year: '$date' },
         month: { $month: '$date' },
@@ -285,19 +552,34 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
           }
         ],
         
-        // Category breakdown for expenses
+        // Category breakdown for expenses, attributing split transactions to each split's category
         categoryBreakdown: [
           { $match: { type: 'expense' } },
+          { $unwind: '$categoryAmounts' },
           {
             $group: {
-              _id: '$category',
-              total: { $sum: '$amount' },
+              _id: '$categoryAmounts.category',
+              total: { $sum: '$categoryAmounts.amount' },
               count: { $sum: 1 }
             }
           },
           { $sort: { total: -1 } }
         ],
         
+        // Income and expense per tag; a transaction counts once for each of its tags
+        tagBreakdown: [
+          { $unwind: '$tags' },
+          {
+            $group: {
+              _id: '$tags',
+              expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+              income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { expense: -1, income: -1 } }
+        ],
+        
         // Monthly trend
         monthlyTrend: [
           {
@@ -412,13 +694,80 @@ transactionSchema.statics.getAnalytics = async function(userId, startDate, endDa
   return aggregated;
 };
 
-// Instance method to format amount in Indian currency
+// Tags the user has used, most used first, optionally narrowed to those containing `search`
+transactionSchema.statics.getTagSuggestions = async function(userId, search = '', limit = 10) {
+  const pipeline = [
+    { $match: { userId: new mongoose.Types.ObjectId(userId), tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' }
+  ];
+
+  const term = normalizeTags(search)[0];
+  if (term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pipeline.push({ $match: { tags: { $regex: escaped } } });
+  }
+
+  pipeline.push(
+    { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$date' } } },
+    { $sort: { count: -1, lastUsed: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1, lastUsed: 1 } }
+  );
+
+  return this.aggregate(pipeline);
+};
+
+// Every new transaction starts its history (see services/transactionHistoryService); changes to
+// existing ones are recorded by whatever makes them, since only they know what it was before
+transactionSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Start the history of newly saved transactions and count the rules that ran on them
+const recordCreated = async (docs) => {
+  const counts = new Map();
+  docs.forEach(doc => (doc.$locals.appliedRules || []).forEach(id => {
+    counts.set(String(id), (counts.get(String(id)) || 0) + 1);
+  }));
+
+  await Promise.all([
+    transactionHistory.recordCreated(docs),
+    ...[...counts].map(([id, count]) => Rule.recordApplied([id], count).catch(error => {
+      console.error('Record applied rule error:', error);
+    }))
+  ]);
+};
+
+transactionSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) await recordCreated([doc]);
+});
+
+transactionSchema.post('insertMany', async function(result) {
+  // Unordered inserts with rawResult report each document's outcome instead of the documents
+  const docs = Array.isArray(result)
+    ? result
+    : (result.mongoose?.results || []).filter(item => item instanceof this);
+  await recordCreated(docs);
+});
+
+// A transaction deleted for good (with its receipt) takes its history with it
+transactionSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) await TransactionHistory.deleteMany({ transactionId: doc._id });
+});
+
+transactionSchema.statics.normalizeTags = normalizeTags;
+transactionSchema.statics.MAX_TAGS = MAX_TAGS;
+transactionSchema.statics.CATEGORY_SOURCES = CATEGORY_SOURCES;
+// For inserts the insertMany hook doesn't see, such as the rows of an unordered insert that failed part way
+transactionSchema.statics.recordCreated = recordCreated;
+transactionSchema.statics.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+// Category every transfer is filed under
+transactionSchema.statics.TRANSFER_CATEGORY = 'Transfer';
+
+// Instance method to format amount in the transaction's own currency
 transactionSchema.methods.getFormattedAmount = function() {
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    minimumFractionDigits: 0
-  }).format(this.amount);
+  return formatCurrency(this.amount, this.currency || DEFAULT_CURRENCY);
 };
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// What made a change
+const HISTORY_SOURCES = ['manual', 'rule', 'receipt', 'recurring', 'import', 'assistant'];
+const HISTORY_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One version of a transaction: what changed, who changed it and how, and the state it left
+const transactionHistorySchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: HISTORY_ACTIONS,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: HISTORY_SOURCES,
+    default: 'manual'
+  },
+  // The user who made the change; null when the app did it on its own (rules, recurring)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+  // The transaction's fields after this version, used to revert to it
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Version a revert went back to
+  revertedTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+transactionHistorySchema.index({ transactionId: 1, version: -1 }, { unique: true });
+
+transactionHistorySchema.statics.HISTORY_SOURCES = HISTORY_SOURCES;
+transactionHistorySchema.statics.HISTORY_ACTIONS = HISTORY_ACTIONS;
+
+module.exports = mongoose.model('TransactionHistory', transactionHistorySchema);
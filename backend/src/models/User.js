@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { CURRENCY_CODES, DEFAULT_CURRENCY } = require('../utils/currencies');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,16 @@ const userSchema = new mongoose.Schema({
   },
   avatar: {
     type: String
+  },
+  // Currency that totals, budgets and recurring amounts are reported in
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: CURRENCY_CODES,
+      message: 'Unsupported base currency'
+    },
+    default: DEFAULT_CURRENCY
   }
 }, {
   timestamps: true,
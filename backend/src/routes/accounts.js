@@ -0,0 +1,78 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getAccounts,
+  getLedger,
+  createAccount,
+  updateAccount,
+  deleteAccount
+} = require('../controllers/accountController');
+const { auth } = require('../middleware/auth');
+const Account = require('../models/Account');
+const { CURRENCY_CODES, MAX_AMOUNT } = require('../utils/currencies');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = () => body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Account name is required')
+  .isLength({ max: 50 })
+  .withMessage('Account name cannot exceed 50 characters');
+
+const typeValidation = () => body('type')
+  .isIn(Account.ACCOUNT_TYPES)
+  .withMessage('Type must be one of: bank, card, cash, wallet');
+
+const openingBalanceValidation = () => body('openingBalance')
+  .optional()
+  .isFloat({ min: -MAX_AMOUNT, max: MAX_AMOUNT })
+  .withMessage('Opening balance is out of range');
+
+const idValidation = param('id')
+  .isMongoId()
+  .withMessage('Invalid id format');
+
+const createAccountValidation = [
+  nameValidation(),
+  typeValidation(),
+  body('currency')
+    .optional({ values: 'falsy' })
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage('Unsupported currency'),
+  openingBalanceValidation()
+];
+
+const updateAccountValidation = [
+  idValidation,
+  nameValidation().optional(),
+  typeValidation().optional(),
+  openingBalanceValidation(),
+  body('isArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('isArchived must be true or false')
+];
+
+const ledgerValidation = [
+  idValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Routes
+router.get('/', auth, getAccounts);
+router.get('/:id/transactions', auth, ledgerValidation, getLedger);
+router.post('/', auth, createAccountValidation, createAccount);
+router.put('/:id', auth, updateAccountValidation, updateAccount);
+router.delete('/:id', auth, [idValidation], deleteAccount);
+
+module.exports = router;
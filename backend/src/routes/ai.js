@@ -2,7 +2,16 @@ const express = require('express');
 const { auth } = require('../middleware/auth');
 const categoryService = require('../services/categoryService');
 const Transaction = require('../models/Transaction');
-const { handleChatMessage, clearChatHistory } = require('../controllers/aiChatController');
+const {
+  handleChatMessage,
+  streamChatMessage,
+  getChatHistory,
+  clearChatHistory,
+  listChatSessions,
+  createChatSession,
+  renameChatSession,
+  deleteChatSession
+} = require('../controllers/aiChatController');
 
 const router = express.Router();
 
@@ -39,12 +48,18 @@ router.get('/insights', auth, async (req, res) => {
       date: { $gte: thirtyDaysAgo }
     }).sort({ date: -1 }).lean();
 
+    // Analyse everything in the user's base currency
+    const baseTransactions = transactions.map(t => ({ ...t, amount: t.amount * (t.exchangeRate || 1) }));
+
     // Build date range label for the insights header
     const endDate = new Date();
     const formatMonthYear = (d) => d.toLocaleString('en-US', { month: 'long', year: 'numeric' });
     const dateRangeLabel = `${formatMonthYear(thirtyDaysAgo)} - ${formatMonthYear(endDate)}`;
 
-    const insights = await categoryService.getFinancialInsights(transactions, { dateRangeLabel });
+    const insights = await categoryService.getFinancialInsights(baseTransactions, {
+      dateRangeLabel,
+      currency: req.user.baseCurrency
+    });
 
     if (!insights || insights.success === false) {
       return res.status(500).json({
@@ -101,6 +116,22 @@ router.post('/chat', auth, async (req, res) => {
   }
 });
 
+// Chat with AI assistant, streaming the answer as Server-Sent Events
+router.post('/chat/stream', auth, streamChatMessage);
+
+// Get chat history
+router.get('/chat', auth, async (req, res) => {
+  try {
+    await getChatHistory(req, res);
+  } catch (error) {
+    console.error('Error in get chat history route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load chat history'
+    });
+  }
+});
+
 // Clear chat history
 router.delete('/chat', auth, async (req, res) => {
   try {
@@ -115,6 +146,12 @@ router.delete('/chat', auth, async (req, res) => {
   }
 });
 
+// Chat sessions keep separate threads from sharing context
+router.get('/sessions', auth, listChatSessions);
+router.post('/sessions', auth, createChatSession);
+router.patch('/sessions/:sessionId', auth, renameChatSession);
+router.delete('/sessions/:sessionId', auth, deleteChatSession);
+
 // Get personalized financial advice
 router.get('/advice', auth, async (req, res) => {
   try {
@@ -128,10 +165,10 @@ router.get('/advice', auth, async (req, res) => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const transactions = await Transaction.find({
+    const transactions = (await Transaction.find({
       userId: req.userId,
       date: { $gte: thirtyDaysAgo }
-    }).lean();
+    }).lean()).map(t => ({ ...t, amount: t.amount * (t.exchangeRate || 1) }));
 
     // Calculate basic metrics
     const totalIncome = transactions
@@ -154,7 +191,8 @@ router.get('/advice', auth, async (req, res) => {
       monthlyExpenses: totalExpense,
       savingsRate: ((totalIncome - totalExpense) / (totalIncome || 1)) * 100,
       expensesByCategory: categorizedExpenses,
-      transactionCount: transactions.length
+      transactionCount: transactions.length,
+      currency: req.user.baseCurrency
     };
 
     const advice = await categoryService.getFinancialAdvice(userContext);
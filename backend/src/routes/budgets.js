@@ -0,0 +1,61 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getBudgets,
+  getStatus,
+  createBudget,
+  updateBudget,
+  deleteBudget
+} = require('../controllers/budgetController');
+const { auth } = require('../middleware/auth');
+const { customValidators } = require('../utils/validator');
+const { MAX_AMOUNT } = require('../utils/currencies');
+
+const router = express.Router();
+
+// Validation rules
+const amountValidation = body('amount')
+  .isFloat({ min: 0.01, max: MAX_AMOUNT })
+  .withMessage('Budget amount must be between 0.01 and 1,000,000,000');
+
+const alertThresholdValidation = body('alertThreshold')
+  .optional()
+  .isInt({ min: 1, max: 100 })
+  .withMessage('Alert threshold must be between 1 and 100');
+
+const createBudgetValidation = [
+  body('category')
+    .trim()
+    .notEmpty()
+    .withMessage('Category is required')
+    .bail()
+    .custom(customValidators.userCategory),
+  amountValidation,
+  alertThresholdValidation
+];
+
+const idValidation = param('id')
+  .isMongoId()
+  .withMessage('Invalid id format');
+
+const updateBudgetValidation = [
+  idValidation,
+  amountValidation,
+  alertThresholdValidation
+];
+
+const statusValidation = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format')
+];
+
+// Routes
+router.get('/', auth, getBudgets);
+router.get('/status', auth, statusValidation, getStatus);
+router.post('/', auth, createBudgetValidation, createBudget);
+router.put('/:id', auth, updateBudgetValidation, updateBudget);
+router.delete('/:id', auth, [idValidation], deleteBudget);
+
+module.exports = router;
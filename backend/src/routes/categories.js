@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getCategories,
+  getSuggestions,
+  categorize,
+  getLearningStatus,
+  retrainLearning,
+  resetLearning,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Category name must be between 1 and 50 characters');
+
+const colorValidation = body('color')
+  .optional()
+  .matches(/^#[0-9A-Fa-f]{6}$/)
+  .withMessage('Color must be a hex value like #FF8800');
+
+const iconValidation = body('icon')
+  .optional()
+  .isLength({ max: 20 })
+  .withMessage('Icon cannot exceed 20 characters');
+
+const parentValidation = body('parent')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid parent category');
+
+const createCategoryValidation = [
+  nameValidation(),
+  body('type')
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be either income or expense'),
+  colorValidation,
+  iconValidation,
+  parentValidation
+];
+
+const idValidation = param('id')
+  .isMongoId()
+  .withMessage('Invalid id format');
+
+const updateCategoryValidation = [
+  idValidation,
+  nameValidation().optional(),
+  colorValidation,
+  iconValidation,
+  parentValidation
+];
+
+// Routes
+router.get('/', auth, getCategories);
+router.get('/suggestions', auth, getSuggestions);
+router.post('/categorize', auth, categorize);
+router.get('/learning', auth, getLearningStatus);
+router.post('/learning/retrain', auth, retrainLearning);
+router.delete('/learning', auth, resetLearning);
+router.post('/', auth, createCategoryValidation, createCategory);
+router.put('/:id', auth, updateCategoryValidation, updateCategory);
+router.delete('/:id', auth, [idValidation], deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getRates,
+  updateRate,
+  updateBaseCurrency
+} = require('../controllers/currencyController');
+const { auth } = require('../middleware/auth');
+const { CURRENCY_CODES } = require('../utils/currencies');
+
+const router = express.Router();
+
+// Validation rules
+const updateRateValidation = [
+  param('currency')
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage('Unsupported currency'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+];
+
+const baseCurrencyValidation = [
+  body('currency')
+    .isString()
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage('Unsupported currency')
+];
+
+// Routes
+router.get('/', auth, getRates);
+router.put('/base', auth, baseCurrencyValidation, updateBaseCurrency);
+router.put('/rates/:currency', auth, updateRateValidation, updateRate);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const {
+  DASHBOARD_PERIODS,
+  CHART_TYPES,
+  getSummary,
+  getChartData
+} = require('../controllers/dashboardController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const periodValidation = () => query('period')
+  .optional()
+  .isIn(DASHBOARD_PERIODS)
+  .withMessage(`Period must be one of: ${DASHBOARD_PERIODS.join(', ')}`);
+
+const chartValidation = [
+  param('type')
+    .isIn(CHART_TYPES)
+    .withMessage(`Chart type must be one of: ${CHART_TYPES.join(', ')}`),
+  periodValidation()
+];
+
+// Routes
+router.get('/summary', auth, [periodValidation()], getSummary);
+router.get('/charts/:type', auth, chartValidation, getChartData);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution
+} = require('../controllers/goalController');
+const { auth } = require('../middleware/auth');
+const { customValidators } = require('../utils/validator');
+const { MAX_AMOUNT } = require('../utils/currencies');
+
+const router = express.Router();
+
+// Validation rules
+const nameValidation = () => body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Goal name is required')
+  .isLength({ max: 50 })
+  .withMessage('Goal name cannot exceed 50 characters');
+
+const targetAmountValidation = () => body('targetAmount')
+  .isFloat({ min: 0.01, max: MAX_AMOUNT })
+  .withMessage('Target amount must be between 0.01 and 1,000,000,000');
+
+const targetDateValidation = () => body('targetDate')
+  .optional({ values: 'falsy' })
+  .isISO8601()
+  .withMessage('Please provide a valid target date');
+
+const accountValidation = () => body('accountId')
+  .optional({ values: 'falsy' })
+  .isMongoId()
+  .withMessage('Invalid account')
+  .bail()
+  .custom(customValidators.userAccount);
+
+// Goals without an account count tagged expenses in one of the user's expense categories
+const categoryValidation = () => body('category')
+  .optional({ values: 'falsy' })
+  .trim()
+  .custom(customValidators.userCategory);
+
+const idValidation = () => param('id')
+  .isMongoId()
+  .withMessage('Invalid id format');
+
+const createGoalValidation = [
+  nameValidation(),
+  targetAmountValidation(),
+  targetDateValidation(),
+  accountValidation(),
+  categoryValidation(),
+  body('category')
+    .if((value, { req }) => !req.body.accountId)
+    .notEmpty()
+    .withMessage('Link the goal to an account or a category')
+];
+
+const updateGoalValidation = [
+  idValidation(),
+  nameValidation().optional(),
+  targetAmountValidation().optional(),
+  targetDateValidation(),
+  accountValidation(),
+  categoryValidation(),
+  body('isArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('isArchived must be true or false')
+];
+
+const contributionValidation = [
+  idValidation(),
+  body('amount')
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage('Amount must be between 0.01 and 1,000,000,000'),
+  body('date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('fromAccountId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid account')
+];
+
+// Routes
+router.get('/', auth, getGoals);
+router.get('/:id', auth, [idValidation()], getGoal);
+router.post('/', auth, createGoalValidation, createGoal);
+router.put('/:id', auth, updateGoalValidation, updateGoal);
+router.delete('/:id', auth, [idValidation()], deleteGoal);
+router.post('/:id/contributions', auth, contributionValidation, addContribution);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getMerchants,
+  getAnalytics,
+  updateMerchant,
+  mergeMerchants
+} = require('../controllers/merchantController');
+const { auth } = require('../middleware/auth');
+const { customValidators } = require('../utils/validator');
+const { MAX_MERCHANT_LENGTH } = require('../utils/merchants');
+
+const router = express.Router();
+
+const MAX_ALIASES = 50;
+
+// Validation rules
+const merchantNameValidation = (field) => field
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Merchant name is required')
+  .bail()
+  .isLength({ max: MAX_MERCHANT_LENGTH })
+  .withMessage(`Merchant name cannot exceed ${MAX_MERCHANT_LENGTH} characters`);
+
+const listValidation = [
+  query('q')
+    .optional()
+    .isLength({ max: MAX_MERCHANT_LENGTH })
+    .withMessage(`Search term cannot exceed ${MAX_MERCHANT_LENGTH} characters`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const analyticsValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('sortBy')
+    .optional()
+    .isIn(['total', 'visits', 'averageTicket'])
+    .withMessage('Sort by total, visits or averageTicket')
+];
+
+const updateMerchantValidation = [
+  merchantNameValidation(param('name')),
+  body('defaultCategory')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(customValidators.userCategory),
+  body('aliases')
+    .optional()
+    .isArray({ max: MAX_ALIASES })
+    .withMessage(`Aliases must be a list of at most ${MAX_ALIASES} names`),
+  body('aliases.*')
+    .isString()
+    .isLength({ max: MAX_MERCHANT_LENGTH })
+    .withMessage(`Each alias must be text of at most ${MAX_MERCHANT_LENGTH} characters`)
+];
+
+const mergeValidation = [
+  merchantNameValidation(body('target')),
+  body('sources')
+    .isArray({ min: 1, max: MAX_ALIASES })
+    .withMessage(`Provide between 1 and ${MAX_ALIASES} merchants to merge`),
+  body('sources.*')
+    .isString()
+    .isLength({ max: MAX_MERCHANT_LENGTH })
+    .withMessage(`Each merchant must be text of at most ${MAX_MERCHANT_LENGTH} characters`)
+];
+
+// Routes
+router.get('/', auth, listValidation, getMerchants);
+router.get('/analytics', auth, analyticsValidation, getAnalytics);
+router.post('/merge', auth, mergeValidation, mergeMerchants);
+router.put('/:name', auth, updateMerchantValidation, updateMerchant);
+
+module.exports = router;
@@ -5,6 +5,9 @@ const fs = require('fs').promises;
 const { auth } = require('../middleware/auth');
 const { processReceipt, assessImageQuality } = require('../services/ocrService');
 const Transaction = require('../models/Transaction');
+const Merchant = require('../models/Merchant');
+const categoryLearningService = require('../services/categoryLearningService');
+const transactionHistory = require('../services/transactionHistoryService');
 
 const router = express.Router();
 
@@ -47,6 +50,13 @@ const upload = multer({
   }
 });
 
+// Category splits suggested from the receipt's line items, if it mixes categories
+const getReceiptSplits = (extractedData) => {
+  return Array.isArray(extractedData.splits) && extractedData.splits.length > 1
+    ? extractedData.splits
+    : undefined;
+};
+
 // Helper function to determine processing status and recommendations
 const getProcessingRecommendations = (extractedData, confidence) => {
   const recommendations = [];
@@ -145,12 +155,29 @@ router.post('/upload', auth, upload.single('receipt'), async (req, res) => {
     
     if (shouldCreateTransaction) {
       try {
+        // The user's own categories beat the OCR keyword guess: the one set for the merchant,
+        // else what they chose for similar purchases
+        const merchant = await Merchant.resolve(req.userId, extractedData.merchant);
+        const description = extractedData.description || `Receipt from ${extractedData.merchant || 'Unknown'}`;
+        const learned = merchant?.defaultCategory
+          ? null
+          : await categoryLearningService.suggestCategory(req.userId, `${merchant?.name || ''} ${description}`.trim(), { type: 'expense' });
+        const categorySuggestion = merchant?.defaultCategory
+          ? { category: merchant.defaultCategory, source: 'merchant', confidence: 90 }
+          : learned
+            ? { category: learned.category, source: 'learned', confidence: learned.confidence }
+            : { category: extractedData.category || 'Others', source: 'receipt', confidence };
+
         transaction = new Transaction({
           userId: req.userId,
           type: 'expense',
           amount: extractedData.amount,
-          category: extractedData.category || 'Others',
-          description: extractedData.description || `Receipt from ${extractedData.merchant || 'Unknown'}`,
+          category: categorySuggestion.category,
+          categorySuggestion,
+          // Receipts mixing several kinds of items are split by category
+          splits: getReceiptSplits(extractedData),
+          description,
+          merchant: merchant ? merchant.name : null,
           date: extractedData.date || new Date(),
           receiptId: fileName,
           receiptUrl: fileUrl,
@@ -169,7 +196,9 @@ router.post('/upload', auth, upload.single('receipt'), async (req, res) => {
           type: 'expense',
           amount: extractedData.amount,
           category: extractedData.category || 'Others',
+          splits: getReceiptSplits(extractedData),
           description: extractedData.description || `Receipt from ${extractedData.merchant || 'Unknown'}`,
+          merchant: extractedData.merchant || null,
           date: extractedData.date || new Date(),
           receiptId: fileName,
           receiptUrl: fileUrl,
@@ -278,9 +307,10 @@ router.get('/', auth, async (req, res) => {
         },
         extractedData: {
           amount: transaction.amount,
-          merchant: transaction.description?.replace('Receipt from ', '') || 'Unknown',
+          merchant: transaction.merchant || transaction.description?.replace('Receipt from ', '') || 'Unknown',
           date: transaction.date,
           category: transaction.category,
+          splits: transaction.splits || [],
           description: transaction.description
         }
       }));
@@ -302,7 +332,7 @@ router.get('/', auth, async (req, res) => {
           },
           extractedData: receipt.extractedData || {
             amount: receipt.amount,
-            merchant: receipt.description?.replace('Receipt from ', '') || 'Unknown',
+            merchant: receipt.merchant || receipt.description?.replace('Receipt from ', '') || 'Unknown',
             date: receipt.date,
             category: receipt.category,
             description: receipt.description
@@ -464,13 +494,17 @@ router.post('/:filename/reprocess', auth, async (req, res) => {
     });
 
     if (transaction && extractedData.amount && confidence > 30) {
+      const previous = transaction.toObject();
       transaction.amount = extractedData.amount;
       transaction.category = extractedData.category || transaction.category;
+      transaction.splits = getReceiptSplits(extractedData);
       transaction.description = extractedData.description || transaction.description;
+      transaction.merchant = extractedData.merchant || transaction.merchant;
       transaction.date = extractedData.date || transaction.date;
       transaction.processingConfidence = confidence;
       transaction.needsReview = confidence < 60;
       await transaction.save();
+      await transactionHistory.recordUpdate(req.userId, previous, transaction, { source: 'receipt' });
       console.log('Transaction updated after reprocessing');
     }
 
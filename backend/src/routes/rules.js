@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  reapplyRules
+} = require('../controllers/ruleController');
+const { auth } = require('../middleware/auth');
+const { customValidators } = require('../utils/validator');
+const { FIELD_KINDS, MAX_CONDITIONS, operatorsFor } = require('../utils/ruleEngine');
+const { MAX_MERCHANT_LENGTH } = require('../utils/merchants');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+
+const router = express.Router();
+
+const FIELDS = Object.keys(FIELD_KINDS);
+
+// Validation rules
+const nameValidation = () => body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Rule name is required')
+  .isLength({ max: 50 })
+  .withMessage('Rule name cannot exceed 50 characters');
+
+// Each condition needs an operator that fits its field and a value of the right kind
+const checkCondition = (condition) => {
+  const { field, operator, value } = condition || {};
+  if (!FIELDS.includes(field)) {
+    throw new Error(`Condition field must be one of ${FIELDS.join(', ')}`);
+  }
+  if (!operatorsFor(field).includes(operator)) {
+    throw new Error(`Operator for ${field} must be one of ${operatorsFor(field).join(', ')}`);
+  }
+  if (field === 'amount') {
+    const numbers = operator === 'between' ? value : [value];
+    if (!Array.isArray(numbers) || numbers.length !== (operator === 'between' ? 2 : 1) ||
+        numbers.some(number => !Number.isFinite(Number(number)) || number === '' || number === null)) {
+      throw new Error(operator === 'between' ? 'Between needs [min, max] amounts' : 'Amount conditions need a number');
+    }
+  } else if (typeof value !== 'string' || !value.trim() || value.length > 100) {
+    throw new Error(`The ${field} condition needs a value of up to 100 characters`);
+  }
+  if (field === 'type' && !['income', 'expense'].includes(value.trim().toLowerCase())) {
+    throw new Error('Type conditions must be income or expense');
+  }
+  return true;
+};
+
+const conditionsValidation = () => body('conditions')
+  .isArray({ min: 1, max: MAX_CONDITIONS })
+  .withMessage(`A rule needs between 1 and ${MAX_CONDITIONS} conditions`)
+  .bail()
+  .custom(conditions => conditions.every(checkCondition));
+
+const actionsValidation = ({ optional = false } = {}) => [
+  body('actions')
+    .optional(optional ? {} : false)
+    .isObject()
+    .withMessage('Actions are required')
+    .bail()
+    .custom(actions => {
+      const hasTags = Array.isArray(actions.tags) ? actions.tags.length > 0 : Boolean(actions.tags);
+      if (!actions.category && !hasTags && !actions.merchant && !actions.accountId) {
+        throw new Error('A rule must set a category, tags, a merchant or an account');
+      }
+      return true;
+    }),
+  // A category must exist for the type the rule is limited to, or for either type
+  body('actions.category')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(async (value, { req }) => {
+      const typeCondition = (req.body.conditions || [])
+        .find(condition => condition && condition.field === 'type' && condition.operator === 'equals');
+      const types = typeCondition ? [String(typeCondition.value).trim().toLowerCase()] : ['expense', 'income'];
+      for (const type of types) {
+        if (await Category.isValidForUser(req.userId, value, type)) return true;
+      }
+      throw new Error(`Invalid category "${value}"`);
+    }),
+  body('actions.tags')
+    .optional({ values: 'null' })
+    .isArray({ max: Transaction.MAX_TAGS })
+    .withMessage(`A rule can add at most ${Transaction.MAX_TAGS} tags`),
+  body('actions.merchant')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: MAX_MERCHANT_LENGTH })
+    .withMessage(`Merchant cannot exceed ${MAX_MERCHANT_LENGTH} characters`),
+  body('actions.accountId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid account')
+    .bail()
+    .custom(customValidators.userAccount)
+];
+
+const priorityValidation = () => body('priority')
+  .optional()
+  .isInt({ min: 0, max: 10000 })
+  .withMessage('Priority must be a whole number from 0');
+
+const idValidation = () => param('id')
+  .isMongoId()
+  .withMessage('Invalid id format');
+
+const createRuleValidation = [
+  nameValidation(),
+  body('matchType')
+    .optional()
+    .isIn(['all', 'any'])
+    .withMessage('Match type must be all or any'),
+  conditionsValidation(),
+  ...actionsValidation(),
+  priorityValidation(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const updateRuleValidation = [
+  idValidation(),
+  nameValidation().optional(),
+  body('matchType')
+    .optional()
+    .isIn(['all', 'any'])
+    .withMessage('Match type must be all or any'),
+  conditionsValidation().optional(),
+  ...actionsValidation({ optional: true }),
+  priorityValidation(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const reorderValidation = [
+  body('ruleIds')
+    .isArray({ min: 1 })
+    .withMessage('Provide the rule IDs in their new order'),
+  body('ruleIds.*')
+    .isMongoId()
+    .withMessage('Invalid rule id')
+];
+
+const reapplyValidation = [
+  body('ruleIds')
+    .optional()
+    .isArray()
+    .withMessage('ruleIds must be a list'),
+  body('ruleIds.*')
+    .isMongoId()
+    .withMessage('Invalid rule id'),
+  body('startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+];
+
+// Routes
+router.get('/', auth, getRules);
+router.post('/', auth, createRuleValidation, createRule);
+router.post('/reorder', auth, reorderValidation, reorderRules);
+router.post('/apply', auth, reapplyValidation, reapplyRules);
+router.put('/:id', auth, updateRuleValidation, updateRule);
+router.delete('/:id', auth, [idValidation()], deleteRule);
+
+module.exports = router;
@@ -1,35 +1,384 @@
 const express = require('express');
-const { body } = require('express-validator');
+const path = require('path');
+const mongoose = require('mongoose');
+const { body, query, param } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const { uploadStatement } = require('../middleware/upload');
+const { customValidators } = require('../utils/validator');
+const { CURRENCY_CODES, MAX_AMOUNT } = require('../utils/currencies');
+const { MAX_MERCHANT_LENGTH } = require('../utils/merchants');
+const { parseSearchQuery, highlightTransaction } = require('../utils/searchQuery');
 const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const Merchant = require('../models/Merchant');
+const Category = require('../models/Category');
+const importService = require('../services/importService');
+const exportService = require('../services/exportService');
+const currencyService = require('../services/currencyService');
+const transactionParserService = require('../services/transactionParserService');
+const categoryLearningService = require('../services/categoryLearningService');
+const bulkTransactionService = require('../services/bulkTransactionService');
+const trashService = require('../services/trashService');
+const transactionHistory = require('../services/transactionHistoryService');
 
 const router = express.Router();
 
+const { TRANSFER_CATEGORY, CATEGORY_SOURCES } = Transaction;
+const MAX_SPLITS = 20;
+
+// Whether the request breaks the amount down across categories
+const hasSplits = (body) => Array.isArray(body.splits) && body.splits.length > 0;
+
 // Validation rules
 const transactionValidation = [
   body('type')
-    .isIn(['income', 'expense'])
-    .withMessage('Type must be either income or expense'),
+    .isIn(['income', 'expense', 'transfer'])
+    .withMessage('Type must be income, expense or transfer'),
   body('amount')
-    .isFloat({ min: 0.01, max: 10000000 })
-    .withMessage('Amount must be between ₹0.01 and ₹1,00,00,000'),
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage('Amount must be between 0.01 and 1,000,000,000'),
+  body('currency')
+    .optional({ values: 'falsy' })
+    .toUpperCase()
+    .isIn(CURRENCY_CODES)
+    .withMessage('Unsupported currency'),
+  body('exchangeRate')
+    .optional({ values: 'falsy' })
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be a positive number'),
+  // Transfers are filed under the fixed "Transfer" category and split transactions under their largest part
   body('category')
-    .isIn([
-      'Food & Dining', 'Transportation', 'Shopping', 'Entertainment',
-      'Healthcare', 'Utilities', 'Education', 'Travel', 'Salary',
-      'Business', 'Investment', 'Others'
-    ])
-    .withMessage('Invalid category selected'),
+    .if((value, { req }) => req.body.type !== 'transfer' && !hasSplits(req.body))
+    .trim()
+    .notEmpty()
+    .withMessage('Category is required')
+    .bail()
+    .custom(customValidators.userCategory),
+  body('splits')
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_SPLITS })
+    .withMessage(`Splits must be a list of at most ${MAX_SPLITS} parts`)
+    .bail()
+    .custom((splits, { req }) => {
+      if (splits.length === 0) return true;
+      if (req.body.type === 'transfer') {
+        throw new Error('Transfers cannot be split');
+      }
+      if (splits.length < 2) {
+        throw new Error('A split transaction needs at least two parts');
+      }
+      const total = splits.reduce((sum, split) => sum + (parseFloat(split && split.amount) || 0), 0);
+      if (Math.abs(total - parseFloat(req.body.amount)) > 0.01) {
+        throw new Error(`Splits add up to ${total.toFixed(2)} but the amount is ${parseFloat(req.body.amount).toFixed(2)}`);
+      }
+      return true;
+    }),
+  body('splits.*.category')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each split needs a category')
+    .bail()
+    .custom(customValidators.userCategory),
+  body('splits.*.amount')
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage('Each split amount must be between 0.01 and 1,000,000,000'),
+  body('splits.*.note')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Split notes cannot exceed 100 characters'),
+  body('accountId')
+    .if(body('type').not().equals('transfer'))
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid account')
+    .bail()
+    .custom(customValidators.userAccount),
+  body('accountId')
+    .if(body('type').equals('transfer'))
+    .notEmpty()
+    .withMessage('Source account is required for transfers')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid account')
+    .bail()
+    .custom(customValidators.userAccount),
+  body('toAccountId')
+    .if(body('type').equals('transfer'))
+    .notEmpty()
+    .withMessage('Destination account is required for transfers')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid account')
+    .bail()
+    .custom((value, { req }) => {
+      if (value === req.body.accountId) {
+        throw new Error('Source and destination accounts must be different');
+      }
+      return true;
+    })
+    .bail()
+    .custom(customValidators.userAccount),
   body('description')
     .optional()
     .isLength({ max: 200 })
     .withMessage('Description cannot exceed 200 characters'),
+  body('merchant')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Merchant must be text')
+    .bail()
+    .isLength({ max: MAX_MERCHANT_LENGTH })
+    .withMessage(`Merchant cannot exceed ${MAX_MERCHANT_LENGTH} characters`),
+  body('categorySuggestion.category')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Suggested category must be text'),
+  body('categorySuggestion.source')
+    .optional({ values: 'null' })
+    .isIn(CATEGORY_SOURCES)
+    .withMessage(`Suggestion source must be one of ${CATEGORY_SOURCES.join(', ')}`),
+  body('categorySuggestion.confidence')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Suggestion confidence must be between 0 and 100'),
+  body('tags')
+    .optional({ values: 'null' })
+    .isArray({ max: Transaction.MAX_TAGS })
+    .withMessage(`Tags must be a list of at most ${Transaction.MAX_TAGS} tags`),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be text'),
   body('date')
     .optional()
     .isISO8601()
     .withMessage('Please provide a valid date')
 ];
 
+const tagSuggestionValidation = [
+  query('q')
+    .optional()
+    .isLength({ max: 30 })
+    .withMessage('Search term cannot exceed 30 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(exportService.EXPORT_FORMATS))
+    .withMessage('Format must be one of csv, xlsx or json')
+];
+
+// Build the list query from the type, category, merchant, account, tag, date range and search filters
+const buildTransactionFilter = async (userId, { type, category, merchant, accountId, recurringTransactionId, tags, startDate, endDate, search }) => {
+  const filter = { userId };
+
+  if (type && ['income', 'expense', 'transfer'].includes(type)) filter.type = type;
+  // Category, account and search filters may each be an $or, so they are combined with $and
+  const conditions = [];
+  if (category && typeof category === 'string') {
+    conditions.push({ $or: [{ category }, { 'splits.category': category }] });
+  }
+  if (accountId && mongoose.Types.ObjectId.isValid(accountId)) {
+    conditions.push({ $or: [{ accountId }, { toAccountId: accountId }] });
+  }
+
+  if (merchant && typeof merchant === 'string') filter.merchant = merchant;
+
+  // Transactions generated by one recurring rule
+  if (recurringTransactionId && mongoose.Types.ObjectId.isValid(recurringTransactionId)) {
+    filter.recurringTransactionId = recurringTransactionId;
+  }
+
+  // Comma-separated tags must all be present
+  const tagList = Transaction.normalizeTags(tags);
+  if (tagList.length > 0) filter.tags = { $all: tagList };
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      filter.date.$lte = end;
+    }
+  }
+
+  // Words go to the text index, field:value pairs become filters (see utils/searchQuery)
+  if (search && typeof search === 'string') {
+    const parsed = parseSearchQuery(search);
+    conditions.push(...parsed.conditions);
+    if (parsed.text) {
+      const text = { $search: parsed.text };
+      // The index only matches whole words; parts of words ("amaz") are matched with patterns
+      const textMatches = await Transaction.exists({
+        ...filter,
+        $text: text,
+        ...(conditions.length > 0 ? { $and: conditions } : {})
+      });
+      if (textMatches) {
+        filter.$text = text;
+      } else {
+        conditions.push(...parsed.patterns);
+      }
+    }
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+
+  return filter;
+};
+
+// Category, splits and account fields to store for the given transaction type
+const getTransactionDetails = ({ type, category, splits, accountId, toAccountId }) => {
+  const details = {
+    category: type === 'transfer' ? TRANSFER_CATEGORY : category,
+    accountId: accountId || null,
+    toAccountId: type === 'transfer' ? toAccountId : null
+  };
+
+  if (type !== 'transfer' && Array.isArray(splits) && splits.length > 0) {
+    details.splits = splits.map(split => ({
+      category: split.category,
+      amount: parseFloat(split.amount),
+      note: split.note || ''
+    }));
+    // The largest part doubles as the transaction's main category
+    details.category = details.splits.reduce((largest, split) => (split.amount > largest.amount ? split : largest)).category;
+  }
+
+  return details;
+};
+
+// Category the client was offered before the user saved, kept to learn from corrections
+const getCategorySuggestion = ({ type, categorySuggestion }) => {
+  if (type === 'transfer' || !categorySuggestion?.category) return null;
+  return {
+    category: categorySuggestion.category,
+    source: categorySuggestion.source || null,
+    confidence: categorySuggestion.confidence != null ? Number(categorySuggestion.confidence) : null
+  };
+};
+
+const parseValidation = [
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Describe the transaction, e.g. "paid 450 for uber yesterday"')
+    .bail()
+    .isLength({ max: 200 })
+    .withMessage('Text cannot exceed 200 characters')
+];
+
+const MAX_IMPORT_ROWS = 1000;
+
+const importConfirmValidation = [
+  body('transactions')
+    .isArray({ min: 1, max: MAX_IMPORT_ROWS })
+    .withMessage(`Provide between 1 and ${MAX_IMPORT_ROWS} transactions to import`),
+  body('accountId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid account')
+];
+
+const { BULK_ACTIONS, MAX_BULK_TRANSACTIONS } = bulkTransactionService;
+
+// Either a list of IDs or a list filter (the same fields as GET /api/transactions) picks the transactions
+const bulkValidation = [
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of ${BULK_ACTIONS.join(', ')}`),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_TRANSACTIONS })
+    .withMessage(`Select between 1 and ${MAX_BULK_TRANSACTIONS} transactions`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid transaction id'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object')
+    .bail()
+    .custom((value, { req }) => {
+      if (req.body.ids) throw new Error('Send either ids or a filter, not both');
+      return true;
+    }),
+  // Anything but a string would reach the query as an operator, e.g. { category: { $ne: null } }
+  body('filter.type')
+    .optional({ values: 'falsy' })
+    .isIn(['income', 'expense', 'transfer'])
+    .withMessage('Type must be income, expense or transfer'),
+  body('filter.category')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Category must be text'),
+  body('filter.accountId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid account'),
+  body('filter.tags')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Tags must be a comma-separated list'),
+  body('filter.search')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Search must be text'),
+  body('filter.startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('filter.endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+  body()
+    .custom(value => {
+      if (!value.ids && !value.filter) throw new Error('Send the ids of the transactions or a filter matching them');
+      return true;
+    }),
+  body('category')
+    .if(body('action').equals('recategorize'))
+    .trim()
+    .notEmpty()
+    .withMessage('Choose the new category')
+    .bail()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot exceed 50 characters')
+    .bail()
+    .custom(async (value, { req }) => {
+      const valid = await Promise.all(['expense', 'income'].map(type => Category.isValidForUser(req.userId, value, type)));
+      if (!valid.some(Boolean)) throw new Error(`Invalid category "${value}"`);
+      return true;
+    }),
+  body('tags')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .custom(value => {
+      if (Transaction.normalizeTags(value).length === 0) throw new Error('List the tags to add or remove');
+      if (Transaction.normalizeTags(value).length > Transaction.MAX_TAGS) {
+        throw new Error(`Add or remove at most ${Transaction.MAX_TAGS} tags at a time`);
+      }
+      return true;
+    }),
+  body('days')
+    .if(body('action').equals('shiftDate'))
+    .isInt({ min: -3650, max: 3650 })
+    .withMessage('Days must be a whole number between -3650 and 3650')
+    .bail()
+    .custom(value => {
+      if (parseInt(value, 10) === 0) throw new Error('Move the dates by at least one day');
+      return true;
+    })
+];
+
 // Create transaction
 router.post('/', auth, transactionValidation, async (req, res) => {
   try {
@@ -42,19 +391,41 @@ router.post('/', auth, transactionValidation, async (req, res) => {
       });
     }
 
-    const { type, amount, category, description, date } = req.body;
+    const { type, amount, description, date } = req.body;
+    const { currency, exchangeRate } = await currencyService.resolveTransactionCurrency(
+      req.userId, req.body.currency, req.body.exchangeRate, req.user.baseCurrency
+    );
 
+    const suggestion = getCategorySuggestion(req.body);
     const transaction = new Transaction({
       userId: req.userId,
       type,
       amount: parseFloat(amount),
-      category,
+      currency,
+      exchangeRate,
+      ...getTransactionDetails(req.body),
       description: description || '',
+      // Normalized on save, and guessed from the description when left empty
+      merchant: req.body.merchant || null,
+      categorySuggestion: suggestion,
+      tags: req.body.tags,
       date: date ? new Date(date) : new Date()
     });
 
     await transaction.save();
 
+    // The user changed the category quick add or the categorize endpoint suggested
+    if (suggestion) {
+      await categoryLearningService.recordCorrection(req.userId, {
+        transactionId: transaction._id,
+        type: transaction.type,
+        text: categoryLearningService.transactionText(transaction),
+        fromCategory: suggestion.category,
+        toCategory: transaction.category,
+        source: suggestion.source
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Transaction created successfully',
@@ -69,6 +440,211 @@ router.post('/', auth, transactionValidation, async (req, res) => {
   }
 });
 
+// Turn a quick-add phrase like "paid 450 for uber yesterday" into a draft transaction to confirm
+router.post('/parse', auth, parseValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { draft, source } = await transactionParserService.parseTransaction(req.userId, req.body.text, {
+      baseCurrency: req.user.baseCurrency
+    });
+
+    if (!draft) {
+      return res.status(422).json({
+        success: false,
+        message: 'Could not find an amount. Try something like "paid 450 for uber yesterday".'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { draft, source }
+    });
+  } catch (error) {
+    console.error('Parse transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read the transaction'
+    });
+  }
+});
+
+// Parse a CSV/OFX bank statement and return a preview to confirm
+router.post('/import', auth, uploadStatement('file'), async (req, res) => {
+  try {
+    const content = req.file.buffer.toString('utf8');
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const format = ['csv', 'ofx'].includes(req.body.format)
+      ? req.body.format
+      : (['.ofx', '.qfx'].includes(extension) || /<OFX>/i.test(content) ? 'ofx' : 'csv');
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Column mapping must be valid JSON'
+        });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = format === 'ofx'
+        ? importService.parseOFX(content)
+        : importService.parseCSV(content, { mapping, dateFormat: req.body.dateFormat });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Statements are limited to ${MAX_IMPORT_ROWS} transactions per import`
+      });
+    }
+
+    const transactions = await importService.buildPreview(req.userId, parsed.rows);
+    const duplicates = transactions.filter(transaction => transaction.isDuplicate).length;
+
+    res.json({
+      success: true,
+      message: 'Statement parsed successfully',
+      data: {
+        format,
+        transactions,
+        errors: parsed.errors,
+        summary: {
+          total: transactions.length,
+          duplicates,
+          new: transactions.length - duplicates,
+          invalid: parsed.errors.length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to parse statement'
+    });
+  }
+});
+
+// Save the transactions confirmed from an import preview
+router.post('/import/confirm', auth, importConfirmValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let account = null;
+    if (req.body.accountId) {
+      account = await Account.findOne({ _id: req.body.accountId, userId: req.userId }).lean();
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+    }
+
+    const { transactions, skipped, failed } = await importService.commitImport(req.userId, req.body.transactions, account);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${transactions.length} transaction${transactions.length === 1 ? '' : 's'}`,
+      data: {
+        imported: transactions.length,
+        transactions,
+        skipped,
+        failed
+      }
+    });
+  } catch (error) {
+    console.error('Import confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import transactions'
+    });
+  }
+});
+
+// Delete, recategorize, tag or move many transactions at once
+router.post('/bulk', auth, bulkValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, ids, filter } = req.body;
+    const query = ids
+      ? { userId: req.userId, _id: { $in: ids } }
+      : await buildTransactionFilter(req.userId, filter);
+
+    // "All matching" is only applied when every match fits in one request
+    if (!ids) {
+      const total = await Transaction.countDocuments(query);
+      if (total > MAX_BULK_TRANSACTIONS) {
+        return res.status(400).json({
+          success: false,
+          message: `${total} transactions match; narrow the filter to at most ${MAX_BULK_TRANSACTIONS}`
+        });
+      }
+    }
+
+    const result = await bulkTransactionService.applyBulkAction(req.userId, query, {
+      action,
+      ids,
+      category: req.body.category,
+      tags: req.body.tags,
+      days: parseInt(req.body.days, 10) || 0
+    });
+    const count = `${result.succeeded} transaction${result.succeeded === 1 ? '' : 's'}`;
+    const done = {
+      delete: `Moved ${count} to the trash`,
+      recategorize: `Recategorized ${count}`,
+      addTags: `Tagged ${count}`,
+      removeTags: `Untagged ${count}`,
+      shiftDate: `Changed the date of ${count}`
+    }[action];
+
+    res.json({
+      success: true,
+      message: result.failed > 0 ? `${done}; ${result.failed} could not be changed` : done,
+      data: result
+    });
+  } catch (error) {
+    console.error('Bulk transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update transactions'
+    });
+  }
+});
+
 // Update transaction
 router.put('/:id', auth, transactionValidation, async (req, res) => {
   try {
@@ -81,15 +657,33 @@ router.put('/:id', auth, transactionValidation, async (req, res) => {
       });
     }
 
-    const { type, amount, category, description, date } = req.body;
+    const { type, amount, description, date } = req.body;
+    const { currency, exchangeRate } = await currencyService.resolveTransactionCurrency(
+      req.userId, req.body.currency, req.body.exchangeRate, req.user.baseCurrency
+    );
+    
+    const details = getTransactionDetails(req.body);
+    const previous = await Transaction.findOne({ _id: req.params.id, userId: req.userId })
+      .select(`${transactionHistory.SNAPSHOT_SELECT} categorySuggestion`)
+      .lean();
+    // Updates skip the model's hooks, so normalize the merchant here
+    const merchant = req.body.merchant
+      ? (await Merchant.resolve(req.userId, req.body.merchant))?.name || null
+      : null;
     
     const transaction = await Transaction.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
       {
         type,
         amount: parseFloat(amount),
-        category,
+        currency,
+        exchangeRate,
+        ...details,
+        ...(!details.splits && { $unset: { splits: 1 } }),
         description: description || '',
+        // Clients that don't send a merchant or tags leave them untouched
+        ...((req.body.merchant !== undefined || type === 'transfer') && { merchant: type === 'transfer' ? null : merchant }),
+        ...(req.body.tags !== undefined && { tags: req.body.tags || [] }),
         date: date ? new Date(date) : new Date()
       },
       { new: true, runValidators: true }
@@ -102,6 +696,20 @@ router.put('/:id', auth, transactionValidation, async (req, res) => {
       });
     }
 
+    await transactionHistory.recordUpdate(req.userId, previous, transaction);
+
+    // Recategorizing a transaction whose category the app picked is a correction to learn from
+    if (previous?.categorySuggestion && previous.category !== transaction.category) {
+      await categoryLearningService.recordCorrection(req.userId, {
+        transactionId: transaction._id,
+        type: transaction.type,
+        text: categoryLearningService.transactionText(transaction),
+        fromCategory: previous.category,
+        toCategory: transaction.category,
+        source: previous.categorySuggestion.source
+      });
+    }
+
     res.json({
       success: true,
       message: 'Transaction updated successfully',
@@ -120,37 +728,32 @@ router.put('/:id', auth, transactionValidation, async (req, res) => {
 // Get transactions with pagination and filters
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, category, startDate, endDate, search } = req.query;
-    const filter = { userId: req.userId };
-    
-    if (type && ['income', 'expense'].includes(type)) filter.type = type;
-    if (category) filter.category = category;
-    
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        filter.date.$lte = end;
-      }
-    }
-    
-    if (search) filter.description = { $regex: search, $options: 'i' };
+    const { page = 1, limit = 10 } = req.query;
+    const filter = await buildTransactionFilter(req.userId, req.query);
+    // Text searches list the best matches first unless asked to sort by date
+    const byRelevance = Boolean(filter.$text) && req.query.sort !== 'date';
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const [transactions, total] = await Promise.all([
       Transaction.find(filter)
-        .sort({ date: -1, createdAt: -1 })
+        .select(byRelevance ? { score: { $meta: 'textScore' } } : {})
+        .sort(byRelevance ? { score: { $meta: 'textScore' }, date: -1 } : { date: -1, createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
       Transaction.countDocuments(filter)
     ]);
 
+    const parsedSearch = req.query.search ? parseSearchQuery(String(req.query.search)) : null;
+
     res.json({
       success: true,
       data: {
-        transactions,
+        transactions: parsedSearch
+          ? transactions.map(transaction => {
+            const plain = transaction.toJSON();
+            return { ...plain, highlights: highlightTransaction(plain, parsedSearch) };
+          })
+          : transactions,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -170,6 +773,69 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Suggest previously used tags for autocomplete
+router.get('/tags', auth, tagSuggestionValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tags = await Transaction.getTagSuggestions(
+      req.userId,
+      req.query.q || '',
+      parseInt(req.query.limit, 10) || 10
+    );
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tags'
+    });
+  }
+});
+
+// Export all transactions matching the list filters as CSV, XLSX or JSON
+router.get('/export', auth, exportValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const cursor = Transaction.find(await buildTransactionFilter(req.userId, req.query))
+      .sort({ date: -1, createdAt: -1 })
+      .lean()
+      .cursor();
+
+    await exportService.streamTransactions(cursor, format, res);
+  } catch (error) {
+    console.error('Export transactions error:', error);
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export transactions'
+    });
+  }
+});
+
 // Analytics endpoint
 router.get('/analytics', auth, async (req, res) => {
   try {
@@ -207,6 +873,7 @@ router.get('/analytics', auth, async (req, res) => {
     const result = analyticsArr && analyticsArr[0] ? analyticsArr[0] : {
       totalsByType: [],
       categoryBreakdown: [],
+      tagBreakdown: [],
       monthlyTrend: [],
       heatmapData: [],
       transactions: includeTransactions ? [] : undefined
@@ -221,6 +888,13 @@ router.get('/analytics', auth, async (req, res) => {
       percentage: totals.expense > 0 ? (item.total / totals.expense) * 100 : 0
     }));
 
+    const tagBreakdown = (result.tagBreakdown || []).map(item => ({
+      name: item._id,
+      expense: item.expense || 0,
+      income: item.income || 0,
+      count: item.count || 0
+    }));
+
     const monthlyTrendMap = {};
     (result.monthlyTrend || []).forEach(item => {
       const key = `${item._id.year}-${String(item._id.month).padStart(2, '0')}`;
@@ -244,9 +918,11 @@ router.get('/analytics', auth, async (req, res) => {
         totalIncome: totals.income,
         totalExpense: totals.expense,
         balance: totals.income - totals.expense,
+        currency: req.user.baseCurrency || 'INR',
         period: { startDate, endDate }
       },
       categoryBreakdown,
+      tagBreakdown,
       monthlyTrend,
       heatmapData,
       totalTransactions: (result.totalsByType || []).reduce((sum, t) => sum + (t.count || 0), 0)
@@ -267,14 +943,241 @@ router.get('/analytics', auth, async (req, res) => {
   }
 });
 
-// Delete transaction
+const trashListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const trashIdsValidation = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_TRANSACTIONS })
+    .withMessage(`Provide between 1 and ${MAX_BULK_TRANSACTIONS} transaction ids`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid transaction id')
+];
+
+// Transactions in the trash, with the date each will be purged
+router.get('/trash', auth, trashListValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = await trashService.getTrash(req.userId, {
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || 20
+    });
+
+    res.json({
+      success: true,
+      data: { ...data, retentionDays: Transaction.TRASH_RETENTION_DAYS }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve deleted transactions'
+    });
+  }
+});
+
+// Restore transactions from the trash (also used to undo a delete)
+router.post('/trash/restore', auth, trashIdsValidation, async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const restored = await trashService.restore(req.userId, req.body.ids);
+    if (restored === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching transactions in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Restored ${restored} transaction${restored === 1 ? '' : 's'}`,
+      data: { restored }
+    });
+  } catch (error) {
+    console.error('Restore transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore transactions'
+    });
+  }
+});
+
+// Empty the trash
+router.delete('/trash', auth, async (req, res) => {
+  try {
+    const purged = await trashService.purge(req.userId);
+
+    res.json({
+      success: true,
+      message: `Permanently deleted ${purged} transaction${purged === 1 ? '' : 's'}`,
+      data: { purged }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty the trash'
+    });
+  }
+});
+
+// Permanently delete one transaction from the trash
+router.delete('/trash/:id', auth, [param('id').isMongoId().withMessage('Invalid id format')], async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purged = await trashService.purge(req.userId, [req.params.id]);
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transaction permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete transaction'
+    });
+  }
+});
+
+// Every version of a transaction, newest first
+router.get('/:id/history', auth, [param('id').isMongoId().withMessage('Invalid id format')], async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exists = await Transaction.exists({ _id: req.params.id, userId: req.userId });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const history = await transactionHistory.getHistory(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+  } catch (error) {
+    console.error('Get transaction history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve transaction history'
+    });
+  }
+});
+
+// Put a transaction back the way it was at an earlier version
+router.post('/:id/revert', auth, [
+  param('id').isMongoId().withMessage('Invalid id format'),
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive whole number')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = require('express-validator').validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await transactionHistory.revertTransaction(req.user, req.params.id, req.body.version);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction or version not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Transaction reverted to version ${req.body.version}`,
+      data: { transaction: result.transaction }
+    });
+  } catch (error) {
+    console.error('Revert transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revert transaction',
+      error: error.message
+    });
+  }
+});
+
+// Move a transaction to the trash, from where it can be restored until it is purged
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const transaction = await Transaction.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { deletedAt: new Date() },
+      { new: true }
+    );
     if (!transaction) {
       return res.status(404).json({ success: false, message: 'Transaction not found' });
     }
-    res.json({ success: true, message: 'Transaction deleted successfully' });
+    await transactionHistory.recordUpdate(req.userId, transaction, transaction, { action: 'delete' });
+    res.json({
+      success: true,
+      message: 'Transaction moved to trash',
+      data: { transaction, purgeAt: trashService.purgeDate(transaction.deletedAt) }
+    });
   } catch (error) {
     console.error('Delete transaction error:', error);
     res.status(500).json({ success: false, message: 'Failed to delete transaction' });
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const currencyService = require('./currencyService');
+
+/**
+ * Convert a transaction amount into an account's currency
+ * @param {Object} transaction - Amount, currency and exchange rate to the base currency
+ * @param {Object} account - Account with its currency
+ * @param {Object} rates - Rate table of the user ({ CODE: value in base })
+ * @returns {number} Amount in the account's currency
+ */
+const toAccountCurrency = (transaction, account, rates) => {
+  if (!transaction.currency || transaction.currency === account.currency) {
+    return transaction.amount;
+  }
+  const baseAmount = transaction.amount * (transaction.exchangeRate || 1);
+  return baseAmount / (rates[account.currency] || 1);
+};
+
+/**
+ * Signed effect of a transaction on an account's balance
+ * @param {Object} transaction - Lean transaction
+ * @param {string} accountId - The account being reported on
+ * @returns {number} 1 when money arrives in the account, -1 when it leaves
+ */
+const getDirection = (transaction, accountId) => {
+  if (transaction.type === 'income') return 1;
+  if (transaction.type === 'transfer' && String(transaction.toAccountId) === String(accountId)) return 1;
+  return -1;
+};
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Get the user's accounts with their current balances
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived accounts
+ * @returns {Promise<Object>} Accounts with balances and the net worth in the base currency
+ */
+const getAccountsWithBalances = async (userId, { includeArchived = false } = {}) => {
+  const query = { userId };
+  if (!includeArchived) query.isArchived = false;
+
+  const baseCurrency = await currencyService.getBaseCurrency(userId);
+  const [accounts, rates] = await Promise.all([
+    Account.find(query).sort({ isArchived: 1, name: 1 }).lean(),
+    ExchangeRate.getRateTable(userId, baseCurrency)
+  ]);
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const [outgoing, incoming] = await Promise.all([
+    // Income lands in accountId; expenses and transfers leave it
+    Transaction.aggregate([
+      { $match: { userId: userObjectId, accountId: { $ne: null } } },
+      {
+        $group: {
+          _id: { accountId: '$accountId', type: '$type', currency: '$currency' },
+          amount: { $sum: '$amount' },
+          baseAmount: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    // Transfers arrive in toAccountId
+    Transaction.aggregate([
+      { $match: { userId: userObjectId, type: 'transfer', toAccountId: { $ne: null } } },
+      {
+        $group: {
+          _id: { accountId: '$toAccountId', currency: '$currency' },
+          amount: { $sum: '$amount' },
+          baseAmount: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const convert = (group, account) => {
+    if (!group._id.currency || group._id.currency === account.currency) return group.amount;
+    return group.baseAmount / (rates[account.currency] || 1);
+  };
+
+  const items = accounts.map(account => {
+    const id = account._id.toString();
+    let balance = account.openingBalance || 0;
+    let transactionCount = 0;
+
+    outgoing
+      .filter(group => group._id.accountId.toString() === id)
+      .forEach(group => {
+        balance += (group._id.type === 'income' ? 1 : -1) * convert(group, account);
+        transactionCount += group.count;
+      });
+
+    incoming
+      .filter(group => group._id.accountId.toString() === id)
+      .forEach(group => {
+        balance += convert(group, account);
+        transactionCount += group.count;
+      });
+
+    return {
+      ...account,
+      balance: round(balance),
+      balanceInBase: round(balance * (rates[account.currency] || 1)),
+      transactionCount
+    };
+  });
+
+  return {
+    baseCurrency,
+    accounts: items,
+    netWorth: round(items
+      .filter(account => !account.isArchived)
+      .reduce((sum, account) => sum + account.balanceInBase, 0))
+  };
+};
+
+/**
+ * Get an account's transactions, newest first, with the balance after each one
+ * @param {string} userId - The ID of the user
+ * @param {string} accountId - The ID of the account
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Transactions per page
+ * @returns {Promise<Object|null>} Account, current balance and a page of the ledger, or null if not found
+ */
+const getAccountLedger = async (userId, accountId, { page = 1, limit = 20 } = {}) => {
+  const account = await Account.findOne({ _id: accountId, userId }).lean();
+  if (!account) return null;
+
+  const baseCurrency = await currencyService.getBaseCurrency(userId);
+  const [rates, transactions] = await Promise.all([
+    ExchangeRate.getRateTable(userId, baseCurrency),
+    Transaction.find({
+      userId,
+      $or: [{ accountId: account._id }, { toAccountId: account._id }]
+    })
+      .sort({ date: 1, createdAt: 1 })
+      .select('type amount currency exchangeRate category description date accountId toAccountId')
+      .lean()
+  ]);
+
+  // Running balances have to be built oldest first from the opening balance
+  let balance = account.openingBalance || 0;
+  const ledger = transactions.map(transaction => {
+    const change = getDirection(transaction, account._id) * toAccountCurrency(transaction, account, rates);
+    balance += change;
+    return {
+      ...transaction,
+      change: round(change),
+      runningBalance: round(balance)
+    };
+  });
+
+  ledger.reverse();
+  const skip = (page - 1) * limit;
+
+  return {
+    account: { ...account, balance: round(balance) },
+    transactions: ledger.slice(skip, skip + limit),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(ledger.length / limit),
+      totalItems: ledger.length,
+      itemsPerPage: limit,
+      hasNext: page * limit < ledger.length,
+      hasPrev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  getAccountsWithBalances,
+  getAccountLedger
+};
@@ -0,0 +1,286 @@
+/**
+ * Financial insights, advice, category suggestions and receipt analysis from the configured
+ * language model. Each has a template answer built from the same data for offline use.
+ */
+const llm = require('./llm');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, formatCurrency } = require('../utils/currencies');
+
+// Mask card numbers, long numbers (account/phone) and emails before anything leaves the server
+const maskSensitive = (text) => text
+  ?.replace(/\b(?:\d{4}[-\s]?){4}\b/g, '****')
+  .replace(/\b\d{10,}\b/g, '****')
+  .replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '****@****');
+
+// Prompt line pinning the model to the user's base currency
+const currencyInstruction = (currency = DEFAULT_CURRENCY) => {
+  const code = SUPPORTED_CURRENCIES[currency] ? currency : DEFAULT_CURRENCY;
+  const { name, symbol } = SUPPORTED_CURRENCIES[code];
+  return `All amounts are in ${name} (${code}). Always use ${symbol} and ${code} when mentioning currency. Format examples: ${formatCurrency(1000, code)}, ${formatCurrency(1234567, code)}.\n\n`;
+};
+
+const topEntries = (totals, limit) => Object.entries(totals)
+  .sort(([, a], [, b]) => b - a)
+  .slice(0, limit);
+
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+// Template insights: totals, top categories and the largest expenses for the period
+const buildInsightsTemplate = (transactions, dateRangeLabel, currency) => {
+  const format = (amount) => formatCurrency(amount, currency);
+  const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
+  const expenses = transactions.filter(t => t.type === 'expense');
+  const totalExpenses = expenses.reduce((sum, t) => sum + t.amount, 0);
+  const byCategory = expenses.reduce((totals, t) => {
+    totals[t.category] = (totals[t.category] || 0) + t.amount;
+    return totals;
+  }, {});
+  const topCategories = topEntries(byCategory, 3);
+  const largest = [...expenses].sort((a, b) => b.amount - a.amount).slice(0, 3);
+
+  const lines = [
+    `## Financial Analysis of Transactions (${dateRangeLabel})`,
+    '',
+    '### Spending Patterns',
+    `- ${transactions.length} transactions: ${format(income)} income and ${format(totalExpenses)} expenses`,
+    `- Net: ${format(income - totalExpenses)}`,
+    '',
+    '### High Expenditure Areas',
+    ...topCategories.map(([category, amount]) => `- ${category}: ${format(amount)} (${percentOf(amount, totalExpenses)}% of expenses)`),
+    ...largest.map(t => `- Largest: ${maskSensitive(t.description) || t.category} for ${format(t.amount)}`),
+    '',
+    '### Savings Opportunities',
+    topCategories.length > 0
+      ? `- Trimming ${topCategories[0][0]} by 10% would save ${format(topCategories[0][1] * 0.1)}`
+      : '- No expenses recorded in this period',
+    '',
+    '### Budget Recommendations',
+    income > 0
+      ? `- You spent ${percentOf(totalExpenses, income)}% of your income; aim to keep it under 80%`
+      : '- Record your income to compare spending against it',
+    '',
+    '### Conclusion',
+    income >= totalExpenses
+      ? '- You spent less than you earned. Keep an eye on your top categories.'
+      : '- You spent more than you earned. Set budgets for your top categories.'
+  ];
+  return lines.join('\n');
+};
+
+// Template advice: savings rate and the biggest categories to work on
+const buildAdviceTemplate = ({ monthlyIncome = 0, monthlyExpenses = 0, savingsRate = 0, expensesByCategory = {}, currency }) => {
+  const format = (amount) => formatCurrency(amount, currency);
+  const topCategories = topEntries(expensesByCategory, 3);
+  const target = Math.max(0, monthlyIncome * 0.2);
+
+  const lines = [
+    '## Financial Advice',
+    '',
+    '### Personalized Financial Recommendations',
+    `- Income ${format(monthlyIncome)}, expenses ${format(monthlyExpenses)}, savings rate ${savingsRate.toFixed(1)}%`,
+    savingsRate >= 20
+      ? '- Your savings rate is healthy. Move the surplus into a goal or investment.'
+      : `- Aim to save 20% of your income: ${format(target)} a month`,
+    '',
+    '### Specific Action Items',
+    ...topCategories.map(([category, amount]) => `- This month: set a budget for ${category} below ${format(amount * 0.9)}`),
+    '',
+    '### Areas for Financial Improvement',
+    topCategories.length > 0
+      ? `- ${topCategories.map(([category]) => category).join(', ')} make up most of your spending`
+      : '- Add transactions to see where your money goes',
+    '',
+    '### Long-term Planning Suggestions',
+    '- Build an emergency fund of 3–6 months of expenses',
+    '- Review recurring payments every quarter'
+  ];
+  return lines.join('\n');
+};
+
+/**
+ * Analyse a period's transactions
+ * @param {Object[]} transactions - Transactions with amounts in the base currency
+ * @param {Object} [options]
+ * @param {string} [options.dateRangeLabel='the last 30 days'] - Period named in the heading
+ * @param {string} [options.currency] - The user's base currency
+ * @returns {Promise<string>} Markdown insights
+ */
+const getFinancialInsights = async (transactions, options = {}) => {
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    throw new Error('No transactions provided for analysis');
+  }
+
+  const dateRangeLabel = options.dateRangeLabel || 'the last 30 days';
+
+  // Prepare transactions data for analysis - sanitize sensitive information
+  const sanitizedTransactions = transactions.map(t => ({
+    type: t.type,
+    amount: t.amount,
+    category: t.category,
+    date: t.date,
+    description: maskSensitive(t.description)
+  }));
+
+  const prompt = [
+    `Start your response with this exact heading: \n## Financial Analysis of Transactions (${dateRangeLabel})\n\n`,
+    'You are a financial analysis AI. Analyze these transactions and provide detailed insights.\n\n',
+    currencyInstruction(options.currency),
+    `Period: ${dateRangeLabel}\n\n`,
+    'Transactions:\n',
+    JSON.stringify(sanitizedTransactions, null, 2) + '\n\n',
+    'Please provide a detailed analysis with the following sections:\n',
+    '1. Spending Patterns: Identify recurring patterns and behaviors\n',
+    '2. High Expenditure Areas: List top spending categories and amounts\n',
+    '3. Savings Opportunities: Suggest specific areas where spending could be reduced\n',
+    '4. Budget Recommendations: Provide actionable budget advice based on the spending patterns\n\n',
+    'Finish with a concise Conclusion section summarizing key actions.\n',
+    'Format the response in clear sections with bullet points where appropriate.'
+  ].join('');
+
+  const text = await llm.complete([{ role: 'user', content: prompt }], {
+    temperature: 0.5,
+    maxTokens: 1024,
+    fallback: () => buildInsightsTemplate(transactions, dateRangeLabel, options.currency)
+  });
+
+  // Basic content safety check
+  const lower = text.toLowerCase();
+  if (lower.includes('unsafe') || lower.includes('harmful') || lower.includes('inappropriate')) {
+    throw new Error('Response contained potentially unsafe content');
+  }
+
+  return text;
+};
+
+/**
+ * Advise the user from a summary of their finances
+ * @param {Object} userContext - Income, expenses, savings rate and expenses by category, plus the base currency
+ * @returns {Promise<string>} Markdown advice
+ */
+const getFinancialAdvice = async (userContext) => {
+  if (!userContext) {
+    throw new Error('No user context provided for advice');
+  }
+
+  // Explicitly exclude any sensitive fields
+  const sanitizedContext = {
+    monthlyIncome: userContext.monthlyIncome,
+    monthlyExpenses: userContext.monthlyExpenses,
+    savingsRate: userContext.savingsRate,
+    expensesByCategory: userContext.expensesByCategory,
+    transactionCount: userContext.transactionCount
+  };
+
+  const prompt = [
+    'You are a professional financial advisor. Based on this user\'s financial context:\n\n',
+    currencyInstruction(userContext.currency),
+    JSON.stringify(sanitizedContext, null, 2) + '\n\n',
+    'Please provide detailed advice in these sections:\n',
+    '1. Personalized Financial Recommendations\n',
+    '2. Specific Action Items (with timeline)\n',
+    '3. Areas for Financial Improvement\n',
+    '4. Long-term Planning Suggestions\n\n',
+    'Format the response in clear sections with bullet points and timelines where appropriate.'
+  ].join('');
+
+  return llm.complete([{ role: 'user', content: prompt }], {
+    temperature: 0.5,
+    maxTokens: 1024,
+    fallback: () => buildAdviceTemplate(userContext)
+  });
+};
+
+/**
+ * Pick a category for a transaction from the given list
+ * @param {Object} transaction - Description, amount and type
+ * @param {string[]} categories - Allowed category names
+ * @returns {Promise<string|null>} One of the categories, or null when the model gives none of them
+ */
+const suggestCategory = async (transaction, categories) => {
+  if (!transaction || categories.length === 0) return null;
+
+  const sanitizedTransaction = {
+    amount: transaction.amount,
+    type: transaction.type,
+    description: maskSensitive(transaction.description)
+  };
+
+  const prompt = `Given this transaction:
+${JSON.stringify(sanitizedTransaction, null, 2)}
+Suggest the most appropriate category from these options:
+${categories.map(category => `- ${category}`).join('\n')}
+Only respond with one category name from the list above.`;
+
+  const text = await llm.complete([{ role: 'user', content: prompt }], { temperature: 0, maxTokens: 20 });
+
+  // Models sometimes add punctuation or change case
+  const answer = text.trim().replace(/^[-*\s"']+|[."'\s]+$/g, '').toLowerCase();
+  return categories.find(category => category.toLowerCase() === answer) || null;
+};
+
+/**
+ * Read a quick-add phrase such as "paid 450 for uber yesterday" into transaction fields
+ * @param {string} text - Phrase typed by the user
+ * @param {Object} options
+ * @param {string} options.today - Today's date (YYYY-MM-DD) for relative dates
+ * @param {string} options.baseCurrency - Currency when the phrase names none
+ * @param {Object} options.categories - The user's category names as { income: [], expense: [] }
+ * @returns {Promise<Object|null>} Fields as the model returned them, or null when its answer is not JSON
+ */
+const parseTransaction = async (text, { today, baseCurrency, categories }) => {
+  const prompt = `Today is ${today}. Extract a transaction from this note: "${maskSensitive(text)}"
+Respond with only a JSON object with these fields:
+{"type": "income" or "expense", "amount": number, "currency": currency code (default ${baseCurrency}), "date": "YYYY-MM-DD", "description": short description without the amount or date, "category": string}
+Expense categories: ${categories.expense.join(', ')}
+Income categories: ${categories.income.join(', ')}
+Pick the category from the list for the type.`;
+
+  const answer = await llm.complete([{ role: 'user', content: prompt }], { temperature: 0, maxTokens: 150 });
+
+  try {
+    return JSON.parse(answer.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Describe a receipt: merchant, category, tax deductions and anything suspicious
+ * @param {string} extractedText - OCR text of the receipt
+ * @param {number} [totalAmount] - Total read from the receipt
+ * @returns {Promise<string>} Markdown analysis
+ */
+const analyzeReceipt = async (extractedText, totalAmount) => {
+  if (!extractedText) {
+    throw new Error('No receipt text provided for analysis');
+  }
+
+  const prompt = [
+    'You are an expert receipt analyzer. Analyze this receipt:\n\n',
+    `Receipt Text:\n${extractedText}\n\n`,
+    `Total Amount: ${totalAmount || 'Not provided'}\n\n`,
+    'Please provide a detailed analysis with:\n',
+    '1. Merchant/Store Name (with confidence level)\n',
+    '2. Purchase Category\n',
+    '3. Potential Tax Deductions\n',
+    '4. Expense Classification (Necessary/Discretionary)\n',
+    '5. Any Red Flags or Inconsistencies\n\n',
+    'Format the response in clear sections.'
+  ].join('');
+
+  return llm.complete([{ role: 'user', content: prompt }], {
+    temperature: 0.5,
+    maxTokens: 1024,
+    fallback: () => {
+      const merchant = extractedText.split('\n').map(line => line.trim()).find(Boolean);
+      return `## Receipt Analysis\n\n- Merchant: ${merchant || 'Unknown'} (low confidence)\n- Total: ${totalAmount || 'Not provided'}`;
+    }
+  });
+};
+
+module.exports = {
+  getFinancialInsights,
+  getFinancialAdvice,
+  suggestCategory,
+  parseTransaction,
+  analyzeReceipt
+};
@@ -1,5 +1,7 @@
 const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
 const mongoose = require('mongoose');
+const { baseAmountExpression, categoryAmountsExpression } = require('../utils/currencies');
 
 /**
  * Get spending by category for a specific time period
@@ -24,12 +26,15 @@ const getSpendingByCategory = async (userId, startDate, endDate) => {
 
     console.log('MongoDB Match Query:', JSON.stringify(matchStage, null, 2));
 
+    // Split transactions count towards each split's own category
     const result = await Transaction.aggregate([
       { $match: matchStage },
+      { $project: { categoryAmounts: categoryAmountsExpression } },
+      { $unwind: '$categoryAmounts' },
       {
         $group: {
-          _id: '$category',
-          total: { $sum: { $abs: '$amount' } },
+          _id: '$categoryAmounts.category',
+          total: { $sum: { $abs: '$categoryAmounts.amount' } },
           count: { $sum: 1 },
           sampleIds: { $push: '$_id' }
         }
@@ -109,7 +114,7 @@ const getIncomeVsExpenses = async (userId, startDate, endDate) => {
       {
         $group: {
           _id: '$type',
-          amount: { $sum: '$amount' },
+          amount: { $sum: baseAmountExpression },
           count: { $sum: 1 }
         }
       }
@@ -184,6 +189,19 @@ const getRecentTransactions = async (userId, limit = 5, startDate, endDate) => {
   }
 };
 
+// $dateToString format for each trend grouping
+const getDateFormat = (groupBy) => {
+  switch (groupBy) {
+    case 'day':
+      return '%Y-%m-%d';
+    case 'week':
+      return '%Y-%U';
+    case 'month':
+    default:
+      return '%Y-%m';
+  }
+};
+
 /**
  * Get spending trends over time
  * @param {string} userId - The ID of the user
@@ -194,24 +212,13 @@ const getRecentTransactions = async (userId, limit = 5, startDate, endDate) => {
  */
 const getSpendingTrends = async (userId, startDate, endDate, groupBy = 'month') => {
   try {
-    let dateFormat;
-    switch (groupBy) {
-      case 'day':
-        dateFormat = '%Y-%m-%d';
-        break;
-      case 'week':
-        dateFormat = '%Y-%U';
-        break;
-      case 'month':
-      default:
-        dateFormat = '%Y-%m';
-    }
+    const dateFormat = getDateFormat(groupBy);
 
     return await Transaction.aggregate([
       {
         $match: {
-          userId: userId,
-          date: { $gte: startDate, $lte: endDate },
+          userId: new mongoose.Types.ObjectId(userId),
+          date: { $gte: new Date(startDate), $lte: new Date(endDate) },
           type: 'expense'
         }
       },
@@ -223,7 +230,7 @@ const getSpendingTrends = async (userId, startDate, endDate, groupBy = 'month')
               date: '$date'
             }
           },
-          total: { $sum: { $abs: '$amount' } },
+          total: { $sum: { $abs: baseAmountExpression } },
           count: { $sum: 1 }
         }
       },
@@ -237,28 +244,112 @@ const getSpendingTrends = async (userId, startDate, endDate, groupBy = 'month')
   }
 };
 
+/**
+ * Get income and expenses side by side over time
+ * @param {string} userId - The ID of the user
+ * @param {Date} startDate - Start date for the period
+ * @param {Date} endDate - End date for the period
+ * @param {string} groupBy - Grouping period ('day', 'week', 'month')
+ * @returns {Promise<Array>} Array of { _id: period, income, expense } in date order
+ */
+const getCashFlowTrends = async (userId, startDate, endDate, groupBy = 'month') => {
+  try {
+    return await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+          type: { $in: ['income', 'expense'] }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: getDateFormat(groupBy),
+              date: '$date'
+            }
+          },
+          income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, baseAmountExpression, 0] } },
+          expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, baseAmountExpression, 0] } }
+        }
+      },
+      {
+        $sort: { _id: 1 }
+      }
+    ]);
+  } catch (error) {
+    console.error('Error in getCashFlowTrends:', error);
+    return [];
+  }
+};
+
+/**
+ * Get active recurring expenses due within the next few days
+ * @param {string} userId - The ID of the user
+ * @param {number} [days=30] - How far ahead to look
+ * @param {number} [limit=5] - Maximum number of bills to return
+ * @returns {Promise<Array>} Recurring expenses ordered by due date, with daysUntil (0 when due or overdue)
+ */
+const getUpcomingBills = async (userId, days = 30, limit = 5) => {
+  try {
+    const now = new Date();
+    const horizon = new Date(now);
+    horizon.setDate(horizon.getDate() + days);
+
+    // Overdue rules are included; the scheduler will post them on its next run
+    const bills = await RecurringTransaction.find({
+      userId,
+      type: 'expense',
+      isActive: true,
+      nextOccurrence: { $lte: horizon },
+      $or: [
+        { endDate: { $exists: false } },
+        { endDate: null },
+        { endDate: { $gte: now } }
+      ]
+    })
+      .sort({ nextOccurrence: 1 })
+      .limit(limit)
+      .select('description category amount frequency nextOccurrence accountId')
+      .lean();
+
+    return bills.map(bill => ({
+      ...bill,
+      daysUntil: Math.max(0, Math.ceil((new Date(bill.nextOccurrence) - now) / (1000 * 60 * 60 * 24)))
+    }));
+  } catch (error) {
+    console.error('Error in getUpcomingBills:', error);
+    return [];
+  }
+};
+
 /**
  * Get top N transactions by amount
  * @param {string} userId - The ID of the user
  * @param {number} limit - Maximum number of transactions to return
  * @param {Date} [startDate] - Optional start date filter
  * @param {Date} [endDate] - Optional end date filter
- * @returns {Promise<Array>} Array of transactions sorted by amount (descending)
+ * @returns {Promise<Array>} Array of transactions sorted by their amount in the base currency (descending)
  */
 const getTopTransactions = async (userId, limit = 5, startDate, endDate) => {
   try {
-    const match = { userId };
+    // Transfers between the user's own accounts are not spending or earning
+    const match = { userId: new mongoose.Types.ObjectId(userId), type: { $ne: 'transfer' } };
     
     if (startDate || endDate) {
       match.date = {};
-      if (startDate) match.date.$gte = startDate;
-      if (endDate) match.date.$lte = endDate;
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) match.date.$lte = new Date(endDate);
     }
 
-    return await Transaction.find(match)
-      .sort({ amount: -1 })
-      .limit(limit)
-      .lean();
+    // Ranked in the base currency, so amounts in different currencies compare fairly
+    return await Transaction.aggregate([
+      { $match: match },
+      { $addFields: { baseAmount: baseAmountExpression } },
+      { $sort: { baseAmount: -1, date: -1 } },
+      { $limit: limit }
+    ]);
   } catch (error) {
     console.error('Error in getTopTransactions:', error);
     return [];
@@ -295,5 +386,7 @@ module.exports = {
   getRecentTransactions,
   countTransactions,
   getTopTransactions,
-  getSpendingTrends
+  getSpendingTrends,
+  getCashFlowTrends,
+  getUpcomingBills
 };
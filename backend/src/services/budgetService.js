@@ -0,0 +1,68 @@
+const Budget = require('../models/Budget');
+const analyticsService = require('./analyticsService');
+
+/**
+ * Get spent vs. limit vs. remaining for each of the user's budgets
+ * @param {string} userId - The ID of the user
+ * @param {Date} [referenceDate] - Any date inside the period to report on (defaults to today)
+ * @returns {Promise<Object>} Period range, per-category budget status and overall totals
+ */
+const getBudgetStatus = async (userId, referenceDate = new Date()) => {
+  const { start, end } = Budget.getPeriodRange(referenceDate);
+
+  const [budgets, spendingByCategory] = await Promise.all([
+    Budget.find({ userId }).sort({ category: 1 }).lean(),
+    analyticsService.getSpendingByCategory(userId, start, end)
+  ]);
+
+  const items = budgets.map(budget => {
+    const spent = Number((spendingByCategory[budget.category] || 0).toFixed(2));
+    const remaining = Number((budget.amount - spent).toFixed(2));
+    const percentUsed = budget.amount > 0 ? Number(((spent / budget.amount) * 100).toFixed(1)) : 0;
+    const threshold = budget.alertThreshold || 80;
+
+    let status = 'on_track';
+    if (spent > budget.amount) {
+      status = 'over_budget';
+    } else if (percentUsed >= threshold) {
+      status = 'near_limit';
+    }
+
+    return {
+      _id: budget._id,
+      category: budget.category,
+      limit: budget.amount,
+      spent,
+      remaining,
+      percentUsed,
+      alertThreshold: threshold,
+      isOverBudget: spent > budget.amount,
+      status
+    };
+  });
+
+  const totals = items.reduce((acc, item) => {
+    acc.limit += item.limit;
+    acc.spent += item.spent;
+    return acc;
+  }, { limit: 0, spent: 0 });
+
+  return {
+    period: {
+      start,
+      end,
+      label: start.toLocaleString('en-US', { month: 'long', year: 'numeric' })
+    },
+    budgets: items,
+    totals: {
+      limit: Number(totals.limit.toFixed(2)),
+      spent: Number(totals.spent.toFixed(2)),
+      remaining: Number((totals.limit - totals.spent).toFixed(2)),
+      overBudgetCount: items.filter(item => item.isOverBudget).length
+    }
+  };
+};
+
+module.exports = {
+  getBudgetStatus
+};
@@ -0,0 +1,158 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const categoryLearningService = require('./categoryLearningService');
+const trashService = require('./trashService');
+const transactionHistory = require('./transactionHistoryService');
+
+const BULK_ACTIONS = ['delete', 'recategorize', 'addTags', 'removeTags', 'shiftDate'];
+// Most transactions one bulk request may touch, whether listed or matched by a filter
+const MAX_BULK_TRANSACTIONS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Latest date the Transaction model accepts
+const maxTransactionDate = () => {
+  const limit = new Date();
+  limit.setFullYear(limit.getFullYear() + 1);
+  return limit;
+};
+
+/**
+ * Work out the update for one transaction, or why it can't be changed
+ * @param {Object} transaction - Lean transaction
+ * @param {string} action - One of BULK_ACTIONS other than delete
+ * @param {Object} options - { category, validTypes, tags, days }
+ * @returns {Object} { update } with the fields to set (null when nothing changes), or { error }
+ */
+const planUpdate = (transaction, action, { category, validTypes, tags, days }) => {
+  switch (action) {
+    case 'recategorize': {
+      if (transaction.type === 'transfer') return { error: 'Transfers have no category' };
+      if (transaction.splits && transaction.splits.length > 0) {
+        return { error: 'Split transactions are categorized by their parts' };
+      }
+      if (!validTypes.includes(transaction.type)) {
+        return { error: `"${category}" is not an ${transaction.type} category` };
+      }
+      return { update: transaction.category === category ? null : { category } };
+    }
+    case 'addTags': {
+      const current = transaction.tags || [];
+      const added = tags.filter(tag => !current.includes(tag));
+      if (current.length + added.length > Transaction.MAX_TAGS) {
+        return { error: `A transaction can have at most ${Transaction.MAX_TAGS} tags` };
+      }
+      return { update: added.length > 0 ? { tags: [...current, ...added] } : null };
+    }
+    case 'removeTags': {
+      const current = transaction.tags || [];
+      const kept = current.filter(tag => !tags.includes(tag));
+      return { update: kept.length !== current.length ? { tags: kept } : null };
+    }
+    case 'shiftDate': {
+      const date = new Date(new Date(transaction.date).getTime() + days * DAY_MS);
+      if (date > maxTransactionDate()) {
+        return { error: 'Transaction date cannot be more than 1 year in the future' };
+      }
+      return { update: { date } };
+    }
+    default:
+      return { error: `Unknown action "${action}"` };
+  }
+};
+
+/**
+ * Delete, recategorize, tag or move many transactions at once
+ * @param {string} userId - The ID of the user
+ * @param {Object} query - Mongo filter selecting the transactions (already limited to the user)
+ * @param {Object} options
+ * @param {string} options.action - One of BULK_ACTIONS
+ * @param {Array<string>} [options.ids] - The IDs that were asked for, so missing ones can be reported
+ * @param {string} [options.category] - New category for recategorize
+ * @param {Array<string>} [options.tags] - Tags to add or remove
+ * @param {number} [options.days] - Days to move dates by, negative for earlier
+ * @returns {Promise<Object>} { matched, succeeded, failed, results: [{ _id, success, changed, message }] }
+ */
+const applyBulkAction = async (userId, query, { action, ids = null, category = null, tags = [], days = 0 }) => {
+  const transactions = await Transaction.find({ ...query, userId })
+    .sort({ date: -1, createdAt: -1 })
+    .limit(MAX_BULK_TRANSACTIONS)
+    .select(`${transactionHistory.SNAPSHOT_SELECT} categorySuggestion`)
+    .lean();
+
+  const results = [];
+  const found = new Set(transactions.map(transaction => transaction._id.toString()));
+  (ids || []).filter(id => !found.has(String(id))).forEach(id => {
+    results.push({ _id: id, success: false, changed: false, message: 'Transaction not found' });
+  });
+
+  // Deleting moves them to the trash, where they can be restored
+  if (action === 'delete') {
+    if (transactions.length > 0) {
+      await trashService.moveToTrash(userId, transactions.map(transaction => transaction._id));
+    }
+    transactions.forEach(transaction => results.push({ _id: transaction._id, success: true, changed: true }));
+  } else {
+    const normalizedTags = Transaction.normalizeTags(tags);
+    const validTypes = [];
+    if (action === 'recategorize') {
+      for (const type of ['expense', 'income']) {
+        if (await Category.isValidForUser(userId, category, type)) validTypes.push(type);
+      }
+    }
+
+    const updates = [];
+    transactions.forEach(transaction => {
+      const { update, error } = planUpdate(transaction, action, { category, validTypes, tags: normalizedTags, days });
+      if (error) {
+        results.push({ _id: transaction._id, success: false, changed: false, message: error });
+        return;
+      }
+      if (update) updates.push({ transaction, update });
+      results.push({ _id: transaction._id, success: true, changed: Boolean(update) });
+    });
+
+    if (updates.length > 0) {
+      await Transaction.bulkWrite(updates.map(({ transaction, update }) => ({
+        updateOne: { filter: { _id: transaction._id, userId }, update: { $set: update } }
+      })));
+      await transactionHistory.recordUpdates(userId, updates.map(({ transaction, update }) => ({
+        before: transaction,
+        after: { ...transaction, ...update }
+      })));
+    }
+
+    // Recategorizing what the app picked is a correction, as with a single edit
+    if (action === 'recategorize') {
+      await Promise.all(updates
+        .filter(({ transaction }) => transaction.categorySuggestion)
+        .map(({ transaction }) => categoryLearningService.recordCorrection(userId, {
+          transactionId: transaction._id,
+          type: transaction.type,
+          text: categoryLearningService.transactionText(transaction),
+          fromCategory: transaction.category,
+          toCategory: category,
+          source: transaction.categorySuggestion.source
+        })));
+    }
+  }
+
+  // Report listed transactions in the order they were asked for
+  if (ids) {
+    const order = new Map(ids.map((id, index) => [String(id), index]));
+    results.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    matched: transactions.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_TRANSACTIONS,
+  applyBulkAction
+};
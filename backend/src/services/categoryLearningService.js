@@ -0,0 +1,185 @@
+/**
+ * Categories learned from the user's own history. Each user gets a naive Bayes model trained
+ * on their transactions, with the categories they corrected by hand counting extra; it is
+ * asked before the keyword rules and only answers when it is reasonably sure.
+ */
+const Transaction = require('../models/Transaction');
+const CategoryClassifier = require('../models/CategoryClassifier');
+const CategoryCorrection = require('../models/CategoryCorrection');
+const { train, classify } = require('../utils/naiveBayes');
+
+const MAX_TRAINING_TRANSACTIONS = 5000;
+// A correction says more about the user's intent than a category they simply kept
+const CORRECTION_WEIGHT = 3;
+// Below this many examples the model is mostly guessing
+const MIN_EXAMPLES = 10;
+const MIN_CONFIDENCE = 60;
+// New transactions are picked up by retraining at most once a day; corrections retrain at once
+const RETRAIN_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Text the model reads for a transaction
+const transactionText = ({ merchant, description }) => [merchant, description].filter(Boolean).join(' ');
+
+const trainForUser = async (userId) => {
+  const [transactions, corrections] = await Promise.all([
+    Transaction.find({ userId, type: { $in: ['income', 'expense'] } })
+      .sort({ date: -1 })
+      .limit(MAX_TRAINING_TRANSACTIONS)
+      .select('type category description merchant')
+      .lean(),
+    CategoryCorrection.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(MAX_TRAINING_TRANSACTIONS)
+      .lean()
+  ]);
+
+  // The latest correction of a transaction stands in for it
+  const corrected = new Set();
+  const examples = [];
+  corrections.forEach(correction => {
+    const id = correction.transactionId ? correction.transactionId.toString() : null;
+    if (id && corrected.has(id)) return;
+    if (id) corrected.add(id);
+    examples.push({ text: correction.text, type: correction.type, category: correction.toCategory, weight: CORRECTION_WEIGHT });
+  });
+  transactions
+    .filter(transaction => !corrected.has(transaction._id.toString()))
+    .forEach(transaction => examples.push({ text: transactionText(transaction), type: transaction.type, category: transaction.category }));
+
+  const model = train(examples);
+  return CategoryClassifier.findOneAndUpdate(
+    { userId },
+    { ...model, corrections: corrections.length, trainedAt: new Date(), stale: false },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+// The user's model, retrained first when it is missing, stale or a day old
+const getClassifier = async (userId) => {
+  const classifier = await CategoryClassifier.findOne({ userId }).lean();
+  const outdated = !classifier || classifier.stale || !classifier.trainedAt ||
+    Date.now() - new Date(classifier.trainedAt).getTime() > RETRAIN_AFTER_MS;
+  return outdated ? trainForUser(userId) : classifier;
+};
+
+/**
+ * Load the user's model once and suggest categories for any number of texts
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Function>} (text, { type, allowed }) => { category, type, confidence, matchedTokens, source } or null when unsure
+ */
+const getSuggester = async (userId) => {
+  const classifier = await getClassifier(userId);
+  const ready = classifier && classifier.examples >= MIN_EXAMPLES;
+
+  return (text, options = {}) => {
+    if (!ready) return null;
+    const result = classify(classifier, text, options);
+    return result && result.confidence >= MIN_CONFIDENCE ? { ...result, source: 'learned' } : null;
+  };
+};
+
+/**
+ * Suggest a category for one description from what the user chose before
+ * @param {string} userId - The ID of the user
+ * @param {string} text - Description and merchant
+ * @param {Object} [options]
+ * @param {string} [options.type] - 'income' or 'expense'
+ * @param {Array<string>} [options.allowed] - Category names the caller can use
+ * @returns {Promise<Object|null>} { category, type, confidence, matchedTokens, source: 'learned' }, or null when unsure
+ */
+const suggestCategory = async (userId, text, options = {}) => {
+  const suggest = await getSuggester(userId);
+  return suggest(text, options);
+};
+
+/**
+ * Remember that the user changed a suggested category. Never throws: learning is a side
+ * effect and must not fail the save that triggered it.
+ * @param {string} userId - The ID of the user
+ * @param {Object} correction
+ * @param {string} [correction.transactionId] - The corrected transaction
+ * @param {string} correction.type - 'income' or 'expense'
+ * @param {string} correction.text - Description and merchant
+ * @param {string} correction.fromCategory - Category that was suggested or previously set
+ * @param {string} correction.toCategory - Category the user chose
+ * @param {string} [correction.source] - What made the suggestion
+ * @returns {Promise<Object|null>} The saved correction, or null when nothing changed
+ */
+const recordCorrection = async (userId, { transactionId = null, type, text, fromCategory, toCategory, source = null }) => {
+  if (!['income', 'expense'].includes(type) || !toCategory || fromCategory === toCategory) return null;
+
+  try {
+    const correction = await CategoryCorrection.create({
+      userId,
+      transactionId,
+      type,
+      text: String(text || '').slice(0, 320),
+      fromCategory: fromCategory || null,
+      toCategory,
+      source
+    });
+    await CategoryClassifier.updateOne({ userId }, { stale: true });
+    return correction;
+  } catch (error) {
+    console.warn('Failed to record category correction:', error.message);
+    return null;
+  }
+};
+
+/**
+ * What the model has learned so far
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Object>} Training state, examples per category and the latest corrections
+ */
+const getStatus = async (userId) => {
+  const [classifier, corrections, recentCorrections] = await Promise.all([
+    CategoryClassifier.findOne({ userId }).lean(),
+    CategoryCorrection.countDocuments({ userId }),
+    CategoryCorrection.find({ userId }).sort({ createdAt: -1 }).limit(10).lean()
+  ]);
+
+  return {
+    trained: Boolean(classifier?.trainedAt),
+    trainedAt: classifier?.trainedAt || null,
+    stale: Boolean(classifier?.stale),
+    active: Boolean(classifier && classifier.examples >= MIN_EXAMPLES),
+    examples: classifier?.examples || 0,
+    vocabularySize: classifier?.vocabularySize || 0,
+    corrections,
+    categories: (classifier?.categories || [])
+      .map(category => ({ name: category.name, type: category.type, examples: category.documents }))
+      .sort((a, b) => b.examples - a.examples),
+    recentCorrections
+  };
+};
+
+// Retrain now, e.g. after a large import
+const retrain = async (userId) => {
+  await trainForUser(userId);
+  return getStatus(userId);
+};
+
+/**
+ * Forget the corrections and the trained model; the next suggestion retrains from the
+ * transaction history alone
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Object>} How many corrections were deleted
+ */
+const reset = async (userId) => {
+  const [corrections] = await Promise.all([
+    CategoryCorrection.deleteMany({ userId }),
+    CategoryClassifier.deleteOne({ userId })
+  ]);
+  return { deletedCorrections: corrections.deletedCount || 0 };
+};
+
+module.exports = {
+  MIN_CONFIDENCE,
+  transactionText,
+  getSuggester,
+  suggestCategory,
+  recordCorrection,
+  getStatus,
+  retrain,
+  reset
+};
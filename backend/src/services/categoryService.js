@@ -1,30 +1,13 @@
 /**
  * Smart categorization service for automatic expense categorization
  */
-const GeminiService = require('./geminiService');
-require('dotenv').config();
+const aiService = require('./aiService');
+const { getDefaultCategoryNames } = require('../utils/defaultCategories');
 
-const geminiService = new GeminiService(process.env.GEMINI_API_KEY);
-
-// Predefined categories
+// Built-in categories (users can add their own via the Category model)
 const CATEGORIES = {
-  INCOME: [
-    'Salary',
-    'Business',
-    'Investment',
-    'Others'
-  ],
-  EXPENSE: [
-    'Food & Dining',
-    'Transportation',
-    'Shopping',
-    'Entertainment',
-    'Healthcare',
-    'Utilities',
-    'Education',
-    'Travel',
-    'Others'
-  ]
+  INCOME: getDefaultCategoryNames('income'),
+  EXPENSE: getDefaultCategoryNames('expense')
 };
 
 // Merchant patterns for auto-categorization
@@ -88,6 +71,25 @@ const INCOME_KEYWORDS = [
   'credit', 'deposit', 'transfer', 'received'
 ];
 
+// Income sources by category; anything else falls back to the caller's default
+const INCOME_PATTERNS = {
+  'Salary': ['salary', 'wage', 'bonus', 'stipend', 'payroll'],
+  'Business': ['business', 'client', 'invoice', 'freelance', 'consulting'],
+  'Investment': ['interest', 'dividend', 'mutual fund', 'stock', 'shares', 'capital gain']
+};
+
+/**
+ * Find the income category whose patterns match the text
+ * @param {string} text - Description text
+ * @param {string} fallback - Category when nothing matches
+ * @returns {string} - Category name
+ */
+const matchIncomeCategory = (text = '', fallback = 'Others') => {
+  const lower = text.toLowerCase();
+  const match = Object.entries(INCOME_PATTERNS).find(([, patterns]) => patterns.some(pattern => lower.includes(pattern)));
+  return match ? match[0] : fallback;
+};
+
 /**
  * Categorize transaction based on description and merchant info
  * @param {string} description - Transaction description
@@ -104,33 +106,36 @@ const categorizeTransaction = (description = '', merchant = '', amount = 0) => {
   if (isIncome) {
     return {
       type: 'income',
-      category: 'Salary', // Default income category
+      category: matchIncomeCategory(text, 'Salary'), // Salary unless the source is clearer
       confidence: 0.7
     };
   }
   
-  // Find best matching expense category
-  let bestMatch = { category: 'Others', confidence: 0 };
+  return { type: 'expense', ...matchExpenseCategory(text) };
+};
+
+/**
+ * Find the expense category whose merchant patterns best match the text
+ * @param {string} text - Description and merchant text
+ * @returns {Object} - Category, confidence score and matched keywords
+ */
+const matchExpenseCategory = (text = '') => {
+  const lower = text.toLowerCase();
+  let bestMatch = { category: 'Others', matchedKeywords: [] };
   
+  // The category with the most matching keywords wins; one match is enough
   for (const [category, patterns] of Object.entries(MERCHANT_PATTERNS)) {
-    const matches = patterns.filter(pattern => text.includes(pattern));
-    const confidence = matches.length / patterns.length;
-    
-    if (confidence > bestMatch.confidence) {
-      bestMatch = { category, confidence };
+    const matchedKeywords = patterns.filter(pattern => lower.includes(pattern));
+    if (matchedKeywords.length > bestMatch.matchedKeywords.length) {
+      bestMatch = { category, matchedKeywords };
     }
   }
   
-  // If confidence is too low, use 'Others'
-  if (bestMatch.confidence < 0.1) {
-    bestMatch = { category: 'Others', confidence: 0.3 };
-  }
-  
+  const matches = bestMatch.matchedKeywords.length;
   return {
-    type: 'expense',
     category: bestMatch.category,
-    confidence: Math.min(bestMatch.confidence * 100, 95), // Max 95% confidence
-    matchedKeywords: MERCHANT_PATTERNS[bestMatch.category]?.filter(pattern => text.includes(pattern)) || []
+    confidence: matches === 0 ? 30 : Math.min(60 + (matches - 1) * 15, 95), // Max 95% confidence
+    matchedKeywords: bestMatch.matchedKeywords
   };
 };
 
@@ -242,10 +247,6 @@ const analyzeSpendingPatterns = (transactions = []) => {
 // Get financial insights for a set of transactions
 async function getFinancialInsights(transactions, options = {}) {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY not found in environment variables');
-    }
-    
     if (!transactions || transactions.length === 0) {
       return { 
         success: true, 
@@ -253,7 +254,7 @@ async function getFinancialInsights(transactions, options = {}) {
       };
     }
 
-    const insights = await geminiService.getFinancialInsights(transactions, options);
+    const insights = await aiService.getFinancialInsights(transactions, options);
     return { success: true, insights };
   } catch (error) {
     console.error('Error getting financial insights:', error);
@@ -268,10 +269,6 @@ async function getFinancialInsights(transactions, options = {}) {
 // Get financial advice based on user context
 async function getFinancialAdvice(userContext) {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY not found in environment variables');
-    }
-
     if (!userContext) {
       return {
         success: true,
@@ -279,7 +276,7 @@ async function getFinancialAdvice(userContext) {
       };
     }
 
-    const advice = await geminiService.getFinancialAdvice(userContext);
+    const advice = await aiService.getFinancialAdvice(userContext);
     return { success: true, advice };
   } catch (error) {
     console.error('Error getting financial advice:', error);
@@ -293,12 +290,15 @@ async function getFinancialAdvice(userContext) {
 
 module.exports = {
   categorizeTransaction,
+  matchExpenseCategory,
+  matchIncomeCategory,
   getCategories,
   isValidCategory,
   getCategorySuggestions,
   analyzeSpendingPatterns,
   CATEGORIES,
   MERCHANT_PATTERNS,
+  INCOME_PATTERNS,
   getFinancialInsights,
   getFinancialAdvice
 };
\ No newline at end of file
@@ -0,0 +1,615 @@
+/**
+ * Tools the AI assistant can call to look up the user's finances, so answers come from
+ * exact queries instead of a summary pasted into the prompt
+ */
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const analyticsService = require('./analyticsService');
+const accountService = require('./accountService');
+const budgetService = require('./budgetService');
+const currencyService = require('./currencyService');
+const goalService = require('./goalService');
+const { MAX_AMOUNT, categoryAmountsExpression, isSupportedCurrency } = require('../utils/currencies');
+
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_LISTED_TRANSACTIONS = 50;
+const MAX_BILLS = 20;
+
+// A drafted transaction must be confirmed within this time
+const PENDING_TRANSACTION_TTL_MS = 15 * 60 * 1000;
+
+const dateProperty = (description) => ({ type: 'string', description: `${description} (YYYY-MM-DD)` });
+
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'query_transactions',
+      description: 'Find the user\'s transactions matching filters. Returns totals in the base currency for all matches and a list of the first ones.',
+      parameters: {
+        type: 'object',
+        properties: {
+          startDate: dateProperty('First day to include; defaults to 30 days ago'),
+          endDate: dateProperty('Last day to include; defaults to today'),
+          type: { type: 'string', enum: ['income', 'expense', 'transfer'] },
+          category: { type: 'string', description: 'Category name, e.g. "Food & Dining"' },
+          search: { type: 'string', description: 'Text to find in the description or tags, e.g. a merchant like "Swiggy"' },
+          minAmount: { type: 'number', description: 'Smallest amount in the base currency' },
+          maxAmount: { type: 'number', description: 'Largest amount in the base currency' },
+          sortBy: { type: 'string', enum: ['date', 'amount'], description: 'Newest or largest first; defaults to date' },
+          limit: { type: 'integer', description: `How many transactions to list, at most ${MAX_LISTED_TRANSACTIONS}; defaults to 10` }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_category_totals',
+      description: 'Total spending (or income) per category for a period, largest first, in the base currency. Split transactions count towards each part\'s category.',
+      parameters: {
+        type: 'object',
+        properties: {
+          startDate: dateProperty('First day to include; defaults to 30 days ago'),
+          endDate: dateProperty('Last day to include; defaults to today'),
+          type: { type: 'string', enum: ['expense', 'income'], description: 'Defaults to expense' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_upcoming_bills',
+      description: 'Recurring expenses due in the coming days, soonest first, including overdue ones.',
+      parameters: {
+        type: 'object',
+        properties: {
+          days: { type: 'integer', description: 'How many days ahead to look; defaults to 30' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'compare_periods',
+      description: 'Compare income, expenses, net and spending per category between two periods.',
+      parameters: {
+        type: 'object',
+        properties: {
+          first: {
+            type: 'object',
+            description: 'The earlier or reference period',
+            properties: { startDate: dateProperty('First day'), endDate: dateProperty('Last day') },
+            required: ['startDate', 'endDate']
+          },
+          second: {
+            type: 'object',
+            description: 'The period compared with the first',
+            properties: { startDate: dateProperty('First day'), endDate: dateProperty('Last day') },
+            required: ['startDate', 'endDate']
+          },
+          category: { type: 'string', description: 'Only compare this expense category' }
+        },
+        required: ['first', 'second']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_budget_status',
+      description: 'Each monthly category budget with its limit, what was spent, what remains and whether it is on track, near the limit or over, in the base currency.',
+      parameters: {
+        type: 'object',
+        properties: {
+          month: { type: 'string', description: 'Month to report on (YYYY-MM); defaults to this month' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_goals',
+      description: 'The user\'s savings goals: saved vs target, the monthly contribution needed to reach the target date, the projected completion date at the current savings pace and whether each is on track.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_account_balances',
+      description: 'Current balance of each account (bank, card, cash, wallet) in its own currency and the base currency, and the net worth.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'draft_transaction',
+      description: 'Prepare a transaction the user asked to record. Nothing is saved: show the details and ask the user to confirm.',
+      parameters: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['income', 'expense'] },
+          amount: { type: 'number', description: 'Positive amount' },
+          currency: { type: 'string', description: 'Currency code; defaults to the base currency' },
+          category: { type: 'string', description: 'One of the user\'s categories for the type' },
+          description: { type: 'string' },
+          date: dateProperty('Date of the transaction; defaults to today')
+        },
+        required: ['type', 'amount', 'category']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'confirm_transaction',
+      description: 'Save the drafted transaction. Only call this after the user has explicitly agreed to the drafted details in a later message.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'cancel_transaction',
+      description: 'Discard the drafted transaction when the user declines it.',
+      parameters: { type: 'object', properties: {} }
+    }
+  }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+// YYYY-MM-DD is read as a local date, like the dates typed into the app
+const parseDate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatDay = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/**
+ * Resolve a tool's date arguments to whole days, defaulting to the last 30 days
+ * @param {Object} args - Tool arguments with optional startDate and endDate
+ * @returns {{start: Date, end: Date, label: string}} The period and how to describe it
+ */
+const resolvePeriod = ({ startDate, endDate } = {}) => {
+  const end = parseDate(endDate) || new Date();
+  end.setHours(23, 59, 59, 999);
+
+  let start = parseDate(startDate);
+  if (!start) {
+    start = new Date(end);
+    start.setDate(start.getDate() - DEFAULT_PERIOD_DAYS);
+  }
+  start.setHours(0, 0, 0, 0);
+
+  return { start, end, label: `${formatDay(start)} – ${formatDay(end)}` };
+};
+
+const describePeriod = ({ start, end, label }) => ({
+  startDate: toDateString(start),
+  endDate: toDateString(end),
+  label
+});
+
+const categoryPattern = (category) => new RegExp(`^${escapeRegex(String(category).trim())}$`, 'i');
+
+// Income and expense totals per category for a period, transfers excluded
+const getCategoryBreakdown = async (userId, start, end) => {
+  const result = await Transaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        type: { $in: ['income', 'expense'] },
+        date: { $gte: start, $lte: end }
+      }
+    },
+    { $project: { type: 1, categoryAmounts: categoryAmountsExpression } },
+    { $unwind: '$categoryAmounts' },
+    {
+      $group: {
+        _id: { type: '$type', category: '$categoryAmounts.category' },
+        total: { $sum: '$categoryAmounts.amount' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  return result.map(({ _id, total, count }) => ({ type: _id.type, category: _id.category, total, count }));
+};
+
+const queryTransactions = async (args, { userId }) => {
+  const period = resolvePeriod(args);
+  const filter = {
+    userId: new mongoose.Types.ObjectId(userId),
+    date: { $gte: period.start, $lte: period.end }
+  };
+  const conditions = [];
+
+  if (['income', 'expense', 'transfer'].includes(args.type)) filter.type = args.type;
+  if (args.category) {
+    const pattern = categoryPattern(args.category);
+    conditions.push({ $or: [{ category: pattern }, { 'splits.category': pattern }] });
+  }
+  if (args.search) {
+    const pattern = new RegExp(escapeRegex(String(args.search).trim()), 'i');
+    conditions.push({ $or: [{ description: pattern }, { tags: pattern }] });
+  }
+
+  // Amount bounds are in the base currency
+  const minAmount = parseFloat(args.minAmount);
+  const maxAmount = parseFloat(args.maxAmount);
+  const baseAmount = { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] };
+  if (Number.isFinite(minAmount)) conditions.push({ $expr: { $gte: [baseAmount, minAmount] } });
+  if (Number.isFinite(maxAmount)) conditions.push({ $expr: { $lte: [baseAmount, maxAmount] } });
+  if (conditions.length > 0) filter.$and = conditions;
+
+  // With a category filter only that category's part of a split transaction counts
+  const totalsPipeline = [
+    { $match: filter },
+    { $project: { type: 1, categoryAmounts: categoryAmountsExpression } },
+    { $unwind: '$categoryAmounts' }
+  ];
+  if (args.category) {
+    totalsPipeline.push({ $match: { 'categoryAmounts.category': categoryPattern(args.category) } });
+  }
+  totalsPipeline.push({
+    $group: { _id: '$type', total: { $sum: '$categoryAmounts.amount' }, ids: { $addToSet: '$_id' } }
+  });
+
+  const limit = Math.min(Math.max(parseInt(args.limit, 10) || 10, 1), MAX_LISTED_TRANSACTIONS);
+  const sort = args.sortBy === 'amount' ? { amount: -1, date: -1 } : { date: -1, createdAt: -1 };
+
+  const [totals, transactions] = await Promise.all([
+    Transaction.aggregate(totalsPipeline),
+    Transaction.find(filter)
+      .sort(sort)
+      .limit(limit)
+      .select('type amount currency exchangeRate category splits description tags date')
+      .lean()
+  ]);
+
+  const count = totals.reduce((sum, { ids }) => sum + ids.length, 0);
+
+  return {
+    period: describePeriod(period),
+    count,
+    totals: totals.reduce((byType, { _id, total }) => {
+      byType[_id] = round(total);
+      return byType;
+    }, {}),
+    transactions: transactions.map(t => ({
+      date: toDateString(new Date(t.date)),
+      type: t.type,
+      amount: t.amount,
+      currency: t.currency,
+      ...(t.exchangeRate && t.exchangeRate !== 1 && { amountInBaseCurrency: round(t.amount * t.exchangeRate) }),
+      category: t.category,
+      ...(t.splits?.length > 0 && { splits: t.splits.map(({ category, amount }) => ({ category, amount })) }),
+      description: t.description,
+      ...(t.tags?.length > 0 && { tags: t.tags })
+    })),
+    ...(count > transactions.length && { note: `Showing ${transactions.length} of ${count} transactions` })
+  };
+};
+
+const getCategoryTotals = async (args, { userId }) => {
+  const period = resolvePeriod(args);
+  const type = args.type === 'income' ? 'income' : 'expense';
+  const rows = (await getCategoryBreakdown(userId, period.start, period.end)).filter(row => row.type === type);
+  const total = rows.reduce((sum, row) => sum + row.total, 0);
+
+  return {
+    period: describePeriod(period),
+    type,
+    total: round(total),
+    categories: rows.map(({ category, total: amount, count }) => ({
+      category,
+      total: round(amount),
+      count,
+      percent: total > 0 ? round((amount / total) * 100) : 0
+    }))
+  };
+};
+
+const listUpcomingBills = async (args, { userId }) => {
+  const days = Math.min(Math.max(parseInt(args.days, 10) || 30, 1), 365);
+  const bills = await analyticsService.getUpcomingBills(userId, days, MAX_BILLS);
+
+  return {
+    days,
+    total: round(bills.reduce((sum, bill) => sum + bill.amount, 0)),
+    bills: bills.map(bill => ({
+      description: bill.description,
+      category: bill.category,
+      amount: bill.amount,
+      frequency: bill.frequency,
+      dueDate: toDateString(new Date(bill.nextOccurrence)),
+      daysUntil: bill.daysUntil
+    }))
+  };
+};
+
+const getBudgetStatus = async (args, { userId }) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(args.month || ''));
+  const referenceDate = match ? new Date(Number(match[1]), Number(match[2]) - 1, 1) : new Date();
+  const { period, budgets, totals } = await budgetService.getBudgetStatus(userId, referenceDate);
+
+  return {
+    period: { label: period.label, startDate: toDateString(period.start), endDate: toDateString(period.end) },
+    budgets: budgets.map(({ category, limit, spent, remaining, percentUsed, status }) => ({
+      category, limit, spent, remaining, percentUsed, status
+    })),
+    totals,
+    ...(budgets.length === 0 && { note: 'No budgets set' })
+  };
+};
+
+const getGoals = async (args, { userId }) => {
+  const { goals, averageMonthlySavings } = await goalService.getGoalsWithProgress(userId);
+  const toDate = (date) => (date ? toDateString(new Date(date)) : null);
+
+  return {
+    averageMonthlySavings: round(averageMonthlySavings),
+    goals: goals.map(goal => ({
+      name: goal.name,
+      targetAmount: goal.targetAmount,
+      savedAmount: goal.savedAmount,
+      remainingAmount: goal.remainingAmount,
+      progress: goal.progress,
+      targetDate: toDate(goal.targetDate),
+      requiredMonthlyContribution: goal.requiredMonthlyContribution,
+      projectedCompletionDate: toDate(goal.projectedCompletionDate),
+      onTrack: goal.onTrack,
+      isAchieved: goal.isAchieved
+    })),
+    ...(goals.length === 0 && { note: 'No goals set' })
+  };
+};
+
+const getAccountBalances = async (args, { userId }) => {
+  const { baseCurrency, accounts, netWorth } = await accountService.getAccountsWithBalances(userId);
+
+  return {
+    baseCurrency,
+    netWorth,
+    accounts: accounts.map(account => ({
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      balance: account.balance,
+      balanceInBase: account.balanceInBase
+    })),
+    ...(accounts.length === 0 && { note: 'No accounts set up' })
+  };
+};
+
+const comparePeriods = async (args, { userId }) => {
+  if (!args.first || !args.second) {
+    return { error: 'Both periods are required' };
+  }
+
+  const periods = [resolvePeriod(args.first), resolvePeriod(args.second)];
+  const [firstRows, secondRows] = await Promise.all(
+    periods.map(({ start, end }) => getCategoryBreakdown(userId, start, end))
+  );
+
+  const pattern = args.category ? categoryPattern(args.category) : null;
+  const summarize = (rows, period) => {
+    const sum = (type) => rows.filter(row => row.type === type).reduce((total, row) => total + row.total, 0);
+    const income = sum('income');
+    const expenses = pattern
+      ? rows.filter(row => row.type === 'expense' && pattern.test(row.category)).reduce((total, row) => total + row.total, 0)
+      : sum('expense');
+    return { period: describePeriod(period), income: round(income), expenses: round(expenses), net: round(income - sum('expense')) };
+  };
+
+  const first = summarize(firstRows, periods[0]);
+  const second = summarize(secondRows, periods[1]);
+
+  // Spending per category in both periods, biggest movers first
+  const byCategory = {};
+  for (const [index, rows] of [firstRows, secondRows].entries()) {
+    rows
+      .filter(row => row.type === 'expense' && (!pattern || pattern.test(row.category)))
+      .forEach(({ category, total }) => {
+        byCategory[category] = byCategory[category] || [0, 0];
+        byCategory[category][index] += total;
+      });
+  }
+  const categoryChanges = Object.entries(byCategory)
+    .map(([category, [before, after]]) => ({ category, first: round(before), second: round(after), change: round(after - before) }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, 10);
+
+  return {
+    ...(args.category && { category: args.category }),
+    first,
+    second,
+    change: {
+      income: round(second.income - first.income),
+      expenses: round(second.expenses - first.expenses),
+      expensesPercent: first.expenses > 0 ? round(((second.expenses - first.expenses) / first.expenses) * 100) : null,
+      net: round(second.net - first.net)
+    },
+    categoryChanges
+  };
+};
+
+const draftTransaction = async (args, { userId, baseCurrency, chatHistory }) => {
+  const type = args.type;
+  const amount = round(parseFloat(args.amount));
+  if (!['income', 'expense'].includes(type)) {
+    return { error: 'Type must be income or expense' };
+  }
+  if (!(amount > 0) || amount > MAX_AMOUNT) {
+    return { error: 'Amount must be a positive number' };
+  }
+
+  if (!(await Category.isValidForUser(userId, args.category, type))) {
+    const categories = await Category.findForUser(userId, type);
+    return {
+      error: `"${args.category}" is not one of the user's ${type} categories`,
+      categories: categories.map(category => category.name)
+    };
+  }
+
+  const date = parseDate(args.date) || new Date();
+  const oneYearFromNow = new Date();
+  oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
+  if (date > oneYearFromNow) {
+    return { error: 'The date cannot be more than a year in the future' };
+  }
+
+  const currency = args.currency ? String(args.currency).trim().toUpperCase() : baseCurrency;
+  if (currency && !isSupportedCurrency(currency)) {
+    return { error: `Unsupported currency ${currency}` };
+  }
+  const draft = {
+    type,
+    amount,
+    currency,
+    category: String(args.category).trim(),
+    description: String(args.description || '').trim().slice(0, 200),
+    date,
+    proposedAt: new Date()
+  };
+
+  chatHistory.set('metadata.pendingTransaction', draft);
+  await chatHistory.save();
+
+  return {
+    status: 'awaiting_confirmation',
+    transaction: { ...draft, date: toDateString(date), proposedAt: undefined },
+    instructions: 'Show these details and ask the user to confirm. Call confirm_transaction only after they agree.'
+  };
+};
+
+const confirmTransaction = async (args, { userId, baseCurrency, chatHistory }) => {
+  const pending = chatHistory.metadata?.pendingTransaction;
+  if (!pending?.proposedAt) {
+    return { error: 'No transaction is waiting for confirmation. Draft one first.' };
+  }
+
+  // The user has to answer the draft: it must predate their latest message
+  const lastUserMessage = [...chatHistory.messages].reverse().find(m => m.role === 'user');
+  if (!lastUserMessage || new Date(pending.proposedAt) >= new Date(lastUserMessage.timestamp)) {
+    return { error: 'The user has not confirmed yet. Show the draft and ask them first.' };
+  }
+  if (Date.now() - new Date(pending.proposedAt).getTime() > PENDING_TRANSACTION_TTL_MS) {
+    chatHistory.set('metadata.pendingTransaction', undefined);
+    await chatHistory.save();
+    return { error: 'The draft expired. Draft it again and ask the user to confirm.' };
+  }
+
+  const { currency, exchangeRate } = await currencyService.resolveTransactionCurrency(
+    userId, pending.currency, undefined, baseCurrency
+  );
+
+  const transaction = new Transaction({
+    userId,
+    type: pending.type,
+    amount: pending.amount,
+    currency,
+    exchangeRate,
+    category: pending.category,
+    description: pending.description || '',
+    date: pending.date
+  });
+  transaction.$locals.historySource = 'assistant';
+  await transaction.save();
+
+  chatHistory.set('metadata.pendingTransaction', undefined);
+  await chatHistory.save();
+
+  return {
+    status: 'created',
+    transaction: {
+      id: transaction._id,
+      type: transaction.type,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      category: transaction.category,
+      description: transaction.description,
+      date: toDateString(transaction.date)
+    }
+  };
+};
+
+const cancelTransaction = async (args, { chatHistory }) => {
+  if (!chatHistory.metadata?.pendingTransaction?.proposedAt) {
+    return { status: 'nothing_to_cancel' };
+  }
+
+  chatHistory.set('metadata.pendingTransaction', undefined);
+  await chatHistory.save();
+  return { status: 'cancelled' };
+};
+
+const TOOL_HANDLERS = {
+  query_transactions: queryTransactions,
+  get_category_totals: getCategoryTotals,
+  list_upcoming_bills: listUpcomingBills,
+  compare_periods: comparePeriods,
+  get_budget_status: getBudgetStatus,
+  get_goals: getGoals,
+  get_account_balances: getAccountBalances,
+  draft_transaction: draftTransaction,
+  confirm_transaction: confirmTransaction,
+  cancel_transaction: cancelTransaction
+};
+
+/**
+ * Run a tool call from the model for the user
+ * @param {string} name - Tool name
+ * @param {string|Object} args - Arguments, as the JSON text the model produced or parsed
+ * @param {Object} context
+ * @param {string} context.userId - The ID of the user
+ * @param {string} context.baseCurrency - The user's base currency
+ * @param {Object} context.chatHistory - Chat session document, which holds the drafted transaction
+ * @returns {Promise<Object>} The result, or { error } for the model to recover from
+ */
+const executeTool = async (name, args, context) => {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) {
+    return { error: `Unknown tool ${name}` };
+  }
+
+  let parsedArgs = args || {};
+  if (typeof args === 'string') {
+    try {
+      parsedArgs = args.trim() ? JSON.parse(args) : {};
+    } catch (error) {
+      return { error: 'Arguments must be valid JSON' };
+    }
+  }
+
+  try {
+    return await handler(parsedArgs, context);
+  } catch (error) {
+    console.error(`Chat tool ${name} error:`, error);
+    return { error: `The ${name} tool failed` };
+  }
+};
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  executeTool,
+  toDateString
+};
@@ -0,0 +1,154 @@
+const User = require('../models/User');
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Budget = require('../models/Budget');
+const Goal = require('../models/Goal');
+const {
+  SUPPORTED_CURRENCIES,
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY
+} = require('../utils/currencies');
+
+/**
+ * Get the user's base currency
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<string>} ISO currency code, e.g. 'INR'
+ */
+const getBaseCurrency = async (userId) => {
+  const user = await User.findById(userId).select('baseCurrency').lean();
+  return user?.baseCurrency || DEFAULT_CURRENCY;
+};
+
+/**
+ * Get the user's rate table with currency details
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Object>} Base currency and one entry per supported currency
+ */
+const getRates = async (userId) => {
+  const baseCurrency = await getBaseCurrency(userId);
+  const [table, stored] = await Promise.all([
+    ExchangeRate.getRateTable(userId, baseCurrency),
+    ExchangeRate.find({ userId }).select('currency isManual updatedAt').lean()
+  ]);
+
+  return {
+    baseCurrency,
+    rates: CURRENCY_CODES.map(currency => {
+      const entry = stored.find(rate => rate.currency === currency);
+      return {
+        currency,
+        ...SUPPORTED_CURRENCIES[currency],
+        rate: table[currency],
+        isBase: currency === baseCurrency,
+        isManual: !!entry?.isManual,
+        updatedAt: entry?.updatedAt || null
+      };
+    })
+  };
+};
+
+/**
+ * Manually set the rate for one currency
+ * @param {string} userId - The ID of the user
+ * @param {string} currency - Currency to update
+ * @param {number} rate - Value of 1 unit of the currency in the base currency
+ * @returns {Promise<Object>} Updated rate document
+ */
+const setRate = async (userId, currency, rate) => {
+  return ExchangeRate.findOneAndUpdate(
+    { userId, currency },
+    { rate, isManual: true },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Work out the currency and exchange rate to store on a transaction
+ * @param {string} userId - The ID of the user
+ * @param {string} [currency] - Currency of the amount (defaults to the base currency)
+ * @param {number|string} [exchangeRate] - Rate given by the user; looked up in the rate table if omitted
+ * @param {string} [baseCurrency] - The user's base currency, if already known
+ * @returns {Promise<{ currency: string, exchangeRate: number }>}
+ */
+const resolveTransactionCurrency = async (userId, currency, exchangeRate, baseCurrency) => {
+  const base = baseCurrency || await getBaseCurrency(userId);
+  const code = currency ? currency.toString().toUpperCase() : base;
+
+  if (code === base) {
+    return { currency: code, exchangeRate: 1 };
+  }
+
+  const rate = parseFloat(exchangeRate);
+  if (Number.isFinite(rate) && rate > 0) {
+    return { currency: code, exchangeRate: rate };
+  }
+
+  const table = await ExchangeRate.getRateTable(userId, base);
+  return { currency: code, exchangeRate: table[code] };
+};
+
+/**
+ * Change the user's base currency, rebasing the rate table, stored transaction
+ * rates, budgets and recurring amounts so reported totals stay consistent
+ * @param {string} userId - The ID of the user
+ * @param {string} newBase - New base currency
+ * @returns {Promise<Object>} Updated rate table
+ */
+const changeBaseCurrency = async (userId, newBase) => {
+  const oldBase = await getBaseCurrency(userId);
+  if (oldBase === newBase) {
+    return getRates(userId);
+  }
+
+  const table = await ExchangeRate.getRateTable(userId, oldBase);
+  // Value of 1 unit of the new base in the old base
+  const factor = table[newBase];
+
+  await ExchangeRate.bulkWrite([
+    { deleteOne: { filter: { userId, currency: newBase } } },
+    ...CURRENCY_CODES
+      .filter(currency => currency !== newBase)
+      .map(currency => ({
+        updateOne: {
+          filter: { userId, currency },
+          update: { $set: { rate: table[currency] / factor } },
+          upsert: true
+        }
+      }))
+  ]);
+
+  // Transactions keep their own currency; only the rate to the base changes
+  const currencyExpression = { $ifNull: ['$currency', oldBase] };
+  await Transaction.updateMany({ userId }, [{
+    $set: {
+      currency: currencyExpression,
+      exchangeRate: {
+        $cond: [
+          { $eq: [currencyExpression, newBase] },
+          1,
+          { $divide: [{ $ifNull: ['$exchangeRate', 1] }, factor] }
+        ]
+      }
+    }
+  }]);
+
+  // Budgets, recurring amounts and goal targets are stored in the base currency
+  const converted = (field) => ({ $max: [0.01, { $round: [{ $divide: [`$${field}`, factor] }, 2] }] });
+  await Promise.all([
+    Budget.updateMany({ userId }, [{ $set: { amount: converted('amount') } }]),
+    RecurringTransaction.updateMany({ userId }, [{ $set: { amount: converted('amount') } }]),
+    Goal.updateMany({ userId }, [{ $set: { targetAmount: converted('targetAmount') } }]),
+    User.findByIdAndUpdate(userId, { baseCurrency: newBase })
+  ]);
+
+  return getRates(userId);
+};
+
+module.exports = {
+  getBaseCurrency,
+  getRates,
+  setRate,
+  resolveTransactionCurrency,
+  changeBaseCurrency
+};
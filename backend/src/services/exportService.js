@@ -0,0 +1,157 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const COLUMNS = [
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Type', key: 'type', width: 10 },
+  { header: 'Category', key: 'category', width: 20 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Tags', key: 'tags', width: 24 },
+  { header: 'Amount', key: 'amount', width: 14 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Exchange Rate', key: 'exchangeRate', width: 14 },
+  { header: 'Source', key: 'source', width: 12 }
+];
+
+// Where a transaction came from, for the accountant's reference
+const getSource = (transaction) => {
+  if (transaction.isFromReceipt) return 'Receipt';
+  if (transaction.isFromRecurring) return 'Recurring';
+  if (transaction.isFromImport) return 'Import';
+  return 'Manual';
+};
+
+// Flatten a transaction into one export row
+const toRow = (transaction) => ({
+  date: new Date(transaction.date).toISOString().split('T')[0],
+  type: transaction.type,
+  category: transaction.category,
+  description: transaction.description || '',
+  tags: (transaction.tags || []).join(', '),
+  amount: transaction.amount,
+  currency: transaction.currency || '',
+  exchangeRate: transaction.exchangeRate || 1,
+  source: getSource(transaction)
+});
+
+// Quote a CSV value when it contains a delimiter, quote or newline
+const escapeCSV = (value) => {
+  let text = value === undefined || value === null ? '' : value.toString();
+  // Stop spreadsheet apps from evaluating descriptions as formulas
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const disconnected = () => new Error('The client closed the connection');
+
+// Write to the response, waiting for the socket to drain when its buffer is full. Fails once the
+// client has gone, whose socket would never drain.
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    reject(disconnected());
+    return;
+  }
+  if (res.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+  const onDrain = () => settle();
+  const onClose = (error) => settle(error || disconnected());
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+  res.once('error', onClose);
+});
+
+/**
+ * Build the download file name for an export
+ * @param {string} format - 'csv', 'xlsx' or 'json'
+ * @returns {string} File name like transactions-2025-04-01.csv
+ */
+const getFileName = (format) => {
+  const today = new Date().toISOString().split('T')[0];
+  return `transactions-${today}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// Write the file itself, row by row as the cursor yields them
+const writeTransactions = async (cursor, format, res) => {
+  let count = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Transactions');
+    sheet.columns = COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.getColumn('amount').numFmt = '#,##0.00';
+
+    for await (const transaction of cursor) {
+      if (res.destroyed) throw disconnected();
+      sheet.addRow(toRow(transaction)).commit();
+      count++;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  if (format === 'json') {
+    await write(res, '[');
+    for await (const transaction of cursor) {
+      await write(res, `${count > 0 ? ',' : ''}\n${JSON.stringify({ _id: transaction._id, ...toRow(transaction) })}`);
+      count++;
+    }
+    res.end('\n]\n');
+    return count;
+  }
+
+  // CSV with a BOM so Excel picks up UTF-8 (₹, non-Latin descriptions)
+  await write(res, `\uFEFF${COLUMNS.map(column => column.header).join(',')}\r\n`);
+  for await (const transaction of cursor) {
+    const row = toRow(transaction);
+    await write(res, `${COLUMNS.map(column => escapeCSV(row[column.key])).join(',')}\r\n`);
+    count++;
+  }
+  res.end();
+  return count;
+};
+
+/**
+ * Stream transactions from a query cursor to the response in the requested format
+ * @param {Object} cursor - Mongoose query cursor of lean transactions
+ * @param {string} format - 'csv', 'xlsx' or 'json'
+ * @param {Object} res - Express response
+ * @returns {Promise<number>} Number of transactions written; rejects if the client disconnects
+ */
+const streamTransactions = async (cursor, format, res) => {
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${getFileName(format)}"`);
+
+  try {
+    return await writeTransactions(cursor, format, res);
+  } finally {
+    // Stops the query when the export ends early
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  getFileName,
+  streamTransactions
+};
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const analyticsService = require('./analyticsService');
+const { baseAmountExpression } = require('../utils/currencies');
+
+const AVERAGE_DAYS_PER_MONTH = 30.44;
+const SAVINGS_HISTORY_MONTHS = 3;
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+/**
+ * Sum the contributions (transactions carrying a goal's tag) for each tag
+ * @param {string} userId - The ID of the user
+ * @param {string[]} tags - Goal tags
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only count transactions of this type
+ * @param {Date} [options.startDate] - Only count transactions from this date
+ * @param {Date} [options.endDate] - Only count transactions up to this date
+ * @returns {Promise<Object>} Map of tag to { amount, count } in the base currency
+ */
+const getContributionTotals = async (userId, tags, { type, startDate, endDate } = {}) => {
+  if (tags.length === 0) return {};
+
+  const match = { userId: new mongoose.Types.ObjectId(userId), tags: { $in: tags } };
+  if (type) match.type = type;
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = startDate;
+    if (endDate) match.date.$lte = endDate;
+  }
+
+  const result = await Transaction.aggregate([
+    { $match: match },
+    { $project: { tags: 1, amount: baseAmountExpression } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $in: tags } } },
+    { $group: { _id: '$tags', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  return result.reduce((totals, { _id, amount, count }) => {
+    totals[_id] = { amount, count };
+    return totals;
+  }, {});
+};
+
+/**
+ * Average monthly net savings over the last few full calendar months
+ * @param {string} userId - The ID of the user
+ * @param {string[]} [goalTags=[]] - Tags of the user's goals; expenses carrying them are savings, not spending
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {Promise<number>} Average of income minus expenses per month in the base currency
+ */
+const getAverageMonthlySavings = async (userId, goalTags = [], now = new Date()) => {
+  const startDate = new Date(now.getFullYear(), now.getMonth() - SAVINGS_HISTORY_MONTHS, 1);
+  const endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
+
+  const [summary, goalExpenses] = await Promise.all([
+    analyticsService.getIncomeVsExpenses(userId, startDate, endDate),
+    getContributionTotals(userId, goalTags, { type: 'expense', startDate, endDate })
+  ]);
+
+  const contributed = Object.values(goalExpenses).reduce((sum, { amount }) => sum + amount, 0);
+  return round(((summary.net || 0) + contributed) / SAVINGS_HISTORY_MONTHS);
+};
+
+/**
+ * Work out how far along a goal is and when it will be reached
+ * @param {Object} goal - Lean goal
+ * @param {number} savedAmount - Contributions so far in the base currency
+ * @param {number} averageMonthlySavings - The user's average monthly net savings
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {Object} The goal with progress, required monthly contribution and projected completion date
+ */
+const buildGoalProgress = (goal, savedAmount, averageMonthlySavings, now = new Date()) => {
+  const remainingAmount = Math.max(0, goal.targetAmount - savedAmount);
+  const isAchieved = remainingAmount === 0;
+
+  // Months left until the target date, at least one while it is still ahead
+  let monthsLeft = null;
+  if (goal.targetDate) {
+    const days = (new Date(goal.targetDate) - now) / (1000 * 60 * 60 * 24);
+    monthsLeft = days > 0 ? Math.max(1, days / AVERAGE_DAYS_PER_MONTH) : 0;
+  }
+
+  let requiredMonthlyContribution = null;
+  if (!isAchieved && monthsLeft) {
+    requiredMonthlyContribution = round(remainingAmount / monthsLeft);
+  }
+
+  // At the current savings pace; unknown when the user isn't saving anything
+  let projectedCompletionDate = null;
+  if (isAchieved) {
+    projectedCompletionDate = goal.achievedAt || now;
+  } else if (averageMonthlySavings > 0) {
+    projectedCompletionDate = new Date(now.getTime() + (remainingAmount / averageMonthlySavings) * AVERAGE_DAYS_PER_MONTH * 24 * 60 * 60 * 1000);
+  }
+
+  let onTrack = null;
+  if (isAchieved) {
+    onTrack = true;
+  } else if (goal.targetDate) {
+    onTrack = !!projectedCompletionDate && projectedCompletionDate <= new Date(goal.targetDate);
+  }
+
+  return {
+    ...goal,
+    savedAmount: round(savedAmount),
+    remainingAmount: round(remainingAmount),
+    progress: round(Math.min(100, (savedAmount / goal.targetAmount) * 100)),
+    isAchieved,
+    isOverdue: !isAchieved && monthsLeft === 0,
+    requiredMonthlyContribution,
+    projectedCompletionDate,
+    onTrack
+  };
+};
+
+/**
+ * Get the user's goals with their progress
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived goals
+ * @returns {Promise<Object>} Goals with progress and the average monthly savings used for projections
+ */
+const getGoalsWithProgress = async (userId, { includeArchived = false } = {}) => {
+  const query = { userId };
+  if (!includeArchived) query.isArchived = false;
+
+  const goals = await Goal.find(query).sort({ isArchived: 1, targetDate: 1, createdAt: 1 }).lean();
+  const tags = goals.map(goal => goal.tag);
+
+  const [totals, averageMonthlySavings] = await Promise.all([
+    getContributionTotals(userId, tags),
+    getAverageMonthlySavings(userId, tags)
+  ]);
+
+  return {
+    averageMonthlySavings,
+    goals: goals.map(goal => ({
+      ...buildGoalProgress(goal, totals[goal.tag]?.amount || 0, averageMonthlySavings),
+      contributionCount: totals[goal.tag]?.count || 0
+    }))
+  };
+};
+
+/**
+ * Get one goal with its progress and contributions, newest first
+ * @param {string} userId - The ID of the user
+ * @param {string} goalId - The ID of the goal
+ * @returns {Promise<Object|null>} Goal with progress and contributions, or null if not found
+ */
+const getGoalDetails = async (userId, goalId) => {
+  const goal = await Goal.findOne({ _id: goalId, userId }).lean();
+  if (!goal) return null;
+
+  const allTags = (await Goal.find({ userId }).select('tag').lean()).map(({ tag }) => tag);
+  const [totals, averageMonthlySavings, contributions] = await Promise.all([
+    getContributionTotals(userId, [goal.tag]),
+    getAverageMonthlySavings(userId, allTags),
+    Transaction.find({ userId, tags: goal.tag })
+      .sort({ date: -1, createdAt: -1 })
+      .limit(100)
+      .select('type amount currency exchangeRate category description date accountId toAccountId')
+      .lean()
+  ]);
+
+  return {
+    ...buildGoalProgress(goal, totals[goal.tag]?.amount || 0, averageMonthlySavings),
+    contributionCount: totals[goal.tag]?.count || 0,
+    averageMonthlySavings,
+    contributions
+  };
+};
+
+module.exports = {
+  getContributionTotals,
+  getAverageMonthlySavings,
+  buildGoalProgress,
+  getGoalsWithProgress,
+  getGoalDetails
+};
@@ -0,0 +1,557 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Merchant = require('../models/Merchant');
+const Rule = require('../models/Rule');
+const categoryService = require('./categoryService');
+const categoryLearningService = require('./categoryLearningService');
+const currencyService = require('./currencyService');
+const { MAX_AMOUNT } = require('../utils/currencies');
+const { extractMerchant } = require('../utils/merchants');
+
+const DUPLICATE_WINDOW_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Header names commonly used by Indian bank statement exports
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'txn date', 'tran date', 'value date', 'posting date', 'value dt'],
+  description: ['description', 'narration', 'particulars', 'details', 'remarks', 'transaction details', 'memo', 'payee'],
+  amount: ['amount', 'transaction amount', 'amount (inr)', 'amt'],
+  debit: ['debit', 'withdrawal', 'withdrawal amt', 'withdrawal amount', 'debit amount', 'dr'],
+  credit: ['credit', 'deposit', 'deposit amt', 'deposit amount', 'credit amount', 'cr'],
+  type: ['type', 'dr/cr', 'cr/dr', 'transaction type'],
+  category: ['category']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Split CSV text into rows of cells, handling quoted fields and escaped quotes
+ * @param {string} content - Raw CSV text
+ * @param {string} [delimiter] - Field delimiter (detected from the first line when omitted)
+ * @returns {Array<Array<string>>} Rows of trimmed cell values
+ */
+const parseCSVRows = (content, delimiter) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const sep = delimiter || [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  , ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === sep) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Parse a date string from a bank statement
+ * @param {string} value - Date as written in the statement
+ * @param {string} [dateFormat] - 'DD/MM/YYYY' (default), 'MM/DD/YYYY' or 'YYYY-MM-DD'
+ * @returns {Date|null} Parsed date at local midnight, or null if invalid
+ */
+const parseDate = (value, dateFormat = 'DD/MM/YYYY') => {
+  if (!value) return null;
+  const text = value.toString().trim();
+
+  let year;
+  let month;
+  let day;
+
+  // ISO dates are unambiguous whatever the configured format
+  const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  // Month names, e.g. 05-Jan-2025 or 05 Jan 25
+  const named = text.match(/^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/. ,]+(\d{2,4})/);
+  const numeric = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (named) {
+    day = Number(named[1]);
+    month = MONTHS.indexOf(named[2].toLowerCase()) + 1;
+    year = Number(named[3]);
+  } else if (numeric) {
+    const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+    if (dateFormat === 'MM/DD/YYYY') {
+      month = first;
+      day = second;
+    } else {
+      day = first;
+      month = second;
+    }
+    year = Number(numeric[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  if (!month || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(year, month - 1, day);
+  // Reject roll-overs such as 31/02
+  if (date.getMonth() !== month - 1) return null;
+
+  return date;
+};
+
+/**
+ * Parse an amount string such as "1,234.50", "(500)", "₹ 99 Dr" or "-42"
+ * @param {string|number} value - Amount as written in the statement
+ * @returns {number|null} Signed amount (negative for debits), or null if empty/invalid
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = value.toString().trim();
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(text)) sign = -1;
+  text = text.replace(/\b(dr|cr)\.?$/i, '');
+
+  const cleaned = text.replace(/[^0-9.-]/g, '');
+  if (!cleaned || cleaned === '-' || cleaned === '.') return null;
+
+  const amount = parseFloat(cleaned);
+  return Number.isFinite(amount) ? sign * amount : null;
+};
+
+// Resolve a mapping entry (header name or 0-based index) to a column index
+const resolveColumn = (headers, field, mapping) => {
+  const mapped = mapping[field];
+
+  if (mapped !== undefined && mapped !== null && mapped !== '') {
+    if (Number.isInteger(Number(mapped)) && !headers.includes(mapped.toString())) {
+      return Number(mapped);
+    }
+    const index = headers.findIndex(header => header.toLowerCase() === mapped.toString().toLowerCase().trim());
+    return index === -1 ? null : index;
+  }
+
+  const index = headers.findIndex(header => COLUMN_ALIASES[field].includes(header.toLowerCase()));
+  return index === -1 ? null : index;
+};
+
+/**
+ * Parse a CSV bank statement into normalized rows
+ * @param {string} content - Raw CSV text
+ * @param {Object} [options] - Parsing options
+ * @param {Object} [options.mapping] - Column for each field (header name or 0-based index):
+ *   date, description, amount (signed), debit, credit, type (DR/CR), category
+ * @param {string} [options.dateFormat] - Date format of the statement
+ * @param {string} [options.delimiter] - Field delimiter
+ * @returns {{ rows: Array<Object>, errors: Array<Object> }} Parsed rows and per-row errors
+ */
+const parseCSV = (content, { mapping = {}, dateFormat, delimiter } = {}) => {
+  const [headerRow, ...dataRows] = parseCSVRows(content, delimiter);
+  if (!headerRow) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const headers = headerRow.map(header => header.trim());
+  const columns = Object.keys(COLUMN_ALIASES).reduce((acc, field) => {
+    acc[field] = resolveColumn(headers, field, mapping);
+    return acc;
+  }, {});
+
+  if (columns.date === null) {
+    throw new Error('Could not find a date column. Please map the date column.');
+  }
+  if (columns.amount === null && columns.debit === null && columns.credit === null) {
+    throw new Error('Could not find an amount column. Please map an amount or debit/credit columns.');
+  }
+
+  const rows = [];
+  const errors = [];
+
+  dataRows.forEach((cells, index) => {
+    const rowNumber = index + 2; // 1-based, after the header row
+    const cell = (field) => (columns[field] !== null ? cells[columns[field]] : undefined);
+
+    const date = parseDate(cell('date'), dateFormat);
+    if (!date) {
+      errors.push({ rowNumber, message: `Invalid date "${cell('date') || ''}"` });
+      return;
+    }
+
+    let amount = null;
+    const debit = parseAmount(cell('debit'));
+    const credit = parseAmount(cell('credit'));
+
+    if (debit) {
+      amount = -Math.abs(debit);
+    } else if (credit) {
+      amount = Math.abs(credit);
+    } else {
+      amount = parseAmount(cell('amount'));
+      const typeHint = (cell('type') || '').toLowerCase();
+      if (amount !== null && /^(dr|debit|withdrawal)/.test(typeHint)) amount = -Math.abs(amount);
+      if (amount !== null && /^(cr|credit|deposit)/.test(typeHint)) amount = Math.abs(amount);
+    }
+
+    if (!amount) {
+      errors.push({ rowNumber, message: 'Missing or zero amount' });
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      date,
+      description: (cell('description') || '').slice(0, 200),
+      amount: Math.abs(amount),
+      type: amount < 0 ? 'expense' : 'income',
+      category: cell('category') || null,
+      importId: null
+    });
+  });
+
+  return { rows, errors };
+};
+
+// Read a single OFX tag value (works for both SGML and XML flavours)
+const readOFXTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Parse an OFX/QFX statement into normalized rows
+ * @param {string} content - Raw OFX/QFX file contents
+ * @returns {{ rows: Array<Object>, errors: Array<Object> }} Parsed rows and per-row errors
+ */
+const parseOFX = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  if (blocks.length === 0) {
+    throw new Error('No transactions found in the OFX file');
+  }
+
+  const rows = [];
+  const errors = [];
+
+  blocks.forEach((block, index) => {
+    const rowNumber = index + 1;
+    const posted = readOFXTag(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+    const amount = parseAmount(readOFXTag(block, 'TRNAMT'));
+
+    if (!posted) {
+      errors.push({ rowNumber, message: 'Missing posted date' });
+      return;
+    }
+    if (!amount) {
+      errors.push({ rowNumber, message: 'Missing or zero amount' });
+      return;
+    }
+
+    const name = readOFXTag(block, 'NAME');
+    const memo = readOFXTag(block, 'MEMO');
+    const description = [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' - ');
+
+    rows.push({
+      rowNumber,
+      date: new Date(Number(posted[1]), Number(posted[2]) - 1, Number(posted[3])),
+      description: description.slice(0, 200),
+      amount: Math.abs(amount),
+      type: amount < 0 ? 'expense' : 'income',
+      category: null,
+      importId: readOFXTag(block, 'FITID') || null
+    });
+  });
+
+  return { rows, errors };
+};
+
+// Lowercased word set used for description similarity
+const tokenize = (text = '') => new Set(
+  text.toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !/^\d+$/.test(word))
+);
+
+// Whole calendar days between two dates, ignoring the time of day
+const daysBetween = (a, b) => {
+  const start = new Date(a);
+  const end = new Date(b);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+  return Math.round((end - start) / DAY_MS);
+};
+
+/**
+ * Check whether two transaction descriptions probably refer to the same payment
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {boolean} True when one is empty, one contains the other, or they share most words
+ */
+const isSimilarDescription = (a = '', b = '') => {
+  const left = a.toLowerCase().trim();
+  const right = b.toLowerCase().trim();
+  if (!left || !right || left.includes(right) || right.includes(left)) return true;
+
+  const leftTokens = tokenize(left);
+  const rightTokens = tokenize(right);
+  if (leftTokens.size === 0 || rightTokens.size === 0) return false;
+
+  const shared = [...leftTokens].filter(token => rightTokens.has(token)).length;
+  const union = new Set([...leftTokens, ...rightTokens]).size;
+  return shared / union >= 0.5;
+};
+
+/**
+ * Build the import preview: pick out the merchant, categorize each row and flag probable duplicates
+ * @param {string} userId - The ID of the user
+ * @param {Array<Object>} rows - Rows from parseCSV/parseOFX
+ * @returns {Promise<Array<Object>>} Preview rows with merchant, category, confidence and duplicate info
+ */
+const buildPreview = async (userId, rows) => {
+  if (rows.length === 0) return [];
+
+  const [categories, resolveMerchant, suggestCategory] = await Promise.all([
+    Category.findForUser(userId),
+    Merchant.getResolver(userId),
+    categoryLearningService.getSuggester(userId)
+  ]);
+  const isKnownCategory = (name, type) => categories.some(c => c.name === name && c.type === type);
+
+  const times = rows.map(row => row.date.getTime());
+  const existing = await Transaction.find({
+    userId,
+    date: {
+      $gte: new Date(Math.min(...times) - DUPLICATE_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(Math.max(...times) + (DUPLICATE_WINDOW_DAYS + 1) * DAY_MS)
+    }
+  })
+    .select('type amount date description importId')
+    .lean();
+
+  return rows.map(row => {
+    // Statement narrations of card and UPI payments are mostly the merchant itself
+    const merchant = resolveMerchant(extractMerchant(row.description) || (row.type === 'expense' ? row.description : null));
+    let category = row.category && isKnownCategory(row.category, row.type) ? row.category : null;
+    let confidence = category ? 100 : 0;
+    let categorySource = category ? 'statement' : null;
+
+    if (!category && merchant?.defaultCategory && isKnownCategory(merchant.defaultCategory, row.type)) {
+      category = merchant.defaultCategory;
+      confidence = 90;
+      categorySource = 'merchant';
+    }
+
+    // What the user chose for similar descriptions before the keyword rules
+    if (!category) {
+      const learned = suggestCategory([merchant?.name, row.description].filter(Boolean).join(' '), { type: row.type });
+      if (learned && isKnownCategory(learned.category, row.type)) {
+        category = learned.category;
+        confidence = learned.confidence;
+        categorySource = 'learned';
+      }
+    }
+
+    if (!category) {
+      const result = categoryService.categorizeTransaction(row.description);
+      if (result.type === row.type && isKnownCategory(result.category, row.type)) {
+        category = result.category;
+        confidence = result.confidence <= 1 ? Math.round(result.confidence * 100) : Math.round(result.confidence);
+      } else {
+        category = 'Others';
+        confidence = 30;
+      }
+      categorySource = 'keywords';
+    }
+
+    const duplicate = existing.find(transaction =>
+      (row.importId && transaction.importId === row.importId) || (
+        transaction.type === row.type &&
+        Math.abs(transaction.amount - row.amount) < 0.01 &&
+        Math.abs(daysBetween(transaction.date, row.date)) <= DUPLICATE_WINDOW_DAYS &&
+        isSimilarDescription(transaction.description, row.description)
+      )
+    );
+
+    return {
+      ...row,
+      merchant: merchant ? merchant.name : null,
+      category,
+      // Sent back on confirm so categories changed in the preview count as corrections
+      suggestedCategory: category,
+      categorySource,
+      confidence,
+      isDuplicate: !!duplicate,
+      duplicateOf: duplicate ? {
+        _id: duplicate._id,
+        date: duplicate.date,
+        amount: duplicate.amount,
+        description: duplicate.description
+      } : null
+    };
+  });
+};
+
+/**
+ * Save the rows the user confirmed from the preview
+ * @param {string} userId - The ID of the user
+ * @param {Array<Object>} items - Confirmed rows ({ date, description, merchant, amount, type, category, importId,
+ *   and the preview's suggestedCategory, categorySource and confidence })
+ * @param {Object} [account] - Account the statement belongs to (lean Account document)
+ * @returns {Promise<Object>} Created transactions, the rows that were skipped and the rows that failed to save,
+ *   each with its index and a reason
+ */
+const commitImport = async (userId, items, account = null) => {
+  const [categories, baseCurrency, rules] = await Promise.all([
+    Category.findForUser(userId),
+    currencyService.getBaseCurrency(userId),
+    Rule.getActiveRules(userId)
+  ]);
+  // Statements are in the account's currency, taken to be the base currency without one
+  const { currency, exchangeRate } = await currencyService.resolveTransactionCurrency(
+    userId, account ? account.currency : baseCurrency, null, baseCurrency
+  );
+  const importIds = items.map(item => item.importId).filter(Boolean);
+  const alreadyImported = importIds.length > 0
+    ? new Set((await Transaction.find({ userId, importId: { $in: importIds } }).select('importId').lean())
+      .map(transaction => transaction.importId))
+    : new Set();
+
+  const documents = [];
+  // Index of the row each document came from
+  const documentRows = [];
+  const skipped = [];
+  const sources = Transaction.CATEGORY_SOURCES;
+
+  items.forEach((item, index) => {
+    const amount = parseFloat(item.amount);
+    const date = new Date(item.date);
+
+    if (!['income', 'expense'].includes(item.type)) {
+      skipped.push({ index, message: 'Type must be either income or expense' });
+    } else if (!Number.isFinite(amount) || amount < 0.01 || amount > MAX_AMOUNT) {
+      skipped.push({ index, message: 'Amount must be between 0.01 and 1,000,000,000' });
+    } else if (isNaN(date.getTime())) {
+      skipped.push({ index, message: 'Invalid date' });
+    } else if (!categories.some(c => c.name === item.category && c.type === item.type)) {
+      skipped.push({ index, message: `Invalid category "${item.category}" for ${item.type} transactions` });
+    } else if (item.importId && alreadyImported.has(item.importId)) {
+      skipped.push({ index, message: 'Already imported' });
+    } else {
+      documentRows.push(index);
+      documents.push({
+        userId,
+        type: item.type,
+        amount,
+        category: item.category,
+        description: (item.description || '').toString().slice(0, 200),
+        // Normalized by the model, which also guesses it from the description when missing
+        merchant: item.merchant ? item.merchant.toString() : null,
+        date,
+        currency,
+        exchangeRate,
+        accountId: account ? account._id : null,
+        isFromImport: true,
+        importId: item.importId || null,
+        categorySuggestion: typeof item.suggestedCategory === 'string' && item.suggestedCategory ? {
+          category: item.suggestedCategory,
+          source: sources.includes(item.categorySource) ? item.categorySource : null,
+          confidence: Number.isFinite(Number(item.confidence)) ? Number(item.confidence) : null
+        } : null
+      });
+    }
+  });
+
+  // The user's rules run as each row is saved; load them once for the whole statement. A category
+  // changed in the preview is the user's choice, so rules leave it alone.
+  const prepared = documents.map(document => {
+    const transaction = new Transaction(document);
+    transaction.$locals.rules = rules;
+    transaction.$locals.keepCategory = Boolean(document.categorySuggestion) &&
+      document.categorySuggestion.category !== document.category;
+    return transaction;
+  });
+
+  // Unordered, so a row that fails doesn't stop the rest; results line up with the documents
+  let results = [];
+  if (prepared.length > 0) {
+    try {
+      const result = await Transaction.insertMany(prepared, { ordered: false, rawResult: true });
+      results = result.mongoose ? result.mongoose.results : prepared;
+    } catch (error) {
+      if (!error.mongoose) throw error;
+      results = error.mongoose.results;
+      // The model's insertMany hook only runs when every row was written
+      await Transaction.recordCreated(results.filter(item => item instanceof Transaction));
+    }
+  }
+
+  const transactions = [];
+  const failed = [];
+  results.forEach((item, position) => {
+    if (item instanceof Transaction) {
+      transactions.push(item);
+    } else {
+      failed.push({ index: documentRows[position], message: item.message || item.errmsg || 'Could not be saved' });
+    }
+  });
+
+  // Categories changed in the preview
+  for (const transaction of transactions) {
+    const suggestion = transaction.categorySuggestion;
+    if (suggestion && suggestion.category !== transaction.category) {
+      await categoryLearningService.recordCorrection(userId, {
+        transactionId: transaction._id,
+        type: transaction.type,
+        text: categoryLearningService.transactionText(transaction),
+        fromCategory: suggestion.category,
+        toCategory: transaction.category,
+        source: suggestion.source
+      });
+    }
+  }
+
+  return { transactions, skipped, failed };
+};
+
+module.exports = {
+  parseCSV,
+  parseOFX,
+  parseDate,
+  parseAmount,
+  isSimilarDescription,
+  buildPreview,
+  commitImport
+};
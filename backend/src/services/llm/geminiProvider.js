@@ -0,0 +1,130 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert OpenAI-style messages to Gemini contents. This SDK version has no system instruction
+ * and expects turns to alternate, so system text joins the user turn and consecutive turns merge.
+ */
+const toGeminiContents = (messages) => {
+  const contents = [];
+  for (const { role, content } of messages) {
+    const geminiRole = role === 'assistant' ? 'model' : 'user';
+    const last = contents[contents.length - 1];
+    if (last && last.role === geminiRole) {
+      last.parts.push({ text: `\n\n${content}` });
+    } else {
+      contents.push({ role: geminiRole, parts: [{ text: content }] });
+    }
+  }
+
+  // A conversation has to open with the user
+  if (contents[0]?.role === 'model') {
+    contents.unshift({ role: 'user', parts: [{ text: 'Hello' }] });
+  }
+  return contents;
+};
+
+/**
+ * Generation through the Gemini API, falling back to a second model when the first is busy or out of quota
+ */
+class GeminiProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey - Gemini API key
+   * @param {string} config.model - Primary model
+   * @param {string} config.fallbackModel - Model tried once the primary one gives up
+   * @param {string} config.visionModel - Model used for images
+   */
+  constructor({ apiKey, model, fallbackModel, visionModel }) {
+    this.name = 'gemini';
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.visionModel = visionModel;
+
+    // Using faster model as primary for quicker responses
+    this.models = [
+      { name: model, config: { temperature: 0.5, topK: 20, topP: 0.8, maxOutputTokens: 1024 } },
+      // Fallback config with higher quality but slower
+      { name: fallbackModel, config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 2048 } }
+    ];
+  }
+
+  supportsTools() {
+    return false;
+  }
+
+  supportsVision() {
+    return true;
+  }
+
+  _getModel(name, config, { temperature, maxTokens } = {}) {
+    return this.genAI.getGenerativeModel({
+      model: name,
+      generationConfig: {
+        ...config,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens !== undefined && { maxOutputTokens: maxTokens })
+      }
+    });
+  }
+
+  async _generateWithRetry(payload, options = {}, { attemptsPerModel = 2, initialBackoffMs = 1000 } = {}) {
+    let lastError;
+    for (const { name, config } of this.models) {
+      const model = this._getModel(name, config, options);
+      for (let attempt = 1; attempt <= attemptsPerModel; attempt++) {
+        try {
+          const result = await model.generateContent(payload);
+          const text = result.response.text();
+          if (!text || text.trim().length === 0) {
+            throw new Error('Received empty response from AI');
+          }
+          return text;
+        } catch (error) {
+          lastError = error;
+          const message = (error && error.message ? error.message : '').toLowerCase();
+          const isQuotaOrRateLimit = message.includes('429') || message.includes('quota') || message.includes('rate limit') || message.includes('too many requests');
+          const retryAfterMatch = message.match(/retrydelay"?:?\s*"?(\d+)s/);
+          const serverBusy = message.includes('unavailable') || message.includes('temporarily');
+
+          if ((isQuotaOrRateLimit || serverBusy) && attempt < attemptsPerModel) {
+            // Exponential backoff; honor Retry-After if present
+            const retryDelaySec = retryAfterMatch ? parseInt(retryAfterMatch[1], 10) : null;
+            await sleep(retryDelaySec ? retryDelaySec * 1000 : initialBackoffMs * attempt);
+            continue;
+          }
+
+          // If not retryable or attempts exhausted, move to next model
+          break;
+        }
+      }
+    }
+
+    throw new Error(`Failed to generate content: ${lastError?.message || 'Unknown error'}`);
+  }
+
+  async complete(messages, options = {}) {
+    return this._generateWithRetry({ contents: toGeminiContents(messages) }, options);
+  }
+
+  // The SDK takes no abort signal, so a cancelled stream stops at the next chunk
+  async *stream(messages, { signal, ...options } = {}) {
+    const [{ name, config }] = this.models;
+    const model = this._getModel(name, config, options);
+    const result = await model.generateContentStream({ contents: toGeminiContents(messages) });
+
+    for await (const chunk of result.stream) {
+      if (signal?.aborted) return;
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  async extractFromImage(prompt, { data, mimeType }) {
+    const model = this.genAI.getGenerativeModel({ model: this.visionModel });
+    const result = await model.generateContent([prompt, { inlineData: { data, mimeType } }]);
+    return result.response.text();
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,140 @@
+/**
+ * Language model access for chat, insights, advice, categorization and receipts.
+ * The provider comes from LLM_PROVIDER, or from whichever API key is set, and falls back
+ * to deterministic templates so the app runs offline without any keys.
+ */
+const OpenAIProvider = require('./openaiProvider');
+const GeminiProvider = require('./geminiProvider');
+const TemplateProvider = require('./templateProvider');
+
+const PROVIDERS = ['openai', 'gemini', 'local', 'template'];
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+let provider = null;
+
+// Explicit choice first, otherwise the first provider with a key
+const resolveProviderName = () => {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (configured) {
+    if (PROVIDERS.includes(configured)) return configured;
+    console.warn(`Unknown LLM_PROVIDER "${configured}", expected one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  if (process.env.GEMINI_API_KEY) return 'gemini';
+  return 'template';
+};
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) break;
+      return new OpenAIProvider({
+        name,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        visionModel: process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini'
+      });
+
+    case 'gemini':
+      if (!process.env.GEMINI_API_KEY) break;
+      return new GeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+        fallbackModel: process.env.GEMINI_FALLBACK_MODEL || 'gemini-1.5-pro',
+        visionModel: process.env.GEMINI_VISION_MODEL || 'gemini-pro-vision'
+      });
+
+    case 'local':
+      return new OpenAIProvider({
+        name,
+        // Local servers ignore the key, but the client requires one
+        apiKey: process.env.LLM_API_KEY || 'local',
+        baseURL: process.env.LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+        model: process.env.LLM_MODEL || 'llama3.1',
+        visionModel: process.env.LLM_VISION_MODEL,
+        // Not every local model handles tool calls
+        tools: process.env.LLM_TOOLS === 'true'
+      });
+
+    default:
+      return new TemplateProvider();
+  }
+
+  console.warn(`LLM_PROVIDER is ${name} but its API key is not set; using offline templates`);
+  return new TemplateProvider();
+};
+
+/**
+ * Get the configured provider, created on first use
+ * @returns {Object} Provider with complete, stream, extractFromImage, supportsVision and supportsTools, plus streamWithTools when it supports tools
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider(resolveProviderName());
+  }
+  return provider;
+};
+
+/**
+ * Whether answers come from templates rather than a model
+ * @returns {boolean}
+ */
+const isOffline = () => getProvider().name === 'template';
+
+/**
+ * Generate a reply to a conversation
+ * @param {Array<{role: string, content: string}>} messages - OpenAI-style messages
+ * @param {Object} [options]
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Longest reply
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {string|Function} [options.fallback] - Answer, or a function producing one, used by the template provider
+ * @returns {Promise<string>} The reply
+ */
+const complete = (messages, options) => getProvider().complete(messages, options);
+
+/**
+ * Generate a reply piece by piece
+ * @param {Array<{role: string, content: string}>} messages - OpenAI-style messages
+ * @param {Object} [options] - Same as complete
+ * @returns {AsyncIterable<string>} Text as it is generated
+ */
+const stream = (messages, options) => getProvider().stream(messages, options);
+
+/**
+ * Generate a reply that may call tools instead of, or after, writing text
+ * @param {Array<Object>} messages - OpenAI-style messages, including earlier tool calls and results
+ * @param {Array<Object>} tools - OpenAI-style function definitions
+ * @param {Object} [options] - Same as complete, plus toolChoice ('auto' or 'none')
+ * @returns {AsyncIterable<{content?: string, toolCalls?: Array<{id: string, name: string, arguments: string}>}>}
+ *   Text as it is generated, then the requested tool calls, if any
+ */
+const streamWithTools = (messages, tools, options) => getProvider().streamWithTools(messages, tools, options);
+
+/**
+ * Ask a vision model about an image
+ * @param {string} prompt - Instructions for the model
+ * @param {Object} image
+ * @param {string} image.data - Base64 image data
+ * @param {string} image.mimeType - Image MIME type
+ * @returns {Promise<string>} The model's answer
+ */
+const extractFromImage = (prompt, image) => getProvider().extractFromImage(prompt, image);
+
+const supportsVision = () => getProvider().supportsVision();
+
+const supportsTools = () => getProvider().supportsTools();
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  isOffline,
+  complete,
+  stream,
+  streamWithTools,
+  extractFromImage,
+  supportsVision,
+  supportsTools
+};
@@ -0,0 +1,100 @@
+const OpenAI = require('openai');
+
+/**
+ * Chat completions through the OpenAI API, or any server that speaks the same protocol
+ * (Ollama, LM Studio, vLLM, llama.cpp) when given a base URL
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Provider name reported to callers
+   * @param {string} config.apiKey - API key; local servers accept any value
+   * @param {string} [config.baseURL] - Endpoint of an OpenAI-compatible server
+   * @param {string} config.model - Chat model
+   * @param {string} [config.visionModel] - Model used for images; vision is unsupported without one
+   * @param {boolean} [config.tools=true] - Whether the model can call tools
+   */
+  constructor({ name, apiKey, baseURL, model, visionModel, tools = true }) {
+    this.name = name;
+    this.model = model;
+    this.visionModel = visionModel || null;
+    this.tools = tools;
+    this.client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+  }
+
+  supportsVision() {
+    return !!this.visionModel;
+  }
+
+  supportsTools() {
+    return this.tools;
+  }
+
+  async complete(messages, { temperature = 0.7, maxTokens = 500, signal } = {}) {
+    const completion = await this.client.chat.completions.create(
+      { model: this.model, messages, temperature, max_tokens: maxTokens },
+      { signal }
+    );
+
+    return completion.choices[0]?.message?.content || '';
+  }
+
+  async *stream(messages, { temperature = 0.7, maxTokens = 500, signal } = {}) {
+    const stream = await this.client.chat.completions.create(
+      { model: this.model, messages, temperature, max_tokens: maxTokens, stream: true },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) yield content;
+    }
+  }
+
+  // Tool call arguments arrive in fragments and are only complete at the end of the stream
+  async *streamWithTools(messages, tools, { temperature = 0.7, maxTokens = 500, signal, toolChoice = 'auto' } = {}) {
+    const stream = await this.client.chat.completions.create(
+      { model: this.model, messages, tools, tool_choice: toolChoice, temperature, max_tokens: maxTokens, stream: true },
+      { signal }
+    );
+
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta;
+      if (delta?.content) yield { content: delta.content };
+
+      for (const call of delta?.tool_calls || []) {
+        const entry = toolCalls[call.index] || (toolCalls[call.index] = { id: '', name: '', arguments: '' });
+        if (call.id) entry.id = call.id;
+        if (call.function?.name) entry.name += call.function.name;
+        if (call.function?.arguments) entry.arguments += call.function.arguments;
+      }
+    }
+
+    if (toolCalls.length > 0) {
+      yield { toolCalls: toolCalls.filter(Boolean) };
+    }
+  }
+
+  async extractFromImage(prompt, { data, mimeType }) {
+    if (!this.visionModel) {
+      throw new Error(`The ${this.name} provider has no vision model configured`);
+    }
+
+    const completion = await this.client.chat.completions.create({
+      model: this.visionModel,
+      max_tokens: 1024,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } }
+        ]
+      }]
+    });
+
+    return completion.choices[0]?.message?.content || '';
+  }
+}
+
+module.exports = OpenAIProvider;
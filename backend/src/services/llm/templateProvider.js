@@ -0,0 +1,39 @@
+const OFFLINE_REPLY = 'AI answers are turned off. Set LLM_PROVIDER and its API key on the server to enable them.';
+
+/**
+ * Deterministic answers built by the caller from the user's own data, so AI features
+ * work offline and give repeatable output in development and tests
+ */
+class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+  }
+
+  supportsTools() {
+    return false;
+  }
+
+  supportsVision() {
+    return false;
+  }
+
+  async complete(messages, { fallback } = {}) {
+    const text = typeof fallback === 'function' ? await fallback() : fallback;
+    return text || OFFLINE_REPLY;
+  }
+
+  // Streamed word by word so clients exercise the same code path as with a real model
+  async *stream(messages, { signal, ...options } = {}) {
+    const text = await this.complete(messages, options);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield word;
+    }
+  }
+
+  async extractFromImage() {
+    throw new Error('The template provider cannot read images');
+  }
+}
+
+module.exports = TemplateProvider;
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Merchant = require('../models/Merchant');
+const transactionHistory = require('./transactionHistoryService');
+const { baseAmountExpression } = require('../utils/currencies');
+const { merchantKey, normalizeMerchantName } = require('../utils/merchants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (value) => Math.round(value * 100) / 100;
+
+// Merchant names on the user's transactions with how often and when they were last used
+const getUsedMerchants = async (userId) => Transaction.aggregate([
+  { $match: { userId: new mongoose.Types.ObjectId(userId), merchant: { $nin: [null, ''] } } },
+  { $group: { _id: '$merchant', count: { $sum: 1 }, lastUsed: { $max: '$date' } } }
+]);
+
+// Point transactions stored under any of the given keys at the merchant's name
+const renameTransactions = async (userId, keys, name) => {
+  const keySet = new Set(keys);
+  const names = (await getUsedMerchants(userId))
+    .map(row => row._id)
+    .filter(used => used !== name && keySet.has(merchantKey(used)));
+  if (names.length === 0) return 0;
+
+  const transactions = await Transaction.find({ userId, merchant: { $in: names } })
+    .select(transactionHistory.SNAPSHOT_SELECT)
+    .lean();
+  const result = await Transaction.updateMany({ userId, merchant: { $in: names } }, { $set: { merchant: name } });
+  await transactionHistory.recordUpdates(
+    userId,
+    transactions.map(transaction => ({ before: transaction, after: { ...transaction, merchant: name } }))
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * List the user's merchants: every name on a transaction plus any with saved settings
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options]
+ * @param {string} [options.search] - Only merchants whose name contains this text
+ * @param {number} [options.limit=50] - Maximum number of merchants
+ * @returns {Promise<Array<Object>>} Merchants, most used first
+ */
+const getMerchants = async (userId, { search = '', limit = 50 } = {}) => {
+  const [used, saved] = await Promise.all([
+    getUsedMerchants(userId),
+    Merchant.find({ userId }).lean()
+  ]);
+
+  const byKey = new Map();
+  saved.forEach(merchant => byKey.set(merchant.key, {
+    _id: merchant._id,
+    name: merchant.name,
+    defaultCategory: merchant.defaultCategory || null,
+    aliases: merchant.aliases || [],
+    transactionCount: 0,
+    lastUsed: null
+  }));
+  used.forEach(row => {
+    const key = merchantKey(row._id);
+    const entry = byKey.get(key) || { _id: null, name: row._id, defaultCategory: null, aliases: [], transactionCount: 0, lastUsed: null };
+    entry.transactionCount += row.count;
+    entry.lastUsed = !entry.lastUsed || row.lastUsed > entry.lastUsed ? row.lastUsed : entry.lastUsed;
+    byKey.set(key, entry);
+  });
+
+  const term = search.trim().toLowerCase();
+  return [...byKey.values()]
+    .filter(merchant => !term || merchant.name.toLowerCase().includes(term))
+    .sort((a, b) => b.transactionCount - a.transactionCount || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+/**
+ * Spending per merchant: total, visits, average ticket and how often the user goes there
+ * @param {string} userId - The ID of the user
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Number of merchants to return
+ * @param {string} [options.sortBy='total'] - 'total', 'visits' or 'averageTicket'
+ * @returns {Promise<Object>} Period, overall totals and the top merchants in the base currency
+ */
+const getMerchantAnalytics = async (userId, startDate, endDate, { limit = 10, sortBy = 'total' } = {}) => {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    type: 'expense',
+    date: { $gte: new Date(startDate), $lte: new Date(endDate) }
+  };
+
+  const [rows, totals, saved] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...match, merchant: { $nin: [null, ''] } } },
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: '$merchant',
+          total: { $sum: baseAmountExpression },
+          visits: { $sum: 1 },
+          largest: { $max: baseAmountExpression },
+          firstVisit: { $min: '$date' },
+          lastVisit: { $max: '$date' },
+          // Category of the most recent visit
+          category: { $first: '$category' }
+        }
+      }
+    ]),
+    Transaction.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: baseAmountExpression }, count: { $sum: 1 } } }
+    ]),
+    Merchant.find({ userId }).select('key defaultCategory').lean()
+  ]);
+
+  const defaults = new Map(saved.map(merchant => [merchant.key, merchant.defaultCategory]));
+  const totalSpend = totals[0]?.total || 0;
+  // Visits per month are measured over the whole period, at least a month long
+  const months = Math.max((new Date(endDate) - new Date(startDate)) / (30.44 * DAY_MS), 1);
+
+  const merchants = rows.map(row => ({
+    name: row._id,
+    total: round(row.total),
+    visits: row.visits,
+    averageTicket: round(row.total / row.visits),
+    largestTicket: round(row.largest),
+    visitsPerMonth: round(row.visits / months),
+    averageDaysBetweenVisits: row.visits > 1
+      ? round((row.lastVisit - row.firstVisit) / DAY_MS / (row.visits - 1))
+      : null,
+    firstVisit: row.firstVisit,
+    lastVisit: row.lastVisit,
+    category: row.category,
+    defaultCategory: defaults.get(merchantKey(row._id)) || null,
+    shareOfSpending: totalSpend > 0 ? round((row.total / totalSpend) * 100) : 0
+  }));
+
+  const sortKey = ['total', 'visits', 'averageTicket'].includes(sortBy) ? sortBy : 'total';
+  merchants.sort((a, b) => b[sortKey] - a[sortKey] || b.total - a.total);
+
+  const merchantSpend = rows.reduce((sum, row) => sum + row.total, 0);
+  const visits = rows.reduce((sum, row) => sum + row.visits, 0);
+
+  return {
+    period: { startDate, endDate },
+    totals: {
+      merchants: rows.length,
+      visits,
+      spend: round(merchantSpend),
+      averageTicket: visits > 0 ? round(merchantSpend / visits) : 0,
+      // Expenses without a merchant, e.g. cash or transfers to people
+      unattributedSpend: round(totalSpend - merchantSpend)
+    },
+    merchants: merchants.slice(0, limit)
+  };
+};
+
+/**
+ * Save a merchant's default category and alternative spellings
+ * @param {string} userId - The ID of the user
+ * @param {string} name - Merchant name as shown
+ * @param {Object} settings
+ * @param {string|null} [settings.defaultCategory] - Expense category for new transactions, null to clear
+ * @param {Array<string>} [settings.aliases] - Other spellings to file under this merchant
+ * @returns {Promise<Object|null>} The merchant and how many transactions were renamed, or null for an empty name
+ */
+const updateMerchant = async (userId, name, { defaultCategory, aliases } = {}) => {
+  const resolved = await Merchant.resolve(userId, name);
+  if (!resolved) return null;
+
+  let merchant = await Merchant.findOne({ userId, key: merchantKey(resolved.name) });
+  if (!merchant) merchant = new Merchant({ userId, name: resolved.name });
+
+  if (defaultCategory !== undefined) merchant.defaultCategory = defaultCategory || null;
+
+  let aliasKeys = [];
+  if (Array.isArray(aliases)) {
+    aliasKeys = [...new Set(aliases.flatMap(alias => [merchantKey(alias), merchantKey(normalizeMerchantName(alias))]))]
+      .filter(key => key && key !== merchantKey(merchant.name));
+    merchant.aliases = [...new Set([...merchant.aliases, ...aliasKeys])];
+  }
+
+  await merchant.save();
+  const renamed = aliasKeys.length > 0 ? await renameTransactions(userId, aliasKeys, merchant.name) : 0;
+
+  return { merchant, renamed };
+};
+
+/**
+ * Merge merchants into one, e.g. "Blue Tokai Coffee Roasters" into "Blue Tokai"
+ * @param {string} userId - The ID of the user
+ * @param {Array<string>} sources - Merchant names to merge away
+ * @param {string} target - Merchant name to keep
+ * @returns {Promise<Object|null>} The kept merchant and how many transactions moved, or null for an empty target
+ */
+const mergeMerchants = async (userId, sources, target) => {
+  const targetName = normalizeMerchantName(target);
+  if (!targetName) return null;
+
+  const targetKey = merchantKey(targetName);
+  const sourceKeys = [...new Set(sources.map(source => merchantKey(normalizeMerchantName(source) || source)))]
+    .filter(key => key && key !== targetKey);
+
+  // Settings saved for the merged merchants carry over, the target's own taking precedence
+  const sourceMerchants = await Merchant.find({ userId, key: { $in: sourceKeys } });
+  let merchant = await Merchant.findOne({ userId, key: targetKey });
+  if (!merchant) merchant = new Merchant({ userId, name: targetName });
+
+  merchant.aliases = [...new Set([
+    ...merchant.aliases,
+    ...sourceKeys,
+    ...sourceMerchants.flatMap(source => source.aliases || [])
+  ])].filter(key => key !== targetKey);
+  if (!merchant.defaultCategory) {
+    merchant.defaultCategory = sourceMerchants.find(source => source.defaultCategory)?.defaultCategory || null;
+  }
+
+  await Merchant.deleteMany({ userId, _id: { $in: sourceMerchants.map(source => source._id) } });
+  await merchant.save();
+  const renamed = await renameTransactions(userId, merchant.aliases, merchant.name);
+
+  return { merchant, renamed };
+};
+
+module.exports = {
+  getMerchants,
+  getMerchantAnalytics,
+  updateMerchant,
+  mergeMerchants
+};
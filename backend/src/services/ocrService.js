@@ -3,12 +3,12 @@ const fs = require('fs').promises;
 const sharp = require('sharp'); // For image preprocessing
 const path = require('path');
 const pdfParse = require('pdf-parse');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('./llm');
 
-// Initialize Google Generative AI
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+// Category mapping based on merchant names and keywords (built-in categories every user has)
+// Receipt lines that carry a price but are not items
+const NON_ITEM_LINE = /\b(?:sub\s*total|total|tax|gst|cgst|sgst|vat|discount|round(?:ing)?\s*off|change|cash|card|paid|balance|savings)\b/i;
 
-// Category mapping based on merchant names and keywords
 const categoryMappings = {
   'Food & Dining': [
     'restaurant', 'cafe', 'food', 'pizza', 'burger', 'hotel', 'dhaba', 'canteen',
@@ -25,7 +25,7 @@ const categoryMappings = {
   ],
   'Healthcare': [
     'hospital', 'clinic', 'doctor', 'medical', 'pharmacy', 'medicine', 'health',
-    'apollo', 'fortis', 'max', 'aiims', 'dental'
+    'apollo', 'fortis', 'max', 'aiims', 'dental', 'tablet', 'syrup', 'capsule'
   ],
   'Utilities': [
     'electricity', 'water', 'gas', 'internet', 'wifi', 'mobile', 'phone',
@@ -279,6 +279,7 @@ const parseReceiptText = (extractedData) => {
   let merchant = null;
   let date = null;
   let items = [];
+  let lineItems = [];
 
   // Enhanced amount extraction patterns for Indian receipts
   const amountPatterns = [
@@ -346,10 +347,16 @@ const parseReceiptText = (extractedData) => {
 
   // Extract items (lines with prices)
   for (const line of lines) {
-    if (line.match(/(\d+(?:\.\d{2})?)\s*(?:rs\.?|₹)|(?:rs\.?|₹)\s*(\d+(?:\.\d{2})?)/i)) {
+    const priceMatch = line.match(/(\d+(?:\.\d{2})?)\s*(?:rs\.?|₹)|(?:rs\.?|₹)\s*(\d+(?:\.\d{2})?)/i);
+    if (priceMatch) {
       const itemName = line.replace(/[\d\s₹rs\.-]/gi, '').trim();
       if (itemName.length > 2) {
         items.push(itemName);
+        // Keep priced lines, minus totals and taxes, for splitting the receipt by category
+        if (!NON_ITEM_LINE.test(line)) {
+          const name = line.replace(priceMatch[0], '').replace(/[:\-]+\s*$/, '').replace(/\s+/g, ' ').trim();
+          lineItems.push({ name: name || itemName, amount: parseFloat(priceMatch[1] || priceMatch[2]) });
+        }
       }
     }
   }
@@ -371,6 +378,7 @@ const parseReceiptText = (extractedData) => {
     merchant,
     date,
     items,
+    lineItems,
     rawText: text,
     confidence,
     extractionInfo: {
@@ -398,6 +406,42 @@ const determineCategory = (merchant, items) => {
   return 'Others'; // Default category
 };
 
+// Suggest category splits from priced line items, scaling them so they add up to the total
+// (the difference is usually tax or service charges). Returns [] when everything falls in one category.
+const buildSplitsFromItems = (lineItems, total) => {
+  const priced = (lineItems || []).filter(item => item && item.name && item.amount > 0);
+  const itemsTotal = priced.reduce((sum, item) => sum + item.amount, 0);
+
+  // Item prices that overshoot the total, or cover too little of it, are not reliable enough to split on
+  if (!total || priced.length < 2 || itemsTotal > total + 0.01 || itemsTotal < total * 0.5) {
+    return [];
+  }
+
+  const groups = {};
+  priced.forEach(item => {
+    const category = determineCategory('', [item.name]);
+    if (!groups[category]) groups[category] = { category, amount: 0, names: [] };
+    groups[category].amount += item.amount;
+    groups[category].names.push(item.name);
+  });
+
+  const splits = Object.values(groups).sort((a, b) => b.amount - a.amount);
+  if (splits.length < 2) return [];
+
+  const factor = total / itemsTotal;
+  const result = splits.map(group => ({
+    category: group.category,
+    amount: Math.round(group.amount * factor * 100) / 100,
+    note: group.names.slice(0, 3).join(', ').slice(0, 100)
+  }));
+
+  // Put any rounding difference on the largest split so the parts match the total exactly
+  const roundingDifference = Math.round((total - result.reduce((sum, split) => sum + split.amount, 0)) * 100) / 100;
+  result[0].amount = Math.round((result[0].amount + roundingDifference) * 100) / 100;
+
+  return result;
+};
+
 // Calculate confidence score based on extracted data quality
 const calculateOverallConfidence = (parsed) => {
   let score = 0;
@@ -416,42 +460,30 @@ const calculateOverallConfidence = (parsed) => {
   return Math.min(score, 100);
 };
 
-// Extract text using Gemini Vision API
-const extractTextWithGemini = async (filePath, mimeType) => {
-  if (!genAI) {
-    throw new Error('Gemini API key not configured');
-  }
+// Vision models read images only; PDFs always go through pdf-parse
+const canUseVision = (mimeType) => mimeType.startsWith('image/') && llm.supportsVision();
 
+// Extract receipt fields with the configured provider's vision model
+const extractTextWithVision = async (filePath, mimeType) => {
   try {
-    console.log('Attempting to extract text with Gemini...');
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro-vision' });
-    
+    console.log(`Attempting to extract text with ${llm.getProvider().name} vision...`);
+
     // Read file data
     const imageData = await fs.readFile(filePath);
     const base64Data = imageData.toString('base64');
     
-    const prompt = `Extract the following information from this receipt in JSON format with these fields: {"amount": number, "merchant": string, "date": string (YYYY-MM-DD), "items": string[]}. Only respond with the JSON object, no other text.`;
+    const prompt = `Extract the following information from this receipt in JSON format with these fields: {"amount": number, "merchant": string, "date": string (YYYY-MM-DD), "items": [{"name": string, "amount": number}]}. Only respond with the JSON object, no other text.`;
     
-    const result = await model.generateContent([
-      prompt,
-      {
-        inlineData: {
-          data: base64Data,
-          mimeType: mimeType
-        }
-      }
-    ]);
-    
-    const response = await result.response;
-    const text = response.text();
+    const text = await llm.extractFromImage(prompt, { data: base64Data, mimeType });
+    const method = `${llm.getProvider().name}-vision`;
     
-    // Try to parse the response as JSON
+    // Try to parse the response as JSON; models often wrap it in a code fence
     try {
-      const parsed = JSON.parse(text);
+      const parsed = JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
       return {
         text: JSON.stringify(parsed), // Store the raw JSON as text
-        confidence: 90, // High confidence for Gemini
-        method: 'gemini-vision',
+        confidence: 90, // High confidence for vision models
+        method,
         parsedData: parsed // Store the parsed data for easier access
       };
     } catch (e) {
@@ -459,17 +491,17 @@ const extractTextWithGemini = async (filePath, mimeType) => {
       return {
         text: text,
         confidence: 70,
-        method: 'gemini-vision',
+        method,
         rawResponse: text
       };
     }
   } catch (error) {
-    console.error('Gemini API error:', error);
-    throw new Error(`Gemini API failed: ${error.message}`);
+    console.error('Vision extraction error:', error);
+    throw new Error(`Vision extraction failed: ${error.message}`);
   }
 };
 
-// Main function to process receipt with enhanced blur handling and Gemini fallback
+// Main function to process receipt with enhanced blur handling and vision model fallback
 const processReceipt = async (filePath, mimeType = 'image/jpeg') => {
   try {
     // Check if file exists
@@ -487,26 +519,25 @@ const processReceipt = async (filePath, mimeType = 'image/jpeg') => {
         extractedData = await extractTextFromImageEnhanced(filePath);
       }
       
-      // If Tesseract returns low confidence or no text, try Gemini
-      if ((extractedData.confidence < 50 || !extractedData.text || extractedData.text.trim().length < 20) && genAI) {
-        console.log('Low confidence in Tesseract, falling back to Gemini...');
+      // If Tesseract returns low confidence or no text, try a vision model
+      if ((extractedData.confidence < 50 || !extractedData.text || extractedData.text.trim().length < 20) && canUseVision(mimeType)) {
+        console.log('Low confidence in Tesseract, falling back to vision model...');
         try {
-          const geminiData = await extractTextWithGemini(filePath, mimeType);
-          extractedData = geminiData;
+          extractedData = await extractTextWithVision(filePath, mimeType);
           usedFallback = true;
-        } catch (geminiError) {
-          console.warn('Gemini fallback failed, using Tesseract results:', geminiError.message);
+        } catch (visionError) {
+          console.warn('Vision fallback failed, using Tesseract results:', visionError.message);
         }
       }
     } catch (tesseractError) {
-      console.warn('Tesseract extraction failed, trying Gemini...', tesseractError.message);
-      if (genAI) {
+      if (canUseVision(mimeType)) {
+        console.warn('Tesseract extraction failed, trying vision model...', tesseractError.message);
         try {
-          extractedData = await extractTextWithGemini(filePath, mimeType);
+          extractedData = await extractTextWithVision(filePath, mimeType);
           usedFallback = true;
-        } catch (geminiError) {
-          console.error('Both Tesseract and Gemini failed:', geminiError.message);
-          throw new Error('Failed to extract text with both Tesseract and Gemini');
+        } catch (visionError) {
+          console.error('Both Tesseract and vision model failed:', visionError.message);
+          throw new Error('Failed to extract text with both Tesseract and the vision model');
         }
       } else {
         throw tesseractError;
@@ -520,14 +551,26 @@ const processReceipt = async (filePath, mimeType = 'image/jpeg') => {
     // Parse the extracted text
     let parsed;
     if (usedFallback && extractedData.parsedData) {
-      // If we used Gemini and got parsed data, use it directly
+      // If the vision model returned parsed data, use it directly
       parsed = extractedData.parsedData;
       parsed.rawText = extractedData.text;
       // Ensure required fields
       parsed.amount = parsed.amount || null;
       parsed.merchant = parsed.merchant || null;
       parsed.date = parsed.date ? new Date(parsed.date) : null;
-      parsed.items = parsed.items || [];
+      // Items come back with their prices; keep plain names in `items` as before
+      const rawItems = Array.isArray(parsed.items) ? parsed.items : [];
+      parsed.lineItems = rawItems
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({ name: String(item.name || '').trim(), amount: parseFloat(item.amount) }))
+        .filter(item => item.name && Number.isFinite(item.amount));
+      parsed.items = rawItems.map(item => (typeof item === 'object' && item ? String(item.name || '') : String(item))).filter(Boolean);
+      parsed.extractionInfo = {
+        confidence: extractedData.confidence,
+        method: extractedData.method,
+        qualityInfo: {},
+        extractionWarnings: []
+      };
     } else {
       // Otherwise, use the existing parser
       parsed = parseReceiptText(extractedData);
@@ -556,6 +599,7 @@ const processReceipt = async (filePath, mimeType = 'image/jpeg') => {
     }
 
     const overallConfidence = calculateOverallConfidence(parsed);
+    const splits = buildSplitsFromItems(parsed.lineItems, parsed.amount);
 
     return {
       amount: parsed.amount,
@@ -564,6 +608,8 @@ const processReceipt = async (filePath, mimeType = 'image/jpeg') => {
       date: parsed.date || new Date(),
       merchant: parsed.merchant,
       items: parsed.items,
+      lineItems: parsed.lineItems || [],
+      splits,
       rawText: extractedData.text,
       confidence: overallConfidence,
       extractionDetails: {
@@ -596,6 +642,7 @@ module.exports = {
   extractTextFromPDF,
   parseReceiptText,
   determineCategory,
+  buildSplitsFromItems,
   cleanupFile,
   assessImageQuality,
   preprocessImage
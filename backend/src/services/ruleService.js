@@ -0,0 +1,169 @@
+const Rule = require('../models/Rule');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const transactionHistory = require('./transactionHistoryService');
+const { toFacts, applyRules } = require('../utils/ruleEngine');
+const { normalizeMerchantName } = require('../utils/merchants');
+
+// Re-applying looks at the most recent transactions only
+const MAX_REAPPLY_TRANSACTIONS = 5000;
+// Changes listed in a preview; the counts cover all of them
+const MAX_PREVIEW_CHANGES = 100;
+
+/**
+ * Turn a request body into rule fields: values typed per field, tags and merchant
+ * normalized, and the category's type worked out so it is only set on matching transactions
+ * @param {string} userId - The ID of the user
+ * @param {Object} body - { name, isActive, matchType, conditions, actions }
+ * @returns {Promise<Object>} Fields to save on the rule (only those present in the body)
+ */
+const buildRuleFields = async (userId, { name, isActive, matchType, conditions, actions }) => {
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (isActive !== undefined) fields.isActive = isActive;
+  if (matchType !== undefined) fields.matchType = matchType;
+
+  if (conditions !== undefined) {
+    fields.conditions = conditions.map(({ field, operator, value }) => ({
+      field,
+      operator,
+      value: field !== 'amount'
+        ? String(value).trim()
+        : operator === 'between' ? value.map(Number).sort((a, b) => a - b) : Number(value)
+    }));
+  }
+
+  if (actions !== undefined) {
+    const category = actions.category || null;
+    const ruleConditions = fields.conditions || [];
+    const typeCondition = ruleConditions.find(condition => condition.field === 'type' && condition.operator === 'equals');
+    let categoryType = null;
+    if (category) {
+      categoryType = typeCondition
+        ? typeCondition.value.toLowerCase()
+        : (await Category.isValidForUser(userId, category, 'expense')) ? 'expense' : 'income';
+    }
+
+    fields.actions = {
+      category,
+      categoryType,
+      tags: Transaction.normalizeTags(actions.tags),
+      merchant: actions.merchant ? normalizeMerchantName(actions.merchant) : null,
+      accountId: actions.accountId || null
+    };
+  }
+
+  return fields;
+};
+
+// Priority for a new rule: after all the user's existing rules
+const getNextPriority = async (userId) => {
+  const last = await Rule.findOne({ userId }).sort({ priority: -1 }).select('priority').lean();
+  return last ? last.priority + 1 : 0;
+};
+
+/**
+ * Set the order rules run in
+ * @param {string} userId - The ID of the user
+ * @param {Array<string>} ruleIds - Rule IDs, first to run first
+ * @returns {Promise<Array<Object>>} The user's rules in their new order
+ */
+const reorderRules = async (userId, ruleIds) => {
+  await Rule.bulkWrite(ruleIds.map((id, index) => ({
+    updateOne: { filter: { _id: id, userId }, update: { $set: { priority: index } } }
+  })));
+  return Rule.find({ userId }).sort({ priority: 1, createdAt: 1 }).lean();
+};
+
+/**
+ * Run rules over existing transactions, as a preview or for real
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options]
+ * @param {Array<string>} [options.ruleIds] - Rules to run, all active rules by default
+ * @param {Date} [options.startDate] - Only transactions on or after this date
+ * @param {Date} [options.endDate] - Only transactions on or before this date
+ * @param {boolean} [options.dryRun=true] - Report the changes without saving them
+ * @returns {Promise<Object>} How many transactions would change (or changed), per rule, and the first changes
+ */
+const reapplyRules = async (userId, { ruleIds = null, startDate = null, endDate = null, dryRun = true } = {}) => {
+  const rules = ruleIds && ruleIds.length > 0
+    ? await Rule.find({ userId, _id: { $in: ruleIds } }).sort({ priority: 1, createdAt: 1 }).lean()
+    : await Rule.getActiveRules(userId);
+
+  const filter = { userId, type: { $in: ['income', 'expense'] } };
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) {
+      filter.date.$lte = new Date(endDate);
+      filter.date.$lte.setHours(23, 59, 59, 999);
+    }
+  }
+
+  const transactions = rules.length > 0
+    ? await Transaction.find(filter)
+      .sort({ date: -1 })
+      .limit(MAX_REAPPLY_TRANSACTIONS)
+      .select(`${transactionHistory.SNAPSHOT_SELECT} exchangeRate`)
+      .lean()
+    : [];
+
+  const updates = [];
+  const counts = new Map();
+  transactions.forEach(transaction => {
+    const { changes, appliedRules } = applyRules(rules, toFacts(transaction));
+    // A split transaction's category follows its parts
+    if (transaction.splits && transaction.splits.length > 0) delete changes.category;
+    if (changes.tags) changes.tags = changes.tags.slice(0, Transaction.MAX_TAGS);
+    if (Object.keys(changes).length === 0) return;
+
+    updates.push({ transaction, changes, appliedRules });
+    appliedRules.forEach(id => counts.set(id.toString(), (counts.get(id.toString()) || 0) + 1));
+  });
+
+  if (!dryRun && updates.length > 0) {
+    await Transaction.bulkWrite(updates.map(({ transaction, changes }) => ({
+      updateOne: {
+        filter: { _id: transaction._id, userId },
+        update: {
+          $set: {
+            ...changes,
+            ...(changes.category && { categorySuggestion: { category: changes.category, source: 'rule', confidence: 100 } })
+          }
+        }
+      }
+    })));
+    await transactionHistory.recordUpdates(
+      userId,
+      updates.map(({ transaction, changes }) => ({ before: transaction, after: { ...transaction, ...changes } })),
+      { source: 'rule' }
+    );
+    await Promise.all([...counts].map(([id, count]) => Rule.recordApplied([id], count)));
+  }
+
+  const names = new Map(rules.map(rule => [rule._id.toString(), rule.name]));
+  return {
+    dryRun,
+    scanned: transactions.length,
+    changed: updates.length,
+    rules: rules.map(rule => ({ _id: rule._id, name: rule.name, transactions: counts.get(rule._id.toString()) || 0 })),
+    changes: updates.slice(0, MAX_PREVIEW_CHANGES).map(({ transaction, changes, appliedRules }) => ({
+      _id: transaction._id,
+      date: transaction.date,
+      type: transaction.type,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      description: transaction.description,
+      before: Object.fromEntries(Object.keys(changes).map(field => [field, transaction[field] ?? null])),
+      after: changes,
+      rules: appliedRules.map(id => names.get(id.toString()))
+    }))
+  };
+};
+
+module.exports = {
+  buildRuleFields,
+  getNextPriority,
+  reorderRules,
+  reapplyRules
+};
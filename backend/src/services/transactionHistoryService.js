@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const TransactionHistory = require('../models/TransactionHistory');
+
+/**
+ * Version history of transactions. Every change records who made it, what made it (manual edit,
+ * rule, receipt, recurring, import or the assistant), the fields that changed and the resulting
+ * state, so a transaction can be put back the way it was at any version.
+ *
+ * Recording never throws: a change that was saved is not failed because its history wasn't.
+ */
+
+// Fields a version captures. The exchange rate is left out: it follows the currency and is
+// rewritten for every transaction when the base currency changes.
+const TRACKED_FIELDS = [
+  'type', 'amount', 'currency', 'category', 'splits', 'description', 'merchant', 'tags', 'date', 'accountId', 'toAccountId'
+];
+const LIST_FIELDS = ['splits', 'tags'];
+
+// Select this when loading transactions whose changes will be recorded
+const SNAPSHOT_SELECT = `${TRACKED_FIELDS.join(' ')} userId isFromReceipt isFromRecurring isFromImport createdAt`;
+
+// Plain, comparable values: ObjectIds as strings, subdocuments as objects, missing as null
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    return Object.fromEntries(Object.entries(plain).map(([key, item]) => [key, normalizeValue(item)]));
+  }
+  return value;
+};
+
+/**
+ * The tracked fields of a transaction
+ * @param {Object} transaction - Document or plain object
+ * @returns {Object} Snapshot with one entry per TRACKED_FIELDS
+ */
+const snapshotOf = (transaction) => Object.fromEntries(TRACKED_FIELDS.map(field => [
+  field,
+  LIST_FIELDS.includes(field) ? normalizeValue(transaction[field] || []) : normalizeValue(transaction[field])
+]));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two snapshots
+ * @returns {Array<Object>} [{ field, from, to }]
+ */
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter(field => !sameValue(before[field], after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+// Where a transaction came from, for its first version
+const sourceOf = (transaction) => {
+  if (transaction.$locals?.historySource) return transaction.$locals.historySource;
+  if (transaction.isFromReceipt) return 'receipt';
+  if (transaction.isFromRecurring) return 'recurring';
+  if (transaction.isFromImport) return 'import';
+  return 'manual';
+};
+
+// Latest version number per transaction
+const latestVersions = async (transactionIds) => {
+  const rows = await TransactionHistory.aggregate([
+    { $match: { transactionId: { $in: transactionIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+    { $group: { _id: '$transactionId', version: { $max: '$version' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.version]));
+};
+
+/**
+ * Number and save history entries
+ * @param {Array<Object>} entries - { transactionId, userId, action, source, changedBy, changes, snapshot, revertedTo,
+ *   baseline } where baseline ({ snapshot, source, changedBy }) is saved as version 1 when the transaction has no history yet
+ */
+const writeEntries = async (entries) => {
+  if (entries.length === 0) return;
+
+  const latest = await latestVersions([...new Set(entries.map(entry => String(entry.transactionId)))]);
+  const documents = [];
+  entries.forEach(({ baseline, ...entry }) => {
+    const id = String(entry.transactionId);
+    let version = latest.get(id) || 0;
+    // Transactions from before history was kept get the state they had as their first version
+    if (version === 0 && entry.action !== 'create' && baseline) {
+      version += 1;
+      documents.push({
+        transactionId: entry.transactionId,
+        userId: entry.userId,
+        version,
+        action: 'create',
+        source: baseline.source,
+        changedBy: baseline.changedBy,
+        changes: [],
+        snapshot: baseline.snapshot
+      });
+    }
+    version += 1;
+    latest.set(id, version);
+    documents.push({ ...entry, version });
+  });
+
+  await TransactionHistory.insertMany(documents, { ordered: false });
+};
+
+// First version of a saved transaction, and a second one when the user's rules changed it
+const createEntries = (transaction) => {
+  const source = sourceOf(transaction);
+  const changedBy = source === 'recurring' ? null : transaction.userId;
+  const snapshot = snapshotOf(transaction);
+  const ruleBefore = transaction.$locals?.ruleBefore || {};
+
+  if (Object.keys(ruleBefore).length === 0) {
+    return [{ transactionId: transaction._id, userId: transaction.userId, action: 'create', source, changedBy, changes: [], snapshot }];
+  }
+
+  const created = { ...snapshot, ...snapshotOf({ ...snapshot, ...ruleBefore }) };
+  return [
+    { transactionId: transaction._id, userId: transaction.userId, action: 'create', source, changedBy, changes: [], snapshot: created },
+    {
+      transactionId: transaction._id,
+      userId: transaction.userId,
+      action: 'update',
+      source: 'rule',
+      changedBy: null,
+      changes: diffSnapshots(created, snapshot),
+      snapshot
+    }
+  ];
+};
+
+/**
+ * Record newly created transactions
+ * @param {Array<Object>} transactions - Saved documents; $locals.historySource and $locals.ruleBefore are honoured
+ */
+const recordCreated = async (transactions) => {
+  try {
+    await writeEntries(transactions.flatMap(createEntries));
+  } catch (error) {
+    console.error('Record transaction history error:', error);
+  }
+};
+
+/**
+ * Record changes to existing transactions
+ * @param {string} userId - The ID of the user the transactions belong to
+ * @param {Array<Object>} changes - { before, after }: the transaction before (selected with SNAPSHOT_SELECT) and after the change
+ * @param {Object} [options]
+ * @param {string} [options.action='update'] - 'update', 'delete', 'restore' or 'revert'
+ * @param {string} [options.source='manual'] - What made the change
+ * @param {string|null} [options.changedBy=userId] - Who made it, null for the app itself
+ * @param {number} [options.revertedTo] - Version a revert went back to
+ */
+const recordUpdates = async (userId, changes, { action = 'update', source = 'manual', changedBy = userId, revertedTo = null } = {}) => {
+  try {
+    const entries = changes
+      .filter(({ before, after }) => before && after)
+      .map(({ before, after }) => {
+        const beforeSnapshot = snapshotOf(before);
+        const snapshot = snapshotOf(after);
+        return {
+          transactionId: before._id,
+          userId,
+          action,
+          source,
+          changedBy,
+          changes: diffSnapshots(beforeSnapshot, snapshot),
+          snapshot,
+          revertedTo,
+          baseline: {
+            snapshot: beforeSnapshot,
+            source: sourceOf(before),
+            changedBy: sourceOf(before) === 'recurring' ? null : userId
+          }
+        };
+      })
+      // Saving a transaction unchanged is not a new version
+      .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+
+    await writeEntries(entries);
+  } catch (error) {
+    console.error('Record transaction history error:', error);
+  }
+};
+
+const recordUpdate = (userId, before, after, options) => recordUpdates(userId, [{ before, after }], options);
+
+/**
+ * A transaction's versions, newest first
+ * @param {string} userId - The ID of the user
+ * @param {string} transactionId - The transaction
+ * @returns {Promise<Array<Object>>} Versions with who made each change
+ */
+const getHistory = (userId, transactionId) => TransactionHistory.find({ userId, transactionId })
+  .sort({ version: -1 })
+  .populate('changedBy', 'name')
+  .lean();
+
+// Categories and accounts a version refers to may have been deleted since. A deleted category
+// falls back to Others, as deleting it does for current transactions, and a deleted account is
+// left off; a transfer can't do without its accounts. Returns an error message, or null.
+const checkReferences = async (userId, update) => {
+  const Category = mongoose.model('Category');
+  const Account = mongoose.model('Account');
+
+  const accountFields = ['accountId', 'toAccountId'].filter(field => update[field]);
+  const existing = await Promise.all(accountFields.map(field => Account.belongsToUser(userId, update[field])));
+  for (const [index, field] of accountFields.entries()) {
+    if (existing[index]) continue;
+    if (update.type === 'transfer') return 'An account this version used has been deleted';
+    update[field] = null;
+  }
+
+  if (update.type === 'transfer') return null;
+
+  const categories = [...new Set([update.category, ...update.splits.map(split => split.category)])];
+  const valid = await Promise.all(categories.map(category => Category.isValidForUser(userId, category, update.type)));
+  const deleted = new Set(categories.filter((category, index) => !valid[index]));
+  if (deleted.has(update.category)) update.category = 'Others';
+  update.splits = update.splits.map(split => (deleted.has(split.category) ? { ...split, category: 'Others' } : split));
+  return null;
+};
+
+/**
+ * Put a transaction back the way it was at a version
+ * @param {Object} user - The user, for their ID and base currency
+ * @param {string} transactionId - The transaction
+ * @param {number} version - Version to go back to
+ * @returns {Promise<Object|null>} { transaction } once updated, { error } when the version can't be restored,
+ *   or null when the transaction or version doesn't exist
+ */
+const revertTransaction = async (user, transactionId, version) => {
+  const Transaction = mongoose.model('Transaction');
+  const currencyService = require('./currencyService');
+
+  const [target, before] = await Promise.all([
+    TransactionHistory.findOne({ userId: user._id, transactionId, version }).lean(),
+    Transaction.findOne({ _id: transactionId, userId: user._id }).select(SNAPSHOT_SELECT).lean()
+  ]);
+  if (!target || !before) return null;
+
+  const { snapshot } = target;
+  const update = Object.fromEntries(TRACKED_FIELDS.map(field => [field, snapshot[field] ?? null]));
+  update.date = new Date(snapshot.date);
+  update.splits = snapshot.splits || [];
+  update.tags = snapshot.tags || [];
+  const error = await checkReferences(user._id, update);
+  if (error) return { error };
+  // The rate of the old currency today, not the one it had then
+  if (snapshot.currency !== before.currency) {
+    const { currency, exchangeRate } = await currencyService.resolveTransactionCurrency(
+      user._id, snapshot.currency, undefined, user.baseCurrency
+    );
+    update.currency = currency;
+    update.exchangeRate = exchangeRate;
+  }
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: transactionId, userId: user._id },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  await recordUpdate(user._id, before, transaction, { action: 'revert', revertedTo: version });
+  return { transaction };
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  SNAPSHOT_SELECT,
+  snapshotOf,
+  diffSnapshots,
+  recordCreated,
+  recordUpdates,
+  recordUpdate,
+  getHistory,
+  revertTransaction
+};
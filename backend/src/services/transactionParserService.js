@@ -0,0 +1,301 @@
+/**
+ * Turn a quick-add phrase like "paid 450 for uber yesterday" or "salary 85000 on 1st" into a
+ * draft transaction. The language model reads the phrase when one is configured; the
+ * rule-based parser below handles it otherwise, and whenever the model's answer is unusable.
+ */
+const Category = require('../models/Category');
+const Merchant = require('../models/Merchant');
+const categoryService = require('./categoryService');
+const categoryLearningService = require('./categoryLearningService');
+const aiService = require('./aiService');
+const llm = require('./llm');
+const { DEFAULT_CURRENCY, MAX_AMOUNT, isSupportedCurrency } = require('../utils/currencies');
+const { extractMerchant } = require('../utils/merchants');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Words and symbols naming a currency, before or after the amount
+const CURRENCY_WORDS = {
+  INR: ['₹', 'rs', 'rs.', 'inr', 'rupee', 'rupees'],
+  USD: ['$', 'usd', 'dollar', 'dollars', 'bucks'],
+  EUR: ['€', 'eur', 'euro', 'euros'],
+  GBP: ['£', 'gbp', 'pound', 'pounds'],
+  AED: ['aed', 'dirham', 'dirhams'],
+  SGD: ['sgd'],
+  AUD: ['aud'],
+  CAD: ['cad'],
+  JPY: ['¥', 'jpy', 'yen']
+};
+const CURRENCY_BY_WORD = Object.entries(CURRENCY_WORDS).reduce((byWord, [code, words]) => {
+  words.forEach(word => { byWord[word] = code; });
+  return byWord;
+}, {});
+const CURRENCY_TOKEN = '(₹|\\$|€|£|¥|rs\\.?|inr|usd|eur|gbp|aed|sgd|aud|cad|jpy)';
+const CURRENCY_SUFFIX = '(rupees?|inr|rs\\.?|dollars?|bucks|usd|euros?|eur|pounds?|gbp|dirhams?|aed|sgd|aud|cad|yen|jpy)';
+const AMOUNT_PATTERN = new RegExp(
+  `(?:(?<![a-z])${CURRENCY_TOKEN}\\s*)?(?<![\\d.,])(\\d+(?:,\\d{2,3})*(?:\\.\\d{1,2})?)(?![\\d.,]*\\d)(?:\\s*(k|lakhs?|lacs?)\\b)?(?:\\s*${CURRENCY_SUFFIX}\\b)?`,
+  'gi'
+);
+const MULTIPLIERS = { k: 1000, lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000 };
+
+// "got paid" has to win over the expense verb "paid"
+const CLEAR_INCOME = /\b(got paid|received|credited|earned)\b/i;
+const EXPENSE_WORDS = /\b(paid|pay|spent|spend|bought|buy|purchased?|bill|debited|gave)\b/i;
+const INCOME_WORDS = /\b(salary|wages?|refund(?:ed)?|cashback|bonus|interest|dividend|income|stipend|reimburse(?:d|ment)?|freelance|invoice)\b/i;
+
+// Words left over around the description once the amount and date are gone
+const FILLER_WORDS = new Set([
+  'paid', 'pay', 'spent', 'spend', 'bought', 'buy', 'purchased', 'purchase', 'got', 'received', 'credited',
+  'earned', 'for', 'on', 'at', 'to', 'from', 'via', 'in', 'of', 'the', 'a', 'an', 'and', 'with'
+]);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const isValidDay = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day;
+};
+
+// A date without a year is the latest one that isn't in the future
+const withYear = (month, day, year, today) => {
+  if (year) return isValidDay(year, month, day) ? new Date(year, month, day) : null;
+  const thisYear = today.getFullYear();
+  const candidate = new Date(thisYear, month, day);
+  if (!isValidDay(thisYear, month, day)) return null;
+  return candidate > today ? new Date(thisYear - 1, month, day) : candidate;
+};
+
+const fullYear = (year) => {
+  if (!year) return null;
+  const value = parseInt(year, 10);
+  return value < 100 ? 2000 + value : value;
+};
+
+// Each rule returns the date for its match, or null to let later rules try
+const DATE_RULES = [
+  {
+    pattern: /\b(?:on\s+)?(\d{4})-(\d{1,2})-(\d{1,2})\b/i,
+    resolve: ([, year, month, day]) => (isValidDay(+year, month - 1, +day) ? new Date(+year, month - 1, +day) : null)
+  },
+  {
+    // Day first, as written in India and the UK
+    pattern: /\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/i,
+    resolve: ([, day, month, year], today) => withYear(month - 1, +day, fullYear(year), today)
+  },
+  {
+    pattern: new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTH}\\b(?:,?\\s+(\\d{4}))?`, 'i'),
+    resolve: ([, day, month, year], today) => withYear(MONTH_NAMES.indexOf(month.slice(0, 3).toLowerCase()), +day, fullYear(year), today)
+  },
+  {
+    pattern: new RegExp(`\\b(?:on\\s+)?${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'),
+    resolve: ([, month, day, year], today) => withYear(MONTH_NAMES.indexOf(month.slice(0, 3).toLowerCase()), +day, fullYear(year), today)
+  },
+  { pattern: /\b(?:on\s+)?(?:the\s+)?day before yesterday\b/i, resolve: (match, today) => addDays(today, -2) },
+  { pattern: /\byesterday\b/i, resolve: (match, today) => addDays(today, -1) },
+  { pattern: /\btoday\b/i, resolve: (match, today) => today },
+  { pattern: /\btomorrow\b/i, resolve: (match, today) => addDays(today, 1) },
+  { pattern: /\b(\d{1,3})\s+days?\s+ago\b/i, resolve: ([, days], today) => addDays(today, -days) },
+  {
+    // The most recent such weekday; "last" skips today
+    pattern: /\b(?:(on|last|this)\s+)?(sun|mon|tue|tues|wed|wednes|thu|thur|thurs|fri|sat|satur)day\b/i,
+    resolve: ([, qualifier, weekday], today) => {
+      let daysBack = (today.getDay() - WEEKDAYS.indexOf(weekday.slice(0, 3).toLowerCase()) + 7) % 7;
+      if (daysBack === 0 && qualifier?.toLowerCase() === 'last') daysBack = 7;
+      return addDays(today, -daysBack);
+    }
+  },
+  {
+    // "on 1st": the latest such day so far, this month or an earlier one that has it ("31st" in
+    // October before the 31st is 31 August)
+    pattern: /\b(?:on\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\b(?:\s+of\s+(?:this|the)\s+month)?/i,
+    resolve: ([, day], today) => {
+      for (let monthsBack = 0; monthsBack < 12; monthsBack += 1) {
+        const month = new Date(today.getFullYear(), today.getMonth() - monthsBack, 1);
+        if (!isValidDay(month.getFullYear(), month.getMonth(), +day)) continue;
+        const date = new Date(month.getFullYear(), month.getMonth(), +day);
+        if (date <= today) return date;
+      }
+      return null;
+    }
+  }
+];
+
+const findDate = (text, today) => {
+  for (const { pattern, resolve } of DATE_RULES) {
+    const match = pattern.exec(text);
+    const date = match && resolve(match, today);
+    if (date) return { date, match: match[0] };
+  }
+  return null;
+};
+
+// The number marked with a currency, otherwise the largest: "2 coffees for 300" costs 300
+const findAmount = (text) => {
+  const candidates = [...text.matchAll(AMOUNT_PATTERN)].map(([matched, prefix, number, multiplier, suffix]) => {
+    const currencyWord = (prefix || suffix || '').toLowerCase().replace(/\.$/, '');
+    return {
+      amount: Number((parseFloat(number.replace(/,/g, '')) * (multiplier ? MULTIPLIERS[multiplier.toLowerCase()] : 1)).toFixed(2)),
+      currency: CURRENCY_BY_WORD[currencyWord] || null,
+      match: matched
+    };
+  });
+
+  return candidates.find(candidate => candidate.currency)
+    || candidates.sort((a, b) => b.amount - a.amount)[0]
+    || null;
+};
+
+const detectType = (text) => {
+  if (CLEAR_INCOME.test(text)) return 'income';
+  if (EXPENSE_WORDS.test(text)) return 'expense';
+  if (INCOME_WORDS.test(text)) return 'income';
+  return 'expense';
+};
+
+// Drop filler words from both ends: "paid  for uber " becomes "Uber"
+const cleanDescription = (text) => {
+  const words = text.replace(/[,;]+/g, ' ').split(/\s+/).filter(word => /[\p{L}\d]/u.test(word));
+  while (words.length > 0 && FILLER_WORDS.has(words[0].toLowerCase())) words.shift();
+  while (words.length > 0 && FILLER_WORDS.has(words[words.length - 1].toLowerCase())) words.pop();
+
+  const description = words.join(' ');
+  return description.charAt(0).toUpperCase() + description.slice(1);
+};
+
+// Use the suggested category if the user has it, otherwise their "Others", otherwise their first
+const pickCategory = (suggested, available) => {
+  const match = available.find(name => name.toLowerCase() === String(suggested || '').toLowerCase());
+  return match || available.find(name => name === 'Others') || available[0] || 'Others';
+};
+
+/**
+ * Parse a quick-add phrase with keyword and date rules
+ * @param {string} text - Phrase typed by the user
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference for relative dates
+ * @param {string} [options.baseCurrency] - Currency when the phrase names none
+ * @param {Object} [options.categories] - The user's category names as { income: [], expense: [] }
+ * @returns {Object|null} Draft transaction, or null when the phrase has no amount
+ */
+const parseWithRules = (text, { now = new Date(), baseCurrency = DEFAULT_CURRENCY, categories = {} } = {}) => {
+  const today = startOfDay(now);
+  let rest = ` ${text.trim()} `;
+
+  // Dates go first so "on 1st" or "12/03" are not read as the amount
+  const dateMatch = findDate(rest, today);
+  if (dateMatch) rest = rest.replace(dateMatch.match, ' ');
+
+  const amountMatch = findAmount(rest);
+  if (!amountMatch || !(amountMatch.amount > 0)) return null;
+  rest = rest.replace(amountMatch.match, ' ');
+
+  const type = detectType(text);
+  const description = cleanDescription(rest);
+  const categorized = type === 'income'
+    ? { category: categoryService.matchIncomeCategory(description || text), confidence: 50 }
+    : categoryService.matchExpenseCategory(description || text);
+  const available = categories[type] || [];
+
+  return {
+    type,
+    amount: amountMatch.amount,
+    currency: amountMatch.currency || baseCurrency,
+    category: available.length > 0 ? pickCategory(categorized.category, available) : categorized.category,
+    date: toDateString(dateMatch ? dateMatch.date : today),
+    description,
+    confidence: Math.round(categorized.confidence),
+    categorySource: 'keywords'
+  };
+};
+
+// Keep only the fields of a model's draft that are valid, filling the rest from the rule-based draft
+const mergeModelDraft = (modelDraft, ruleDraft, categories) => {
+  if (!modelDraft) return null;
+
+  const type = ['income', 'expense'].includes(modelDraft.type) ? modelDraft.type : ruleDraft?.type;
+  const amount = parseFloat(modelDraft.amount);
+  if (!type || !(amount > 0) || amount > MAX_AMOUNT) return null;
+
+  const currency = String(modelDraft.currency || '').toUpperCase();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(modelDraft.date || '') ? modelDraft.date : ruleDraft?.date;
+  const available = categories[type] || [];
+  const category = available.find(name => name === modelDraft.category);
+
+  return {
+    type,
+    amount: Number(amount.toFixed(2)),
+    currency: isSupportedCurrency(currency) ? currency : (ruleDraft?.currency || DEFAULT_CURRENCY),
+    category: category || pickCategory(ruleDraft?.type === type ? ruleDraft.category : null, available),
+    date: date || toDateString(new Date()),
+    description: String(modelDraft.description || ruleDraft?.description || '').trim().slice(0, 200),
+    confidence: category ? 80 : 50,
+    categorySource: category ? 'ai' : 'keywords'
+  };
+};
+
+// Name the draft's merchant and prefer the user's own categories: the one set for the
+// merchant, else what they chose for similar descriptions before
+const applyUserCategories = (draft, { resolveMerchant, suggestCategory, categories }) => {
+  if (!draft) return draft;
+  const merchant = resolveMerchant(extractMerchant(draft.description));
+  const available = categories[draft.type] || [];
+  const withMerchant = { ...draft, merchant: merchant ? merchant.name : null };
+
+  const defaultCategory = draft.type === 'expense' && merchant?.defaultCategory;
+  if (defaultCategory && available.includes(defaultCategory)) {
+    return { ...withMerchant, category: defaultCategory, confidence: Math.max(draft.confidence, 90), categorySource: 'merchant' };
+  }
+
+  const learned = suggestCategory(`${withMerchant.merchant || ''} ${draft.description}`.trim(), { type: draft.type, allowed: available });
+  return learned
+    ? { ...withMerchant, category: learned.category, confidence: learned.confidence, categorySource: 'learned' }
+    : withMerchant;
+};
+
+/**
+ * Parse a quick-add phrase into a draft transaction for the user to confirm
+ * @param {string} userId - The ID of the user
+ * @param {string} text - Phrase typed by the user
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency] - The user's base currency
+ * @param {Date} [options.now=new Date()] - Reference for relative dates
+ * @returns {Promise<{draft: Object|null, source: string}>} The draft and whether the model or the rules produced it
+ */
+const parseTransaction = async (userId, text, { baseCurrency = DEFAULT_CURRENCY, now = new Date() } = {}) => {
+  const [income, expense, resolveMerchant, suggestCategory] = await Promise.all([
+    Category.findForUser(userId, 'income'),
+    Category.findForUser(userId, 'expense'),
+    Merchant.getResolver(userId),
+    categoryLearningService.getSuggester(userId)
+  ]);
+  const categories = { income: income.map(c => c.name), expense: expense.map(c => c.name) };
+  const personalize = (draft) => applyUserCategories(draft, { resolveMerchant, suggestCategory, categories });
+
+  const ruleDraft = parseWithRules(text, { now, baseCurrency, categories });
+
+  if (!llm.isOffline()) {
+    try {
+      const modelDraft = await aiService.parseTransaction(text, { today: toDateString(now), baseCurrency, categories });
+      const draft = mergeModelDraft(modelDraft, ruleDraft, categories);
+      if (draft) return { draft: personalize(draft), source: 'ai' };
+    } catch (error) {
+      console.warn('AI transaction parsing failed, using rules:', error.message);
+    }
+  }
+
+  return { draft: personalize(ruleDraft), source: 'rules' };
+};
+
+module.exports = {
+  parseWithRules,
+  parseTransaction
+};
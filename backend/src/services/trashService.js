@@ -0,0 +1,126 @@
+const Transaction = require('../models/Transaction');
+const TransactionHistory = require('../models/TransactionHistory');
+const transactionHistory = require('./transactionHistoryService');
+
+const { TRASH_RETENTION_DAYS } = Transaction;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date a transaction deleted at `deletedAt` is purged on
+const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Move transactions to the trash
+ * @param {string} userId - The ID of the user
+ * @param {Array<string>} ids - Transactions to delete
+ * @returns {Promise<number>} How many were moved (ones already in the trash are not counted)
+ */
+const moveToTrash = async (userId, ids) => {
+  const transactions = await Transaction.find({ userId, _id: { $in: ids }, deletedAt: null })
+    .select(transactionHistory.SNAPSHOT_SELECT)
+    .lean();
+  const result = await Transaction.updateMany(
+    { userId, _id: { $in: transactions.map(transaction => transaction._id) }, deletedAt: null },
+    { $set: { deletedAt: new Date() } }
+  );
+  await transactionHistory.recordUpdates(
+    userId,
+    transactions.map(transaction => ({ before: transaction, after: transaction })),
+    { action: 'delete' }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Transactions in the trash, most recently deleted first
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object>} { transactions (each with purgeAt), pagination }
+ */
+const getTrash = async (userId, { page = 1, limit = 20 } = {}) => {
+  const filter = { userId, deletedAt: { $ne: null } };
+  const [transactions, total] = await Promise.all([
+    Transaction.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(filter)
+  ]);
+
+  return {
+    transactions: transactions.map(transaction => ({ ...transaction, purgeAt: purgeDate(transaction.deletedAt) })),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNext: page * limit < total,
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Take transactions back out of the trash
+ * @param {string} userId - The ID of the user
+ * @param {Array<string>} ids - Transactions to restore
+ * @returns {Promise<number>} How many were restored
+ */
+const restore = async (userId, ids) => {
+  const transactions = await Transaction.find({ userId, _id: { $in: ids }, deletedAt: { $ne: null } })
+    .select(transactionHistory.SNAPSHOT_SELECT)
+    .lean();
+  const result = await Transaction.updateMany(
+    { userId, _id: { $in: transactions.map(transaction => transaction._id) }, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null } }
+  );
+  await transactionHistory.recordUpdates(
+    userId,
+    transactions.map(transaction => ({ before: transaction, after: transaction })),
+    { action: 'restore' }
+  );
+  return result.modifiedCount;
+};
+
+// Delete transactions along with their history
+const deleteWithHistory = async (filter) => {
+  const transactions = await Transaction.find(filter).select('_id').lean();
+  if (transactions.length === 0) return 0;
+
+  const transactionIds = transactions.map(transaction => transaction._id);
+  const [result] = await Promise.all([
+    Transaction.deleteMany({ _id: { $in: transactionIds } }),
+    TransactionHistory.deleteMany({ transactionId: { $in: transactionIds } })
+  ]);
+  return result.deletedCount;
+};
+
+/**
+ * Delete transactions in the trash for good
+ * @param {string} userId - The ID of the user
+ * @param {Array<string>|null} ids - Transactions to purge, or null to empty the trash
+ * @returns {Promise<number>} How many were purged
+ */
+const purge = (userId, ids = null) => deleteWithHistory({
+  userId,
+  deletedAt: { $ne: null },
+  ...(ids && { _id: { $in: ids } })
+});
+
+/**
+ * Purge every user's transactions that have been in the trash longer than TRASH_RETENTION_DAYS
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} How many were purged
+ */
+const purgeExpired = (now = new Date()) => deleteWithHistory({
+  deletedAt: { $ne: null, $lte: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) }
+});
+
+module.exports = {
+  purgeDate,
+  moveToTrash,
+  getTrash,
+  restore,
+  purge,
+  purgeExpired
+};
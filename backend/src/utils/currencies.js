@@ -0,0 +1,90 @@
+// Currencies a user can record transactions in or choose as their base currency
+const SUPPORTED_CURRENCIES = {
+  INR: { name: 'Indian Rupee', symbol: '₹', locale: 'en-IN' },
+  USD: { name: 'US Dollar', symbol: '$', locale: 'en-US' },
+  EUR: { name: 'Euro', symbol: '€', locale: 'de-DE' },
+  GBP: { name: 'British Pound', symbol: '£', locale: 'en-GB' },
+  AED: { name: 'UAE Dirham', symbol: 'AED', locale: 'en-AE' },
+  SGD: { name: 'Singapore Dollar', symbol: 'S$', locale: 'en-SG' },
+  AUD: { name: 'Australian Dollar', symbol: 'A$', locale: 'en-AU' },
+  CAD: { name: 'Canadian Dollar', symbol: 'C$', locale: 'en-CA' },
+  JPY: { name: 'Japanese Yen', symbol: '¥', locale: 'ja-JP' }
+};
+
+const CURRENCY_CODES = Object.keys(SUPPORTED_CURRENCIES);
+
+const DEFAULT_CURRENCY = 'INR';
+
+// Starting rates (value of 1 unit in INR) used to seed each user's editable rate table
+const DEFAULT_RATES_IN_INR = {
+  INR: 1,
+  USD: 83,
+  EUR: 90,
+  GBP: 105,
+  AED: 22.6,
+  SGD: 61.5,
+  AUD: 55,
+  CAD: 61,
+  JPY: 0.56
+};
+
+// Upper bound for a single amount in any currency
+const MAX_AMOUNT = 1000000000;
+
+// Aggregation expression for a transaction amount in the user's base currency
+const baseAmountExpression = { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] };
+
+// Aggregation expression listing a transaction's { category, amount } parts in the base
+// currency: one per split, or the whole amount when the transaction is not split
+const categoryAmountsExpression = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+    {
+      $map: {
+        input: '$splits',
+        as: 'split',
+        in: {
+          category: '$$split.category',
+          amount: { $multiply: ['$$split.amount', { $ifNull: ['$exchangeRate', 1] }] }
+        }
+      }
+    },
+    [{ category: '$category', amount: baseAmountExpression }]
+  ]
+};
+
+const isSupportedCurrency = (code) => CURRENCY_CODES.includes(code);
+
+// Symbol for prompts and plain-text messages, e.g. ₹ or $
+const getCurrencySymbol = (code = DEFAULT_CURRENCY) => {
+  return (SUPPORTED_CURRENCIES[code] || SUPPORTED_CURRENCIES[DEFAULT_CURRENCY]).symbol;
+};
+
+// Format an amount in the currency's own locale, e.g. ₹1,23,456 or $123,456
+const formatCurrency = (amount, code = DEFAULT_CURRENCY, options = {}) => {
+  const currency = isSupportedCurrency(code) ? code : DEFAULT_CURRENCY;
+  return new Intl.NumberFormat(SUPPORTED_CURRENCIES[currency].locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    ...options
+  }).format(amount || 0);
+};
+
+// Default rate of one currency expressed in another, derived from the INR table
+const getDefaultRate = (currency, baseCurrency = DEFAULT_CURRENCY) => {
+  return DEFAULT_RATES_IN_INR[currency] / DEFAULT_RATES_IN_INR[baseCurrency];
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  MAX_AMOUNT,
+  baseAmountExpression,
+  categoryAmountsExpression,
+  isSupportedCurrency,
+  getCurrencySymbol,
+  formatCurrency,
+  getDefaultRate
+};
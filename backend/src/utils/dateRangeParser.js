@@ -0,0 +1,447 @@
+/**
+ * Work out which period a chat question is about — "last 3 months", "Q2 2025",
+ * "between March and May", "since Diwali", "last fiscal year" — and return its
+ * start, end and a label to show with the answer. Periods that are still running
+ * end today; dates are local.
+ */
+const NAMED_DATES = require('./namedDates');
+
+// Month the financial year starts in, 1-12; April as in India unless configured
+const FISCAL_YEAR_START_MONTH = Math.min(Math.max(parseInt(process.env.FISCAL_YEAR_START_MONTH, 10) || 4, 1), 12);
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY = `(${WEEKDAY_NAMES.join('|')})`;
+const FY_WORD = '(?:fy|fiscal(?:\\s+year)?|financial\\s+year)';
+const FY_YEARS = `'?(\\d{4}|\\d{2})(?:\\s*[-/]\\s*'?(\\d{4}|\\d{2}))?`;
+const ORDINAL_QUARTERS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+const COUNT_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  'a couple of': 2, 'couple of': 2, 'a few': 3, few: 3
+};
+const COUNT = `(\\d{1,3}|${Object.keys(COUNT_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+
+// Words that may introduce a period, e.g. "in March", "on Diwali", "during Q2"
+const PREFIX = 'on|in|for|during|of|over|around|at|by';
+
+const ALL_TIME = /\b(all[\s-]?time|overall|lifetime|complete|entire|since (?:the )?(?:start|beginning))\b(?! of)/i;
+const BETWEEN = /\b(?:between|from)\s+(.+?)\s+(?:and|to|till|until|through|-)\s+(.+)$/i;
+const SINCE = /\b(?:since|starting(?:\s+from)?|from)\s+(?:the\s+(?:start|beginning)\s+of\s+)?(.+)$/i;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Same day n months away, kept inside shorter months (31 March less one month is 28/29 February)
+const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+};
+
+const formatDay = (date) => `${date.getDate()} ${MONTH_NAMES[date.getMonth()].slice(0, 3)} ${date.getFullYear()}`;
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const monthIndex = (name) => MONTH_NAMES.findIndex(month => month.toLowerCase().startsWith(name.slice(0, 3)));
+
+// "25" and "'25" mean 2025
+const fullYear = (year) => (year === undefined ? undefined : (year.length === 2 ? 2000 + Number(year) : Number(year)));
+
+const isValidDay = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day;
+};
+
+const period = (start, end, label, extra = {}) => ({ start: startOfDay(start), end: endOfDay(end), label, ...extra });
+
+const dayPeriod = (date, label = formatDay(date), extra) => period(date, date, label, extra);
+
+const monthPeriod = (year, month, extra) => period(
+  new Date(year, month, 1), new Date(year, month + 1, 0), `${MONTH_NAMES[month]} ${year}`, extra
+);
+
+const quarterPeriod = (year, quarter, extra) => period(
+  new Date(year, (quarter - 1) * 3, 1), new Date(year, quarter * 3, 0), `Q${quarter} ${year}`, extra
+);
+
+// A day and month without a year is the latest one that is not in the future
+const latestDay = (month, day, ref) => {
+  const year = new Date(ref.getFullYear(), month, day) <= ref ? ref.getFullYear() : ref.getFullYear() - 1;
+  return isValidDay(year, month, day) ? new Date(year, month, day) : null;
+};
+
+const explicitDay = (year, month, day, ref) => {
+  if (year === undefined) return latestDay(month, day, ref);
+  return isValidDay(year, month, day) ? new Date(year, month, day) : null;
+};
+
+// Financial years are named after the year they start in ("FY 2025-26"), or just the year when they follow the calendar
+const fiscalLabel = (startYear, fiscalStart) => (
+  fiscalStart === 0 ? `FY ${startYear}` : `FY ${startYear}-${String(startYear + 1).slice(-2)}`
+);
+
+const fiscalStartYear = ([relative, firstYear, secondYear], ref, fiscalStart) => {
+  if (firstYear) {
+    // "FY25" on its own is the year ending in 2025
+    const year = fullYear(firstYear);
+    return secondYear || fiscalStart === 0 ? year : year - 1;
+  }
+  const current = ref.getMonth() >= fiscalStart ? ref.getFullYear() : ref.getFullYear() - 1;
+  return /last|previous/.test(relative) ? current - 1 : current;
+};
+
+const fiscalPeriod = (startYear, fiscalStart, extra) => period(
+  new Date(startYear, fiscalStart, 1), new Date(startYear + 1, fiscalStart, 0), fiscalLabel(startYear, fiscalStart), extra
+);
+
+const findNamedDate = (namedDates, alias) => namedDates.find(entry => entry.aliases.includes(alias));
+
+const occurrence = (entry, year) => {
+  if (entry.dates) {
+    const date = entry.dates[year];
+    if (!date) return null;
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+  return new Date(year, entry.month - 1, entry.day);
+};
+
+const namedPeriod = (entry, year, ref) => {
+  let date = null;
+  if (year) {
+    date = occurrence(entry, year);
+  } else {
+    // Latest occurrence that has started, looking back a few years for lunar dates
+    for (let y = ref.getFullYear(); y >= ref.getFullYear() - 5 && !date; y -= 1) {
+      const candidate = occurrence(entry, y);
+      if (candidate && candidate <= ref) date = candidate;
+    }
+  }
+  if (!date) return null;
+  return period(date, addDays(date, (entry.days || 1) - 1), `${entry.name} ${date.getFullYear()}`, { explicit: Boolean(year) });
+};
+
+/**
+ * Periods in the order they are tried. Each `source` is matched against the question
+ * (after an optional "in"/"on"/... prefix) and against the two ends of "between X and Y"
+ * and the start of "since X". `resolve` gets the source's groups, the reference time
+ * and the context, and returns a period or null when the match does not make sense.
+ * `relative` periods read "last month"-style, which matters when prefixed with "since".
+ */
+const buildRules = (namedDates) => {
+  const aliases = namedDates.flatMap(entry => entry.aliases)
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return [
+    {
+      source: '(?:the\\s+)?day\\s+before\\s+yesterday',
+      resolve: (groups, ref) => dayPeriod(addDays(ref, -2), 'Day before yesterday', { relative: true })
+    },
+    {
+      source: '(yesterday)',
+      resolve: (groups, ref) => dayPeriod(addDays(ref, -1), 'Yesterday', { relative: true })
+    },
+    {
+      // "now" and "date" only make sense as the end of a range ("from March to date")
+      source: '(today|now|date)',
+      resolve: ([word], ref, ctx) => (word === 'today' || ctx.anchored
+        ? dayPeriod(ref, 'Today', { relative: true, isToday: true })
+        : null)
+    },
+    {
+      source: `(?:last|past|previous|prior)\\s+${COUNT}\\s+(day|week|fortnight|month|quarter|year)s?`,
+      resolve: ([count, unit], ref) => {
+        const n = COUNT_WORDS[count] || Number(count);
+        if (!n) return null;
+        const start = {
+          day: () => addDays(ref, -n),
+          week: () => addDays(ref, -7 * n),
+          fortnight: () => addDays(ref, -14 * n),
+          month: () => addMonths(ref, -n),
+          quarter: () => addMonths(ref, -3 * n),
+          year: () => addMonths(ref, -12 * n)
+        }[unit]();
+        return period(start, ref, `Last ${n} ${unit}${n === 1 ? '' : 's'}`, { relative: true });
+      }
+    },
+    {
+      source: '(?:past|last)\\s+(fortnight)|past\\s+(week|month|year)',
+      resolve: ([fortnight, unit], ref) => {
+        const start = fortnight
+          ? addDays(ref, -14)
+          : { week: () => addDays(ref, -7), month: () => addMonths(ref, -1), year: () => addMonths(ref, -12) }[unit]();
+        return period(start, ref, `Past ${fortnight || unit}`, { relative: true });
+      }
+    },
+    {
+      source: '(?:(this|current)\\s+week|week\\s+to\\s+date|wtd)|(last|previous)\\s+week',
+      resolve: ([, last], ref) => {
+        // Weeks start on Monday
+        const monday = addDays(ref, -((ref.getDay() + 6) % 7));
+        return last
+          ? period(addDays(monday, -7), addDays(monday, -1), 'Last week', { relative: true })
+          : period(monday, addDays(monday, 6), 'This week', { relative: true });
+      }
+    },
+    {
+      source: '(this|last|past|previous)\\s+weekend',
+      resolve: ([which], ref) => {
+        let saturday = addDays(ref, -((ref.getDay() + 1) % 7));
+        if (which !== 'this' && (ref.getDay() === 6 || ref.getDay() === 0)) saturday = addDays(saturday, -7);
+        return period(saturday, addDays(saturday, 1), `${which === 'this' ? 'This' : 'Last'} weekend`, { relative: true });
+      }
+    },
+    {
+      source: '(?:this|current)\\s+month|month\\s+to\\s+date|mtd|(last|previous)\\s+month',
+      resolve: ([last], ref) => {
+        const month = last ? addMonths(new Date(ref.getFullYear(), ref.getMonth(), 1), -1) : ref;
+        return { ...monthPeriod(month.getFullYear(), month.getMonth()), label: last ? 'Last month' : 'This month', relative: true };
+      }
+    },
+    {
+      source: `q([1-4])\\s*(?:of\\s+)?(?:the\\s+)?(?:(this|current|last|previous)\\s+${FY_WORD}|${FY_WORD}\\s*${FY_YEARS})`,
+      resolve: ([quarter, relative, firstYear, secondYear], ref, ctx) => {
+        const startYear = fiscalStartYear([relative, firstYear, secondYear], ref, ctx.fiscalStart);
+        const startMonth = ctx.fiscalStart + (quarter - 1) * 3;
+        return period(
+          new Date(startYear, startMonth, 1),
+          new Date(startYear, startMonth + 3, 0),
+          `Q${quarter} ${fiscalLabel(startYear, ctx.fiscalStart)}`,
+          { explicit: Boolean(firstYear) }
+        );
+      }
+    },
+    {
+      source: `(this|current|last|previous)\\s+${FY_WORD}|${FY_WORD}\\s*${FY_YEARS}`,
+      resolve: (groups, ref, ctx) => fiscalPeriod(
+        fiscalStartYear(groups, ref, ctx.fiscalStart), ctx.fiscalStart, { explicit: Boolean(groups[1]) }
+      )
+    },
+    {
+      source: `(?:${FY_WORD}\\s+to\\s+date|fytd)`,
+      resolve: (groups, ref, ctx) => {
+        const fiscal = fiscalPeriod(fiscalStartYear([], ref, ctx.fiscalStart), ctx.fiscalStart);
+        return { ...fiscal, label: `${fiscal.label} to date` };
+      }
+    },
+    {
+      source: '(?:this|current)\\s+quarter|quarter\\s+to\\s+date|qtd|(last|previous)\\s+quarter',
+      resolve: ([last], ref) => {
+        const month = addMonths(new Date(ref.getFullYear(), ref.getMonth() - (ref.getMonth() % 3), 1), last ? -3 : 0);
+        return {
+          ...quarterPeriod(month.getFullYear(), month.getMonth() / 3 + 1),
+          label: last ? 'Last quarter' : 'This quarter',
+          relative: true
+        };
+      }
+    },
+    {
+      source: "q([1-4])(?:\\s*(?:of\\s+)?(\\d{4}|'\\d{2}))?|(\\d{4})\\s*-?\\s*q([1-4])|(first|second|third|fourth|1st|2nd|3rd|4th)\\s+quarter(?:\\s+(?:of\\s+)?(\\d{4}))?",
+      resolve: (groups, ref) => {
+        const quarter = Number(groups[0] || groups[3]) || ORDINAL_QUARTERS[groups[4]];
+        const givenYear = groups[1] || groups[2] || groups[5];
+        if (givenYear) return quarterPeriod(fullYear(givenYear.replace("'", '')), quarter, { explicit: true });
+        // Without a year, the latest such quarter that has started
+        const year = new Date(ref.getFullYear(), (quarter - 1) * 3, 1) <= ref ? ref.getFullYear() : ref.getFullYear() - 1;
+        return quarterPeriod(year, quarter);
+      }
+    },
+    {
+      // "March last year" is the month, read further down
+      source: `(?:this|current|the)\\s+year(?!\\s+\\d)|year\\s+to\\s+date|ytd|(?<!\\b${MONTH.replace('(', '(?:')},?\\s+)(last|previous)\\s+year`,
+      resolve: ([last], ref) => (last
+        ? period(new Date(ref.getFullYear() - 1, 0, 1), new Date(ref.getFullYear() - 1, 11, 31), 'Last year', { relative: true })
+        : period(new Date(ref.getFullYear(), 0, 1), new Date(ref.getFullYear(), 11, 31), 'Year to date', {
+          relative: true,
+          sinceLabel: 'Since the start of the year'
+        }))
+    },
+    {
+      source: '(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+      resolve: ([year, month, day]) => {
+        const date = explicitDay(Number(year), month - 1, Number(day));
+        return date && dayPeriod(date, undefined, { explicit: true });
+      }
+    },
+    {
+      // Day first, as written in India
+      source: '(\\d{1,2})/(\\d{1,2})(?:/(\\d{4}|\\d{2}))?',
+      resolve: ([day, month, year], ref, ctx) => {
+        if (!year && !ctx.prefix && !ctx.anchored) return null;
+        const date = explicitDay(fullYear(year), month - 1, Number(day), ref);
+        return date && dayPeriod(date, undefined, { explicit: Boolean(year) });
+      }
+    },
+    {
+      source: `(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?|${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)(?:,?\\s+(\\d{4}))?`,
+      resolve: (groups, ref) => {
+        const [day, month, year] = groups[0] ? groups.slice(0, 3) : [groups[4], groups[3], groups[5]];
+        const date = explicitDay(fullYear(year), monthIndex(month), Number(day), ref);
+        return date && dayPeriod(date, undefined, { explicit: Boolean(year) });
+      }
+    },
+    {
+      source: `(?:(last|this)\\s+)?${MONTH}(?:,?\\s+(?:(\\d{4})|'(\\d{2})|(last|this)\\s+year))?`,
+      resolve: ([modifier, name, year, shortYear, yearModifier], ref, ctx) => {
+        // "may" is usually the verb unless something marks it as the month
+        if (name === 'may' && !modifier && !year && !shortYear && !yearModifier && !ctx.prefix && !ctx.anchored) return null;
+        const month = monthIndex(name);
+        let y = ref.getFullYear();
+        if (year || shortYear) {
+          y = fullYear(year || shortYear);
+        } else if (yearModifier) {
+          y -= yearModifier === 'last' ? 1 : 0;
+        } else if (modifier !== 'this' && (month > ref.getMonth() || (modifier === 'last' && month === ref.getMonth()))) {
+          y -= 1;
+        }
+        return monthPeriod(y, month, { explicit: Boolean(year || shortYear || yearModifier) });
+      }
+    },
+    {
+      source: '(year\\s+)?((?:19|20)\\d{2})',
+      resolve: ([yearWord, year], ref, ctx) => {
+        // A bare number is more likely an amount than a year
+        if (!yearWord && !ctx.prefix && !ctx.anchored) return null;
+        return period(new Date(Number(year), 0, 1), new Date(Number(year), 11, 31), year, { explicit: true });
+      }
+    },
+    {
+      source: `(?:(last|this|past)\\s+)?${WEEKDAY}`,
+      resolve: ([modifier, name], ref) => {
+        let daysBack = (ref.getDay() - WEEKDAY_NAMES.indexOf(name) + 7) % 7;
+        if (modifier && modifier !== 'this' && daysBack === 0) daysBack = 7;
+        const date = addDays(ref, -daysBack);
+        return dayPeriod(date, `${capitalize(name)} ${formatDay(date)}`);
+      }
+    },
+    ...(aliases.length ? [{
+      source: `(${aliases.join('|')})(?:\\s+(\\d{4}))?`,
+      resolve: ([alias, year], ref, ctx) => namedPeriod(findNamedDate(ctx.namedDates, alias), year && Number(year), ref)
+    }] : [])
+  ].map(rule => ({
+    ...rule,
+    search: new RegExp(`(?<![\\w'])(?:(${PREFIX})\\s+)?(?:the\\s+)?(?:${rule.source})(?![\\w'])`, 'gi'),
+    whole: new RegExp(`^(?:(${PREFIX})\\s+)?(?:the\\s+)?(?:${rule.source})$`, 'i')
+  }));
+};
+
+const rulesByTable = new WeakMap();
+const rulesFor = (namedDates) => {
+  if (!rulesByTable.has(namedDates)) rulesByTable.set(namedDates, buildRules(namedDates));
+  return rulesByTable.get(namedDates);
+};
+
+// A phrase that is exactly one period, e.g. the "March" in "between March and May"
+const resolvePhrase = (phrase, ref, ctx) => {
+  const text = phrase.trim();
+  for (const rule of ctx.rules) {
+    const match = text.match(rule.whole);
+    if (match) {
+      const result = rule.resolve(match.slice(2), ref, { ...ctx, prefix: match[1], anchored: true });
+      if (result) return result;
+    }
+  }
+  return null;
+};
+
+// The longest run of leading words that reads as a period, e.g. "Diwali" in "Diwali on shopping"
+const resolveLeadingPhrase = (phrase, ref, ctx) => {
+  const words = phrase.split(/\s+/).map(word => word.replace(/[?.!,;:]+$/, '')).filter(Boolean);
+  for (let count = Math.min(words.length, 6); count > 0; count -= 1) {
+    const result = resolvePhrase(words.slice(0, count).join(' '), ref, ctx);
+    if (result) return result;
+  }
+  return null;
+};
+
+// "March 2026 – May 2026" reads better as "March – May 2026"
+const joinLabels = (from, to) => {
+  const year = from.match(/ (\d{4})$/);
+  if (year && to.endsWith(year[0]) && from !== year[1]) {
+    return `${from.slice(0, -year[0].length)} – ${to}`;
+  }
+  return `${from} – ${to}`;
+};
+
+const sinceLabel = (point) => point.sinceLabel || `Since ${point.relative ? point.label.charAt(0).toLowerCase() + point.label.slice(1) : point.label}`;
+
+const resolveBetween = ([, fromPhrase, toPhrase], ref, ctx) => {
+  let from = resolvePhrase(fromPhrase, ref, ctx);
+  // With a year on the first end, the second is the next such date after it
+  const toRef = from?.explicit ? new Date(Math.min(ref, addDays(addMonths(from.start, 12), -1))) : ref;
+  const to = resolveLeadingPhrase(toPhrase, toRef, ctx);
+  if (!to) return null;
+  if (!from?.explicit) from = resolvePhrase(fromPhrase, to.end, ctx);
+  if (!from || from.start > to.end) return null;
+
+  const label = to.isToday ? sinceLabel(from) : joinLabels(from.label, to.label);
+  return period(from.start, to.end, label);
+};
+
+const resolveSince = ([, phrase], ref, ctx) => {
+  const from = resolveLeadingPhrase(phrase, ref, ctx);
+  if (!from || from.start > ref) return null;
+  return period(from.start, ref, sinceLabel(from));
+};
+
+/**
+ * Find the period a question is about.
+ * @param {string} text - The user's question
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time, defaults to now
+ * @param {Array} [options.namedDates] - Festivals and holidays, defaults to utils/namedDates
+ * @param {number} [options.fiscalYearStartMonth] - Month the financial year starts in, 1-12
+ * @returns {{start: Date|null, end: Date, label: string, allTime?: boolean}|null} The period,
+ *   with no start for "all time", or null when the question names none
+ */
+const parseDateRange = (text, options = {}) => {
+  const now = options.now || new Date();
+  const namedDates = options.namedDates || NAMED_DATES;
+  const ctx = {
+    rules: rulesFor(namedDates),
+    namedDates,
+    fiscalStart: (options.fiscalYearStartMonth || FISCAL_YEAR_START_MONTH) - 1
+  };
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!normalized) return null;
+
+  if (ALL_TIME.test(normalized)) {
+    return { start: null, end: endOfDay(now), label: 'All time', allTime: true };
+  }
+
+  let result = null;
+  const between = normalized.match(BETWEEN);
+  if (between) result = resolveBetween(between, now, ctx);
+  if (!result) {
+    const since = normalized.match(SINCE);
+    if (since) result = resolveSince(since, now, ctx);
+  }
+  for (const rule of ctx.rules) {
+    if (result) break;
+    for (const match of normalized.matchAll(rule.search)) {
+      result = rule.resolve(match.slice(2), now, { ...ctx, prefix: match[1], anchored: false });
+      if (result) break;
+    }
+  }
+  if (!result) return null;
+
+  // Periods still running end today
+  const end = result.start <= now && result.end > endOfDay(now) ? endOfDay(now) : result.end;
+  return { start: result.start, end, label: result.label };
+};
+
+module.exports = {
+  parseDateRange,
+  FISCAL_YEAR_START_MONTH
+};
@@ -0,0 +1,31 @@
+/**
+ * Built-in categories every user starts with. These are seeded into the
+ * Category collection per user and can be recoloured but not deleted.
+ */
+const DEFAULT_CATEGORIES = [
+  { name: 'Food & Dining', type: 'expense', color: '#EF4444', icon: '🍔' },
+  { name: 'Transportation', type: 'expense', color: '#3B82F6', icon: '🚗' },
+  { name: 'Shopping', type: 'expense', color: '#EC4899', icon: '🛍️' },
+  { name: 'Entertainment', type: 'expense', color: '#8B5CF6', icon: '🎬' },
+  { name: 'Healthcare', type: 'expense', color: '#10B981', icon: '🏥' },
+  { name: 'Utilities', type: 'expense', color: '#F59E0B', icon: '💡' },
+  { name: 'Education', type: 'expense', color: '#6366F1', icon: '📚' },
+  { name: 'Travel', type: 'expense', color: '#14B8A6', icon: '✈️' },
+  { name: 'Others', type: 'expense', color: '#6B7280', icon: '📦' },
+  { name: 'Salary', type: 'income', color: '#22C55E', icon: '💼' },
+  { name: 'Business', type: 'income', color: '#0EA5E9', icon: '🏢' },
+  { name: 'Investment', type: 'income', color: '#A855F7', icon: '📈' },
+  { name: 'Others', type: 'income', color: '#6B7280', icon: '📦' }
+];
+
+// Get default category names for a transaction type
+const getDefaultCategoryNames = (type) => {
+  return DEFAULT_CATEGORIES
+    .filter(category => !type || category.type === type)
+    .map(category => category.name);
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  getDefaultCategoryNames
+};
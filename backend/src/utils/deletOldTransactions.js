@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const { purgeExpired } = require('../services/trashService');
+const logger = require('./logger');
+
+// Purge transactions that have been in the trash for longer than the retention period, every day at 4 AM
+const scheduleTrashPurge = () => {
+  try {
+    const job = cron.schedule('0 4 * * *', async () => {
+      try {
+        const purged = await purgeExpired();
+        logger.info(`Purged ${purged} transactions from the trash`);
+      } catch (error) {
+        logger.error('Error purging the trash:', {
+          message: error.message,
+          stack: error.stack,
+          name: error.name
+        });
+      }
+    }, {
+      timezone: 'Asia/Kolkata',
+      scheduled: true,
+      recoverMissedExecutions: false
+    });
+
+    logger.info('Trash purge scheduler initialized');
+    return job;
+  } catch (error) {
+    logger.error('Failed to initialize trash purge scheduler:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name
+    });
+    throw error;
+  }
+};
+
+module.exports = scheduleTrashPurge;
@@ -0,0 +1,149 @@
+/**
+ * Merchant names as they should be stored. Bank statements, card slips and receipts spell
+ * the same shop many ways ("SWIGGY*ORDER123", "UPI/DR/4123/SWIGGY LTD/YESB"); well-known
+ * merchants are matched by pattern, anything else is stripped of reference numbers and
+ * company suffixes and title-cased.
+ */
+const MAX_MERCHANT_LENGTH = 100;
+
+// Checked in order, so "Uber Eats" comes before "Uber"
+const KNOWN_MERCHANTS = [
+  { name: 'Swiggy', pattern: /swiggy|bundl\s*technologies/ },
+  { name: 'Zomato', pattern: /zomato/ },
+  { name: 'Uber Eats', pattern: /uber\s*eats/ },
+  { name: 'Uber', pattern: /\buber/ },
+  { name: 'Ola', pattern: /\bola\s*(?:cabs?|money|electric)?\b|ani\s*technologies/ },
+  { name: 'Rapido', pattern: /rapido/ },
+  { name: 'Amazon Prime Video', pattern: /prime\s*video/ },
+  { name: 'Amazon', pattern: /amazon|\bamzn/ },
+  { name: 'Flipkart', pattern: /flipkart/ },
+  { name: 'Myntra', pattern: /myntra/ },
+  { name: 'Nykaa', pattern: /nykaa/ },
+  { name: 'BigBasket', pattern: /big\s*basket|\bbbnow/ },
+  { name: 'Blinkit', pattern: /blinkit|grofers/ },
+  { name: 'Zepto', pattern: /zepto|kiranakart/ },
+  { name: 'DMart', pattern: /\bd[\s-]?mart|avenue\s*supermarts/ },
+  { name: 'Netflix', pattern: /netflix/ },
+  { name: 'Spotify', pattern: /spotify/ },
+  { name: 'Disney+ Hotstar', pattern: /hotstar/ },
+  { name: 'YouTube', pattern: /youtube/ },
+  { name: 'Google Play', pattern: /google\s*play/ },
+  { name: 'Apple', pattern: /apple\.com|\bitunes|\bapple\s*(?:services|store)/ },
+  { name: 'Airtel', pattern: /airtel/ },
+  { name: 'Jio', pattern: /\bjio\b|reliance\s*jio/ },
+  { name: 'Vi', pattern: /vodafone|\bidea\s*cellular/ },
+  { name: 'IRCTC', pattern: /irctc/ },
+  { name: 'MakeMyTrip', pattern: /make\s*my\s*trip|\bmmt\b/ },
+  { name: 'Goibibo', pattern: /goibibo/ },
+  { name: 'IndiGo', pattern: /indigo|interglobe/ },
+  { name: 'Air India', pattern: /air\s*india/ },
+  { name: 'BookMyShow', pattern: /book\s*my\s*show|bigtree\s*entertainment/ },
+  { name: 'PVR INOX', pattern: /\bpvr\b|\binox\b/ },
+  { name: 'Starbucks', pattern: /starbucks|tata\s*starbucks/ },
+  { name: "McDonald's", pattern: /mc\s*donald'?s|hardcastle\s*restaurants/ },
+  { name: "Domino's", pattern: /domino'?s|jubilant\s*foodworks/ },
+  { name: 'KFC', pattern: /\bkfc\b/ },
+  { name: 'Pizza Hut', pattern: /pizza\s*hut/ },
+  { name: 'Apollo Pharmacy', pattern: /apollo\s*pharm/ },
+  { name: 'PharmEasy', pattern: /pharm\s*easy/ },
+  { name: 'Tata 1mg', pattern: /\b1\s*mg\b/ },
+  { name: 'Croma', pattern: /croma/ },
+  { name: 'Decathlon', pattern: /decathlon/ },
+  { name: 'IKEA', pattern: /\bikea\b/ },
+  { name: 'Urban Company', pattern: /urban\s*(?:company|clap)/ },
+  { name: 'Indian Oil', pattern: /indian\s*oil|\biocl?\b/ },
+  { name: 'Bharat Petroleum', pattern: /bharat\s*petroleum|\bbpcl\b/ },
+  { name: 'Hindustan Petroleum', pattern: /hindustan\s*petroleum|\bhpcl\b/ },
+  { name: 'Shell', pattern: /\bshell\b/ },
+  { name: 'Walmart', pattern: /wal[\s-]?mart/ },
+  { name: 'Costco', pattern: /costco/ }
+];
+
+// Bank statement prefixes and fragments that never name the merchant
+const STATEMENT_PREFIX = /^(upi|neft|imps|rtgs|pos|ach|nach|ecom|vps|vin|bil)\b/i;
+const NOISE_SEGMENTS = /^(upi|neft|imps|rtgs|pos|ach|nach|ecom|dr|cr|p2m|p2a|payment|paid|purchase|txn|ref|debit|credit|card|visa|mastercard|rupay)$/i;
+const COMPANY_SUFFIX = /\b(pvt|private|ltd|limited|llp|inc|llc|corp|corporation|co|company|india|technologies|tech|services|retail|online)\b\.?/gi;
+
+// Words from free-text descriptions that read like a merchant but are not
+const NOT_MERCHANTS = new Set(['unknown', 'home', 'work', 'office', 'friends', 'family', 'myself', 'self', 'me']);
+
+const titleCase = (text) => text
+  .toLowerCase()
+  .replace(/\b([a-z])/g, letter => letter.toUpperCase())
+  .replace(/'S\b/g, "'s");
+
+const findKnownMerchant = (text) => {
+  const lower = String(text || '').toLowerCase();
+  const known = KNOWN_MERCHANTS.find(merchant => merchant.pattern.test(lower));
+  return known ? known.name : null;
+};
+
+// Lowercase letters and digits only: "McDonald's" and "MCDONALDS" share the key "mcdonalds"
+const merchantKey = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Clean up a merchant name from a receipt, statement or the user
+ * @param {string} raw - Merchant as written, e.g. "SWIGGY*ORDER123" or "BLUE TOKAI COFFEE PVT LTD"
+ * @returns {string|null} The name to store ("Swiggy", "Blue Tokai Coffee"), or null when nothing is left
+ */
+const normalizeMerchantName = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim();
+  if (!text) return null;
+
+  const known = findKnownMerchant(text);
+  if (known) return known;
+
+  let candidate = text;
+  // "UPI/DR/412345/BLUE TOKAI/YESB/bluetokai@ybl" names the merchant in one of its segments
+  if (STATEMENT_PREFIX.test(candidate)) {
+    const segments = candidate.split(/[/|:*]+|\s+-\s+|-(?=[A-Za-z])/).map(segment => segment.trim());
+    candidate = segments.find(segment => /[a-z]{2}/i.test(segment)
+      && !segment.includes('@')
+      && !NOISE_SEGMENTS.test(segment)
+      && !/^[A-Z]{4}$/.test(segment)) || '';
+  }
+
+  const cleaned = candidate
+    .replace(STATEMENT_PREFIX, ' ')
+    .replace(/\*.*$/, '')                    // "ACME*ORDER123" -> "ACME"
+    .replace(/#\s*\w+/g, ' ')                // store numbers
+    .replace(/\b[x*]{2,}\d+\b/gi, ' ')       // masked card numbers
+    .replace(/\b\w*\d{3,}\w*\b/g, ' ')       // references and order IDs
+    .replace(COMPANY_SUFFIX, ' ')
+    .replace(/[_|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,&-]+|[\s.,&-]+$/g, '');
+
+  if (!/[a-z]{2}/i.test(cleaned) || NOT_MERCHANTS.has(cleaned.toLowerCase())) return null;
+
+  // Keep the user's capitalisation unless the whole name is shouted or lowercase
+  const name = cleaned === cleaned.toUpperCase() || cleaned === cleaned.toLowerCase() ? titleCase(cleaned) : cleaned;
+  return name.slice(0, MAX_MERCHANT_LENGTH).trim();
+};
+
+/**
+ * Guess the merchant from a transaction description
+ * @param {string} description - e.g. "Coffee at Blue Tokai", "Receipt from DMart" or a statement line
+ * @returns {string|null} The merchant as written in the description, or null when none stands out
+ */
+const extractMerchant = (description) => {
+  const text = String(description || '').trim();
+  if (!text) return null;
+
+  if (findKnownMerchant(text) || STATEMENT_PREFIX.test(text)) return text;
+
+  // "Purchase at Blue Tokai", "Receipt from Foo Mart", "Paid to Sharma Stores"
+  const named = text.match(/\b(?:[Aa]t|[Ff]rom|[Pp]aid\s+[Tt]o|@)\s+([A-Z0-9][\w&'.-]*(?:\s+[A-Z0-9][\w&'.-]*){0,3})/);
+  if (named && !NOT_MERCHANTS.has(named[1].toLowerCase())) return named[1];
+
+  return null;
+};
+
+module.exports = {
+  KNOWN_MERCHANTS,
+  MAX_MERCHANT_LENGTH,
+  merchantKey,
+  normalizeMerchantName,
+  extractMerchant
+};
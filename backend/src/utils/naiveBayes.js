@@ -0,0 +1,108 @@
+/**
+ * Multinomial naive Bayes over the words of transaction descriptions and merchants. A user's
+ * history is a few hundred short texts, so the model is small enough to train in memory and
+ * keep as one document: per category, how many examples it has and how often each word appears.
+ */
+
+// Words that say nothing about the category
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+  'my', 'me', 'paid', 'payment', 'purchase', 'receipt', 'txn', 'upi', 'neft', 'imps', 'pos', 'dr', 'cr'
+]);
+
+/**
+ * Split a description into lowercase words worth learning from
+ * @param {string} text - Description and merchant, e.g. "Coffee at Blue Tokai"
+ * @returns {Array<string>} Distinct words, without numbers and stop words
+ */
+const tokenize = (text) => [...new Set(
+  String(text || '')
+    .toLowerCase()
+    .replace(/'/g, '')                       // "Domino's" and "Dominos" are one word
+    .split(/[^a-z0-9&]+/)
+    .filter(word => word.length > 1 && !/\d/.test(word) && !STOP_WORDS.has(word))
+)];
+
+/**
+ * Count words per category
+ * @param {Array<Object>} examples - { text, type, category, weight } with weight 1 by default
+ * @returns {Object} { categories: [{ name, type, documents, totalTokens, tokens }], vocabularySize, examples }
+ */
+const train = (examples) => {
+  const byCategory = new Map();
+  const vocabulary = new Set();
+  let count = 0;
+
+  examples.forEach(({ text, type, category, weight = 1 }) => {
+    const tokens = tokenize(text);
+    if (!category || tokens.length === 0) return;
+
+    const key = `${type}:${category}`;
+    const entry = byCategory.get(key) || { name: category, type, documents: 0, totalTokens: 0, tokens: {} };
+    entry.documents += weight;
+    tokens.forEach(token => {
+      entry.tokens[token] = (entry.tokens[token] || 0) + weight;
+      entry.totalTokens += weight;
+      vocabulary.add(token);
+    });
+    byCategory.set(key, entry);
+    count += 1;
+  });
+
+  return {
+    categories: [...byCategory.values()],
+    vocabularySize: vocabulary.size,
+    examples: count
+  };
+};
+
+/**
+ * Most likely category for a text, with Laplace smoothing
+ * @param {Object} model - Output of train()
+ * @param {string} text - Description and merchant to classify
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only consider 'income' or 'expense' categories
+ * @param {Array<string>} [options.allowed] - Only consider these category names
+ * @returns {Object|null} { category, type, confidence (0-100), matchedTokens }, or null when none of the words were seen
+ */
+const classify = (model, text, { type = null, allowed = null } = {}) => {
+  const tokens = tokenize(text);
+  const candidates = (model?.categories || []).filter(category =>
+    (!type || category.type === type) && (!allowed || allowed.includes(category.name))
+  );
+  if (tokens.length === 0 || candidates.length === 0) return null;
+
+  // Words never seen in any candidate carry no evidence either way
+  const known = tokens.filter(token => candidates.some(category => category.tokens[token]));
+  if (known.length === 0) return null;
+
+  const totalDocuments = candidates.reduce((sum, category) => sum + category.documents, 0);
+  const vocabularySize = Math.max(model.vocabularySize || 0, 1);
+
+  const scores = candidates.map(category => {
+    let score = Math.log(category.documents / totalDocuments);
+    known.forEach(token => {
+      score += Math.log(((category.tokens[token] || 0) + 1) / (category.totalTokens + vocabularySize));
+    });
+    return { category, score };
+  });
+
+  // Softmax over log scores gives the posterior probability of each category
+  const best = Math.max(...scores.map(entry => entry.score));
+  const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - best), 0);
+  const winner = scores.find(entry => entry.score === best);
+
+  return {
+    category: winner.category.name,
+    type: winner.category.type,
+    // Never fully certain, even with a single candidate category
+    confidence: Math.min(Math.round((1 / total) * 100), 99),
+    matchedTokens: known.filter(token => winner.category.tokens[token])
+  };
+};
+
+module.exports = {
+  tokenize,
+  train,
+  classify
+};
@@ -0,0 +1,44 @@
+/**
+ * Festivals and holidays the chat understands in phrases like "since Diwali" or
+ * "spending over Navratri". Fixed-date entries give a month and day; festivals that
+ * follow the lunar calendar list their date for each year. `days` makes an entry
+ * cover a span rather than a single day. Add a year's dates here as they are announced.
+ */
+const NAMED_DATES = [
+  { name: 'New Year', aliases: ["new year's day", 'new year', 'new years'], month: 1, day: 1 },
+  { name: 'Makar Sankranti', aliases: ['makar sankranti', 'sankranti', 'pongal'], month: 1, day: 14 },
+  { name: 'Republic Day', aliases: ['republic day'], month: 1, day: 26 },
+  { name: "Valentine's Day", aliases: ["valentine's day", 'valentines day', 'valentine'], month: 2, day: 14 },
+  {
+    name: 'Holi',
+    aliases: ['holi'],
+    dates: { 2023: '2023-03-08', 2024: '2024-03-25', 2025: '2025-03-14', 2026: '2026-03-04', 2027: '2027-03-22' }
+  },
+  { name: 'Independence Day', aliases: ['independence day'], month: 8, day: 15 },
+  {
+    name: 'Ganesh Chaturthi',
+    aliases: ['ganesh chaturthi', 'ganesh puja', 'vinayaka chaturthi'],
+    dates: { 2023: '2023-09-19', 2024: '2024-09-07', 2025: '2025-08-27', 2026: '2026-09-14' }
+  },
+  { name: 'Gandhi Jayanti', aliases: ['gandhi jayanti'], month: 10, day: 2 },
+  {
+    name: 'Navratri',
+    aliases: ['navratri', 'navaratri'],
+    days: 9,
+    dates: { 2023: '2023-10-15', 2024: '2024-10-03', 2025: '2025-09-22', 2026: '2026-10-11' }
+  },
+  {
+    name: 'Dussehra',
+    aliases: ['dussehra', 'dasara', 'vijayadashami'],
+    dates: { 2023: '2023-10-24', 2024: '2024-10-12', 2025: '2025-10-02', 2026: '2026-10-20' }
+  },
+  {
+    name: 'Diwali',
+    aliases: ['diwali', 'deepavali', 'deepawali'],
+    dates: { 2023: '2023-11-12', 2024: '2024-11-01', 2025: '2025-10-20', 2026: '2026-11-08', 2027: '2027-10-29' }
+  },
+  { name: 'Christmas', aliases: ['christmas', 'xmas'], month: 12, day: 25 },
+  { name: "New Year's Eve", aliases: ["new year's eve", 'new years eve'], month: 12, day: 31 }
+];
+
+module.exports = NAMED_DATES;
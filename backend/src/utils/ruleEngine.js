@@ -0,0 +1,169 @@
+/**
+ * User rules such as "if description contains NETFLIX then category Entertainment, tag
+ * subscription". A rule matches when all (or any) of its conditions hold; matching rules are
+ * applied in priority order and the first rule to set a field wins, except for tags, which
+ * add up.
+ */
+
+// How each field is compared
+const FIELD_KINDS = {
+  description: 'text',
+  merchant: 'text',
+  category: 'text',
+  type: 'choice',
+  currency: 'choice',
+  accountId: 'choice',
+  amount: 'number',
+  tags: 'list'
+};
+
+const OPERATORS = {
+  text: ['contains', 'notContains', 'equals', 'notEquals', 'startsWith', 'endsWith'],
+  choice: ['equals', 'notEquals'],
+  number: ['gt', 'gte', 'lt', 'lte', 'equals', 'notEquals', 'between'],
+  list: ['contains', 'notContains']
+};
+
+const MAX_CONDITIONS = 10;
+
+const lower = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Operators that make sense for a field
+ * @param {string} field - One of the keys of FIELD_KINDS
+ * @returns {Array<string>} Operator names, empty for unknown fields
+ */
+const operatorsFor = (field) => OPERATORS[FIELD_KINDS[field]] || [];
+
+/**
+ * The fields rules look at
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {Object} Facts with the amount in the base currency
+ */
+const toFacts = (transaction) => ({
+  description: transaction.description || '',
+  merchant: transaction.merchant || '',
+  category: transaction.category || '',
+  type: transaction.type,
+  currency: transaction.currency || '',
+  accountId: transaction.accountId ? String(transaction.accountId) : '',
+  amount: (Number(transaction.amount) || 0) * (Number(transaction.exchangeRate) || 1),
+  tags: [...(transaction.tags || [])]
+});
+
+/**
+ * Check one condition against a transaction
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} facts - Output of toFacts
+ * @returns {boolean} Whether the condition holds
+ */
+const matchesCondition = ({ field, operator, value }, facts) => {
+  const kind = FIELD_KINDS[field];
+  const actual = facts[field];
+
+  if (kind === 'number') {
+    const amount = Number(actual);
+    if (!Number.isFinite(amount)) return false;
+    if (operator === 'between') {
+      const [min, max] = Array.isArray(value) ? value.map(Number) : [];
+      return amount >= min && amount <= max;
+    }
+    const target = Number(value);
+    switch (operator) {
+      case 'gt': return amount > target;
+      case 'gte': return amount >= target;
+      case 'lt': return amount < target;
+      case 'lte': return amount <= target;
+      case 'equals': return Math.abs(amount - target) < 0.005;
+      case 'notEquals': return Math.abs(amount - target) >= 0.005;
+      default: return false;
+    }
+  }
+
+  if (kind === 'list') {
+    const has = (actual || []).map(lower).includes(lower(value).replace(/^#/, ''));
+    return operator === 'notContains' ? !has : has;
+  }
+
+  // Text and choices compare without regard to case
+  const text = lower(actual);
+  const target = lower(value);
+  switch (operator) {
+    case 'contains': return text.includes(target);
+    case 'notContains': return !text.includes(target);
+    case 'equals': return text === target;
+    case 'notEquals': return text !== target;
+    case 'startsWith': return text.startsWith(target);
+    case 'endsWith': return text.endsWith(target);
+    default: return false;
+  }
+};
+
+/**
+ * Check whether a rule matches a transaction
+ * @param {Object} rule - { conditions, matchType: 'all' | 'any' }
+ * @param {Object} facts - See matchesCondition
+ * @returns {boolean} Whether the rule applies
+ */
+const matchesRule = (rule, facts) => {
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) return false;
+  return rule.matchType === 'any'
+    ? conditions.some(condition => matchesCondition(condition, facts))
+    : conditions.every(condition => matchesCondition(condition, facts));
+};
+
+/**
+ * Work out what the user's rules change on a transaction
+ * @param {Array<Object>} rules - Active rules, highest priority first
+ * @param {Object} facts - See matchesCondition
+ * @returns {Object} { changes: { category?, tags?, merchant?, accountId? }, appliedRules: [rule ids] }
+ */
+const applyRules = (rules, facts) => {
+  const changes = {};
+  const claimed = new Set();
+  const appliedRules = [];
+  const tags = new Set((facts.tags || []).map(lower));
+  const addedTags = [];
+
+  rules.forEach(rule => {
+    if (!matchesRule(rule, facts)) return;
+    const actions = rule.actions || {};
+    let applied = false;
+
+    // A field belongs to the first matching rule that sets it, even when it already had that value
+    const set = (field, value) => {
+      if (!value || claimed.has(field)) return;
+      claimed.add(field);
+      if (String(value) === String(facts[field] || '')) return;
+      changes[field] = value;
+      applied = true;
+    };
+
+    // Categories only fit transactions of their own type
+    if (!actions.categoryType || actions.categoryType === facts.type) set('category', actions.category);
+    set('merchant', actions.merchant);
+    set('accountId', actions.accountId);
+    (actions.tags || []).forEach(tag => {
+      if (tags.has(lower(tag))) return;
+      tags.add(lower(tag));
+      addedTags.push(tag);
+      applied = true;
+    });
+
+    if (applied) appliedRules.push(rule._id);
+  });
+
+  if (addedTags.length > 0) changes.tags = [...(facts.tags || []), ...addedTags];
+  return { changes, appliedRules };
+};
+
+module.exports = {
+  FIELD_KINDS,
+  MAX_CONDITIONS,
+  operatorsFor,
+  toFacts,
+  matchesCondition,
+  matchesRule,
+  applyRules
+};
@@ -0,0 +1,224 @@
+/**
+ * Transaction search queries such as `amount:>500 category:Travel "goa" -refund`. Words and
+ * "quoted phrases" go to the text index (description, merchant, tags and split notes), a
+ * leading - excludes them, and field:value pairs become filters. The text index only matches
+ * whole words, so when it finds nothing the words are matched as parts of words ("amaz" finds
+ * Amazon):
+ *
+ *   amount:500  amount:>500  amount:<=1000  amount:500..1000
+ *   date:2026  date:2026-03  date:2026-03-14  date:>2026-01-01  date:2026-01-01..2026-03-31
+ *   category:Travel  category:"Food & Dining"  merchant:Swiggy  tag:trip-goa  type:income
+ *
+ * A field:value pair whose value doesn't make sense (amount:lots) is searched as plain text.
+ */
+
+const SEARCH_FIELDS = ['amount', 'date', 'category', 'merchant', 'tag', 'type'];
+const TYPES = ['income', 'expense', 'transfer'];
+
+// -? then optional field: then a "quoted value" or a bare word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const COMPARISON_PATTERN = /^(>=|<=|>|<)?(.+)$/;
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactly = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+const parseAmount = (text) => {
+  const amount = Number(text);
+  return text !== '' && Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+// The days a date value covers: a year, a month or a single day, as [start, end)
+const parseDateSpan = (text) => {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [year, month, day] = [Number(match[1]), match[2] && Number(match[2]) - 1, match[3] && Number(match[3])];
+  if (month !== undefined && (month < 0 || month > 11)) return null;
+  if (day !== undefined && (day < 1 || day > 31)) return null;
+
+  if (day !== undefined) return [new Date(year, month, day), new Date(year, month, day + 1)];
+  if (month !== undefined) return [new Date(year, month, 1), new Date(year, month + 1, 1)];
+  return [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+};
+
+// amount:>500, amount:500..1000 or amount:500
+const amountCondition = (value) => {
+  if (value.includes('..')) {
+    const [min, max] = value.split('..').map(parseAmount);
+    return min !== null && max !== null && min <= max ? { amount: { $gte: min, $lte: max } } : null;
+  }
+
+  const [, operator, number] = COMPARISON_PATTERN.exec(value);
+  const amount = parseAmount(number);
+  if (amount === null) return null;
+  if (!operator) return { amount: { $gte: amount - 0.005, $lte: amount + 0.005 } };
+  return { amount: { [{ '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' }[operator]]: amount } };
+};
+
+// date:2026-03, date:>2026-01-01 or date:2026-01-01..2026-03-31
+const dateCondition = (value) => {
+  if (value.includes('..')) {
+    const [from, to] = value.split('..').map(parseDateSpan);
+    return from && to && from[0] < to[1] ? { date: { $gte: from[0], $lt: to[1] } } : null;
+  }
+
+  const [, operator, text] = COMPARISON_PATTERN.exec(value);
+  const span = parseDateSpan(text);
+  if (!span) return null;
+  const [start, end] = span;
+  switch (operator) {
+    case '>': return { date: { $gte: end } };
+    case '>=': return { date: { $gte: start } };
+    case '<': return { date: { $lt: start } };
+    case '<=': return { date: { $lt: end } };
+    default: return { date: { $gte: start, $lt: end } };
+  }
+};
+
+// Mongo condition for one field:value pair, or null when the value doesn't fit the field
+const fieldCondition = (field, value) => {
+  if (!value) return null;
+  switch (field) {
+    case 'amount':
+      return amountCondition(value);
+    case 'date':
+      return dateCondition(value);
+    case 'category':
+      return { $or: [{ category: exactly(value) }, { 'splits.category': exactly(value) }] };
+    case 'merchant':
+      return { merchant: exactly(value) };
+    case 'tag': {
+      const tag = value.toLowerCase().replace(/^#/, '').replace(/\s+/g, '-');
+      return tag ? { tags: tag } : null;
+    }
+    case 'type':
+      return TYPES.includes(value.toLowerCase()) ? { type: value.toLowerCase() } : null;
+    default:
+      return null;
+  }
+};
+
+// Matches the text anywhere in the fields the text index covers
+const textPattern = (text) => {
+  const pattern = new RegExp(escapeRegex(text), 'i');
+  return { $or: [{ description: pattern }, { merchant: pattern }, { tags: pattern }, { 'splits.note': pattern }] };
+};
+
+/**
+ * Split a search query into text for the text index and field filters
+ * @param {string} query - What the user typed
+ * @returns {Object} { text: $search string ('' when there are only filters), terms and phrases to
+ *   highlight, conditions: Mongo conditions to combine with $and, patterns: conditions that match the
+ *   text as parts of words, for when the text index finds nothing }
+ */
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const phrases = [];
+  const textParts = [];
+  const words = [];
+  const excluded = [];
+  const conditions = [];
+
+  for (const [token, negated, field, quoted, bare] of String(query || '').matchAll(TOKEN_PATTERN)) {
+    const value = (quoted ?? bare ?? '').trim();
+    const fieldName = field && field.toLowerCase();
+
+    if (fieldName && SEARCH_FIELDS.includes(fieldName)) {
+      const condition = fieldCondition(fieldName, value);
+      if (condition) {
+        conditions.push(negated ? { $nor: [condition] } : condition);
+        continue;
+      }
+    }
+
+    // Anything else is text: the field prefix too, when it isn't one we know
+    const text = (fieldName ? token.slice(negated.length) : value).replace(/"/g, '').trim();
+    if (!text) continue;
+    if (negated) excluded.push(text);
+    if (quoted !== undefined && !fieldName) {
+      textParts.push(`${negated}"${text}"`);
+      if (!negated) phrases.push(text.toLowerCase());
+    } else {
+      textParts.push(`${negated}${text}`);
+      if (!negated) {
+        words.push(text);
+        terms.push(...text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+      }
+    }
+  }
+
+  // Like the text index: every phrase, any of the words and none of the excluded text
+  const patterns = [
+    ...phrases.map(textPattern),
+    ...(words.length > 0 ? [{ $or: words.map(textPattern) }] : []),
+    ...excluded.map(text => ({ $nor: [textPattern(text)] }))
+  ];
+
+  // The text index only excludes words from what other words matched, so a search that only
+  // excludes is done with patterns instead
+  if (terms.length === 0 && phrases.length === 0) {
+    return { text: '', terms, phrases, conditions: [...conditions, ...patterns], patterns: [] };
+  }
+
+  return { text: textParts.join(' '), terms, phrases, conditions, patterns };
+};
+
+// Close enough to stand in for the text index's stemming: "restaurant" for "restaurants" and back
+const wordMatches = (word, term) => word.startsWith(term) ||
+  (term.startsWith(word) && word.length >= 3 && term.length - word.length <= 2);
+
+/**
+ * Where a parsed query's words and phrases appear in a piece of text
+ * @param {string} text - Text to look in
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end) ranges
+ */
+const findMatches = (text, { terms, phrases }) => {
+  if (!text || (terms.length === 0 && phrases.length === 0)) return [];
+
+  const lowerText = String(text).toLowerCase();
+  const ranges = [];
+  phrases.forEach(phrase => {
+    for (let index = lowerText.indexOf(phrase); index !== -1; index = lowerText.indexOf(phrase, index + phrase.length)) {
+      ranges.push([index, index + phrase.length]);
+    }
+  });
+  if (terms.length > 0) {
+    for (const match of lowerText.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (terms.some(term => wordMatches(match[0], term))) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+/**
+ * The parts of a transaction a search matched, for highlighting
+ * @param {Object} transaction - Plain transaction
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} { description, merchant: match ranges, tags: the tags that matched, notes: ranges per split }
+ */
+const highlightTransaction = (transaction, parsed) => ({
+  description: findMatches(transaction.description, parsed),
+  merchant: findMatches(transaction.merchant, parsed),
+  tags: (transaction.tags || []).filter(tag => findMatches(tag, parsed).length > 0),
+  notes: (transaction.splits || []).map(split => findMatches(split.note, parsed))
+});
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  findMatches,
+  highlightTransaction
+};
@@ -1,4 +1,5 @@
 const { body, query, param } = require('express-validator');
+const { MAX_AMOUNT } = require('./currencies');
 
 // Common validation rules
 const commonValidations = {
@@ -25,8 +26,8 @@ const commonValidations = {
 
   // Amount validation
   amount: body('amount')
-    .isFloat({ min: 0.01, max: 10000000 })
-    .withMessage('Amount must be between ₹0.01 and ₹1,00,00,000')
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage('Amount must be between 0.01 and 1,000,000,000')
     .custom((value) => {
       if (!Number.isFinite(parseFloat(value))) {
         throw new Error('Amount must be a valid number');
@@ -55,23 +56,13 @@ const commonValidations = {
     .isIn(['income', 'expense'])
     .withMessage('Transaction type must be either "income" or "expense"'),
 
-  // Category validation
+  // Category validation (built-in or user-defined, matching the transaction type)
   category: body('category')
-    .isIn([
-      'Food & Dining',
-      'Transportation', 
-      'Shopping',
-      'Entertainment',
-      'Healthcare',
-      'Utilities',
-      'Education',
-      'Travel',
-      'Salary',
-      'Business',
-      'Investment',
-      'Others'
-    ])
-    .withMessage('Invalid category selected'),
+    .trim()
+    .notEmpty()
+    .withMessage('Category is required')
+    .bail()
+    .custom((value, meta) => customValidators.userCategory(value, meta)),
 
   // Description validation
   description: body('description')
@@ -125,11 +116,8 @@ const queryValidations = {
   // Category filter
   categoryFilter: query('category')
     .optional()
-    .isIn([
-      'Food & Dining', 'Transportation', 'Shopping', 'Entertainment',
-      'Healthcare', 'Utilities', 'Education', 'Travel', 'Salary',
-      'Business', 'Investment', 'Others'
-    ])
+    .trim()
+    .isLength({ min: 1, max: 50 })
     .withMessage('Invalid category filter'),
 
   // Search term
@@ -209,6 +197,27 @@ const customValidators = {
     return true;
   },
 
+  // Check that the category exists for the user and matches the transaction type
+  userCategory: async (value, { req }) => {
+    const Category = require('../models/Category');
+    const type = req.body.type || 'expense';
+    const isValid = await Category.isValidForUser(req.userId, value, type);
+    if (!isValid) {
+      throw new Error(`Invalid category "${value}" for ${type} transactions`);
+    }
+    return true;
+  },
+
+  // Check that the account exists and belongs to the user
+  userAccount: async (value, { req }) => {
+    const Account = require('../models/Account');
+    const isValid = await Account.belongsToUser(req.userId, value);
+    if (!isValid) {
+      throw new Error('Account not found');
+    }
+    return true;
+  },
+
   // Validate Indian mobile number
   indianMobile: (value) => {
     const mobileRegex = /^[6-9]\d{9}$/;
@@ -221,8 +230,8 @@ const customValidators = {
   // Validate Indian currency amount
   indianCurrency: (value) => {
     const amount = parseFloat(value);
-    if (amount < 0.01 || amount > 10000000) {
-      throw new Error('Amount must be between ₹0.01 and ₹1 crore');
+    if (amount < 0.01 || amount > MAX_AMOUNT) {
+      throw new Error('Amount must be between 0.01 and 1,000,000,000');
     }
     return true;
   },
@@ -8,6 +8,10 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Transactions from './pages/Transactions';
+import Accounts from './pages/Accounts';
+import Goals from './pages/Goals';
+import Recurring from './pages/Recurring';
+import Rules from './pages/Rules';
 import Receipts from './pages/Receipts';
 import Analysis from './pages/Analysis';
 
@@ -15,6 +19,7 @@ import Analysis from './pages/Analysis';
 import Header from './components/common/Header';
 import Footer from './components/common/Footer';
 import ProtectedRoute from './components/common/ProtectedRoute';
+import ChatAssistant from './components/ChatAssistant';
 
 // Utils
 import { isAuthenticated, initializeAuth } from './utils/auth';
@@ -73,6 +78,26 @@ function App() {
                 <Transactions />
               </ProtectedRoute>
             } />
+            <Route path="/accounts" element={
+              <ProtectedRoute isAuth={isAuth}>
+                <Accounts />
+              </ProtectedRoute>
+            } />
+            <Route path="/goals" element={
+              <ProtectedRoute isAuth={isAuth}>
+                <Goals />
+              </ProtectedRoute>
+            } />
+            <Route path="/recurring" element={
+              <ProtectedRoute isAuth={isAuth}>
+                <Recurring />
+              </ProtectedRoute>
+            } />
+            <Route path="/rules" element={
+              <ProtectedRoute isAuth={isAuth}>
+                <Rules />
+              </ProtectedRoute>
+            } />
             <Route path="/receipts" element={
               <ProtectedRoute isAuth={isAuth}>
                 <Receipts />
@@ -88,6 +113,7 @@ function App() {
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </div>
+        <ChatAssistant />
         <Footer />
       </div>
     </Router>
@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { budgetAPI, categoryAPI } from '../services/api';
+import Modal from './common/Modal';
+import Loader from './common/Loader';
+
+const defaultBudgetCategories = [
+  'Food & Dining', 'Transportation', 'Shopping', 'Entertainment',
+  'Healthcare', 'Utilities', 'Education', 'Travel', 'Others'
+];
+
+const statusStyles = {
+  over_budget: { bar: 'bg-red-500', text: 'text-red-600', label: 'Over budget' },
+  near_limit: { bar: 'bg-yellow-500', text: 'text-yellow-600', label: 'Near limit' },
+  on_track: { bar: 'bg-green-500', text: 'text-green-600', label: 'On track' }
+};
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0
+  }).format(amount || 0);
+};
+
+const BudgetProgress = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingBudget, setEditingBudget] = useState(null);
+  const [formData, setFormData] = useState({ category: '', amount: '' });
+  const [saving, setSaving] = useState(false);
+  const [budgetCategories, setBudgetCategories] = useState(defaultBudgetCategories);
+
+  useEffect(() => {
+    fetchStatus();
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll('expense');
+      const list = response?.data?.categories || [];
+      if (list.length > 0) {
+        setBudgetCategories(list.map(category => category.name));
+      }
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    }
+  };
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await budgetAPI.getStatus();
+      if (response && response.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching budget status:', error);
+      setError(error.message || 'Failed to load budgets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingBudget(null);
+    setFormData({ category: '', amount: '' });
+    setShowModal(true);
+  };
+
+  const openEdit = (budget) => {
+    setEditingBudget(budget);
+    setFormData({ category: budget.category, amount: budget.limit.toString() });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingBudget(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      if (editingBudget) {
+        await budgetAPI.update(editingBudget._id, { amount: formData.amount });
+      } else {
+        await budgetAPI.create(formData);
+      }
+      closeModal();
+      fetchStatus();
+    } catch (error) {
+      setError(error.message || 'Failed to save budget');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (budget) => {
+    if (!window.confirm(`Remove the ${budget.category} budget?`)) return;
+    try {
+      await budgetAPI.delete(budget._id);
+      fetchStatus();
+    } catch (error) {
+      setError(error.message || 'Failed to delete budget');
+    }
+  };
+
+  const budgets = status?.budgets || [];
+  const usedCategories = budgets.map(b => b.category);
+  const availableCategories = budgetCategories.filter(cat => !usedCategories.includes(cat));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Monthly Budgets</h3>
+          {status?.period?.label && (
+            <p className="text-sm text-gray-500">{status.period.label}</p>
+          )}
+        </div>
+        <button
+          onClick={openCreate}
+          disabled={availableCategories.length === 0}
+          className="px-3 py-1.5 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors disabled:opacity-50"
+        >
+          + Set Budget
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <Loader size="md" text="Loading budgets..." />
+      ) : budgets.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">
+          No budgets set. Set a monthly limit for a category to track your spending against it.
+        </p>
+      ) : (
+        <div className="space-y-5">
+          {budgets.map((budget) => {
+            const style = statusStyles[budget.status] || statusStyles.on_track;
+            return (
+              <div key={budget._id} className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900">{budget.category}</span>
+                    <span className={`text-xs font-medium ${style.text}`}>{style.label}</span>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-500">
+                      {formatCurrency(budget.spent)} / {formatCurrency(budget.limit)}
+                    </span>
+                    <button
+                      onClick={() => openEdit(budget)}
+                      className="text-blue-600 hover:text-blue-700 text-xs font-medium"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(budget)}
+                      className="text-red-600 hover:text-red-700 text-xs font-medium"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+                <div className="w-full bg-gray-100 rounded-full h-2.5">
+                  <div
+                    className={`h-2.5 rounded-full ${style.bar} transition-all duration-700 ease-out`}
+                    style={{ width: `${Math.min(budget.percentUsed, 100)}%` }}
+                  />
+                </div>
+                <p className={`text-xs ${budget.isOverBudget ? 'text-red-600' : 'text-gray-500'}`}>
+                  {budget.isOverBudget
+                    ? `${formatCurrency(Math.abs(budget.remaining))} over budget`
+                    : `${formatCurrency(budget.remaining)} remaining (${budget.percentUsed}% used)`}
+                </p>
+              </div>
+            );
+          })}
+
+          <div className="pt-4 border-t border-gray-100 flex items-center justify-between text-sm">
+            <span className="text-gray-600">Total</span>
+            <span className="font-semibold text-gray-900">
+              {formatCurrency(status.totals.spent)} / {formatCurrency(status.totals.limit)}
+            </span>
+          </div>
+        </div>
+      )}
+
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title={editingBudget ? `Edit ${editingBudget.category} Budget` : 'Set Monthly Budget'}
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {!editingBudget && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                value={formData.category}
+                onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                required
+              >
+                <option value="">Select Category</option>
+                {availableCategories.map(cat => (
+                  <option key={cat} value={cat}>{cat}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Monthly Limit</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0.01"
+              value={formData.amount}
+              onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              placeholder="0.00"
+              required
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={closeModal}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default BudgetProgress;
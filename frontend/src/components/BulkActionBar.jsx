@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { transactionAPI } from '../services/api';
+
+const ACTIONS = [
+  { value: 'recategorize', label: 'Change category' },
+  { value: 'addTags', label: 'Add tags' },
+  { value: 'removeTags', label: 'Remove tags' },
+  { value: 'shiftDate', label: 'Move dates' },
+  { value: 'delete', label: 'Delete' }
+];
+
+const inputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500';
+
+// Acts on the selected transactions, or on every transaction matching the list filters
+const BulkActionBar = ({ selectedIds, matchingFilter, count, categories, transactions, onDone, onClear }) => {
+  const [action, setAction] = useState('recategorize');
+  const [category, setCategory] = useState('');
+  const [tags, setTags] = useState('');
+  const [days, setDays] = useState('1');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [failures, setFailures] = useState([]);
+
+  const describe = (id) => {
+    const transaction = transactions.find(t => t._id === id);
+    return transaction ? transaction.description || transaction.category : 'A transaction';
+  };
+
+  const handleApply = async () => {
+    setError('');
+    setFailures([]);
+
+    const request = { action };
+    if (matchingFilter) {
+      request.filter = matchingFilter;
+    } else {
+      request.ids = selectedIds;
+    }
+
+    if (action === 'recategorize') {
+      if (!category) {
+        setError('Choose a category');
+        return;
+      }
+      request.category = category;
+    } else if (action === 'addTags' || action === 'removeTags') {
+      if (!tags.trim()) {
+        setError('Enter the tags, separated by commas');
+        return;
+      }
+      request.tags = tags;
+    } else if (action === 'shiftDate') {
+      if (!parseInt(days, 10)) {
+        setError('Enter a number of days, negative to move earlier');
+        return;
+      }
+      request.days = parseInt(days, 10);
+    } else if (!window.confirm(`Move ${count} transaction${count === 1 ? '' : 's'} to the trash?`)) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      const response = await transactionAPI.bulk(request);
+      const { results } = response.data;
+      setFailures(results.filter(result => !result.success));
+      onDone(action, response.message, results);
+    } catch (error) {
+      setError(error.message || 'Failed to update transactions');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="px-6 py-3 border-b border-gray-200 bg-red-50">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium text-gray-900 mr-2">
+          {count} selected{matchingFilter ? ' (all matching)' : ''}
+        </span>
+        <select value={action} onChange={(e) => setAction(e.target.value)} className={inputClass}>
+          {ACTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        {action === 'recategorize' && (
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className={inputClass}>
+            <option value="">Category...</option>
+            <optgroup label="Expense">
+              {categories.expense.map(cat => (
+                <option key={`expense-${cat.name}`} value={cat.name}>{cat.name}</option>
+              ))}
+            </optgroup>
+            <optgroup label="Income">
+              {categories.income
+                .filter(cat => !categories.expense.some(expense => expense.name === cat.name))
+                .map(cat => (
+                  <option key={`income-${cat.name}`} value={cat.name}>{cat.name}</option>
+                ))}
+            </optgroup>
+          </select>
+        )}
+        {(action === 'addTags' || action === 'removeTags') && (
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="reimbursable, trip-goa-2026"
+            className={inputClass}
+          />
+        )}
+        {action === 'shiftDate' && (
+          <>
+            <input
+              type="number"
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              className={`w-20 ${inputClass}`}
+            />
+            <span className="text-gray-600">days</span>
+          </>
+        )}
+
+        <button
+          onClick={handleApply}
+          disabled={working}
+          className={`px-3 py-1 rounded-md text-white font-medium disabled:opacity-50 ${
+            action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-800 hover:bg-gray-900'
+          }`}
+        >
+          {working ? 'Working...' : 'Apply'}
+        </button>
+        <button onClick={onClear} className="text-gray-600 hover:text-gray-800">
+          Clear selection
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+      {failures.length > 0 && (
+        <ul className="mt-2 text-xs text-red-700 space-y-0.5">
+          {failures.slice(0, 10).map(failure => (
+            <li key={failure._id}>{describe(failure._id)}: {failure.message}</li>
+          ))}
+          {failures.length > 10 && <li>and {failures.length - 10} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
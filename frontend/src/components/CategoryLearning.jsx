@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { categoryAPI } from '../services/api';
+import Modal from './common/Modal';
+import Loader from './common/Loader';
+
+const CategoryLearning = ({ isOpen, onClose }) => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchStatus = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setMessage('');
+        const response = await categoryAPI.getLearning();
+        if (response && response.success) {
+          setStatus(response.data);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load what has been learned');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStatus();
+  }, [isOpen]);
+
+  const handleRetrain = async () => {
+    try {
+      setSaving('retrain');
+      setError('');
+      const response = await categoryAPI.retrainLearning();
+      setStatus(response.data);
+      setMessage(response.message);
+    } catch (error) {
+      setError(error.message || 'Failed to retrain');
+    } finally {
+      setSaving('');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Forget your category corrections? Suggestions will be learned again from your transactions alone.')) {
+      return;
+    }
+
+    try {
+      setSaving('reset');
+      setError('');
+      const response = await categoryAPI.resetLearning();
+      setMessage(response.message);
+      const refreshed = await categoryAPI.getLearning();
+      setStatus(refreshed.data);
+    } catch (error) {
+      setError(error.message || 'Failed to reset');
+    } finally {
+      setSaving('');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Learned Categories">
+      {loading || !status ? (
+        error
+          ? <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+          : <Loader text="Loading..." />
+      ) : (
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+          )}
+          {message && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded text-sm">{message}</div>
+          )}
+
+          <p className="text-sm text-gray-600">
+            Categories are suggested from what you chose for similar transactions before, and from the
+            categories you corrected. The keyword rules are used only when there is not enough to go on.
+          </p>
+
+          <div className="grid grid-cols-3 gap-3 text-center">
+            <div className="bg-gray-50 rounded-md p-3">
+              <p className="text-lg font-semibold text-gray-900">{status.examples}</p>
+              <p className="text-xs text-gray-500">Transactions learned</p>
+            </div>
+            <div className="bg-gray-50 rounded-md p-3">
+              <p className="text-lg font-semibold text-gray-900">{status.corrections}</p>
+              <p className="text-xs text-gray-500">Corrections</p>
+            </div>
+            <div className="bg-gray-50 rounded-md p-3">
+              <p className="text-lg font-semibold text-gray-900">{status.categories.length}</p>
+              <p className="text-xs text-gray-500">Categories</p>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            {status.active
+              ? `Active. Last trained ${new Date(status.trainedAt).toLocaleString('en-IN')}${status.stale ? '; new corrections are picked up on the next suggestion' : ''}.`
+              : 'Not active yet: a few more categorized transactions are needed.'}
+          </p>
+
+          {status.recentCorrections.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Recent Corrections</h4>
+              <div className="divide-y divide-gray-200 border border-gray-200 rounded-md text-sm">
+                {status.recentCorrections.map(correction => (
+                  <div key={correction._id} className="px-3 py-2">
+                    <p className="text-gray-900 truncate">{correction.text || 'No description'}</p>
+                    <p className="text-xs text-gray-500">
+                      {correction.fromCategory || 'None'} → <span className="font-medium text-gray-700">{correction.toCategory}</span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={handleReset}
+              disabled={Boolean(saving)}
+              className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium disabled:opacity-50"
+            >
+              {saving === 'reset' ? 'Resetting...' : 'Reset'}
+            </button>
+            <button
+              onClick={handleRetrain}
+              disabled={Boolean(saving)}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium disabled:opacity-50"
+            >
+              {saving === 'retrain' ? 'Training...' : 'Retrain now'}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default CategoryLearning;
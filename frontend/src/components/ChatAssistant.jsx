@@ -0,0 +1,404 @@
+import { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { FiMessageCircle, FiX, FiSend, FiTrash2, FiCalendar, FiPlus, FiEdit2, FiRotateCcw, FiSquare } from 'react-icons/fi';
+import {
+  streamMessage,
+  getChatHistory,
+  clearChatHistory,
+  getChatSessions,
+  createChatSession,
+  renameChatSession,
+  deleteChatSession
+} from '../services/aiService';
+import { isTokenValid } from '../utils/auth';
+
+// Pages reachable without signing in don't get the assistant
+const PUBLIC_PATHS = ['/', '/login', '/register'];
+
+const DEFAULT_SESSION_ID = 'default';
+const SESSION_STORAGE_KEY = 'chatSessionId';
+
+const SUGGESTIONS = [
+  'How much did I spend this month?',
+  'What are my upcoming bills?',
+  'How can I save more money?'
+];
+
+// Answers render their markdown with the app's own styles
+const markdownComponents = {
+  p: ({ children }) => <p className="mb-2 last:mb-0">{children}</p>,
+  ul: ({ children }) => <ul className="list-disc pl-5 mb-2 space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-5 mb-2 space-y-1">{children}</ol>,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-red-600 underline">{children}</a>
+  ),
+  code: ({ children }) => <code className="bg-gray-200 rounded px-1 text-xs">{children}</code>,
+  table: ({ children }) => (
+    <div className="overflow-x-auto mb-2">
+      <table className="min-w-full text-xs border border-gray-200">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => <th className="px-2 py-1 border border-gray-200 bg-gray-100 text-left font-medium">{children}</th>,
+  td: ({ children }) => <td className="px-2 py-1 border border-gray-200">{children}</td>
+};
+
+const formatRangeDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const DateRangeBadge = ({ dateRange }) => (
+  <p className="mt-1 flex items-center text-xs text-gray-500">
+    <FiCalendar className="mr-1 h-3 w-3" />
+    {dateRange.label} · {formatRangeDate(dateRange.start)} – {formatRangeDate(dateRange.end)}
+  </p>
+);
+
+const ChatAssistant = () => {
+  const location = useLocation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_STORAGE_KEY) || DEFAULT_SESSION_ID);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const bottomRef = useRef(null);
+  // Controller for the answer being streamed, so it can be stopped
+  const streamRef = useRef(null);
+
+  // Reload on every open so the drawer never shows another login's conversations
+  useEffect(() => {
+    if (!isOpen) return;
+
+    getChatSessions()
+      .then(setSessions)
+      .catch(error => setError(error.message || 'Failed to load chat sessions'));
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchHistory = async () => {
+      try {
+        setLoadingHistory(true);
+        setError('');
+        const data = await getChatHistory(sessionId);
+        setMessages(data.messages || []);
+      } catch (error) {
+        setError(error.message || 'Failed to load the conversation');
+      } finally {
+        setLoadingHistory(false);
+      }
+    };
+
+    fetchHistory();
+  }, [isOpen, sessionId]);
+
+  useEffect(() => {
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }, [sessionId]);
+
+  // Abandon a running answer when the drawer closes or the session changes
+  useEffect(() => () => {
+    const controller = streamRef.current;
+    streamRef.current = null;
+    controller?.abort();
+  }, [isOpen, sessionId]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  if (PUBLIC_PATHS.includes(location.pathname) || !isTokenValid()) {
+    return null;
+  }
+
+  const handleSend = async (text = input) => {
+    const message = text.trim();
+    if (!message || sending) return;
+
+    setInput('');
+    setError('');
+    setMessages(prev => [
+      ...prev,
+      { role: 'user', content: message, timestamp: new Date().toISOString() },
+      { role: 'assistant', content: '', timestamp: new Date().toISOString(), dateRange: null }
+    ]);
+
+    // The answer being streamed is always the last message
+    const updateAnswer = (update) => setMessages(prev => [...prev.slice(0, -1), update(prev[prev.length - 1])]);
+
+    const controller = new AbortController();
+    streamRef.current = controller;
+
+    try {
+      setSending(true);
+      const response = await streamMessage(message, sessionId, {
+        signal: controller.signal,
+        onToken: (token) => updateAnswer(answer => ({ ...answer, content: answer.content + token }))
+      });
+      updateAnswer(answer => ({ ...answer, dateRange: response.context?.dateRange || null }));
+      // The first question titles the session; keep the most recent session on top
+      setSessions(prev => [
+        {
+          ...prev.find(session => session.sessionId === sessionId),
+          sessionId,
+          title: response.context?.title || null,
+          lastActive: new Date().toISOString()
+        },
+        ...prev.filter(session => session.sessionId !== sessionId)
+      ]);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep what was already shown unless the conversation was left; the backend doesn't save a stopped answer
+        if (streamRef.current === controller) updateAnswer(answer => ({ ...answer, stopped: true }));
+      } else {
+        setMessages(prev => (prev[prev.length - 1]?.content ? prev : prev.slice(0, -1)));
+        setError(error.message || 'The assistant could not answer. Please try again.');
+      }
+    } finally {
+      if (streamRef.current === controller) streamRef.current = null;
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Clear this conversation?')) return;
+
+    try {
+      setError('');
+      await clearChatHistory(sessionId);
+      setMessages([]);
+      setSessions(prev => prev.map(session => (
+        session.sessionId === sessionId ? { ...session, title: null } : session
+      )));
+    } catch (error) {
+      setError(error.message || 'Failed to clear the conversation');
+    }
+  };
+
+  const handleNewSession = async () => {
+    try {
+      setError('');
+      const session = await createChatSession();
+      setSessions(prev => [session, ...prev]);
+      setSessionId(session.sessionId);
+    } catch (error) {
+      setError(error.message || 'Failed to start a new chat');
+    }
+  };
+
+  const handleRenameSession = async () => {
+    const current = sessions.find(session => session.sessionId === sessionId);
+    const title = window.prompt('Rename this chat', current?.title || '');
+    if (!title || !title.trim()) return;
+
+    try {
+      setError('');
+      const session = await renameChatSession(sessionId, title.trim());
+      setSessions(prev => prev.map(item => (item.sessionId === sessionId ? { ...item, title: session.title } : item)));
+    } catch (error) {
+      setError(error.message || 'Failed to rename the chat');
+    }
+  };
+
+  const handleDeleteSession = async () => {
+    if (!window.confirm('Delete this chat and all its messages?')) return;
+
+    try {
+      setError('');
+      await deleteChatSession(sessionId);
+      const remaining = sessions.filter(session => session.sessionId !== sessionId);
+      setSessions(remaining);
+      setMessages([]);
+      setSessionId(remaining[0]?.sessionId || DEFAULT_SESSION_ID);
+    } catch (error) {
+      setError(error.message || 'Failed to delete the chat');
+    }
+  };
+
+  const currentSessionSaved = sessions.some(session => session.sessionId === sessionId);
+
+  return (
+    <>
+      {!isOpen && (
+        <button
+          onClick={() => setIsOpen(true)}
+          className="fixed bottom-6 right-6 z-40 flex items-center space-x-2 rounded-full bg-red-600 px-4 py-3 text-white shadow-lg hover:bg-red-700"
+          aria-label="Open financial assistant"
+        >
+          <FiMessageCircle className="h-5 w-5" />
+          <span className="hidden sm:inline font-medium">Ask AI</span>
+        </button>
+      )}
+
+      {isOpen && (
+        <div className="fixed inset-y-0 right-0 z-40 flex w-full max-w-md flex-col border-l border-gray-200 bg-white shadow-xl">
+          {/* Header */}
+          <div className="flex items-center justify-between border-b border-gray-200 px-4 py-3">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Financial Assistant</h2>
+              <p className="text-xs text-gray-500">Answers are based on your own transactions</p>
+            </div>
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={handleClear}
+                disabled={messages.length === 0 || sending}
+                className="rounded-md p-2 text-gray-500 hover:bg-gray-100 hover:text-red-600 disabled:opacity-40"
+                title="Clear conversation"
+              >
+                <FiRotateCcw className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setIsOpen(false)}
+                className="rounded-md p-2 text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+                title="Close"
+              >
+                <FiX className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Sessions */}
+          <div className="flex items-center space-x-1 border-b border-gray-200 px-4 py-2">
+            <select
+              value={sessionId}
+              onChange={(e) => setSessionId(e.target.value)}
+              disabled={sending}
+              className="min-w-0 flex-1 rounded-md border border-gray-300 px-2 py-1 text-sm focus:border-red-500 focus:outline-none focus:ring-red-500"
+            >
+              {!currentSessionSaved && <option value={sessionId}>New chat</option>}
+              {sessions.map(session => (
+                <option key={session.sessionId} value={session.sessionId}>
+                  {session.title || 'New chat'}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleNewSession}
+              disabled={sending}
+              className="rounded-md p-2 text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-40"
+              title="New chat"
+            >
+              <FiPlus className="h-4 w-4" />
+            </button>
+            <button
+              onClick={handleRenameSession}
+              disabled={!currentSessionSaved || sending}
+              className="rounded-md p-2 text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-40"
+              title="Rename chat"
+            >
+              <FiEdit2 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={handleDeleteSession}
+              disabled={!currentSessionSaved || sending}
+              className="rounded-md p-2 text-gray-500 hover:bg-gray-100 hover:text-red-600 disabled:opacity-40"
+              title="Delete chat"
+            >
+              <FiTrash2 className="h-4 w-4" />
+            </button>
+          </div>
+
+          {/* Messages */}
+          <div className="flex-1 space-y-4 overflow-y-auto px-4 py-4">
+            {loadingHistory ? (
+              <p className="py-8 text-center text-sm text-gray-500">Loading conversation...</p>
+            ) : messages.length === 0 ? (
+              <div className="py-8 text-center">
+                <p className="mb-4 text-sm text-gray-600">Ask about your spending, income, budgets or bills.</p>
+                <div className="space-y-2">
+                  {SUGGESTIONS.map(suggestion => (
+                    <button
+                      key={suggestion}
+                      onClick={() => handleSend(suggestion)}
+                      className="block w-full rounded-md border border-gray-200 px-3 py-2 text-left text-sm text-gray-700 hover:border-red-300 hover:bg-red-50"
+                    >
+                      {suggestion}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              messages.map((message, index) => (
+                <div key={message._id || index} className={message.role === 'user' ? 'flex justify-end' : ''}>
+                  {message.role === 'user' ? (
+                    <div className="max-w-[85%] whitespace-pre-wrap rounded-lg bg-red-600 px-3 py-2 text-sm text-white">
+                      {message.content}
+                    </div>
+                  ) : (
+                    <div className="max-w-[90%]">
+                      <div className="rounded-lg bg-gray-100 px-3 py-2 text-sm text-gray-900">
+                        {message.content ? (
+                          <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                            {message.content}
+                          </ReactMarkdown>
+                        ) : (
+                          <span className="text-gray-500">Thinking...</span>
+                        )}
+                      </div>
+                      {message.dateRange && <DateRangeBadge dateRange={message.dateRange} />}
+                      {message.stopped && <p className="mt-1 text-xs text-gray-500">Stopped · this answer wasn&apos;t saved</p>}
+                    </div>
+                  )}
+                </div>
+              ))
+            )}
+
+            <div ref={bottomRef} />
+          </div>
+
+          {error && (
+            <div className="mx-4 mb-2 rounded border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {/* Input */}
+          <div className="border-t border-gray-200 p-3">
+            <div className="flex items-end space-x-2">
+              <textarea
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                onKeyDown={handleKeyDown}
+                rows={2}
+                maxLength={1000}
+                placeholder="Ask about your finances..."
+                className="flex-1 resize-none rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-red-500 focus:outline-none focus:ring-red-500"
+              />
+              {sending ? (
+                <button
+                  onClick={() => streamRef.current?.abort()}
+                  className="rounded-md bg-gray-700 p-3 text-white hover:bg-gray-800"
+                  aria-label="Stop"
+                  title="Stop answering"
+                >
+                  <FiSquare className="h-4 w-4" />
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleSend()}
+                  disabled={!input.trim()}
+                  className="rounded-md bg-red-600 p-3 text-white hover:bg-red-700 disabled:opacity-50"
+                  aria-label="Send"
+                >
+                  <FiSend className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ChatAssistant;
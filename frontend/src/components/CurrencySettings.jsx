@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { currencyAPI } from '../services/api';
+import Modal from './common/Modal';
+import Loader from './common/Loader';
+
+const CurrencySettings = ({ isOpen, onClose, onBaseCurrencyChange }) => {
+  const [baseCurrency, setBaseCurrency] = useState('INR');
+  const [rates, setRates] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const applyRates = (data) => {
+    setBaseCurrency(data.baseCurrency);
+    setRates(data.rates || []);
+    setDrafts(Object.fromEntries((data.rates || []).map(rate => [rate.currency, String(Number(rate.rate.toFixed(6)))])));
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchRates = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setMessage('');
+        const response = await currencyAPI.getRates();
+        if (response && response.success) {
+          applyRates(response.data);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load exchange rates');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRates();
+  }, [isOpen]);
+
+  const handleBaseChange = async (currency) => {
+    if (currency === baseCurrency) return;
+    if (!window.confirm(`Report everything in ${currency}? Budgets and recurring amounts will be converted using the current rates.`)) {
+      return;
+    }
+
+    try {
+      setSaving('base');
+      setError('');
+      const response = await currencyAPI.setBaseCurrency(currency);
+      applyRates(response.data);
+      setMessage(response.message);
+      if (onBaseCurrencyChange) onBaseCurrencyChange(response.data.baseCurrency);
+    } catch (error) {
+      setError(error.message || 'Failed to change base currency');
+    } finally {
+      setSaving('');
+    }
+  };
+
+  const handleRateSave = async (currency) => {
+    const rate = parseFloat(drafts[currency]);
+    if (!rate || rate <= 0) {
+      setError('Rate must be a positive number');
+      return;
+    }
+
+    try {
+      setSaving(currency);
+      setError('');
+      const response = await currencyAPI.updateRate(currency, rate);
+      applyRates(response.data);
+      setMessage(response.message);
+    } catch (error) {
+      setError(error.message || 'Failed to update rate');
+    } finally {
+      setSaving('');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Currencies & Exchange Rates">
+      {loading ? (
+        <Loader text="Loading rates..." />
+      ) : (
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+          )}
+          {message && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded text-sm">{message}</div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Base Currency</label>
+            <select
+              value={baseCurrency}
+              onChange={(e) => handleBaseChange(e.target.value)}
+              disabled={saving === 'base'}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+            >
+              {rates.map(rate => (
+                <option key={rate.currency} value={rate.currency}>{rate.currency} - {rate.name}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Totals, budgets and analytics are reported in this currency.</p>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Rate Table</h4>
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {rates.filter(rate => !rate.isBase).map(rate => (
+                <div key={rate.currency} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <span className="text-gray-700 w-24">1 {rate.currency} =</span>
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={drafts[rate.currency] || ''}
+                    onChange={(e) => setDrafts({ ...drafts, [rate.currency]: e.target.value })}
+                    className="w-32 border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  />
+                  <span className="text-gray-500 w-12">{baseCurrency}</span>
+                  <button
+                    onClick={() => handleRateSave(rate.currency)}
+                    disabled={saving === rate.currency}
+                    className="text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+                  >
+                    {saving === rate.currency ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Rates are maintained by you and used when a transaction is added without its own rate.
+            </p>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default CurrencySettings;
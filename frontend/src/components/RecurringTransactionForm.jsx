@@ -3,6 +3,7 @@ import { FiDollarSign, FiCalendar, FiInfo, FiRepeat } from 'react-icons/fi';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import { Button, Input, Select } from './common';
+import { categoryAPI, accountAPI } from '../services/api';
 
 const frequencyOptions = [
   { value: 'daily', label: 'Daily' },
@@ -11,22 +12,13 @@ const frequencyOptions = [
   { value: 'yearly', label: 'Yearly' },
 ];
 
-const categoryOptions = {
-  expense: [
-    'Food & Dining', 'Transportation', 'Shopping', 'Entertainment',
-    'Healthcare', 'Utilities', 'Education', 'Travel', 'Others'
-  ],
-  income: [
-    'Salary', 'Business', 'Investment', 'Others'
-  ]
-};
-
 const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
     description: '',
     category: '',
+    accountId: '',
     frequency: 'monthly',
     interval: 1,
     dayOfMonth: new Date().getDate(), // Default to current day of month
@@ -36,6 +28,22 @@ const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
   });
 
   const [errors, setErrors] = useState({});
+  const [categories, setCategories] = useState({ expense: [], income: [] });
+  const [accounts, setAccounts] = useState([]);
+
+  // The user's own categories, sub-categories included
+  useEffect(() => {
+    Promise.all([categoryAPI.getAll('expense'), categoryAPI.getAll('income')])
+      .then(([expenseResponse, incomeResponse]) => setCategories({
+        expense: (expenseResponse?.data?.categories || []).map(category => category.name),
+        income: (incomeResponse?.data?.categories || []).map(category => category.name)
+      }))
+      .catch(error => console.error('Error fetching categories:', error));
+    // Archived ones too, so a rule that still uses one keeps it
+    accountAPI.getAll({ includeArchived: true })
+      .then(response => setAccounts(response?.data?.accounts || []))
+      .catch(error => console.error('Error fetching accounts:', error));
+  }, []);
 
   // Initialize form with initial data if in edit mode
   useEffect(() => {
@@ -45,6 +53,7 @@ const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
         amount: initialData.amount.toString(),
         description: initialData.description || '',
         category: initialData.category || '',
+        accountId: initialData.accountId || '',
         frequency: initialData.frequency || 'monthly',
         interval: initialData.interval || 1,
         dayOfMonth: initialData.dayOfMonth || new Date(initialData.startDate || new Date()).getDate(),
@@ -55,11 +64,18 @@ const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
     }
   }, [initialData]);
 
+  // Keep the rule's own category selectable while the list loads, or if it isn't in it
+  const categoryNames = formData.category && !categories[formData.type].includes(formData.category)
+    ? [formData.category, ...categories[formData.type]]
+    : categories[formData.type];
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
       [name]: name === 'amount' ? value.replace(/[^0-9.]/g, '') : value,
+      // Categories belong to a type
+      ...(name === 'type' && value !== prev.type && { category: '' }),
     }));
   };
 
@@ -108,6 +124,7 @@ const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
         ...formData,
         amount: parseFloat(formData.amount),
         interval: parseInt(formData.interval, 10),
+        accountId: formData.accountId || null,
       };
       
       if (formData.frequency === 'monthly') {
@@ -116,6 +133,13 @@ const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
         delete dataToSubmit.dayOfMonth;
       }
       
+      // Weekly and yearly rules repeat on the start date's weekday or month
+      if (formData.frequency === 'weekly') {
+        dataToSubmit.dayOfWeek = formData.startDate.getDay();
+      } else if (formData.frequency === 'yearly') {
+        dataToSubmit.month = formData.startDate.getMonth();
+      }
+      
       dataToSubmit.startDate = formData.startDate.toISOString();
       dataToSubmit.endDate = formData.endDate ? formData.endDate.toISOString() : null;
       
@@ -191,10 +215,27 @@ const RecurringTransactionForm = ({ initialData, onSubmit, onCancel }) => {
             error={errors.category}
             options={[
               { value: '', label: 'Select a category' },
-              ...(formData.type === 'expense' 
-                ? categoryOptions.expense.map(cat => ({ value: cat, label: cat }))
-                : categoryOptions.income.map(cat => ({ value: cat, label: cat }))
-              )
+              ...categoryNames.map(cat => ({ value: cat, label: cat }))
+            ]}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <Select
+            label="Account"
+            name="accountId"
+            value={formData.accountId}
+            onChange={handleChange}
+            options={[
+              { value: '', label: 'No account' },
+              ...accounts
+                .filter(account => !account.isArchived || account._id === formData.accountId)
+                .map(account => ({
+                  value: account._id,
+                  label: account.isArchived ? `${account.name} (archived)` : account.name
+                }))
             ]}
           />
         </div>
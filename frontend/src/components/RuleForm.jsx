@@ -0,0 +1,377 @@
+import { useState, useEffect } from 'react';
+
+// Mirrors the fields and operators the backend rule engine understands
+const FIELDS = [
+  { value: 'description', label: 'Description', kind: 'text' },
+  { value: 'merchant', label: 'Merchant', kind: 'text' },
+  { value: 'category', label: 'Category', kind: 'text' },
+  { value: 'amount', label: 'Amount', kind: 'number' },
+  { value: 'type', label: 'Type', kind: 'choice' },
+  { value: 'currency', label: 'Currency', kind: 'choice' },
+  { value: 'accountId', label: 'Account', kind: 'choice' },
+  { value: 'tags', label: 'Tags', kind: 'list' }
+];
+
+const OPERATORS = {
+  text: [
+    { value: 'contains', label: 'contains' },
+    { value: 'notContains', label: 'does not contain' },
+    { value: 'equals', label: 'is' },
+    { value: 'notEquals', label: 'is not' },
+    { value: 'startsWith', label: 'starts with' },
+    { value: 'endsWith', label: 'ends with' }
+  ],
+  choice: [
+    { value: 'equals', label: 'is' },
+    { value: 'notEquals', label: 'is not' }
+  ],
+  number: [
+    { value: 'gt', label: 'more than' },
+    { value: 'gte', label: 'at least' },
+    { value: 'lt', label: 'less than' },
+    { value: 'lte', label: 'at most' },
+    { value: 'equals', label: 'exactly' },
+    { value: 'notEquals', label: 'not' },
+    { value: 'between', label: 'between' }
+  ],
+  list: [
+    { value: 'contains', label: 'include' },
+    { value: 'notContains', label: 'do not include' }
+  ]
+};
+
+const MAX_CONDITIONS = 10;
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500';
+const smallInputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500';
+
+const kindOf = (field) => (FIELDS.find(option => option.value === field) || FIELDS[0]).kind;
+
+const emptyCondition = () => ({ field: 'description', operator: 'contains', value: '' });
+
+// Form state keeps every value as text; amounts are turned back into numbers on submit
+const toFormCondition = ({ field, operator, value }) => ({
+  field,
+  operator,
+  value: Array.isArray(value) ? value.join(' - ') : String(value ?? '')
+});
+
+const RuleForm = ({ initialData, categories, accounts, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: '',
+    matchType: 'all',
+    conditions: [emptyCondition()],
+    category: '',
+    tags: '',
+    merchant: '',
+    accountId: ''
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        name: initialData.name || '',
+        matchType: initialData.matchType || 'all',
+        conditions: (initialData.conditions || []).map(toFormCondition),
+        category: initialData.actions?.category || '',
+        tags: (initialData.actions?.tags || []).join(', '),
+        merchant: initialData.actions?.merchant || '',
+        accountId: initialData.actions?.accountId || ''
+      });
+    }
+  }, [initialData]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const updateCondition = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => {
+        if (i !== index) return condition;
+        const updated = { ...condition, ...changes };
+        // A new field may not support the old operator or value
+        if (changes.field && kindOf(changes.field) !== kindOf(condition.field)) {
+          updated.operator = OPERATORS[kindOf(changes.field)][0].value;
+          updated.value = '';
+        }
+        if (changes.field === 'type') updated.value = 'expense';
+        if (changes.field === 'accountId') updated.value = accounts[0]?._id || '';
+        return updated;
+      })
+    }));
+  };
+
+  const addCondition = () => {
+    setFormData(prev => ({ ...prev, conditions: [...prev.conditions, emptyCondition()] }));
+  };
+
+  const removeCondition = (index) => {
+    setFormData(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }));
+  };
+
+  const buildConditions = () => formData.conditions.map(({ field, operator, value }) => {
+    if (field !== 'amount') return { field, operator, value: value.trim() };
+    if (operator === 'between') {
+      return { field, operator, value: value.split(/\s*(?:-|to|,)\s*/).filter(Boolean).map(Number) };
+    }
+    return { field, operator, value: Number(value) };
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const conditions = buildConditions();
+    const tags = formData.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+    if (!formData.name.trim()) {
+      setError('Give the rule a name');
+      return;
+    }
+    if (formData.conditions.some(condition => !condition.value.trim())) {
+      setError('Every condition needs a value');
+      return;
+    }
+    if (conditions.some(condition => condition.field === 'amount' && (
+      condition.operator === 'between'
+        ? condition.value.length !== 2 || condition.value.some(Number.isNaN)
+        : Number.isNaN(condition.value)
+    ))) {
+      setError('Amounts must be numbers, e.g. 500 or 500 - 1000 for between');
+      return;
+    }
+    if (!formData.category && tags.length === 0 && !formData.merchant.trim() && !formData.accountId) {
+      setError('Choose at least one thing for the rule to set');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSubmit({
+        name: formData.name.trim(),
+        matchType: formData.matchType,
+        conditions,
+        actions: {
+          category: formData.category || null,
+          tags,
+          merchant: formData.merchant.trim() || null,
+          accountId: formData.accountId || null
+        }
+      });
+    } catch (error) {
+      setError(error.message || 'Failed to save rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderValueInput = (condition, index) => {
+    const kind = kindOf(condition.field);
+
+    if (condition.field === 'type') {
+      return (
+        <select
+          value={condition.value}
+          onChange={(e) => updateCondition(index, { value: e.target.value })}
+          className={`flex-1 ${smallInputClass}`}
+        >
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+      );
+    }
+
+    if (condition.field === 'accountId') {
+      return (
+        <select
+          value={condition.value}
+          onChange={(e) => updateCondition(index, { value: e.target.value })}
+          className={`flex-1 ${smallInputClass}`}
+        >
+          {accounts.map(account => (
+            <option key={account._id} value={account._id}>{account.name}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        value={condition.value}
+        onChange={(e) => updateCondition(index, { value: e.target.value })}
+        placeholder={kind === 'number'
+          ? (condition.operator === 'between' ? '500 - 1000' : '500')
+          : condition.field === 'currency' ? 'USD' : 'e.g. netflix'}
+        className={`flex-1 min-w-0 ${smallInputClass}`}
+      />
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+        <input
+          type="text"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          maxLength={50}
+          placeholder="e.g. Streaming subscriptions"
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700">
+            When{' '}
+            <select
+              name="matchType"
+              value={formData.matchType}
+              onChange={handleChange}
+              className={smallInputClass}
+            >
+              <option value="all">all</option>
+              <option value="any">any</option>
+            </select>
+            {' '}of these are true
+          </label>
+          {formData.conditions.length < MAX_CONDITIONS && (
+            <button type="button" onClick={addCondition} className="text-sm text-red-600 hover:text-red-700">
+              + Condition
+            </button>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          {formData.conditions.map((condition, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <select
+                value={condition.field}
+                onChange={(e) => updateCondition(index, { field: e.target.value })}
+                className={smallInputClass}
+              >
+                {FIELDS.map(field => (
+                  <option key={field.value} value={field.value}>{field.label}</option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                className={smallInputClass}
+              >
+                {OPERATORS[kindOf(condition.field)].map(operator => (
+                  <option key={operator.value} value={operator.value}>{operator.label}</option>
+                ))}
+              </select>
+              {renderValueInput(condition, index)}
+              {formData.conditions.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeCondition(index)}
+                  title="Remove condition"
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Then set</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Category</label>
+            <select name="category" value={formData.category} onChange={handleChange} className={inputClass}>
+              <option value="">Leave as is</option>
+              {categories.expense.length > 0 && (
+                <optgroup label="Expense">
+                  {categories.expense.map(category => (
+                    <option key={`expense-${category}`} value={category}>{category}</option>
+                  ))}
+                </optgroup>
+              )}
+              {categories.income.filter(category => !categories.expense.includes(category)).length > 0 && (
+                <optgroup label="Income">
+                  {categories.income
+                    .filter(category => !categories.expense.includes(category))
+                    .map(category => (
+                      <option key={`income-${category}`} value={category}>{category}</option>
+                    ))}
+                </optgroup>
+              )}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Add tags</label>
+            <input
+              type="text"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              placeholder="subscription, family"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Merchant</label>
+            <input
+              type="text"
+              name="merchant"
+              value={formData.merchant}
+              onChange={handleChange}
+              placeholder="Leave as is"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Account</label>
+            <select name="accountId" value={formData.accountId} onChange={handleChange} className={inputClass}>
+              <option value="">Leave as is</option>
+              {accounts.map(account => (
+                <option key={account._id} value={account._id}>{account.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          A category is only set on transactions of its own type. If several rules match, the one
+          higher in the list decides; tags from every matching rule are added.
+        </p>
+      </div>
+
+      <div className="flex justify-end space-x-3 pt-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : initialData ? 'Update Rule' : 'Create Rule'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RuleForm;
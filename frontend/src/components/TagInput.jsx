@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { transactionAPI } from '../services/api';
+
+// Same normalization as the server: lowercase, hyphenated, no leading "#"
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-').slice(0, 30);
+
+const TagInput = ({ value = [], onChange, placeholder = 'Add tags...' }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  // Suggest previously used tags while typing
+  useEffect(() => {
+    if (!showSuggestions) return;
+
+    const timer = setTimeout(() => {
+      transactionAPI.getTags(normalizeTag(input))
+        .then(response => setSuggestions(response?.data?.tags || []))
+        .catch(() => setSuggestions([]));
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [input, showSuggestions]);
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setInput('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(existing => existing !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && input.trim()) {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  const visibleSuggestions = suggestions.filter(suggestion => !value.includes(suggestion.tag));
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1 w-full border border-gray-300 rounded-md px-2 py-1 focus-within:ring-1 focus-within:ring-red-500 focus-within:border-red-500">
+        {value.map(tag => (
+          <span key={tag} className="inline-flex items-center bg-red-50 text-red-700 text-xs font-medium px-2 py-1 rounded-full">
+            #{tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              className="ml-1 text-red-400 hover:text-red-600"
+              aria-label={`Remove ${tag}`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => {
+            setShowSuggestions(false);
+            if (input.trim()) addTag(input);
+          }}
+          placeholder={value.length === 0 ? placeholder : ''}
+          className="flex-1 min-w-[8rem] py-1 text-sm focus:outline-none"
+        />
+      </div>
+
+      {showSuggestions && visibleSuggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+          {visibleSuggestions.map(suggestion => (
+            <li key={suggestion.tag}>
+              <button
+                type="button"
+                // Keep focus in the input so the list doesn't close before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(suggestion.tag)}
+                className="w-full flex justify-between px-3 py-2 text-sm text-left hover:bg-gray-50"
+              >
+                <span>#{suggestion.tag}</span>
+                <span className="text-gray-400">{suggestion.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
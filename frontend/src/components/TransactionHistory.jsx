@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { transactionAPI } from '../services/api';
+import Modal from './common/Modal';
+import Loader from './common/Loader';
+import { formatAmount } from '../utils/currency';
+
+const FIELD_LABELS = {
+  type: 'Type',
+  amount: 'Amount',
+  currency: 'Currency',
+  category: 'Category',
+  splits: 'Splits',
+  description: 'Description',
+  merchant: 'Merchant',
+  tags: 'Tags',
+  date: 'Date',
+  accountId: 'Account',
+  toAccountId: 'To account'
+};
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Moved to the trash',
+  restore: 'Restored',
+  revert: 'Reverted'
+};
+
+const SOURCE_LABELS = {
+  manual: 'by hand',
+  rule: 'by a rule',
+  receipt: 'from a receipt',
+  recurring: 'by a recurring transaction',
+  import: 'by a statement import',
+  assistant: 'by the assistant'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Lists every version of a transaction and puts it back the way it was at any of them
+const TransactionHistory = ({ isOpen, onClose, transaction, accounts, onReverted }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [reverting, setReverting] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !transaction) return;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await transactionAPI.getHistory(transaction._id);
+        if (response && response.success) {
+          setHistory(response.data.history);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load the history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [isOpen, transaction]);
+
+  const formatValue = (field, value, currency) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    switch (field) {
+      case 'amount':
+        return formatAmount(value, currency);
+      case 'date':
+        return formatDate(value);
+      case 'tags':
+        return value.length > 0 ? value.join(', ') : 'none';
+      case 'splits':
+        return value.length > 0
+          ? value.map(split => `${split.category} ${formatAmount(split.amount, currency)}`).join(', ')
+          : 'none';
+      case 'accountId':
+      case 'toAccountId':
+        return accounts.find(account => account._id === value)?.name || 'a deleted account';
+      default:
+        return String(value);
+    }
+  };
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm(`Put this transaction back the way it was at version ${entry.version}?`)) return;
+
+    try {
+      setReverting(entry.version);
+      setError('');
+      const response = await transactionAPI.revert(transaction._id, entry.version);
+      onReverted(response.data.transaction);
+    } catch (error) {
+      setError(error.message || 'Failed to revert the transaction');
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  const latestVersion = history.length > 0 ? history[0].version : null;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Transaction history" maxWidth="sm:max-w-2xl">
+      <div className="space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <Loader text="Loading..." />
+        ) : history.length === 0 ? (
+          <p className="py-8 text-center text-gray-500">No changes recorded yet.</p>
+        ) : (
+          <ol className="divide-y divide-gray-200 border border-gray-200 rounded-md text-sm">
+            {history.map(entry => (
+              <li key={entry.version} className="px-3 py-2">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-gray-900">
+                      <span className="font-medium">v{entry.version}</span> · {ACTION_LABELS[entry.action]}
+                      {entry.action === 'revert' && entry.revertedTo && ` to v${entry.revertedTo}`}
+                      {' '}{entry.source === 'manual' && entry.changedBy ? `by ${entry.changedBy.name}` : SOURCE_LABELS[entry.source]}
+                    </p>
+                    <p className="text-xs text-gray-500">{formatDateTime(entry.createdAt)}</p>
+                  </div>
+                  {entry.version !== latestVersion && (
+                    <button
+                      onClick={() => handleRevert(entry)}
+                      disabled={reverting !== null}
+                      className="ml-3 text-blue-600 hover:text-blue-700 text-xs font-medium whitespace-nowrap disabled:opacity-50"
+                    >
+                      {reverting === entry.version ? 'Reverting...' : 'Revert to this version'}
+                    </button>
+                  )}
+                </div>
+                {entry.changes.length > 0 && (
+                  <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+                    {entry.changes.map(change => (
+                      <li key={change.field}>
+                        <span className="font-medium text-gray-700">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                        <span className="line-through">{formatValue(change.field, change.from, entry.snapshot.currency)}</span>
+                        {' → '}
+                        {formatValue(change.field, change.to, entry.snapshot.currency)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default TransactionHistory;
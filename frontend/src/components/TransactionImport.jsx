@@ -0,0 +1,324 @@
+import { useState } from 'react';
+import { transactionAPI } from '../services/api';
+import Modal from './common/Modal';
+
+const mappingFields = [
+  { key: 'date', label: 'Date column' },
+  { key: 'description', label: 'Description column' },
+  { key: 'amount', label: 'Amount column' },
+  { key: 'debit', label: 'Debit column' },
+  { key: 'credit', label: 'Credit column' }
+];
+
+const emptyMapping = { date: '', description: '', amount: '', debit: '', credit: '' };
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+const TransactionImport = ({ isOpen, onClose, onImported, categories, accounts = [] }) => {
+  const [file, setFile] = useState(null);
+  const [dateFormat, setDateFormat] = useState('DD/MM/YYYY');
+  const [accountId, setAccountId] = useState('');
+  const [mapping, setMapping] = useState(emptyMapping);
+  const [showMapping, setShowMapping] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setRows([]);
+    setError('');
+    setLoading(false);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Please choose a CSV, OFX or QFX statement');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dateFormat', dateFormat);
+      const customMapping = Object.fromEntries(
+        Object.entries(mapping).filter(([, value]) => value.trim() !== '')
+      );
+      if (Object.keys(customMapping).length > 0) {
+        formData.append('mapping', JSON.stringify(customMapping));
+      }
+
+      const response = await transactionAPI.importPreview(formData);
+      const data = response?.data || {};
+      setPreview(data);
+      // Probable duplicates are left unticked so they are skipped by default
+      setRows((data.transactions || []).map(row => ({ ...row, include: !row.isDuplicate })));
+    } catch (error) {
+      setError(error.message || 'Failed to read statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const selectedRows = rows.filter(row => row.include);
+
+  const handleConfirm = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await transactionAPI.importConfirm(
+        selectedRows.map(({ date, description, merchant, amount, type, category, importId, suggestedCategory, categorySource, confidence }) => ({
+          date, description, merchant, amount, type, category, importId, suggestedCategory, categorySource, confidence
+        })),
+        accountId || undefined
+      );
+      const skipped = response?.data?.skipped || [];
+      const failed = response?.data?.failed || [];
+      const notes = [
+        skipped.length > 0 && `${skipped.length} row${skipped.length === 1 ? '' : 's'} skipped`,
+        failed.length > 0 && `${failed.length} row${failed.length === 1 ? '' : 's'} could not be saved (${failed[0].message})`
+      ].filter(Boolean);
+      onImported(
+        notes.length > 0
+          ? `${response.message}. ${notes.join(', ')}.`
+          : response?.message || 'Import complete'
+      );
+      handleClose();
+    } catch (error) {
+      setError(error.message || 'Failed to import transactions');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={preview ? 'Review Import' : 'Import Bank Statement'}
+      maxWidth="sm:max-w-5xl"
+    >
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {!preview ? (
+        <form onSubmit={handlePreview} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Statement File</label>
+            <input
+              type="file"
+              accept=".csv,.ofx,.qfx"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="w-full text-sm text-gray-700"
+            />
+            <p className="mt-1 text-xs text-gray-500">CSV, OFX or QFX exported from your bank (max 5MB)</p>
+          </div>
+
+          {accounts.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Account</label>
+              <select
+                value={accountId}
+                onChange={(e) => setAccountId(e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              >
+                <option value="">No account</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date Format (CSV)</label>
+            <select
+              value={dateFormat}
+              onChange={(e) => setDateFormat(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+            >
+              <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+              <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+              <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+            </select>
+          </div>
+
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowMapping(!showMapping)}
+              className="text-sm text-red-600 hover:text-red-700 font-medium"
+            >
+              {showMapping ? 'Hide column mapping' : 'Customize column mapping'}
+            </button>
+            {showMapping && (
+              <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
+                <p className="md:col-span-2 text-xs text-gray-500">
+                  Enter the header name (or 0-based column number) if your bank uses different column names.
+                  Leave blank to detect automatically.
+                </p>
+                {mappingFields.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                    <input
+                      type="text"
+                      value={mapping[field.key]}
+                      onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+            >
+              {loading ? 'Reading...' : 'Preview'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {preview.summary?.total || 0} transactions found
+            {preview.summary?.duplicates > 0 && `, ${preview.summary.duplicates} probable duplicates unticked`}
+            {preview.summary?.invalid > 0 && `, ${preview.summary.invalid} rows could not be read`}.
+          </p>
+
+          {preview.errors?.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm max-h-24 overflow-y-auto">
+              {preview.errors.map(rowError => (
+                <p key={rowError.rowNumber}>Row {rowError.rowNumber}: {rowError.message}</p>
+              ))}
+            </div>
+          )}
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Date</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Description</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Amount</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Category</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map((row, index) => (
+                  <tr key={`${row.rowNumber}-${index}`} className={row.isDuplicate ? 'bg-yellow-50' : ''}>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={row.include}
+                        onChange={(e) => updateRow(index, { include: e.target.checked })}
+                      />
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {new Date(row.date).toLocaleDateString('en-IN')}
+                    </td>
+                    <td className="px-3 py-2 text-gray-900 max-w-xs truncate" title={row.description}>
+                      {row.description || '-'}
+                    </td>
+                    <td className={`px-3 py-2 text-right whitespace-nowrap font-medium ${
+                      row.type === 'income' ? 'text-green-600' : 'text-red-600'
+                    }`}>
+                      {row.type === 'income' ? '+' : '-'}{formatCurrency(row.amount)}
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={row.category}
+                        onChange={(e) => updateRow(index, { category: e.target.value })}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+                      >
+                        {categories[row.type].map(cat => (
+                          <option key={cat.name} value={cat.name}>{cat.isChild ? `\u00A0\u00A0${cat.name}` : cat.name}</option>
+                        ))}
+                      </select>
+                      {row.category === row.suggestedCategory && row.categorySource !== 'statement' && (
+                        <p className="mt-1 text-xs text-gray-500">
+                          {row.confidence}% · {row.categorySource === 'learned' ? 'learned' : row.categorySource === 'merchant' ? 'merchant default' : 'keywords'}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {row.isDuplicate ? (
+                        <span
+                          className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800"
+                          title={row.duplicateOf ? `Matches "${row.duplicateOf.description || 'untitled'}" on ${new Date(row.duplicateOf.date).toLocaleDateString('en-IN')}` : ''}
+                        >
+                          Possible duplicate
+                        </span>
+                      ) : (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                          New
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={reset}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={handleConfirm}
+              disabled={loading || selectedRows.length === 0}
+              className="px-4 py-2 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+            >
+              {loading ? 'Importing...' : `Import ${selectedRows.length} Transaction${selectedRows.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default TransactionImport;
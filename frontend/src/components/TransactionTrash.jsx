@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import { transactionAPI } from '../services/api';
+import Modal from './common/Modal';
+import Loader from './common/Loader';
+import { formatAmount } from '../utils/currency';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const TransactionTrash = ({ isOpen, onClose, onRestored }) => {
+  const [trash, setTrash] = useState(null);
+  const [page, setPage] = useState(1);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchTrash = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await transactionAPI.getTrash({ page, limit: 10 });
+        if (response && response.success) {
+          setTrash(response.data);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load the trash');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, [isOpen, page, refreshKey]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPage(1);
+      setMessage('');
+    }
+  }, [isOpen]);
+
+  const run = async (key, action) => {
+    try {
+      setWorking(key);
+      setError('');
+      const response = await action();
+      setMessage(response.message);
+      setRefreshKey(value => value + 1);
+    } catch (error) {
+      setError(error.message || 'Something went wrong');
+    } finally {
+      setWorking('');
+    }
+  };
+
+  const handleRestore = (transaction) => run(`restore-${transaction._id}`, async () => {
+    const response = await transactionAPI.restore([transaction._id]);
+    onRestored();
+    return response;
+  });
+
+  const handlePurge = (transaction) => {
+    if (!window.confirm(`Permanently delete "${transaction.description || transaction.category}"? This cannot be undone.`)) return;
+    run(`purge-${transaction._id}`, () => transactionAPI.purge(transaction._id));
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+    run('empty', () => transactionAPI.emptyTrash());
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Trash" maxWidth="sm:max-w-2xl">
+      <div className="space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">{error}</div>
+        )}
+        {message && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded text-sm">{message}</div>
+        )}
+
+        <p className="text-sm text-gray-600">
+          Deleted transactions stay here for {trash?.retentionDays || 30} days and are then removed for good.
+          They don&apos;t count towards your totals, budgets or analytics while they are here.
+        </p>
+
+        {loading && !trash ? (
+          <Loader text="Loading..." />
+        ) : !trash || trash.transactions.length === 0 ? (
+          <p className="py-8 text-center text-gray-500">The trash is empty.</p>
+        ) : (
+          <>
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-md text-sm">
+              {trash.transactions.map(transaction => (
+                <div key={transaction._id} className="px-3 py-2 flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-gray-900 truncate">{transaction.description || transaction.category}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatDate(transaction.date)} · {transaction.category} · Deleted {formatDate(transaction.deletedAt)},
+                      purged {formatDate(transaction.purgeAt)}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3 ml-3 whitespace-nowrap">
+                    <span className={`font-medium ${
+                      transaction.type === 'income' ? 'text-green-600' : transaction.type === 'transfer' ? 'text-blue-600' : 'text-red-600'
+                    }`}>
+                      {transaction.type === 'income' ? '+' : transaction.type === 'transfer' ? '' : '-'} {formatAmount(transaction.amount, transaction.currency)}
+                    </span>
+                    <button
+                      onClick={() => handleRestore(transaction)}
+                      disabled={Boolean(working)}
+                      className="text-blue-600 hover:text-blue-700 text-xs font-medium disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(transaction)}
+                      disabled={Boolean(working)}
+                      className="text-red-600 hover:text-red-700 text-xs font-medium disabled:opacity-50"
+                    >
+                      Delete forever
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {trash.pagination.totalPages > 1 && (
+              <div className="flex items-center justify-between text-sm">
+                <button
+                  onClick={() => setPage(value => value - 1)}
+                  disabled={!trash.pagination.hasPrev}
+                  className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">
+                  Page {trash.pagination.currentPage} of {trash.pagination.totalPages}
+                </span>
+                <button
+                  onClick={() => setPage(value => value + 1)}
+                  disabled={!trash.pagination.hasNext}
+                  className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={handleEmpty}
+            disabled={Boolean(working) || !trash || trash.pagination.totalItems === 0}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium disabled:opacity-50"
+          >
+            {working === 'empty' ? 'Emptying...' : 'Empty trash'}
+          </button>
+          <button
+            onClick={onClose}
+            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default TransactionTrash;
@@ -38,6 +38,30 @@ const Header = () => {
                 >
                   Transactions
                 </Link>
+                <Link 
+                  to="/accounts" 
+                  className="text-gray-600 hover:text-red-500 font-medium transition-colors duration-200"
+                >
+                  Accounts
+                </Link>
+                <Link 
+                  to="/goals" 
+                  className="text-gray-600 hover:text-red-500 font-medium transition-colors duration-200"
+                >
+                  Goals
+                </Link>
+                <Link 
+                  to="/recurring" 
+                  className="text-gray-600 hover:text-red-500 font-medium transition-colors duration-200"
+                >
+                  Recurring
+                </Link>
+                <Link 
+                  to="/rules" 
+                  className="text-gray-600 hover:text-red-500 font-medium transition-colors duration-200"
+                >
+                  Rules
+                </Link>
                 <Link 
                   to="/receipts" 
                   className="text-gray-600 hover:text-red-500 font-medium transition-colors duration-200"
@@ -107,6 +131,10 @@ const Header = () => {
             <>
               <Link to="/dashboard" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Dashboard</Link>
               <Link to="/transactions" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Transactions</Link>
+              <Link to="/accounts" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Accounts</Link>
+              <Link to="/goals" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Goals</Link>
+              <Link to="/recurring" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Recurring</Link>
+              <Link to="/rules" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Rules</Link>
               <Link to="/receipts" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Receipt Upload</Link>
               <Link to="/analysis" className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:bg-red-50 hover:text-red-600 transition-colors duration-200">Analytics</Link>
             </>
@@ -0,0 +1,21 @@
+// Text with the [start, end) ranges a search matched marked
+const Highlight = ({ text, ranges }) => {
+  if (!text || !ranges || ranges.length === 0) return text || null;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
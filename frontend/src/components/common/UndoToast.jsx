@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+
+// Bottom-corner notice with an Undo button that goes away on its own
+const UndoToast = ({ message, onUndo, onClose, duration = 8000 }) => {
+  useEffect(() => {
+    if (!message) return undefined;
+    const timer = setTimeout(onClose, duration);
+    return () => clearTimeout(timer);
+  }, [message, onClose, duration]);
+
+  if (!message) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex items-center space-x-4 bg-gray-900 text-white px-4 py-3 rounded-lg shadow-lg text-sm">
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-semibold text-red-300 hover:text-red-200">
+        Undo
+      </button>
+      <button onClick={onClose} className="text-gray-400 hover:text-gray-200" aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -6,4 +6,6 @@ export { default as Loader } from './Loader';
 export { default as Header } from './Header';
 export { default as Footer } from './Footer';
 export { default as ConfirmDialog } from './ConfirmDialog';
+export { default as UndoToast } from './UndoToast';
+export { default as Highlight } from './Highlight';
 export { default as ProtectedRoute } from './ProtectedRoute';
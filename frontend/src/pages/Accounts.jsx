@@ -0,0 +1,420 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/common/Header';
+import Modal from '../components/common/Modal';
+import Loader from '../components/common/Loader';
+import { accountAPI } from '../services/api';
+import { CURRENCIES, DEFAULT_CURRENCY, formatAmount } from '../utils/currency';
+
+const ACCOUNT_TYPES = [
+  { value: 'bank', label: 'Bank Account', icon: '🏦' },
+  { value: 'card', label: 'Credit Card', icon: '💳' },
+  { value: 'cash', label: 'Cash', icon: '💵' },
+  { value: 'wallet', label: 'Wallet', icon: '👛' }
+];
+
+const getTypeInfo = (type) => ACCOUNT_TYPES.find(item => item.value === type) || ACCOUNT_TYPES[0];
+
+const emptyForm = { name: '', type: 'bank', currency: '', openingBalance: '' };
+
+const Accounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [netWorth, setNetWorth] = useState(0);
+  const [showArchived, setShowArchived] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showModal, setShowModal] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [ledgerPage, setLedgerPage] = useState(1);
+  const [ledgerLoading, setLedgerLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchAccounts = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await accountAPI.getAll({ includeArchived: showArchived });
+        if (response && response.success) {
+          setAccounts(response.data.accounts || []);
+          setBaseCurrency(response.data.baseCurrency || DEFAULT_CURRENCY);
+          setNetWorth(response.data.netWorth || 0);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load accounts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAccounts();
+  }, [showArchived, refreshKey]);
+
+  useEffect(() => {
+    if (!selectedAccount) return;
+
+    const fetchLedger = async () => {
+      try {
+        setLedgerLoading(true);
+        const response = await accountAPI.getTransactions(selectedAccount, { page: ledgerPage, limit: 15 });
+        if (response && response.success) {
+          setLedger(response.data);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load account transactions');
+      } finally {
+        setLedgerLoading(false);
+      }
+    };
+
+    fetchLedger();
+  }, [selectedAccount, ledgerPage, refreshKey]);
+
+  const openModal = (account = null) => {
+    setEditingAccount(account);
+    setFormData(account ? {
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      openingBalance: String(account.openingBalance || 0)
+    } : { ...emptyForm, currency: baseCurrency });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingAccount(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const payload = {
+        name: formData.name.trim(),
+        type: formData.type,
+        openingBalance: formData.openingBalance === '' ? 0 : parseFloat(formData.openingBalance)
+      };
+
+      if (editingAccount) {
+        await accountAPI.update(editingAccount._id, payload);
+      } else {
+        await accountAPI.create({ ...payload, currency: formData.currency });
+      }
+
+      closeModal();
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.errors?.[0]?.msg || error.message || 'Failed to save account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleArchive = async (account) => {
+    try {
+      setError('');
+      await accountAPI.update(account._id, { isArchived: !account.isArchived });
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to update account');
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete the account "${account.name}"?`)) return;
+
+    try {
+      setError('');
+      await accountAPI.delete(account._id);
+      if (selectedAccount === account._id) {
+        setSelectedAccount(null);
+        setLedger(null);
+      }
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to delete account');
+    }
+  };
+
+  const handleSelect = (accountId) => {
+    setSelectedAccount(accountId);
+    setLedgerPage(1);
+  };
+
+  const describeTransaction = (transaction) => {
+    if (transaction.type !== 'transfer') {
+      return transaction.description || transaction.category;
+    }
+    const otherId = transaction.change > 0 ? transaction.accountId : transaction.toAccountId;
+    const other = accounts.find(account => account._id === otherId);
+    const label = transaction.change > 0 ? 'Transfer from' : 'Transfer to';
+    return `${label} ${other ? other.name : 'another account'}${transaction.description ? ` · ${transaction.description}` : ''}`;
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">Accounts</h1>
+              <p className="text-gray-600">
+                Track balances across your bank accounts, cards, cash and wallets
+              </p>
+            </div>
+            <button
+              onClick={() => openModal()}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+            >
+              + Add Account
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {/* Net worth */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6 flex items-center justify-between">
+          <div>
+            <p className="text-sm text-gray-600">Net Worth</p>
+            <p className={`text-3xl font-bold ${netWorth < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatAmount(netWorth, baseCurrency)}
+            </p>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+            />
+            <span>Show archived</span>
+          </label>
+        </div>
+
+        {loading ? (
+          <Loader text="Loading accounts..." />
+        ) : accounts.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-6xl mb-4">🏦</div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No accounts yet</h3>
+            <p className="text-gray-600">Add your bank accounts, cards and wallets to see where your money is.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+            {accounts.map(account => {
+              const typeInfo = getTypeInfo(account.type);
+              return (
+                <div
+                  key={account._id}
+                  onClick={() => handleSelect(account._id)}
+                  className={`bg-white rounded-lg shadow-sm border p-5 cursor-pointer transition-colors ${
+                    selectedAccount === account._id ? 'border-red-500' : 'border-gray-200 hover:border-gray-300'
+                  } ${account.isArchived ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex items-center space-x-3">
+                      <span className="text-2xl">{typeInfo.icon}</span>
+                      <div>
+                        <p className="font-semibold text-gray-900">{account.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {typeInfo.label}{account.isArchived ? ' · Archived' : ''}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex space-x-2 text-xs" onClick={(e) => e.stopPropagation()}>
+                      <button onClick={() => openModal(account)} className="text-blue-600 hover:text-blue-700">Edit</button>
+                      <button onClick={() => handleArchive(account)} className="text-gray-600 hover:text-gray-700">
+                        {account.isArchived ? 'Restore' : 'Archive'}
+                      </button>
+                      {account.transactionCount === 0 && (
+                        <button onClick={() => handleDelete(account)} className="text-red-600 hover:text-red-700">Delete</button>
+                      )}
+                    </div>
+                  </div>
+                  <p className={`mt-4 text-2xl font-bold ${account.balance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {formatAmount(account.balance, account.currency)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {account.transactionCount} transaction{account.transactionCount === 1 ? '' : 's'}
+                    {account.currency !== baseCurrency && ` · ≈ ${formatAmount(account.balanceInBase, baseCurrency)}`}
+                  </p>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Ledger with running balance */}
+        {selectedAccount && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {ledger?.account?.name || 'Account'} Transactions
+              </h3>
+              <button
+                onClick={() => { setSelectedAccount(null); setLedger(null); }}
+                className="text-sm text-gray-500 hover:text-gray-700"
+              >
+                Close
+              </button>
+            </div>
+
+            {ledgerLoading && !ledger ? (
+              <Loader text="Loading transactions..." />
+            ) : !ledger || ledger.transactions.length === 0 ? (
+              <p className="px-6 py-8 text-center text-gray-500">No transactions in this account yet.</p>
+            ) : (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Date</th>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Description</th>
+                        <th className="px-6 py-3 text-right font-medium text-gray-500">Amount</th>
+                        <th className="px-6 py-3 text-right font-medium text-gray-500">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {ledger.transactions.map(transaction => (
+                        <tr key={transaction._id}>
+                          <td className="px-6 py-3 text-gray-600 whitespace-nowrap">
+                            {new Date(transaction.date).toLocaleDateString('en-IN')}
+                          </td>
+                          <td className="px-6 py-3 text-gray-900">{describeTransaction(transaction)}</td>
+                          <td className={`px-6 py-3 text-right font-medium whitespace-nowrap ${
+                            transaction.change >= 0 ? 'text-green-600' : 'text-red-600'
+                          }`}>
+                            {transaction.change >= 0 ? '+' : '-'} {formatAmount(Math.abs(transaction.change), ledger.account.currency)}
+                          </td>
+                          <td className="px-6 py-3 text-right text-gray-900 whitespace-nowrap">
+                            {formatAmount(transaction.runningBalance, ledger.account.currency)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {ledger.pagination.totalPages > 1 && (
+                  <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+                    <button
+                      onClick={() => setLedgerPage(page => page - 1)}
+                      disabled={!ledger.pagination.hasPrev}
+                      className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-gray-600">
+                      Page {ledger.pagination.currentPage} of {ledger.pagination.totalPages}
+                    </span>
+                    <button
+                      onClick={() => setLedgerPage(page => page + 1)}
+                      disabled={!ledger.pagination.hasNext}
+                      className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Account Modal */}
+      <Modal isOpen={showModal} onClose={closeModal} title={editingAccount ? 'Edit Account' : 'Add Account'}>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              maxLength={50}
+              placeholder="e.g. HDFC Savings"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={formData.type}
+                onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              >
+                {ACCOUNT_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+              <select
+                value={formData.currency}
+                onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                disabled={!!editingAccount}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500 disabled:bg-gray-100"
+              >
+                {CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Opening Balance</label>
+            <input
+              type="number"
+              step="0.01"
+              value={formData.openingBalance}
+              onChange={(e) => setFormData({ ...formData, openingBalance: e.target.value })}
+              placeholder="0.00"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+            />
+            <p className="mt-1 text-xs text-gray-500">Use a negative amount for outstanding card dues.</p>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={closeModal}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingAccount ? 'Update Account' : 'Add Account'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Accounts;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { Bar, Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -14,8 +14,10 @@ import {
   Filler
 } from 'chart.js';
 import Header from '../components/common/Header';
-import { transactionAPI } from '../services/api';
+import { transactionAPI, merchantAPI } from '../services/api';
 import Loader from '../components/common/Loader';
+import BudgetProgress from '../components/BudgetProgress';
+import { formatAmount } from '../utils/currency';
 
 // Register ChartJS components
 ChartJS.register(
@@ -35,6 +37,7 @@ const Analysis = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [analytics, setAnalytics] = useState(null);
+  const [topMerchants, setTopMerchants] = useState([]);
   const [period, setPeriod] = useState(searchParams.get('period') || '30d');
 
   useEffect(() => {
@@ -48,6 +51,8 @@ const Analysis = () => {
       
       const response = await transactionAPI.getAnalytics({ 
         period,
+        // Transactions generated by recurring rules are real spending and income too
+        includeRecurring: true,
         includeTransactions: true 
       });
       
@@ -56,6 +61,7 @@ const Analysis = () => {
         const { 
           summary = { totalIncome: 0, totalExpense: 0, balance: 0, period: {} }, 
           categoryBreakdown = [], 
+          tagBreakdown = [],
           monthlyTrend = [],
           heatmapData: heatmapDataResponse = [],
           totalTransactions = 0 
@@ -74,6 +80,10 @@ const Analysis = () => {
           }));
           
         const heatmapData = response.heatmapData || [];
+
+        if (summary?.period?.startDate && summary?.period?.endDate) {
+          fetchTopMerchants(summary.period.startDate, summary.period.endDate);
+        }
         
         const periodStart = summary?.period?.startDate ? new Date(summary.period.startDate) : null;
         const periodEnd = summary?.period?.endDate ? new Date(summary.period.endDate) : null;
@@ -84,6 +94,7 @@ const Analysis = () => {
         const analyticsData = {
           summary,
           categoryBreakdown: processedCategoryBreakdown,
+          tagBreakdown,
           monthlyTrend: processedMonthlyTrend,
           totalIncome: summary.totalIncome || 0,
           totalExpenses: summary.totalExpense || 0,
@@ -190,6 +201,16 @@ const Analysis = () => {
     }
   };
 
+  // Merchants for the same period; the rest of the page does not wait for them
+  const fetchTopMerchants = (startDate, endDate) => {
+    merchantAPI.getAnalytics({ startDate, endDate, limit: 10 })
+      .then(response => setTopMerchants(response?.data?.merchants || []))
+      .catch(error => {
+        console.error('Error fetching merchant analytics:', error);
+        setTopMerchants([]);
+      });
+  };
+
   const handlePeriodChange = (newPeriod) => {
     setPeriod(newPeriod);
     const newSearchParams = new URLSearchParams(searchParams);
@@ -220,12 +241,9 @@ const Analysis = () => {
     return colors[index % colors.length];
   };
 
+  // Analytics totals are reported in the user's base currency
   const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR',
-      maximumFractionDigits: 0
-    }).format(amount || 0);
+    return formatAmount(amount, analytics?.summary?.currency, { maximumFractionDigits: 0 });
   };
 
   const formatDate = (date) => {
@@ -674,6 +692,89 @@ const Analysis = () => {
               </div>
             </div>
 
+            {/* Budgets */}
+            <BudgetProgress />
+
+            {/* Tag Breakdown */}
+            {analytics.tagBreakdown && analytics.tagBreakdown.length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm p-6">
+                <div className="flex items-center justify-between mb-6">
+                  <h3 className="text-lg font-semibold text-gray-900">By Tag</h3>
+                  <span className="text-sm text-gray-500 bg-gray-100 px-2 py-1 rounded-full">
+                    {analytics.tagBreakdown.length} tags
+                  </span>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-100">
+                        <th className="py-2 pr-4 font-medium">Tag</th>
+                        <th className="py-2 pr-4 font-medium text-right">Spent</th>
+                        <th className="py-2 pr-4 font-medium text-right">Received</th>
+                        <th className="py-2 font-medium text-right">Transactions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {analytics.tagBreakdown.map(tag => (
+                        <tr key={tag.name}>
+                          <td className="py-2 pr-4">
+                            <Link
+                              to={`/transactions?tags=${encodeURIComponent(tag.name)}`}
+                              className="text-red-700 hover:underline font-medium"
+                            >
+                              #{tag.name}
+                            </Link>
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(tag.expense)}</td>
+                          <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(tag.income)}</td>
+                          <td className="py-2 text-right text-gray-500">{tag.count}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Top Merchants */}
+            {topMerchants.length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm p-6">
+                <div className="flex items-center justify-between mb-6">
+                  <h3 className="text-lg font-semibold text-gray-900">Top Merchants</h3>
+                  <span className="text-sm text-gray-500 bg-gray-100 px-2 py-1 rounded-full">
+                    {topMerchants.length} merchants
+                  </span>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-100">
+                        <th className="py-2 pr-4 font-medium">Merchant</th>
+                        <th className="py-2 pr-4 font-medium text-right">Spent</th>
+                        <th className="py-2 pr-4 font-medium text-right">Visits</th>
+                        <th className="py-2 pr-4 font-medium text-right">Avg. ticket</th>
+                        <th className="py-2 font-medium text-right">Visits / month</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {topMerchants.map(merchant => (
+                        <tr key={merchant.name}>
+                          <td className="py-2 pr-4">
+                            <span className="font-medium text-gray-900">{merchant.name}</span>
+                            <span className="ml-2 text-xs text-gray-500">{merchant.defaultCategory || merchant.category}</span>
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(merchant.total)}</td>
+                          <td className="py-2 pr-4 text-right text-gray-500">{merchant.visits}</td>
+                          <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(merchant.averageTicket)}</td>
+                          <td className="py-2 text-right text-gray-500">{merchant.visitsPerMonth}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Charts Section */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
               {/* Monthly Trend */}
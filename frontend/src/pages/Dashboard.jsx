@@ -1,54 +1,75 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import Header from '../components/common/Header';
-import { transactionAPI } from '../services/api';
+import { dashboardAPI } from '../services/api';
+import { DEFAULT_CURRENCY, formatAmount } from '../utils/currency';
+
+const periodOptions = [
+  { value: 'month', label: 'This month' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+  { value: '1y', label: 'Last year' }
+];
 
 const Dashboard = () => {
-  const [recentTransactions, setRecentTransactions] = useState([]);
-  const [summary, setSummary] = useState({
-    totalIncome: 0,
-    totalExpenses: 0,
-    balance: 0
+  const [period, setPeriod] = useState('30d');
+  const [dashboard, setDashboard] = useState({
+    currency: DEFAULT_CURRENCY,
+    summary: { totalIncome: 0, totalExpenses: 0, balance: 0 },
+    monthOverMonth: null,
+    topCategories: [],
+    upcomingBills: [],
+    recentTransactions: []
   });
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
 
   useEffect(() => {
+    // Everything on the page comes from a single summary call
+    const fetchDashboardData = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await dashboardAPI.getSummary(period);
+        if (response?.success) {
+          setDashboard(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching dashboard data:', error);
+        setError(error.message || 'Failed to load your dashboard');
+      } finally {
+        setLoading(false);
+      }
+    };
+
     fetchDashboardData();
-  }, []);
+  }, [period]);
 
-  const fetchDashboardData = async () => {
-    try {
-      setLoading(true);
-      
-      // Fetch recent transactions
-      const transactionsResponse = await transactionAPI.getTransactions({ 
-        limit: 5,
-        sortBy: 'date',
-        sortOrder: 'desc'
-      });
-      
-      if (transactionsResponse.success) {
-        setRecentTransactions(transactionsResponse.data.transactions || []);
-      }
+  const { summary, monthOverMonth, topCategories, upcomingBills, recentTransactions } = dashboard;
 
-      // Fetch summary data
-      const summaryResponse = await transactionAPI.getSummary();
-      if (summaryResponse.success) {
-        setSummary(summaryResponse.data);
-      }
-      
-    } catch (error) {
-      console.error('Error fetching dashboard data:', error);
-    } finally {
-      setLoading(false);
+  const formatCurrency = (amount) => {
+    return formatAmount(amount, dashboard.currency, { maximumFractionDigits: 2 });
+  };
+
+  // Month-over-month change line for a summary card; higher spending is bad news, higher income good
+  const renderDelta = (key) => {
+    const delta = monthOverMonth?.change?.[key];
+    if (!delta || delta.percent === null) {
+      return <p className="text-xs text-gray-400 mt-1">No data for last month yet</p>;
     }
+    const isGood = key === 'expense' ? delta.amount <= 0 : delta.amount >= 0;
+    return (
+      <p className={`text-xs mt-1 font-medium ${isGood ? 'text-green-600' : 'text-red-600'}`}>
+        {delta.amount >= 0 ? '▲' : '▼'} {Math.abs(delta.percent)}% vs. same days last month
+      </p>
+    );
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount);
+  const formatDueIn = (days) => {
+    if (days === 0) return 'Due today';
+    if (days === 1) return 'Due tomorrow';
+    return `Due in ${days} days`;
   };
 
   const formatDate = (dateString) => {
@@ -83,11 +104,28 @@ const Dashboard = () => {
       
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Welcome Section */}
-        <div className="mb-10">
-          <h1 className="text-4xl font-bold text-gray-900 mb-2">Welcome back!</h1>
-          <p className="text-lg text-gray-600">Here's your financial overview at a glance</p>
+        <div className="mb-10 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">Welcome back!</h1>
+            <p className="text-lg text-gray-600">Here's your financial overview at a glance</p>
+          </div>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="border border-gray-300 rounded-lg px-4 py-2 bg-white text-gray-700 focus:outline-none focus:ring-red-500 focus:border-red-500"
+          >
+            {periodOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
         </div>
 
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
         {/* Summary Cards */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-10">
           {/* Total Income */}
@@ -101,6 +139,7 @@ const Dashboard = () => {
               <div className="ml-4">
                 <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide">Total Income</h3>
                 <p className="text-3xl font-bold text-gray-900">{formatCurrency(summary.totalIncome)}</p>
+                {renderDelta('income')}
               </div>
             </div>
           </div>
@@ -116,6 +155,7 @@ const Dashboard = () => {
               <div className="ml-4">
                 <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide">Total Expenses</h3>
                 <p className="text-3xl font-bold text-gray-900">{formatCurrency(summary.totalExpenses)}</p>
+                {renderDelta('expense')}
               </div>
             </div>
           </div>
@@ -133,6 +173,7 @@ const Dashboard = () => {
                 <p className={`text-3xl font-bold ${summary.balance >= 0 ? 'text-blue-600' : 'text-orange-600'}`}>
                   {formatCurrency(summary.balance)}
                 </p>
+                {renderDelta('net')}
               </div>
             </div>
           </div>
@@ -193,6 +234,61 @@ const Dashboard = () => {
           </Link>
         </div>
 
+        {/* Top Categories and Upcoming Bills */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-10">
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Top Spending Categories</h2>
+            {topCategories.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No expenses in this period</p>
+            ) : (
+              <div className="space-y-4">
+                {topCategories.map(category => (
+                  <div key={category.category}>
+                    <div className="flex justify-between text-sm mb-1">
+                      <span className="font-medium text-gray-900">{category.category}</span>
+                      <span className="text-gray-600">
+                        {formatCurrency(category.amount)} · {category.percentage}%
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-100 rounded-full h-2">
+                      <div
+                        className="h-2 rounded-full bg-red-500"
+                        style={{ width: `${Math.min(category.percentage, 100)}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Upcoming Bills</h2>
+            {upcomingBills.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No recurring bills due in the next 30 days</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {upcomingBills.map(bill => (
+                  <li key={bill._id} className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="font-medium text-gray-900">{bill.description || bill.category}</p>
+                      <p className="text-sm text-gray-500">
+                        {bill.category} · {bill.frequency} · {formatDate(bill.nextOccurrence)}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="font-semibold text-gray-900">{formatCurrency(bill.amount)}</p>
+                      <p className={`text-xs ${bill.daysUntil <= 3 ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                        {formatDueIn(bill.daysUntil)}
+                      </p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
         {/* Recent Transactions */}
         <div className="bg-white rounded-xl shadow-lg overflow-hidden">
           <div className="px-8 py-6 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-gray-100">
@@ -249,7 +345,7 @@ const Dashboard = () => {
                         </svg>
                       </div>
                       <div>
-                        <p className="font-semibold text-gray-900 text-lg">{transaction.description}</p>
+                        <p className="font-semibold text-gray-900 text-lg">{transaction.description || transaction.category}</p>
                         <div className="flex items-center space-x-2 text-sm text-gray-500">
                           <span className="bg-gray-100 px-2 py-1 rounded-full">{transaction.category}</span>
                           <span>•</span>
@@ -258,9 +354,10 @@ const Dashboard = () => {
                       </div>
                     </div>
                     <span className={`font-bold text-xl ${
-                      transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
+                      transaction.type === 'income' ? 'text-green-600' : transaction.type === 'transfer' ? 'text-blue-600' : 'text-red-600'
                     }`}>
-                      {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                      {transaction.type === 'income' ? '+' : transaction.type === 'transfer' ? '' : '-'}
+                      {formatAmount(transaction.amount, transaction.currency || dashboard.currency, { maximumFractionDigits: 2 })}
                     </span>
                   </div>
                 ))}
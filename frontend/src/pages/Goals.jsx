@@ -0,0 +1,539 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Header from '../components/common/Header';
+import Modal from '../components/common/Modal';
+import Loader from '../components/common/Loader';
+import { goalAPI, accountAPI, categoryAPI, currencyAPI } from '../services/api';
+import { DEFAULT_CURRENCY, formatAmount } from '../utils/currency';
+
+const emptyForm = { name: '', targetAmount: '', targetDate: '', linkType: 'account', accountId: '', category: '' };
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const emptyContribution = () => ({ amount: '', date: todayString(), fromAccountId: '', description: '' });
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const Goals = () => {
+  const [goals, setGoals] = useState([]);
+  const [averageMonthlySavings, setAverageMonthlySavings] = useState(0);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [accounts, setAccounts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showModal, setShowModal] = useState(false);
+  const [editingGoal, setEditingGoal] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [contributingGoal, setContributingGoal] = useState(null);
+  const [contribution, setContribution] = useState(emptyContribution);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchGoals = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await goalAPI.getAll({ includeArchived: showArchived });
+        if (response && response.success) {
+          setGoals(response.data.goals || []);
+          setAverageMonthlySavings(response.data.averageMonthlySavings || 0);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load goals');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchGoals();
+  }, [showArchived, refreshKey]);
+
+  useEffect(() => {
+    accountAPI.getAll()
+      .then(response => setAccounts(response?.data?.accounts || []))
+      .catch(error => console.error('Error fetching accounts:', error));
+    categoryAPI.getAll('expense')
+      .then(response => setCategories(response?.data?.categories || []))
+      .catch(error => console.error('Error fetching categories:', error));
+    currencyAPI.getRates()
+      .then(response => {
+        if (response?.data?.baseCurrency) setBaseCurrency(response.data.baseCurrency);
+      })
+      .catch(error => console.error('Error fetching base currency:', error));
+  }, []);
+
+  const getAccountName = (id) => accounts.find(account => account._id === id)?.name;
+
+  const openModal = (goal = null) => {
+    setEditingGoal(goal);
+    setFormData(goal ? {
+      name: goal.name,
+      targetAmount: String(goal.targetAmount),
+      targetDate: goal.targetDate ? goal.targetDate.split('T')[0] : '',
+      linkType: goal.accountId ? 'account' : 'category',
+      accountId: goal.accountId || '',
+      category: goal.category || ''
+    } : { ...emptyForm, linkType: accounts.length > 0 ? 'account' : 'category' });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingGoal(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const payload = {
+        name: formData.name.trim(),
+        targetAmount: parseFloat(formData.targetAmount),
+        targetDate: formData.targetDate || null,
+        accountId: formData.linkType === 'account' ? formData.accountId : null,
+        category: formData.linkType === 'category' ? formData.category : null
+      };
+
+      if (editingGoal) {
+        await goalAPI.update(editingGoal._id, payload);
+      } else {
+        await goalAPI.create(payload);
+      }
+
+      closeModal();
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.errors?.[0]?.msg || error.message || 'Failed to save goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openContribution = (goal) => {
+    setContributingGoal(goal);
+    setContribution(emptyContribution());
+  };
+
+  const handleContribute = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const response = await goalAPI.addContribution(contributingGoal._id, {
+        ...contribution,
+        amount: parseFloat(contribution.amount)
+      });
+      setContributingGoal(null);
+      setSuccess(response?.message || 'Contribution added');
+      setTimeout(() => setSuccess(''), 4000);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.errors?.[0]?.msg || error.message || 'Failed to add contribution');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleArchive = async (goal) => {
+    try {
+      setError('');
+      await goalAPI.update(goal._id, { isArchived: !goal.isArchived });
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to update goal');
+    }
+  };
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm(`Delete the goal "${goal.name}"? Its contributions stay in your transactions.`)) return;
+
+    try {
+      setError('');
+      await goalAPI.delete(goal._id);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to delete goal');
+    }
+  };
+
+  const renderStatus = (goal) => {
+    if (goal.isAchieved) {
+      return <span className="text-xs font-medium bg-green-100 text-green-700 px-2 py-1 rounded-full">Achieved 🎉</span>;
+    }
+    if (goal.isOverdue) {
+      return <span className="text-xs font-medium bg-red-100 text-red-700 px-2 py-1 rounded-full">Past target date</span>;
+    }
+    if (goal.onTrack === true) {
+      return <span className="text-xs font-medium bg-green-100 text-green-700 px-2 py-1 rounded-full">On track</span>;
+    }
+    if (goal.onTrack === false) {
+      return <span className="text-xs font-medium bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full">Behind</span>;
+    }
+    return null;
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">Savings Goals</h1>
+              <p className="text-gray-600">
+                Set targets, record contributions and see when you&apos;ll get there
+              </p>
+            </div>
+            <button
+              onClick={() => openModal()}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+            >
+              + Add Goal
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {success}
+          </div>
+        )}
+
+        {/* Savings pace */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6 flex items-center justify-between">
+          <div>
+            <p className="text-sm text-gray-600">Average monthly savings (last 3 months)</p>
+            <p className={`text-3xl font-bold ${averageMonthlySavings < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatAmount(averageMonthlySavings, baseCurrency)}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">Projected completion dates assume you keep saving at this pace.</p>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+            />
+            <span>Show archived</span>
+          </label>
+        </div>
+
+        {loading ? (
+          <Loader text="Loading goals..." />
+        ) : goals.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-6xl mb-4">🎯</div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No goals yet</h3>
+            <p className="text-gray-600">Create a goal for a trip, a gadget or an emergency fund and track your progress.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {goals.map(goal => (
+              <div
+                key={goal._id}
+                className={`bg-white rounded-lg shadow-sm border border-gray-200 p-5 ${goal.isArchived ? 'opacity-60' : ''}`}
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="font-semibold text-gray-900 text-lg">{goal.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {goal.accountId ? `Saving into ${getAccountName(goal.accountId) || 'account'}` : `Tracked under ${goal.category}`}
+                      {goal.isArchived ? ' · Archived' : ''}
+                    </p>
+                  </div>
+                  {renderStatus(goal)}
+                </div>
+
+                <div className="mt-4">
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="font-medium text-gray-900">
+                      {formatAmount(goal.savedAmount, baseCurrency)} of {formatAmount(goal.targetAmount, baseCurrency)}
+                    </span>
+                    <span className="text-gray-600">{goal.progress}%</span>
+                  </div>
+                  <div className="w-full bg-gray-100 rounded-full h-2.5">
+                    <div
+                      className={`h-2.5 rounded-full ${goal.isAchieved ? 'bg-green-500' : 'bg-red-500'}`}
+                      style={{ width: `${goal.progress}%` }}
+                    />
+                  </div>
+                </div>
+
+                <dl className="mt-4 grid grid-cols-2 gap-3 text-sm">
+                  <div>
+                    <dt className="text-gray-500">Target date</dt>
+                    <dd className="text-gray-900">{goal.targetDate ? formatDate(goal.targetDate) : 'None'}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Needed per month</dt>
+                    <dd className="text-gray-900">
+                      {goal.requiredMonthlyContribution !== null ? formatAmount(goal.requiredMonthlyContribution, baseCurrency) : '—'}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Projected</dt>
+                    <dd className="text-gray-900">
+                      {goal.projectedCompletionDate ? formatDate(goal.projectedCompletionDate) : 'Not saving at the moment'}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Contributions</dt>
+                    <dd>
+                      <Link
+                        to={`/transactions?tags=${encodeURIComponent(goal.tag)}`}
+                        className="text-red-600 hover:text-red-700"
+                      >
+                        {goal.contributionCount} · #{goal.tag}
+                      </Link>
+                    </dd>
+                  </div>
+                </dl>
+
+                <div className="mt-4 pt-4 border-t border-gray-100 flex items-center justify-between">
+                  {goal.isAchieved || goal.isArchived ? <span /> : goal.accountId ? (
+                    <button
+                      onClick={() => openContribution(goal)}
+                      className="bg-red-600 text-white px-3 py-1.5 rounded-md hover:bg-red-700 text-sm font-medium"
+                    >
+                      + Contribute
+                    </button>
+                  ) : (
+                    <span className="text-xs text-gray-500">Tag expenses with #{goal.tag} to count them</span>
+                  )}
+                  <div className="flex space-x-3 text-sm">
+                    <button onClick={() => openModal(goal)} className="text-blue-600 hover:text-blue-700">Edit</button>
+                    <button onClick={() => handleArchive(goal)} className="text-gray-600 hover:text-gray-700">
+                      {goal.isArchived ? 'Restore' : 'Archive'}
+                    </button>
+                    <button onClick={() => handleDelete(goal)} className="text-red-600 hover:text-red-700">Delete</button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Goal Modal */}
+      <Modal isOpen={showModal} onClose={closeModal} title={editingGoal ? 'Edit Goal' : 'Add Goal'}>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              maxLength={50}
+              placeholder="e.g. Goa trip"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Target Amount ({baseCurrency})</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={formData.targetAmount}
+                onChange={(e) => setFormData({ ...formData, targetAmount: e.target.value })}
+                placeholder="0.00"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Target Date</label>
+              <input
+                type="date"
+                value={formData.targetDate}
+                min={todayString()}
+                onChange={(e) => setFormData({ ...formData, targetDate: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Track savings in</label>
+            <div className="flex space-x-4 mb-2 text-sm">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  checked={formData.linkType === 'account'}
+                  onChange={() => setFormData({ ...formData, linkType: 'account' })}
+                  className="text-red-600 focus:ring-red-500"
+                />
+                <span>A savings account</span>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  checked={formData.linkType === 'category'}
+                  onChange={() => setFormData({ ...formData, linkType: 'category' })}
+                  className="text-red-600 focus:ring-red-500"
+                />
+                <span>Tagged expenses in a category</span>
+              </label>
+            </div>
+            {formData.linkType === 'account' ? (
+              <select
+                value={formData.accountId}
+                onChange={(e) => setFormData({ ...formData, accountId: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                required
+              >
+                <option value="">Select Account</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
+              </select>
+            ) : (
+              <select
+                value={formData.category}
+                onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                required
+              >
+                <option value="">Select Category</option>
+                {categories.map(category => (
+                  <option key={category._id || category.name} value={category.name}>{category.name}</option>
+                ))}
+              </select>
+            )}
+            <p className="mt-1 text-xs text-gray-500">
+              {formData.linkType === 'account'
+                ? 'Contributions are saved as transfers tagged with the goal, so you can also tag existing transfers to count them.'
+                : 'Nothing is recorded for you: tag the expenses in this category that count towards the goal.'}
+            </p>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={closeModal}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingGoal ? 'Update Goal' : 'Add Goal'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Contribution Modal */}
+      <Modal
+        isOpen={!!contributingGoal}
+        onClose={() => setContributingGoal(null)}
+        title={contributingGoal ? `Contribute to ${contributingGoal.name}` : 'Contribute'}
+      >
+        {contributingGoal && (
+          <form onSubmit={handleContribute} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount ({baseCurrency})</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  value={contribution.amount}
+                  onChange={(e) => setContribution({ ...contribution, amount: e.target.value })}
+                  placeholder={contributingGoal.requiredMonthlyContribution ? String(contributingGoal.requiredMonthlyContribution) : '0.00'}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                <input
+                  type="date"
+                  value={contribution.date}
+                  max={todayString()}
+                  onChange={(e) => setContribution({ ...contribution, date: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                From Account
+              </label>
+              <select
+                value={contribution.fromAccountId}
+                onChange={(e) => setContribution({ ...contribution, fromAccountId: e.target.value })}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                required
+              >
+                <option value="">Select Account</option>
+                {accounts
+                  .filter(account => account._id !== contributingGoal.accountId)
+                  .map(account => (
+                    <option key={account._id} value={account._id}>{account.name}</option>
+                  ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+              <input
+                type="text"
+                value={contribution.description}
+                onChange={(e) => setContribution({ ...contribution, description: e.target.value })}
+                maxLength={200}
+                placeholder={`Contribution to ${contributingGoal.name}`}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-2">
+              <button
+                type="button"
+                onClick={() => setContributingGoal(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Add Contribution'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Goals;
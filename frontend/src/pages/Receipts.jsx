@@ -711,6 +711,22 @@ const Receipts = () => {
                       </ul>
                     </div>
                   )}
+                  {extractedData.splits && extractedData.splits.length > 1 && (
+                    <div>
+                      <span className="text-sm font-medium text-gray-700">Split by Category:</span>
+                      <ul className="mt-1 space-y-1">
+                        {extractedData.splits.map((split, index) => (
+                          <li key={index} className="flex justify-between text-sm text-gray-900 ml-4">
+                            <span>
+                              {split.category}
+                              {split.note && <span className="text-gray-500"> ({split.note})</span>}
+                            </span>
+                            <span>₹{split.amount}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                   {extractedData.rawText && (
                     <div>
                       <span className="text-sm font-medium text-gray-700">Raw Text:</span>
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/common/Header';
+import Modal from '../components/common/Modal';
+import Loader from '../components/common/Loader';
+import RecurringTransactionForm from '../components/RecurringTransactionForm';
+import recurringTransactionAPI from '../services/recurringTransactionService';
+import { transactionAPI, currencyAPI } from '../services/api';
+import { DEFAULT_CURRENCY, formatAmount } from '../utils/currency';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+}) : '—');
+
+const describeFrequency = (rule) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return 'Daily';
+    case 'weekly':
+      return rule.dayOfWeek !== undefined && rule.dayOfWeek !== null ? `Weekly on ${WEEKDAYS[rule.dayOfWeek]}` : 'Weekly';
+    case 'monthly':
+      return rule.dayOfMonth ? `Monthly on day ${rule.dayOfMonth}` : 'Monthly';
+    case 'yearly':
+      return rule.month !== undefined && rule.month !== null
+        ? `Yearly in ${new Date(2000, rule.month, 1).toLocaleDateString('en-IN', { month: 'long' })}`
+        : 'Yearly';
+    default:
+      return rule.frequency;
+  }
+};
+
+const Recurring = () => {
+  const [rules, setRules] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [selectedRule, setSelectedRule] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      setLoading(true);
+      setError('');
+      const response = await recurringTransactionAPI.getAll();
+      if (response.success) {
+        setRules(response.data);
+      } else {
+        setError(response.message || 'Failed to load recurring transactions');
+      }
+      setLoading(false);
+    };
+
+    fetchRules();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    currencyAPI.getRates()
+      .then(response => {
+        if (response?.data?.baseCurrency) setBaseCurrency(response.data.baseCurrency);
+      })
+      .catch(error => console.error('Error fetching base currency:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!selectedRule) return;
+
+    const fetchHistory = async () => {
+      setHistoryLoading(true);
+      const data = await transactionAPI.getAll({
+        recurringTransactionId: selectedRule,
+        page: historyPage,
+        limit: 10
+      });
+      setHistory(data);
+      setHistoryLoading(false);
+    };
+
+    fetchHistory();
+  }, [selectedRule, historyPage, refreshKey]);
+
+  const visibleRules = rules.filter(rule => {
+    if (statusFilter === 'active') return rule.isActive;
+    if (statusFilter === 'paused') return !rule.isActive;
+    return true;
+  });
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRule(null);
+  };
+
+  const handleSubmit = async (data) => {
+    try {
+      setError('');
+      if (editingRule) {
+        await recurringTransactionAPI.update(editingRule._id, data);
+      } else {
+        await recurringTransactionAPI.create(data);
+      }
+      closeModal();
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      closeModal();
+      setError(error.message || 'Failed to save recurring transaction');
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      setError('');
+      await recurringTransactionAPI.toggleActive(rule._id);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to update recurring transaction');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the recurring ${rule.type} "${rule.description || rule.category}"? Transactions it already created are kept.`)) return;
+
+    try {
+      setError('');
+      await recurringTransactionAPI.delete(rule._id);
+      if (selectedRule === rule._id) {
+        setSelectedRule(null);
+        setHistory(null);
+      }
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to delete recurring transaction');
+    }
+  };
+
+  const handleSelect = (ruleId) => {
+    setSelectedRule(ruleId);
+    setHistory(null);
+    setHistoryPage(1);
+  };
+
+  const selected = rules.find(rule => rule._id === selectedRule);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">Recurring</h1>
+              <p className="text-gray-600">
+                Bills, subscriptions and salaries that are added to your transactions automatically
+              </p>
+            </div>
+            <button
+              onClick={() => openModal()}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+            >
+              + Add Recurring
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        <div className="flex items-center space-x-2 mb-6">
+          {['all', 'active', 'paused'].map(status => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${
+                statusFilter === status ? 'bg-red-600 text-white' : 'bg-white text-gray-600 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <Loader text="Loading recurring transactions..." />
+        ) : visibleRules.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-6xl mb-4">🔁</div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              {rules.length === 0 ? 'No recurring transactions yet' : `No ${statusFilter} recurring transactions`}
+            </h3>
+            <p className="text-gray-600">Set up rent, subscriptions or your salary once and they will be recorded on schedule.</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left font-medium text-gray-500">Description</th>
+                  <th className="px-6 py-3 text-left font-medium text-gray-500">Frequency</th>
+                  <th className="px-6 py-3 text-left font-medium text-gray-500">Next Occurrence</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Amount</th>
+                  <th className="px-6 py-3 text-center font-medium text-gray-500">Active</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {visibleRules.map(rule => (
+                  <tr
+                    key={rule._id}
+                    onClick={() => handleSelect(rule._id)}
+                    className={`cursor-pointer ${selectedRule === rule._id ? 'bg-red-50' : 'hover:bg-gray-50'} ${rule.isActive ? '' : 'opacity-60'}`}
+                  >
+                    <td className="px-6 py-3">
+                      <p className="font-medium text-gray-900">{rule.description || rule.category}</p>
+                      <p className="text-xs text-gray-500">
+                        {rule.category}{rule.endDate ? ` · Ends ${formatDate(rule.endDate)}` : ''}
+                      </p>
+                    </td>
+                    <td className="px-6 py-3 text-gray-600 whitespace-nowrap">{describeFrequency(rule)}</td>
+                    <td className="px-6 py-3 text-gray-600 whitespace-nowrap">
+                      {rule.isActive ? formatDate(rule.nextOccurrence) : 'Paused'}
+                    </td>
+                    <td className={`px-6 py-3 text-right font-medium whitespace-nowrap ${
+                      rule.type === 'income' ? 'text-green-600' : 'text-red-600'
+                    }`}>
+                      {rule.type === 'income' ? '+' : '-'} {formatAmount(rule.amount, baseCurrency)}
+                    </td>
+                    <td className="px-6 py-3 text-center" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        onClick={() => handleToggle(rule)}
+                        role="switch"
+                        aria-checked={rule.isActive}
+                        title={rule.isActive ? 'Pause' : 'Resume'}
+                        className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
+                          rule.isActive ? 'bg-green-500' : 'bg-gray-300'
+                        }`}
+                      >
+                        <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                          rule.isActive ? 'translate-x-4' : 'translate-x-1'
+                        }`} />
+                      </button>
+                    </td>
+                    <td className="px-6 py-3 text-right whitespace-nowrap space-x-2 text-xs" onClick={(e) => e.stopPropagation()}>
+                      <button onClick={() => openModal(rule)} className="text-blue-600 hover:text-blue-700">Edit</button>
+                      <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-700">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Transactions generated by the selected rule */}
+        {selected && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-900">
+                History · {selected.description || selected.category}
+              </h3>
+              <button
+                onClick={() => { setSelectedRule(null); setHistory(null); }}
+                className="text-sm text-gray-500 hover:text-gray-700"
+              >
+                Close
+              </button>
+            </div>
+
+            {historyLoading && !history ? (
+              <Loader text="Loading history..." />
+            ) : !history || history.transactions.length === 0 ? (
+              <p className="px-6 py-8 text-center text-gray-500">This rule hasn&apos;t created any transactions yet.</p>
+            ) : (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Date</th>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Description</th>
+                        <th className="px-6 py-3 text-left font-medium text-gray-500">Category</th>
+                        <th className="px-6 py-3 text-right font-medium text-gray-500">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {history.transactions.map(transaction => (
+                        <tr key={transaction._id}>
+                          <td className="px-6 py-3 text-gray-600 whitespace-nowrap">{formatDate(transaction.date)}</td>
+                          <td className="px-6 py-3 text-gray-900">{transaction.description || '—'}</td>
+                          <td className="px-6 py-3 text-gray-600">{transaction.category}</td>
+                          <td className={`px-6 py-3 text-right font-medium whitespace-nowrap ${
+                            transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
+                          }`}>
+                            {transaction.type === 'income' ? '+' : '-'} {formatAmount(transaction.amount, transaction.currency || baseCurrency)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {history.pagination.totalPages > 1 && (
+                  <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+                    <button
+                      onClick={() => setHistoryPage(page => page - 1)}
+                      disabled={!history.pagination.hasPrev}
+                      className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-gray-600">
+                      Page {history.pagination.currentPage} of {history.pagination.totalPages}
+                    </span>
+                    <button
+                      onClick={() => setHistoryPage(page => page + 1)}
+                      disabled={!history.pagination.hasNext}
+                      className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Recurring Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title={editingRule ? 'Edit Recurring Transaction' : 'Add Recurring Transaction'}
+        maxWidth="sm:max-w-2xl"
+      >
+        <RecurringTransactionForm
+          initialData={editingRule}
+          onSubmit={handleSubmit}
+          onCancel={closeModal}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default Recurring;
@@ -0,0 +1,472 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/common/Header';
+import Modal from '../components/common/Modal';
+import Loader from '../components/common/Loader';
+import RuleForm from '../components/RuleForm';
+import { ruleAPI, categoryAPI, accountAPI } from '../services/api';
+import { formatAmount } from '../utils/currency';
+
+const OPERATOR_LABELS = {
+  contains: 'contains',
+  notContains: 'does not contain',
+  equals: 'is',
+  notEquals: 'is not',
+  startsWith: 'starts with',
+  endsWith: 'ends with',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  between: 'between'
+};
+
+const FIELD_LABELS = {
+  description: 'Description',
+  merchant: 'Merchant',
+  category: 'Category',
+  amount: 'Amount',
+  type: 'Type',
+  currency: 'Currency',
+  accountId: 'Account',
+  tags: 'Tags'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+}) : '—');
+
+const Rules = () => {
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState({ expense: [], income: [] });
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewRange, setPreviewRange] = useState({ startDate: '', endDate: '' });
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await ruleAPI.getAll();
+        if (response && response.success) {
+          setRules(response.data.rules || []);
+        }
+      } catch (error) {
+        setError(error.message || 'Failed to load rules');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRules();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    Promise.all([categoryAPI.getAll('expense'), categoryAPI.getAll('income')])
+      .then(([expenseResponse, incomeResponse]) => setCategories({
+        expense: (expenseResponse?.data?.categories || []).map(category => category.name),
+        income: (incomeResponse?.data?.categories || []).map(category => category.name)
+      }))
+      .catch(error => console.error('Error fetching categories:', error));
+    accountAPI.getAll()
+      .then(response => setAccounts(response?.data?.accounts || []))
+      .catch(error => console.error('Error fetching accounts:', error));
+  }, []);
+
+  const accountName = (id) => accounts.find(account => account._id === id)?.name || 'an account';
+
+  const describeCondition = ({ field, operator, value }) => {
+    const shown = field === 'accountId'
+      ? accountName(value)
+      : Array.isArray(value) ? value.join(' and ') : `"${value}"`;
+    return `${FIELD_LABELS[field] || field} ${OPERATOR_LABELS[operator] || operator} ${shown}`;
+  };
+
+  const describeActions = (actions = {}) => {
+    const parts = [];
+    if (actions.category) parts.push(`category ${actions.category}`);
+    if (actions.tags && actions.tags.length > 0) parts.push(`tags ${actions.tags.map(tag => `#${tag}`).join(' ')}`);
+    if (actions.merchant) parts.push(`merchant ${actions.merchant}`);
+    if (actions.accountId) parts.push(`account ${accountName(actions.accountId)}`);
+    return parts.join(', ');
+  };
+
+  const describeValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'None';
+    if (field === 'accountId') return accountName(value);
+    if (field === 'tags') return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : 'None';
+    return value;
+  };
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRule(null);
+  };
+
+  // Errors are shown inside the form, which stays open so nothing typed is lost
+  const handleSubmit = async (data) => {
+    const response = editingRule
+      ? await ruleAPI.update(editingRule._id, data)
+      : await ruleAPI.create(data);
+    closeModal();
+    setMessage(response.message);
+    setRefreshKey(key => key + 1);
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      setError('');
+      await ruleAPI.update(rule._id, { isActive: !rule.isActive });
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to update rule');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Transactions it already changed keep their changes.`)) return;
+
+    try {
+      setError('');
+      await ruleAPI.delete(rule._id);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setError(error.message || 'Failed to delete rule');
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const reordered = [...rules];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    setRules(reordered);
+
+    try {
+      setError('');
+      const response = await ruleAPI.reorder(reordered.map(rule => rule._id));
+      setRules(response.data.rules || reordered);
+    } catch (error) {
+      setError(error.message || 'Failed to reorder rules');
+      setRefreshKey(key => key + 1);
+    }
+  };
+
+  const runRules = (dryRun) => ruleAPI.apply({
+    dryRun,
+    startDate: previewRange.startDate || undefined,
+    endDate: previewRange.endDate || undefined
+  });
+
+  const handlePreview = async () => {
+    try {
+      setPreviewLoading(true);
+      setError('');
+      const response = await runRules(true);
+      setPreview(response.data);
+    } catch (error) {
+      setShowPreview(false);
+      setError(error.message || 'Failed to preview rules');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const openPreview = () => {
+    setPreview(null);
+    setShowPreview(true);
+    handlePreview();
+  };
+
+  const handleApply = async () => {
+    try {
+      setApplying(true);
+      setError('');
+      const response = await runRules(false);
+      setShowPreview(false);
+      setPreview(null);
+      setMessage(response.message);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      setShowPreview(false);
+      setError(error.message || 'Failed to apply rules');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">Rules</h1>
+              <p className="text-gray-600">
+                Categorize, tag and file new transactions automatically, from the top rule down
+              </p>
+            </div>
+            <div className="flex space-x-3">
+              <button
+                onClick={openPreview}
+                disabled={rules.length === 0}
+                className="border border-gray-300 text-gray-700 bg-white px-4 py-2 rounded-md hover:bg-gray-50 font-medium disabled:opacity-50"
+              >
+                Re-apply
+              </button>
+              <button
+                onClick={() => openModal()}
+                className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+              >
+                + Add Rule
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {message}
+          </div>
+        )}
+
+        {loading ? (
+          <Loader text="Loading rules..." />
+        ) : rules.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-6xl mb-4">🧭</div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No rules yet</h3>
+            <p className="text-gray-600">
+              For example: if the description contains NETFLIX, set the category to Entertainment and tag it #subscription.
+            </p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Order</th>
+                  <th className="px-6 py-3 text-left font-medium text-gray-500">Rule</th>
+                  <th className="px-6 py-3 text-left font-medium text-gray-500">Sets</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Applied</th>
+                  <th className="px-6 py-3 text-center font-medium text-gray-500">Active</th>
+                  <th className="px-6 py-3 text-right font-medium text-gray-500">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rules.map((rule, index) => (
+                  <tr key={rule._id} className={rule.isActive ? '' : 'opacity-60'}>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-400">
+                      <button
+                        onClick={() => handleMove(index, -1)}
+                        disabled={index === 0}
+                        title="Run earlier"
+                        className="px-1 hover:text-gray-700 disabled:opacity-30"
+                      >
+                        ▲
+                      </button>
+                      <button
+                        onClick={() => handleMove(index, 1)}
+                        disabled={index === rules.length - 1}
+                        title="Run later"
+                        className="px-1 hover:text-gray-700 disabled:opacity-30"
+                      >
+                        ▼
+                      </button>
+                    </td>
+                    <td className="px-6 py-3">
+                      <p className="font-medium text-gray-900">{rule.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {rule.conditions.map(describeCondition).join(rule.matchType === 'any' ? ' or ' : ' and ')}
+                      </p>
+                    </td>
+                    <td className="px-6 py-3 text-gray-600">{describeActions(rule.actions)}</td>
+                    <td className="px-6 py-3 text-right text-gray-600 whitespace-nowrap">
+                      {rule.timesApplied}
+                      {rule.lastAppliedAt && (
+                        <p className="text-xs text-gray-400">Last {formatDate(rule.lastAppliedAt)}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-3 text-center">
+                      <button
+                        onClick={() => handleToggle(rule)}
+                        role="switch"
+                        aria-checked={rule.isActive}
+                        title={rule.isActive ? 'Turn off' : 'Turn on'}
+                        className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
+                          rule.isActive ? 'bg-green-500' : 'bg-gray-300'
+                        }`}
+                      >
+                        <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                          rule.isActive ? 'translate-x-4' : 'translate-x-1'
+                        }`} />
+                      </button>
+                    </td>
+                    <td className="px-6 py-3 text-right whitespace-nowrap space-x-2 text-xs">
+                      <button onClick={() => openModal(rule)} className="text-blue-600 hover:text-blue-700">Edit</button>
+                      <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-700">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Rule Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={closeModal}
+        title={editingRule ? 'Edit Rule' : 'Add Rule'}
+        maxWidth="sm:max-w-2xl"
+      >
+        <RuleForm
+          initialData={editingRule}
+          categories={categories}
+          accounts={accounts}
+          onSubmit={handleSubmit}
+          onCancel={closeModal}
+        />
+      </Modal>
+
+      {/* Re-apply Preview Modal */}
+      <Modal
+        isOpen={showPreview}
+        onClose={() => setShowPreview(false)}
+        title="Re-apply Rules"
+        maxWidth="sm:max-w-3xl"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Run your active rules over existing transactions. Nothing changes until you apply.
+          </p>
+
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">From</label>
+              <input
+                type="date"
+                value={previewRange.startDate}
+                onChange={(e) => setPreviewRange(prev => ({ ...prev, startDate: e.target.value }))}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">To</label>
+              <input
+                type="date"
+                value={previewRange.endDate}
+                onChange={(e) => setPreviewRange(prev => ({ ...prev, endDate: e.target.value }))}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+            <button
+              onClick={handlePreview}
+              disabled={previewLoading}
+              className="border border-gray-300 text-gray-700 px-3 py-1 rounded-md hover:bg-gray-50 text-sm font-medium disabled:opacity-50"
+            >
+              Preview
+            </button>
+          </div>
+
+          {previewLoading || !preview ? (
+            <Loader text="Checking transactions..." />
+          ) : (
+            <>
+              <p className="text-sm text-gray-700">
+                {preview.changed} of {preview.scanned} transactions would change.
+                {preview.changed > preview.changes.length && ` Showing the first ${preview.changes.length}.`}
+              </p>
+
+              {preview.rules.some(rule => rule.transactions > 0) && (
+                <div className="flex flex-wrap gap-2">
+                  {preview.rules.filter(rule => rule.transactions > 0).map(rule => (
+                    <span key={rule._id} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs">
+                      {rule.name}: {rule.transactions}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {preview.changes.length > 0 && (
+                <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Transaction</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500">Change</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {preview.changes.map(change => (
+                        <tr key={change._id}>
+                          <td className="px-4 py-2">
+                            <p className="text-gray-900">{change.description || 'No description'}</p>
+                            <p className="text-xs text-gray-500">
+                              {formatDate(change.date)} · {change.type === 'income' ? '+' : '-'} {formatAmount(change.amount, change.currency)}
+                            </p>
+                          </td>
+                          <td className="px-4 py-2 text-xs text-gray-600">
+                            {Object.keys(change.after).map(field => (
+                              <p key={field}>
+                                {FIELD_LABELS[field] || field}: {describeValue(field, change.before[field])} →{' '}
+                                <span className="font-medium text-gray-900">{describeValue(field, change.after[field])}</span>
+                              </p>
+                            ))}
+                            <p className="text-gray-400">by {change.rules.join(', ')}</p>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setShowPreview(false)}
+              className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={applying || previewLoading || !preview || preview.changed === 0}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium disabled:opacity-50"
+            >
+              {applying ? 'Applying...' : `Apply to ${preview ? preview.changed : 0} transactions`}
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default Rules;
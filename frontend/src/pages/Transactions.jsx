@@ -1,9 +1,30 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import Header from '../components/common/Header';
-import { transactionAPI } from '../services/api';
+import { transactionAPI, categoryAPI, currencyAPI, accountAPI, merchantAPI } from '../services/api';
 import Modal from '../components/common/Modal';
 import Loader from '../components/common/Loader';
+import UndoToast from '../components/common/UndoToast';
+import Highlight from '../components/common/Highlight';
+import TransactionImport from '../components/TransactionImport';
+import TagInput from '../components/TagInput';
+import CurrencySettings from '../components/CurrencySettings';
+import CategoryLearning from '../components/CategoryLearning';
+import BulkActionBar from '../components/BulkActionBar';
+import TransactionTrash from '../components/TransactionTrash';
+import TransactionHistory from '../components/TransactionHistory';
+import { CURRENCIES, DEFAULT_CURRENCY, formatAmount } from '../utils/currency';
+
+// Order categories so sub-categories follow their parent
+const orderCategories = (list) => {
+  const parents = list.filter(category => !category.parent);
+  return parents.flatMap(parent => [
+    { name: parent.name, isChild: false },
+    ...list
+      .filter(category => category.parent === parent._id)
+      .map(child => ({ name: child.name, isChild: true }))
+  ]);
+};
 
 const Transactions = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -12,7 +33,26 @@ const Transactions = () => {
   const [error, setError] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [showCurrencyModal, setShowCurrencyModal] = useState(false);
+  const [showLearningModal, setShowLearningModal] = useState(false);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [accounts, setAccounts] = useState([]);
+  const [merchants, setMerchants] = useState([]);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  // Last delete, offered for undo: { message, ids }
+  const [undo, setUndo] = useState(null);
+  const [quickAddText, setQuickAddText] = useState('');
+  const [quickAddError, setQuickAddError] = useState('');
+  const [parsing, setParsing] = useState(false);
+  const [parsedFrom, setParsedFrom] = useState('');
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -20,41 +60,98 @@ const Transactions = () => {
     itemsPerPage: 10
   });
 
-  // Filter states
-  const [filters, setFilters] = useState({
-    type: '',
-    category: '',
-    startDate: '',
-    endDate: '',
-    search: ''
-  });
+  // Filter states, starting from the URL so links like /transactions?tags=reimbursable show their filter
+  const [filters, setFilters] = useState(() => ({
+    type: searchParams.get('type') || '',
+    category: searchParams.get('category') || '',
+    accountId: searchParams.get('accountId') || '',
+    tags: searchParams.get('tags') || '',
+    startDate: searchParams.get('startDate') || '',
+    endDate: searchParams.get('endDate') || '',
+    search: searchParams.get('search') || ''
+  }));
 
   // Form states
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
+    currency: '',
+    exchangeRate: '',
     category: '',
+    splits: [],
+    accountId: '',
+    toAccountId: '',
     description: '',
+    merchant: '',
+    categorySuggestion: null,
+    tags: [],
     date: (() => {
       const today = new Date();
       return today.toISOString().split('T')[0];
     })()
   });
 
-  const categories = {
+  const [categories, setCategories] = useState({
     expense: [
       'Food & Dining', 'Transportation', 'Shopping', 'Entertainment',
       'Healthcare', 'Utilities', 'Education', 'Travel', 'Others'
-    ],
+    ].map(name => ({ name, isChild: false })),
     income: [
       'Salary', 'Business', 'Investment', 'Others'
-    ]
-  };
+    ].map(name => ({ name, isChild: false }))
+  });
 
   useEffect(() => {
     fetchTransactions();
+    // A new page or filter starts a new selection
+    setSelectedIds([]);
+    setSelectAllMatching(false);
   }, [searchParams]);
 
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const [expenseResponse, incomeResponse] = await Promise.all([
+          categoryAPI.getAll('expense'),
+          categoryAPI.getAll('income')
+        ]);
+        const expense = expenseResponse?.data?.categories || [];
+        const income = incomeResponse?.data?.categories || [];
+        if (expense.length > 0 && income.length > 0) {
+          setCategories({
+            expense: orderCategories(expense),
+            income: orderCategories(income)
+          });
+        }
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    currencyAPI.getRates()
+      .then(response => {
+        if (response?.data?.baseCurrency) setBaseCurrency(response.data.baseCurrency);
+      })
+      .catch(error => console.error('Error fetching base currency:', error));
+  }, []);
+
+  useEffect(() => {
+    accountAPI.getAll()
+      .then(response => setAccounts(response?.data?.accounts || []))
+      .catch(error => console.error('Error fetching accounts:', error));
+  }, []);
+
+  // Merchant names already in use, suggested while typing
+  useEffect(() => {
+    merchantAPI.getAll()
+      .then(response => setMerchants(response?.data?.merchants || []))
+      .catch(error => console.error('Error fetching merchants:', error));
+  }, []);
+
   // Handle URL parameters for pre-filling form when coming from receipts
   useEffect(() => {
     const amount = searchParams.get('amount');
@@ -85,6 +182,7 @@ const Transactions = () => {
         ...prev,
         amount: amount || prev.amount,
         description: description || prev.description,
+        merchant: merchant || prev.merchant,
         date: formattedDate || prev.date,
         type: type || prev.type,
         category: category || prev.category
@@ -114,6 +212,8 @@ const Transactions = () => {
         limit: searchParams.get('limit') || 10,
         type: searchParams.get('type') || '',
         category: searchParams.get('category') || '',
+        accountId: searchParams.get('accountId') || '',
+        tags: searchParams.get('tags') || '',
         startDate: searchParams.get('startDate') || '',
         endDate: searchParams.get('endDate') || '',
         search: searchParams.get('search') || ''
@@ -151,6 +251,85 @@ const Transactions = () => {
     setSearchParams(newSearchParams);
   };
 
+  // The list filters currently applied, without pagination
+  const getActiveFilters = () => {
+    const active = {};
+    ['type', 'category', 'accountId', 'tags', 'startDate', 'endDate', 'search'].forEach(key => {
+      const value = searchParams.get(key);
+      if (value) active[key] = value;
+    });
+    return active;
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError('');
+
+      const params = { format: exportFormat, ...getActiveFilters() };
+
+      const response = await transactionAPI.export(params);
+      const disposition = response.headers?.['content-disposition'] || '';
+      const fileName = disposition.match(/filename="?([^"]+)"?/)?.[1] || `transactions.${exportFormat}`;
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      setError(error.message || 'Failed to export transactions');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectAllMatching(false);
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(selected => selected !== id) : [...ids, id]));
+  };
+
+  const pageSelected = transactions.length > 0 && transactions.every(transaction => selectedIds.includes(transaction._id));
+
+  const togglePageSelected = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(pageSelected ? [] : transactions.map(transaction => transaction._id));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setSelectAllMatching(false);
+  };
+
+  // Transactions that could not be changed stay selected so they can be fixed or retried
+  const handleBulkDone = (action, message, results) => {
+    if (action === 'delete') {
+      setUndo({ message, ids: results.filter(result => result.success).map(result => result._id) });
+    } else {
+      setNotice(message);
+    }
+    setSelectedIds(results.filter(result => !result.success).map(result => result._id));
+    setSelectAllMatching(false);
+    fetchTransactions();
+  };
+
+  const closeUndo = useCallback(() => setUndo(null), []);
+
+  const handleUndo = async () => {
+    const { ids } = undo;
+    setUndo(null);
+    try {
+      const response = await transactionAPI.restore(ids);
+      setNotice(response.message);
+      fetchTransactions();
+    } catch (error) {
+      setError(error.message || 'Failed to restore transactions');
+    }
+  };
+
   const handlePageChange = (page) => {
     const newSearchParams = new URLSearchParams(searchParams);
     newSearchParams.set('page', page.toString());
@@ -170,6 +349,11 @@ const Transactions = () => {
       return;
     }
     
+    if (formData.splits.length > 0 && Math.abs(splitRemaining) > 0.01) {
+      setError('Split amounts must add up to the transaction amount');
+      return;
+    }
+    
     try {
       setLoading(true);
       setError(''); // Clear previous errors
@@ -183,6 +367,7 @@ const Transactions = () => {
       setShowAddModal(false);
       setShowEditModal(false);
       setSelectedTransaction(null);
+      setParsedFrom('');
       resetForm();
       fetchTransactions();
       
@@ -226,40 +411,22 @@ const Transactions = () => {
     }
   };
 
+  // Deleting moves the transaction to the trash, so it can be undone instead of confirmed
   const handleDelete = async (id) => {
-	// Find the transaction by id to check flags like isFromReceipt
-	const tx = transactions.find(t => t._id === id);
-
-	if (window.confirm('Are you sure you want to delete this transaction?')) {
-		try {
-			await transactionAPI.delete(id);
-			// Show special message when deleting a receipt-based transaction
-			if (tx?.isFromReceipt) {
-				const successDiv = document.createElement('div');
-				successDiv.className = 'fixed top-4 right-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg shadow-lg z-50';
-				successDiv.innerHTML = `
-					<div class="flex items-start">
-						<div class="flex-shrink-0">
-							<svg class="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
-								<path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd" />
-							</svg>
-						</div>
-						<div class="ml-3">
-							<h3 class="text-sm font-medium text-green-800">Receipt Deleted</h3>
-							<div class="mt-2 text-sm text-green-700">
-								<p>✅ Receipt deleted successfully. You can now upload new receipts.</p>
-							</div>
-						</div>
-					</div>
-				`;
-				document.body.appendChild(successDiv);
-				setTimeout(() => successDiv.remove(), 5000);
-			}
-			fetchTransactions();
-		} catch (error) {
-			setError(error.message || 'Failed to delete transaction');
-		}
-	}
+    const tx = transactions.find(t => t._id === id);
+
+    try {
+      await transactionAPI.delete(id);
+      setUndo({
+        message: tx?.isFromReceipt
+          ? 'Receipt transaction moved to trash. You can now upload new receipts.'
+          : 'Transaction moved to trash',
+        ids: [id]
+      });
+      fetchTransactions();
+    } catch (error) {
+      setError(error.message || 'Failed to delete transaction');
+    }
   };
 
   const handleEdit = (transaction) => {
@@ -267,8 +434,21 @@ const Transactions = () => {
     setFormData({
       type: transaction.type,
       amount: transaction.amount.toString(),
-      category: transaction.category,
+      currency: transaction.currency || '',
+      exchangeRate: transaction.currency && transaction.currency !== baseCurrency && transaction.exchangeRate
+        ? transaction.exchangeRate.toString()
+        : '',
+      category: transaction.type === 'transfer' ? '' : transaction.category,
+      splits: (transaction.splits || []).map(split => ({
+        category: split.category,
+        amount: split.amount.toString(),
+        note: split.note || ''
+      })),
+      accountId: transaction.accountId || '',
+      toAccountId: transaction.toAccountId || '',
       description: transaction.description,
+      merchant: transaction.merchant || '',
+      tags: transaction.tags || [],
       date: new Date(transaction.date).toISOString().split('T')[0]
     });
     setShowEditModal(true);
@@ -281,20 +461,86 @@ const Transactions = () => {
     setFormData({
       type: 'expense',
       amount: '',
+      currency: '',
+      exchangeRate: '',
       category: '',
+      splits: [],
+      accountId: '',
+      toAccountId: '',
       description: '',
+      merchant: '',
+      categorySuggestion: null,
+      tags: [],
       date: todayString
     });
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR',
-      minimumFractionDigits: 0
-    }).format(amount);
+
+  // Read a phrase like "paid 450 for uber yesterday" and open the form filled in for review
+  const handleQuickAdd = async (e) => {
+    e.preventDefault();
+    if (!quickAddText.trim()) return;
+
+    try {
+      setParsing(true);
+      setQuickAddError('');
+      const response = await transactionAPI.parse(quickAddText.trim());
+      const { draft } = response.data;
+
+      resetForm();
+      setFormData(prev => ({
+        ...prev,
+        type: draft.type,
+        amount: String(draft.amount),
+        currency: draft.currency === baseCurrency ? '' : draft.currency,
+        category: draft.category,
+        description: draft.description,
+        merchant: draft.merchant || '',
+        // Saving with another category teaches the categorizer
+        categorySuggestion: { category: draft.category, source: draft.categorySource, confidence: draft.confidence },
+        date: draft.date
+      }));
+      setParsedFrom(quickAddText.trim());
+      setQuickAddText('');
+      setShowAddModal(true);
+    } catch (error) {
+      setQuickAddError(error.message || 'Could not read that transaction');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  // Start a split with the current category holding the full amount
+  const startSplit = () => {
+    setFormData({
+      ...formData,
+      splits: [
+        { category: formData.category, amount: formData.amount, note: '' },
+        { category: '', amount: '', note: '' }
+      ]
+    });
   };
 
+  const updateSplit = (index, changes) => {
+    setFormData({
+      ...formData,
+      splits: formData.splits.map((split, i) => (i === index ? { ...split, ...changes } : split))
+    });
+  };
+
+  const removeSplit = (index) => {
+    const splits = formData.splits.filter((split, i) => i !== index);
+    // A single remaining part is just the transaction's category
+    setFormData(splits.length < 2
+      ? { ...formData, splits: [], category: splits[0]?.category || formData.category }
+      : { ...formData, splits });
+  };
+
+  const splitRemaining = (parseFloat(formData.amount) || 0) -
+    formData.splits.reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+
+  const getAccountName = (id) => accounts.find(account => account._id === id)?.name;
+
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-IN');
   };
@@ -324,14 +570,64 @@ const Transactions = () => {
                 Manage your income and expenses
               </p>
             </div>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setShowCurrencyModal(true)}
+                className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium"
+              >
+                Currencies
+              </button>
+              <button
+                onClick={() => setShowLearningModal(true)}
+                className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium"
+              >
+                Learned Categories
+              </button>
+              <button
+                onClick={() => setShowTrashModal(true)}
+                className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium"
+              >
+                Trash
+              </button>
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 font-medium"
+              >
+                Import Statement
+              </button>
+              <button
+                onClick={() => setShowAddModal(true)}
+                className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+              >
+                + Add Transaction
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Quick add */}
+        <form onSubmit={handleQuickAdd} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+          <label htmlFor="quick-add" className="block text-sm font-medium text-gray-700 mb-2">Quick add</label>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              id="quick-add"
+              type="text"
+              value={quickAddText}
+              onChange={(e) => setQuickAddText(e.target.value)}
+              maxLength={200}
+              placeholder='e.g. "paid 450 for uber yesterday" or "salary 85000 on 1st"'
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+            />
             <button
-              onClick={() => setShowAddModal(true)}
-              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium"
+              type="submit"
+              disabled={parsing || !quickAddText.trim()}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 font-medium disabled:opacity-50"
             >
-              + Add Transaction
+              {parsing ? 'Reading...' : 'Add'}
             </button>
           </div>
-        </div>
+          {quickAddError && <p className="mt-2 text-sm text-red-600">{quickAddError}</p>}
+        </form>
 
         {/* Error Message */}
         {error && (
@@ -340,10 +636,20 @@ const Transactions = () => {
           </div>
         )}
 
+        {/* Success Message */}
+        {notice && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded flex items-center justify-between">
+            <span>{notice}</span>
+            <button onClick={() => setNotice('')} className="text-green-700 hover:text-green-900 text-sm">
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Filters</h3>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
               <select
@@ -354,6 +660,21 @@ const Transactions = () => {
                 <option value="">All Types</option>
                 <option value="income">Income</option>
                 <option value="expense">Expense</option>
+                <option value="transfer">Transfer</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Account</label>
+              <select
+                value={filters.accountId}
+                onChange={(e) => handleFilterChange('accountId', e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              >
+                <option value="">All Accounts</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
               </select>
             </div>
 
@@ -367,15 +688,26 @@ const Transactions = () => {
                 <option value="">All Categories</option>
                 {filters.type === 'income' ? 
                   categories.income.map(cat => (
-                    <option key={cat} value={cat}>{cat}</option>
+                    <option key={cat.name} value={cat.name}>{cat.isChild ? `\u00A0\u00A0${cat.name}` : cat.name}</option>
                   )) :
                   categories.expense.map(cat => (
-                    <option key={cat} value={cat}>{cat}</option>
+                    <option key={cat.name} value={cat.name}>{cat.isChild ? `\u00A0\u00A0${cat.name}` : cat.name}</option>
                   ))
                 }
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+              <input
+                type="text"
+                placeholder="e.g. trip-goa-2026"
+                value={filters.tags}
+                onChange={(e) => handleFilterChange('tags', e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
               <input
@@ -400,7 +732,8 @@ const Transactions = () => {
               <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
               <input
                 type="text"
-                placeholder="Search transactions..."
+                placeholder='e.g. amount:>500 category:Travel "goa"'
+                title='Words and "phrases" search descriptions, merchants, tags and split notes. Filter with amount:>500, amount:100..500, date:2026-03, category:, merchant:, tag: and type:; put - in front to exclude.'
                 value={filters.search}
                 onChange={(e) => handleFilterChange('search', e.target.value)}
                 className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
@@ -411,7 +744,7 @@ const Transactions = () => {
               <button
                 onClick={() => {
                   setFilters({
-                    type: '', category: '', startDate: '', endDate: '', search: ''
+                    type: '', category: '', accountId: '', tags: '', startDate: '', endDate: '', search: ''
                   });
                   setSearchParams({});
                 }}
@@ -421,21 +754,71 @@ const Transactions = () => {
               </button>
             </div>
           </div>
+
+          <div className="flex items-center justify-end space-x-2 mt-4">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+            >
+              <option value="csv">CSV</option>
+              <option value="xlsx">Excel (XLSX)</option>
+              <option value="json">JSON</option>
+            </select>
+            <button
+              onClick={handleExport}
+              disabled={exporting}
+              className="bg-gray-800 text-white px-4 py-2 rounded-md hover:bg-gray-900 text-sm font-medium disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
         </div>
 
         {/* Transactions List */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200">
           <div className="px-6 py-4 border-b border-gray-200">
             <div className="flex items-center justify-between">
-              <h2 className="text-lg font-semibold text-gray-900">
-                Transactions ({pagination.totalItems})
-              </h2>
+              <div className="flex items-center space-x-3">
+                {transactions.length > 0 && (
+                  <input
+                    type="checkbox"
+                    checked={pageSelected}
+                    onChange={togglePageSelected}
+                    title="Select this page"
+                    className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                  />
+                )}
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Transactions ({pagination.totalItems})
+                </h2>
+                {pageSelected && !selectAllMatching && pagination.totalItems > transactions.length && (
+                  <button
+                    onClick={() => setSelectAllMatching(true)}
+                    className="text-sm text-red-600 hover:text-red-700"
+                  >
+                    Select all {pagination.totalItems} matching
+                  </button>
+                )}
+              </div>
               <div className="text-sm text-gray-500">
                 Page {pagination.currentPage} of {pagination.totalPages}
               </div>
             </div>
           </div>
 
+          {(selectedIds.length > 0 || selectAllMatching) && (
+            <BulkActionBar
+              selectedIds={selectedIds}
+              matchingFilter={selectAllMatching ? getActiveFilters() : null}
+              count={selectAllMatching ? pagination.totalItems : selectedIds.length}
+              categories={categories}
+              transactions={transactions}
+              onDone={handleBulkDone}
+              onClear={clearSelection}
+            />
+          )}
+
           {transactions.length === 0 ? (
             <div className="p-8 text-center">
               <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -460,31 +843,73 @@ const Transactions = () => {
           ) : (
             <div className="divide-y divide-gray-200">
               {transactions.map((transaction) => (
-                <div key={transaction._id} className="p-6 hover:bg-gray-50">
+                <div key={transaction._id} className={`p-6 ${selectedIds.includes(transaction._id) ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
                   <div className="flex items-center justify-between">
                     <div className="flex items-center space-x-4">
+                      <input
+                        type="checkbox"
+                        checked={selectAllMatching || selectedIds.includes(transaction._id)}
+                        onChange={() => toggleSelected(transaction._id)}
+                        className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                      />
                       <div className={`w-12 h-12 rounded-full flex items-center justify-center ${
-                        transaction.type === 'income' ? 'bg-green-100' : 'bg-red-100'
+                        transaction.type === 'income' ? 'bg-green-100' : transaction.type === 'transfer' ? 'bg-blue-100' : 'bg-red-100'
                       }`}>
                         <span className="text-xl">
-                          {transaction.type === 'income' ? '💰' : '💸'}
+                          {transaction.type === 'income' ? '💰' : transaction.type === 'transfer' ? '🔁' : '💸'}
                         </span>
                       </div>
                       <div>
                         <h3 className="font-medium text-gray-900">
-                          {transaction.description || 'No description'}
+                          {transaction.description
+                            ? <Highlight text={transaction.description} ranges={transaction.highlights?.description} />
+                            : 'No description'}
                         </h3>
-                        <p className="text-sm text-gray-600">{transaction.category}</p>
+                        <p className="text-sm text-gray-600">
+                          {transaction.type === 'transfer'
+                            ? `${getAccountName(transaction.accountId) || 'Account'} → ${getAccountName(transaction.toAccountId) || 'Account'}`
+                            : transaction.splits?.length > 0
+                              ? transaction.splits.map(split => split.category).join(' + ')
+                              : transaction.category}
+                          {transaction.merchant && (
+                            <> · <Highlight text={transaction.merchant} ranges={transaction.highlights?.merchant} /></>
+                          )}
+                          {transaction.type !== 'transfer' && getAccountName(transaction.accountId) && ` · ${getAccountName(transaction.accountId)}`}
+                        </p>
                         <p className="text-xs text-gray-500">{formatDate(transaction.date)}</p>
+                        {transaction.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {transaction.tags.map(tag => (
+                              <button
+                                key={tag}
+                                type="button"
+                                onClick={() => handleFilterChange('tags', tag)}
+                                className={`text-xs px-2 py-0.5 rounded-full ${
+                                  transaction.highlights?.tags.includes(tag)
+                                    ? 'bg-yellow-200 text-gray-900 hover:bg-yellow-300'
+                                    : 'bg-red-50 text-red-700 hover:bg-red-100'
+                                }`}
+                                title={`Show transactions tagged ${tag}`}
+                              >
+                                #{tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                     <div className="flex items-center space-x-4">
                       <div className="text-right">
                         <p className={`font-semibold text-lg ${
-                          transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
+                          transaction.type === 'income' ? 'text-green-600' : transaction.type === 'transfer' ? 'text-blue-600' : 'text-red-600'
                         }`}>
-                          {transaction.type === 'income' ? '+' : '-'} {formatCurrency(transaction.amount)}
+                          {transaction.type === 'income' ? '+' : transaction.type === 'transfer' ? '' : '-'} {formatAmount(transaction.amount, transaction.currency)}
                         </p>
+                        {transaction.currency && transaction.currency !== baseCurrency && (
+                          <p className="text-xs text-gray-500">
+                            ≈ {formatAmount(transaction.amount * (transaction.exchangeRate || 1), baseCurrency)}
+                          </p>
+                        )}
                       </div>
                       <div className="flex space-x-2">
                         <button
@@ -545,11 +970,22 @@ const Transactions = () => {
           setShowAddModal(false);
           setShowEditModal(false);
           setSelectedTransaction(null);
+          setParsedFrom('');
           resetForm();
         }}
         title={showEditModal ? 'Edit Transaction' : 'Add Transaction'}
       >
         <form onSubmit={handleSubmit} className="space-y-4">
+          {parsedFrom && !showEditModal && (
+            <p className="text-sm text-gray-600">
+              Filled in from <span className="font-medium text-gray-900">&ldquo;{parsedFrom}&rdquo;</span>. Check the details before saving.
+              {formData.categorySuggestion && (
+                <span className="block text-xs text-gray-500 mt-1">
+                  Category {formData.categorySuggestion.source === 'learned' ? 'learned from your past choices' : 'suggested'} with {formData.categorySuggestion.confidence}% confidence.
+                </span>
+              )}
+            </p>
+          )}
           {/* Helpful note for users */}
           <div className="bg-blue-50 border border-blue-200 rounded-md p-3 mb-4">
             <div className="flex items-start">
@@ -576,6 +1012,7 @@ const Transactions = () => {
               >
                 <option value="expense">Expense</option>
                 <option value="income">Income</option>
+                <option value="transfer">Transfer</option>
               </select>
             </div>
 
@@ -594,20 +1031,88 @@ const Transactions = () => {
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
               <select
-                value={formData.category}
-                onChange={(e) => setFormData({...formData, category: e.target.value})}
+                value={formData.currency || baseCurrency}
+                onChange={(e) => setFormData({...formData, currency: e.target.value, exchangeRate: ''})}
                 className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
-                required
               >
-                <option value="">Select Category</option>
-                {categories[formData.type].map(cat => (
-                  <option key={cat} value={cat}>{cat}</option>
+                {CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+
+            {formData.currency && formData.currency !== baseCurrency && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Exchange Rate (1 {formData.currency} in {baseCurrency})
+                </label>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={formData.exchangeRate}
+                  onChange={(e) => setFormData({...formData, exchangeRate: e.target.value})}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  placeholder="Leave blank to use your rate table"
+                />
+              </div>
+            )}
+
+            {formData.type !== 'transfer' && formData.splits.length === 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select
+                  value={formData.category}
+                  onChange={(e) => setFormData({...formData, category: e.target.value})}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  required
+                >
+                  <option value="">Select Category</option>
+                  {categories[formData.type].map(cat => (
+                    <option key={cat.name} value={cat.name}>{cat.isChild ? `\u00A0\u00A0${cat.name}` : cat.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {formData.type === 'transfer' ? 'From Account' : 'Account'}
+              </label>
+              <select
+                value={formData.accountId}
+                onChange={(e) => setFormData({...formData, accountId: e.target.value})}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                required={formData.type === 'transfer'}
+              >
+                <option value="">{formData.type === 'transfer' ? 'Select Account' : 'No account'}</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
                 ))}
               </select>
             </div>
 
+            {formData.type === 'transfer' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">To Account</label>
+                <select
+                  value={formData.toAccountId}
+                  onChange={(e) => setFormData({...formData, toAccountId: e.target.value})}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                  required
+                >
+                  <option value="">Select Account</option>
+                  {accounts
+                    .filter(account => account._id !== formData.accountId)
+                    .map(account => (
+                      <option key={account._id} value={account._id}>{account.name}</option>
+                    ))}
+                </select>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
               <input
@@ -621,6 +1126,87 @@ const Transactions = () => {
             </div>
           </div>
 
+          {formData.type !== 'transfer' && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">Split Across Categories</label>
+                {formData.splits.length === 0 ? (
+                  <button type="button" onClick={startSplit} className="text-sm text-red-600 hover:text-red-700 font-medium">
+                    + Split
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setFormData({ ...formData, splits: [], category: formData.splits[0]?.category || '' })}
+                    className="text-sm text-gray-600 hover:text-gray-700 font-medium"
+                  >
+                    Remove split
+                  </button>
+                )}
+              </div>
+
+              {formData.splits.length > 0 && (
+                <div className="space-y-2">
+                  {formData.splits.map((split, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                      <select
+                        value={split.category}
+                        onChange={(e) => updateSplit(index, { category: e.target.value })}
+                        className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+                        required
+                      >
+                        <option value="">Category</option>
+                        {categories[formData.type].map(cat => (
+                          <option key={cat.name} value={cat.name}>{cat.isChild ? `\u00A0\u00A0${cat.name}` : cat.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0.01"
+                        value={split.amount}
+                        onChange={(e) => updateSplit(index, { amount: e.target.value })}
+                        placeholder="0.00"
+                        className="w-28 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+                        required
+                      />
+                      <input
+                        type="text"
+                        value={split.note}
+                        onChange={(e) => updateSplit(index, { note: e.target.value })}
+                        maxLength={100}
+                        placeholder="Note"
+                        className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-red-500 focus:border-red-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeSplit(index)}
+                        className="text-gray-400 hover:text-red-600 text-sm"
+                        aria-label="Remove split"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex items-center justify-between text-sm">
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, splits: [...formData.splits, { category: '', amount: '', note: '' }] })}
+                      className="text-red-600 hover:text-red-700 font-medium"
+                    >
+                      + Add part
+                    </button>
+                    <span className={Math.abs(splitRemaining) > 0.01 ? 'text-red-600' : 'text-green-600'}>
+                      {Math.abs(splitRemaining) > 0.01
+                        ? `${formatAmount(splitRemaining, formData.currency || baseCurrency, { maximumFractionDigits: 2 })} left to allocate`
+                        : 'Fully allocated'}
+                    </span>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
             <textarea
@@ -632,7 +1218,45 @@ const Transactions = () => {
             />
           </div>
 
+          {formData.type !== 'transfer' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Merchant</label>
+              <input
+                type="text"
+                list="merchant-suggestions"
+                value={formData.merchant}
+                onChange={(e) => setFormData({...formData, merchant: e.target.value})}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-red-500 focus:border-red-500"
+                maxLength={100}
+                placeholder="Found from the description when left empty"
+              />
+              <datalist id="merchant-suggestions">
+                {merchants.map(merchant => (
+                  <option key={merchant.name} value={merchant.name} />
+                ))}
+              </datalist>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+            <TagInput
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+              placeholder="e.g. reimbursable, trip-goa-2026"
+            />
+          </div>
+
           <div className="flex justify-end space-x-3 pt-4">
+            {showEditModal && selectedTransaction && (
+              <button
+                type="button"
+                onClick={() => setShowHistoryModal(true)}
+                className="mr-auto px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                History
+              </button>
+            )}
             <button
               type="button"
               onClick={() => {
@@ -655,6 +1279,60 @@ const Transactions = () => {
           </div>
         </form>
       </Modal>
+
+      {/* Import Statement Modal */}
+      <TransactionImport
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={(message) => {
+          setNotice(message);
+          fetchTransactions();
+        }}
+        categories={categories}
+        accounts={accounts}
+      />
+
+      {/* Currency Settings Modal */}
+      <CurrencySettings
+        isOpen={showCurrencyModal}
+        onClose={() => setShowCurrencyModal(false)}
+        onBaseCurrencyChange={(currency) => {
+          setBaseCurrency(currency);
+          fetchTransactions();
+        }}
+      />
+
+      {/* Learned Categories Modal */}
+      <CategoryLearning
+        isOpen={showLearningModal}
+        onClose={() => setShowLearningModal(false)}
+      />
+
+      {/* Trash Modal */}
+      <TransactionTrash
+        isOpen={showTrashModal}
+        onClose={() => setShowTrashModal(false)}
+        onRestored={fetchTransactions}
+      />
+
+      {/* History of the transaction being edited */}
+      <TransactionHistory
+        isOpen={showHistoryModal}
+        onClose={() => setShowHistoryModal(false)}
+        transaction={selectedTransaction}
+        accounts={accounts}
+        onReverted={(transaction) => {
+          setShowHistoryModal(false);
+          handleEdit(transaction);
+          fetchTransactions();
+        }}
+      />
+
+      <UndoToast
+        message={undo?.message}
+        onUndo={handleUndo}
+        onClose={closeUndo}
+      />
     </div>
   );
 };
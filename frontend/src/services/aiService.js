@@ -1,10 +1,11 @@
 import api from './api';
+import { getToken } from '../utils/auth';
 
-export const sendMessage = async (message) => {
+export const sendMessage = async (message, sessionId) => {
   try {
-    const response = await api.post('/ai/chat', { message }, { timeout: 30000 });
+    const response = await api.post('/ai/chat', { message, sessionId }, { timeout: 30000 });
     if (response && response.success) {
-      return { data: response.data };
+      return { data: response.data, context: response.context };
     }
     throw new Error('Failed to get response from AI');
   } catch (error) {
@@ -17,6 +18,119 @@ export const sendMessage = async (message) => {
   }
 };
 
+// Streams the answer over Server-Sent Events, calling onToken with each piece of text as it arrives.
+// Aborting the signal stops the answer; the backend then doesn't save it.
+export const streamMessage = async (message, sessionId, { onToken, signal } = {}) => {
+  const response = await fetch(`${api.defaults.baseURL}/ai/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${getToken()}`
+    },
+    body: JSON.stringify({ message, sessionId }),
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      throw new Error('Please sign in to chat with your financial assistant.');
+    }
+    throw new Error(body.message || body.error || 'Failed to get response from AI');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = raw.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || '{}');
+      if (event === 'token') onToken?.(data.content);
+      if (event === 'done') return { context: data.context };
+      if (event === 'error') throw new Error(data.message || 'Failed to get response from AI');
+    }
+  }
+
+  throw new Error('The connection closed before the answer finished');
+};
+
+export const getChatHistory = async (sessionId) => {
+  try {
+    const response = await api.get('/ai/chat', { params: { sessionId } });
+    if (response && response.success) {
+      return response.data;
+    }
+    throw new Error('Failed to load chat history');
+  } catch (error) {
+    console.error('Error loading chat history:', error);
+    throw error;
+  }
+};
+
+// Clears one session's conversation, or every session when no ID is given
+export const clearChatHistory = async (sessionId) => {
+  try {
+    await api.delete('/ai/chat', { params: sessionId ? { sessionId } : {} });
+  } catch (error) {
+    console.error('Error clearing chat history:', error);
+    throw error;
+  }
+};
+
+export const getChatSessions = async () => {
+  try {
+    const response = await api.get('/ai/sessions');
+    if (response && response.success) {
+      return response.data.sessions || [];
+    }
+    throw new Error('Failed to load chat sessions');
+  } catch (error) {
+    console.error('Error loading chat sessions:', error);
+    throw error;
+  }
+};
+
+export const createChatSession = async (title) => {
+  try {
+    const response = await api.post('/ai/sessions', title ? { title } : {});
+    return response.data.session;
+  } catch (error) {
+    console.error('Error creating chat session:', error);
+    throw error;
+  }
+};
+
+export const renameChatSession = async (sessionId, title) => {
+  try {
+    const response = await api.patch(`/ai/sessions/${sessionId}`, { title });
+    return response.data.session;
+  } catch (error) {
+    console.error('Error renaming chat session:', error);
+    throw error;
+  }
+};
+
+export const deleteChatSession = async (sessionId) => {
+  try {
+    await api.delete(`/ai/sessions/${sessionId}`);
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    throw error;
+  }
+};
+
 export const getFinancialInsights = async () => {
   try {
     const response = await api.get('/ai/insights', { timeout: 65000 });
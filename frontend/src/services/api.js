@@ -207,13 +207,46 @@ export const transactionAPI = {
   },
   
   create: (transactionData) => api.post('/transactions', transactionData),
+
+  parse: (text) => api.post('/transactions/parse', { text }),
   
   update: (id, transactionData) => api.put(`/transactions/${id}`, transactionData),
   
   delete: (id) => api.delete(`/transactions/${id}`),
   
+  bulk: (request) => api.post('/transactions/bulk', request),
+  
+  getTrash: (params = {}) => api.get('/transactions/trash', { params }),
+  
+  restore: (ids) => api.post('/transactions/trash/restore', { ids }),
+  
+  purge: (id) => api.delete(`/transactions/trash/${id}`),
+  
+  emptyTrash: () => api.delete('/transactions/trash'),
+  
+  getHistory: (id) => api.get(`/transactions/${id}/history`),
+  
+  revert: (id, version) => api.post(`/transactions/${id}/revert`, { version }),
+  
   getById: (id) => api.get(`/transactions/${id}`),
   
+  getTags: (q = '') => api.get('/transactions/tags', { params: { q } }),
+  
+  importPreview: (formData) => {
+    return api.post('/transactions/import', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+  
+  importConfirm: (transactions, accountId) => api.post('/transactions/import/confirm', { transactions, accountId }),
+  
+  export: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return api.get(`/transactions/export?${queryString}`, { responseType: 'blob' });
+  },
+  
   getAnalytics: async (params = {}) => {
     try {
       // Format parameters
@@ -274,10 +307,98 @@ export const categoryAPI = {
   getAll: (type = 'expense') => api.get(`/categories?type=${type}`),
   
   getSuggestions: (text, type = 'expense') => 
-    api.get(`/categories/suggestions?text=${text}&type=${type}`),
+    api.get(`/categories/suggestions?text=${encodeURIComponent(text)}&type=${type}`),
   
   categorize: (description, merchant) => 
     api.post('/categories/categorize', { description, merchant }),
+  
+  getLearning: () => api.get('/categories/learning'),
+  
+  retrainLearning: () => api.post('/categories/learning/retrain'),
+  
+  resetLearning: () => api.delete('/categories/learning'),
+  
+  create: (categoryData) => api.post('/categories', categoryData),
+  
+  update: (id, categoryData) => api.put(`/categories/${id}`, categoryData),
+  
+  delete: (id) => api.delete(`/categories/${id}`),
+};
+
+// Currency API calls
+export const currencyAPI = {
+  getRates: () => api.get('/currencies'),
+  
+  setBaseCurrency: (currency) => api.put('/currencies/base', { currency }),
+  
+  updateRate: (currency, rate) => api.put(`/currencies/rates/${currency}`, { rate }),
+};
+
+// Account API calls
+export const accountAPI = {
+  getAll: (params = {}) => api.get('/accounts', { params }),
+  
+  getTransactions: (id, params = {}) => api.get(`/accounts/${id}/transactions`, { params }),
+  
+  create: (account) => api.post('/accounts', account),
+  
+  update: (id, account) => api.put(`/accounts/${id}`, account),
+  
+  delete: (id) => api.delete(`/accounts/${id}`),
+};
+
+// Savings goal API calls
+export const goalAPI = {
+  getAll: (params = {}) => api.get('/goals', { params }),
+  
+  getById: (id) => api.get(`/goals/${id}`),
+  
+  create: (goal) => api.post('/goals', goal),
+  
+  update: (id, goal) => api.put(`/goals/${id}`, goal),
+  
+  delete: (id) => api.delete(`/goals/${id}`),
+  
+  addContribution: (id, contribution) => api.post(`/goals/${id}/contributions`, contribution),
+};
+
+// Merchant API calls
+export const merchantAPI = {
+  getAll: (q = '') => api.get('/merchants', { params: { q } }),
+  
+  getAnalytics: (params = {}) => api.get('/merchants/analytics', { params }),
+  
+  update: (name, settings) => api.put(`/merchants/${encodeURIComponent(name)}`, settings),
+  
+  merge: (sources, target) => api.post('/merchants/merge', { sources, target }),
+};
+
+// Rule API calls
+export const ruleAPI = {
+  getAll: () => api.get('/rules'),
+  
+  create: (rule) => api.post('/rules', rule),
+  
+  update: (id, rule) => api.put(`/rules/${id}`, rule),
+  
+  delete: (id) => api.delete(`/rules/${id}`),
+  
+  reorder: (ruleIds) => api.post('/rules/reorder', { ruleIds }),
+  
+  apply: (options = {}) => api.post('/rules/apply', options),
+};
+
+// Budget API calls
+export const budgetAPI = {
+  getAll: () => api.get('/budgets'),
+  
+  getStatus: (month) => api.get(`/budgets/status${month ? `?month=${month}` : ''}`),
+  
+  create: (budgetData) => api.post('/budgets', budgetData),
+  
+  update: (id, budgetData) => api.put(`/budgets/${id}`, budgetData),
+  
+  delete: (id) => api.delete(`/budgets/${id}`),
 };
 
 // Dashboard API calls
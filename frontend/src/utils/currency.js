@@ -0,0 +1,15 @@
+// Currencies supported by the backend rate table
+export const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'AUD', 'CAD', 'JPY'];
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// Format an amount in its currency (Indian digit grouping for INR)
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY, options = {}) => {
+  const code = currency || DEFAULT_CURRENCY;
+  return new Intl.NumberFormat(code === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: 0,
+    ...options
+  }).format(amount || 0);
+};